@@ -10,12 +10,22 @@ import {
   ResponsiveContainer,
 } from "recharts";
 import { marked } from "marked";
+import { AQI_SCHEMES, DEFAULT_AQI_SCHEME, isAqiScheme, IAQ_CATEGORIES, iaqCategory } from "../../shared/aqi.js";
 
 // Detect API base for dev vs prod (support localhost and 127.0.0.1)
 const API_BASE = (location.hostname === "localhost" || location.hostname === "127.0.0.1")
   ? "http://localhost:3000"
   : "";
 const DEMO_PROFILE_KEY = "demo.family.profile";
+const DEVICE_KEY = "selected.device";
+
+// All API calls carry the session cookie (in development the API is on another port).
+// A 401 means the session ended; App listens for `auth-required` and shows the login form.
+async function apiFetch(path, options = {}) {
+  const res = await fetch(`${API_BASE}${path}`, { credentials: "include", ...options });
+  if (res.status === 401 && !path.startsWith("/auth/")) window.dispatchEvent(new CustomEvent("auth-required"));
+  return res;
+}
 
 // ---------- Small UI helpers ----------
 const panelItemStyle = {
@@ -55,14 +65,8 @@ const btnPill = {
 };
 
 function getIaqLabel(v) {
-  if (v === undefined || v === null || !isFinite(v)) return { label: "—", color: "var(--text)" };
-  const x = Number(v);
-  if (x < 50) return { label: "Good", color: "#16a34a" };
-  if (x < 100) return { label: "Moderate", color: "#84cc16" };
-  if (x < 150) return { label: "USG", color: "#f59e0b" };
-  if (x < 200) return { label: "Unhealthy", color: "#ef4444" };
-  if (x < 300) return { label: "Very Unhealthy", color: "#db2777" };
-  return { label: "Hazardous", color: "#7c3aed" };
+  const c = iaqCategory(v);
+  return c ? { label: c.label, color: c.color } : { label: "—", color: "var(--text)" };
 }
 
 function deriveTrend(values) {
@@ -80,8 +84,556 @@ function deriveTrend(values) {
   return delta > 0 ? "rising" : "falling";
 }
 
+function deviceLabel(d) {
+  if (!d) return "—";
+  const name = d.name || d.id;
+  return d.room && d.room !== name ? `${d.room} · ${name}` : name;
+}
+
+// ---------- Chart range ----------
+const RANGE_PRESETS = [
+  { key: "live", label: "Live" },
+  { key: "1h", label: "1h", seconds: 3600 },
+  { key: "24h", label: "24h", seconds: 86400 },
+  { key: "7d", label: "7d", seconds: 7 * 86400 },
+  { key: "30d", label: "30d", seconds: 30 * 86400 },
+  { key: "custom", label: "Custom" },
+];
+
+// Raw rows for short spans, otherwise a bucket that keeps the chart to a few hundred points
+function pickBucket(spanSeconds) {
+  if (spanSeconds <= 2 * 3600) return null;
+  if (spanSeconds <= 2 * 86400) return "5m";
+  if (spanSeconds <= 31 * 86400) return "1h";
+  return "1d";
+}
+
+function toLocalInputValue(date) {
+  const d = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+}
+
+// Resolve a range selection to { from, to } in Unix seconds (null for the live view)
+function resolveRange(range) {
+  if (range.key === "live") return null;
+  if (range.key === "custom") return { from: range.from, to: range.to };
+  const preset = RANGE_PRESETS.find((p) => p.key === range.key);
+  const to = Math.floor(Date.now() / 1000);
+  return { from: to - preset.seconds, to };
+}
+
+// Forecast rows from /forecasts -> chart points at their target time.
+// Device and server 5-minute forecasts form the history; the newest server set
+// (15 and 60 minutes ahead) extends the server line past the last reading.
+function forecastPoints(forecasts, lastTs) {
+  const points = [];
+  for (const f of forecasts) {
+    const key = f.source === "device" ? "forecast_device" : "forecast_server";
+    if (f.horizon_min === 5 || (key === "forecast_server" && f.target_ts > lastTs + 300)) {
+      points.push({ ts: f.target_ts, [key]: f.iaq });
+    }
+  }
+  return points;
+}
+
+function RangePicker({ value, onChange }) {
+  const [from, setFrom] = useState(() => toLocalInputValue(new Date(Date.now() - 4 * 3600 * 1000)));
+  const [to, setTo] = useState(() => toLocalInputValue(new Date()));
+  const applyCustom = () => {
+    const f = Math.floor(new Date(from).getTime() / 1000);
+    const t = Math.floor(new Date(to).getTime() / 1000);
+    if (Number.isFinite(f) && Number.isFinite(t) && f < t) onChange({ key: "custom", from: f, to: t });
+  };
+  const inputStyle = {
+    padding: "6px 8px", border: "1px solid var(--border)", borderRadius: 8,
+    background: "var(--surface)", color: "var(--text)", fontSize: 12,
+  };
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6 }}>
+      {RANGE_PRESETS.map((p) => (
+        <button
+          key={p.key}
+          onClick={() => (p.key === "custom" ? applyCustom() : onChange({ key: p.key }))}
+          style={{
+            ...btnPill,
+            ...(value.key === p.key ? { background: "#2563eb", color: "#fff", borderColor: "#2563eb" } : {}),
+          }}
+        >
+          {p.label}
+        </button>
+      ))}
+      <input type="datetime-local" value={from} onChange={(e) => setFrom(e.target.value)} style={inputStyle} />
+      <span style={{ fontSize: 12, color: "var(--muted-text)" }}>to</span>
+      <input type="datetime-local" value={to} onChange={(e) => setTo(e.target.value)} style={inputStyle} />
+    </div>
+  );
+}
+
+// ---------- Device Picker ----------
+function DevicePicker({ devices, value, onChange }) {
+  if (!devices.length) return null;
+  return (
+    <select
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value)}
+      style={{ ...btnSecondary, cursor: "pointer" }}
+      title="Choose which sensor unit to show"
+    >
+      {devices.map((d) => (
+        <option key={d.id} value={d.id}>{deviceLabel(d)}</option>
+      ))}
+    </select>
+  );
+}
+
+// ---------- Room Comparison ----------
+const COMPARE_METRICS = [
+  { key: "current_iaq", label: "IAQ (current)", dp: 0 },
+  { key: "predicted_iaq", label: "IAQ (pred 5m)", dp: 0 },
+  { key: "pm25", label: "PM2.5 (µg/m³)", dp: 1 },
+  { key: "voc", label: "VoC (ppb)", dp: 1 },
+  { key: "c2h5oh", label: "Ethanol (ppb)", dp: 1 },
+  { key: "co", label: "CO (ppm)", dp: 2 },
+];
+const SERIES_COLORS = ["#2563eb", "#16a34a", "#f59e0b", "#db2777", "#7c3aed", "#0891b2"];
+
+function RoomComparison({ devices }) {
+  const [metric, setMetric] = useState("current_iaq");
+  const [series, setSeries] = useState({}); // deviceId -> rows
+
+  const deviceIds = devices.map((d) => d.id).join(",");
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(
+      devices.map((d) =>
+        apiFetch(`/history?limit=720&device=${encodeURIComponent(d.id)}`)
+          .then((r) => r.json())
+          .then((j) => [d.id, j.ok ? j.data || [] : []])
+          .catch(() => [d.id, []])
+      )
+    ).then((entries) => { if (!cancelled) setSeries(Object.fromEntries(entries)); });
+    return () => { cancelled = true; };
+  }, [deviceIds]);
+
+  const m = COMPARE_METRICS.find((x) => x.key === metric) || COMPARE_METRICS[0];
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px,1fr))", gap: 12 }}>
+        {devices.map((d, i) => {
+          const r = d.latest || {};
+          const badge = getIaqLabel(r.current_iaq);
+          return (
+            <div key={d.id} style={{ ...panelItemStyle, borderTop: `4px solid ${SERIES_COLORS[i % SERIES_COLORS.length]}` }}>
+              <div style={{ ...panelTitleStyle, marginBottom: 2 }}>{d.room || d.name || d.id}</div>
+              <div style={{ fontSize: 12, color: "var(--muted-text)", marginBottom: 8 }}>
+                {d.name || d.id}{d.firmware_version ? ` • fw ${d.firmware_version}` : ""}
+                {d.last_seen_ts ? ` • seen ${new Date(d.last_seen_ts * 1000).toLocaleTimeString()}` : ""}
+              </div>
+              <div style={{ display: "flex", alignItems: "baseline", gap: 8, marginBottom: 6 }}>
+                <div style={{ fontSize: 24, fontWeight: 800 }}>
+                  {isFinite(r.current_iaq) && r.current_iaq !== null ? Number(r.current_iaq).toFixed(0) : "—"}
+                </div>
+                <span style={{ fontSize: 12, fontWeight: 700, color: badge.color }}>{badge.label}</span>
+              </div>
+              <div style={{ fontSize: 12, color: "var(--muted-text)", lineHeight: 1.6 }}>
+                {COMPARE_METRICS.filter((x) => x.key !== "current_iaq").map((x) => (
+                  <div key={x.key}>
+                    {x.label}: {r[x.key] !== undefined && r[x.key] !== null && isFinite(r[x.key]) ? Number(r[x.key]).toFixed(x.dp) : "—"}
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ ...panelItemStyle, height: 420, display: "flex", flexDirection: "column" }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+          <div style={panelTitleStyle}>Compare rooms</div>
+          <select value={metric} onChange={(e) => setMetric(e.target.value)} style={{ ...btnSecondary, cursor: "pointer" }}>
+            {COMPARE_METRICS.map((x) => <option key={x.key} value={x.key}>{x.label}</option>)}
+          </select>
+        </div>
+        <div style={{ flex: 1, minHeight: 0 }}>
+          <ResponsiveContainer>
+            <LineChart>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                dataKey="ts"
+                type="number"
+                domain={["dataMin", "dataMax"]}
+                tickFormatter={(t) => new Date(t * 1000).toLocaleTimeString()}
+                minTickGap={28}
+              />
+              <YAxis />
+              <Tooltip labelFormatter={(t) => new Date(t * 1000).toLocaleString()} />
+              <Legend />
+              {devices.map((d, i) => (
+                <Line
+                  key={d.id}
+                  data={series[d.id] || []}
+                  type="monotone"
+                  dataKey={m.key}
+                  name={d.room || d.name || d.id}
+                  stroke={SERIES_COLORS[i % SERIES_COLORS.length]}
+                  dot={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Exposure reports ----------
+// Daily / weekly summary from GET /reports/exposure; the printable version is the
+// server-rendered /reports/exposure.html (print it or save it as PDF).
+function ExposureReports({ deviceId }) {
+  const [period, setPeriod] = useState("week");
+  const [date, setDate] = useState(() => toLocalInputValue(new Date()).slice(0, 10));
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const params = new URLSearchParams({ period, date, tz_offset: String(-new Date().getTimezoneOffset()) });
+  if (deviceId) params.set("device", deviceId);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    apiFetch(`/reports/exposure?${params}`)
+      .then(r => r.json())
+      .then(j => {
+        if (cancelled) return;
+        if (!j.ok) throw new Error(j.error || "Failed to load report");
+        setReport(j.data);
+      })
+      .catch((e) => { if (!cancelled) { setReport(null); setError(e.message); } })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [deviceId, period, date]);
+
+  const fmt = (v, unit = "") => (v === null || v === undefined ? "—" : `${v}${unit}`);
+  const signed = (v, unit = "") => (v === null || v === undefined ? "" : `${v > 0 ? "+" : ""}${v}${unit}`);
+  const fmtTime = (ts) => (ts ? new Date(ts * 1000).toLocaleString([], { weekday: "short", hour: "2-digit", minute: "2-digit" }) : "");
+  // For every figure here, lower is better except the share of "Good" time
+  const changeColor = (v, higherIsBetter = false) => (!v ? "var(--muted-text)" : (v > 0) === higherIsBetter ? "#16a34a" : "#ef4444");
+
+  const t = report?.totals;
+  const c = report?.comparison;
+  const summary = report ? [
+    { label: "Mean IAQ", value: fmt(t.iaq.mean), change: c.change.iaq_mean },
+    { label: 'Time at "Good"', value: t.good_share === null ? "—" : `${Math.round(t.good_share * 100)}%`, change: c.change.good_share === null ? null : Math.round(c.change.good_share * 100), unit: " pts", higherIsBetter: true },
+    { label: 'Hours at "USG" or worse', value: fmt(t.usg_or_worse_h, " h"), change: c.change.usg_or_worse_h, unit: " h" },
+    { label: `PM2.5 above WHO (${report.thresholds.who_pm25} µg/m³)`, value: fmt(t.pm25.hours_above_who, " h"), change: c.change.hours_above_who, unit: " h" },
+    { label: "Peak IAQ", value: fmt(t.iaq.max), note: fmtTime(t.iaq.max_ts) },
+    { label: "Peak PM2.5", value: fmt(t.pm25.max, " µg/m³"), note: fmtTime(t.pm25.max_ts) },
+  ] : [];
+  const members = (report?.members || []).filter((m) => m.groups.length);
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+      <div style={{ ...panelItemStyle, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <div>
+          <div style={{ ...panelTitleStyle, marginBottom: 2 }}>Exposure report</div>
+          <div style={{ fontSize: 12, color: "var(--muted-text)" }}>
+            {report ? `${report.device_id} • ${report.days[0].date}${report.days.length > 1 ? ` – ${report.days[report.days.length - 1].date}` : ""}` : loading ? "Loading…" : ""}
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          {["day", "week"].map((p) => (
+            <button
+              key={p}
+              onClick={() => setPeriod(p)}
+              style={{ ...btnPill, ...(period === p ? { background: "#2563eb", color: "#fff", borderColor: "#2563eb" } : {}) }}
+            >
+              {p === "day" ? "Daily" : "Weekly"}
+            </button>
+          ))}
+          <input type="date" value={date} onChange={(e) => e.target.value && setDate(e.target.value)} style={{ ...btnSecondary, padding: "6px 8px" }} />
+          <a href={`${API_BASE}/reports/exposure.html?${params}&print=1`} target="_blank" rel="noreferrer" style={{ ...btnSecondary, textDecoration: "none" }}>
+            Print / PDF
+          </a>
+        </div>
+      </div>
+
+      {error && <div style={{ ...panelItemStyle, color: "#ef4444" }}>{error}</div>}
+
+      {report && (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px,1fr))", gap: 12 }}>
+            {summary.map((s) => (
+              <div key={s.label} style={panelItemStyle}>
+                <div style={{ fontSize: 12, color: "var(--muted-text)" }}>{s.label}</div>
+                <div style={{ fontSize: 22, fontWeight: 800 }}>{s.value}</div>
+                <div style={{ fontSize: 12, color: s.note ? "var(--muted-text)" : changeColor(s.change, s.higherIsBetter) }}>
+                  {s.note || (s.change === null || s.change === undefined ? `no data ${c.label}` : `${signed(s.change, s.unit)} vs ${c.label}`)}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {members.length > 0 && (
+            <div style={panelItemStyle}>
+              <div style={panelTitleStyle}>Household members</div>
+              {members.map((m, i) => (
+                <div key={i} style={{ marginBottom: 8 }}>
+                  <div style={{ fontWeight: 600 }}>
+                    {m.name || m.relation || "Member"}{" "}
+                    <span style={{ fontWeight: 400, fontSize: 12, color: "var(--muted-text)" }}>({m.group_labels.join(", ")})</span>
+                  </div>
+                  <ul style={{ margin: "4px 0 0", paddingLeft: 18, fontSize: 13, lineHeight: 1.5 }}>
+                    {m.notes.map((n, k) => <li key={k}>{n}</li>)}
+                  </ul>
+                </div>
+              ))}
+              <p style={{ ...panelPStyle, fontSize: 12 }}>These notes summarise measured exposure; they are not medical advice.</p>
+            </div>
+          )}
+
+          <div style={panelItemStyle}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 8, marginBottom: 8 }}>
+              <div style={{ ...panelTitleStyle, marginBottom: 0 }}>Time in each IAQ category</div>
+              <div style={{ display: "flex", gap: 10, flexWrap: "wrap", fontSize: 12 }}>
+                {IAQ_CATEGORIES.map((cat) => (
+                  <span key={cat.key} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                    <span style={{ width: 10, height: 10, borderRadius: 2, background: cat.color }} />{cat.label}
+                  </span>
+                ))}
+              </div>
+            </div>
+            {report.days.map((d) => (
+              <div key={d.date} style={{ display: "grid", gridTemplateColumns: "90px 1fr 150px", gap: 8, alignItems: "center", fontSize: 12, marginBottom: 4 }}>
+                <span>{new Date(`${d.date}T00:00`).toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" })}</span>
+                <div style={{ display: "flex", height: 14, borderRadius: 4, overflow: "hidden", background: "var(--border)" }}>
+                  {IAQ_CATEGORIES.map((cat) => d.hours_by_category[cat.key] > 0 && (
+                    <div
+                      key={cat.key}
+                      title={`${cat.label}: ${d.hours_by_category[cat.key]} h`}
+                      style={{ width: `${(d.hours_by_category[cat.key] / 24) * 100}%`, background: cat.color }}
+                    />
+                  ))}
+                </div>
+                <span style={{ color: "var(--muted-text)" }}>
+                  PM2.5 &gt; WHO {d.pm25.hours_above_who} h{d.no_data_h >= 1 ? ` • ${d.no_data_h} h no data` : ""}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div style={panelItemStyle}>
+            <div style={panelTitleStyle}>Peak events</div>
+            {report.events.length === 0 ? (
+              <p style={panelPStyle}>No pollution episodes in this period.</p>
+            ) : (
+              <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ color: "var(--muted-text)", textAlign: "left" }}>
+                    <th>Source</th><th>Start</th><th>Duration</th><th>Peak IAQ</th><th>Peak PM2.5</th><th>Peak CO</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.events.map((e) => (
+                    <tr key={e.id} style={{ borderTop: "1px solid var(--border)" }}>
+                      <td>
+                        <span style={{ color: episodeColor(e.label), fontWeight: 600 }}>{capitalize(e.label)}</span>
+                        {!e.confirmed && <span style={{ color: "var(--muted-text)" }}> (guess)</span>}
+                      </td>
+                      <td>{fmtTime(e.start_ts)}</td>
+                      <td>{e.duration_min} min</td>
+                      <td>{fmt(e.iaq_max)}</td>
+                      <td>{fmt(e.pm25_max)}</td>
+                      <td>{fmt(e.co_max)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ---------- AQI breakdown ----------
+// Standards-based index from pollutant averages (server-side, see GET /aqi); shows which
+// pollutant drives it. The scheme choice is kept in this browser.
+const AQI_SCHEME_KEY = "aqi.scheme";
+const LEVEL_COLORS = { ok: "#16a34a", elevated: "#f59e0b", high: "#ef4444" };
+
+function formatWindow(hours) {
+  return hours ? `${hours} h avg` : "latest";
+}
+
+function AqiBreakdown({ deviceId, latestTs }) {
+  const [scheme, setScheme] = useState(() => {
+    const saved = localStorage.getItem(AQI_SCHEME_KEY);
+    return isAqiScheme(saved) ? saved : DEFAULT_AQI_SCHEME;
+  });
+  const [averaging, setAveraging] = useState("standard");
+  const [aqi, setAqi] = useState(null);
+
+  useEffect(() => {
+    localStorage.setItem(AQI_SCHEME_KEY, scheme);
+  }, [scheme]);
+
+  // Averages move slowly, so refresh at most once a minute (and on each new reading for "latest")
+  const tick = averaging === "instant" ? latestTs : Math.floor((latestTs || 0) / 60);
+  useEffect(() => {
+    let cancelled = false;
+    const q = new URLSearchParams({ scheme, averaging });
+    if (deviceId) q.set("device", deviceId);
+    apiFetch(`/aqi?${q}`)
+      .then(r => r.json())
+      .then(j => { if (!cancelled && j.ok) setAqi(j.data); })
+      .catch(console.error);
+    return () => { cancelled = true; };
+  }, [deviceId, scheme, averaging, tick]);
+
+  const selectStyle = {
+    padding: "2px 4px", border: "1px solid var(--border)", borderRadius: 6,
+    background: "var(--surface)", color: "var(--text)", fontSize: 12,
+  };
+  const dominant = aqi?.sub_indices.find((s) => s.pollutant === aqi.dominant);
+
+  return (
+    <div style={{ ...panelItemStyle }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 6, marginBottom: 6 }}>
+        <div style={{ ...panelTitleStyle, marginBottom: 0 }} title={AQI_SCHEMES[scheme].source}>Air quality index</div>
+        <div style={{ display: "flex", gap: 4 }}>
+          <select value={scheme} onChange={(e) => setScheme(e.target.value)} style={selectStyle}>
+            {Object.entries(AQI_SCHEMES).map(([key, s]) => <option key={key} value={key}>{s.label}</option>)}
+          </select>
+          <select value={averaging} onChange={(e) => setAveraging(e.target.value)} style={selectStyle}>
+            <option value="standard">Standard averages</option>
+            <option value="instant">Latest reading</option>
+          </select>
+        </div>
+      </div>
+
+      {!aqi || aqi.index === null ? (
+        <div style={{ fontSize: 12, color: "var(--muted-text)" }}>No PM2.5 or CO data yet.</div>
+      ) : (
+        <>
+          <div style={{ display: "flex", alignItems: "baseline", gap: 8, flexWrap: "wrap" }}>
+            <div style={{ fontSize: 28, fontWeight: 800 }}>{aqi.index}</div>
+            <span style={{ fontSize: 12, fontWeight: 700, color: aqi.color }}>{aqi.category_label}</span>
+            {dominant && (
+              <span style={{ fontSize: 12, color: "var(--muted-text)" }}>driven by {dominant.label}</span>
+            )}
+          </div>
+
+          <div style={{ display: "flex", flexDirection: "column", gap: 6, marginTop: 8 }}>
+            {aqi.sub_indices.map((s) => (
+              <div key={s.pollutant} style={{ fontSize: 12 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", gap: 6 }}>
+                  <span style={{ fontWeight: s.pollutant === aqi.dominant ? 700 : 400 }}>
+                    {s.label}{" "}
+                    <span style={{ color: "var(--muted-text)", fontWeight: 400 }}>
+                      {s.concentration !== null ? `${s.concentration} ${s.unit} · ${formatWindow(s.window_h)}` : "no data"}
+                      {s.index !== null && !s.complete && s.window_h ? ` (${Math.round(s.coverage * s.window_h)} h of data)` : ""}
+                    </span>
+                  </span>
+                  <b>{s.index ?? "—"}</b>
+                </div>
+                <div style={{ height: 6, borderRadius: 3, background: "var(--border)", overflow: "hidden" }}>
+                  <div style={{ width: `${Math.min(100, ((s.index || 0) / 500) * 100)}%`, height: "100%", background: s.color || "transparent" }} />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {aqi.indoor.length > 0 && (
+            <div style={{ fontSize: 12, marginTop: 8, color: "var(--muted-text)" }}>
+              Not part of the index:{" "}
+              {aqi.indoor.map((s, i) => (
+                <span key={s.pollutant}>
+                  {i > 0 && " · "}
+                  {s.label} {Number(s.value.toFixed(1))} {s.unit}{" "}
+                  <span style={{ color: LEVEL_COLORS[s.level], fontWeight: 600 }}>{s.level}</span>
+                </span>
+              ))}
+            </div>
+          )}
+          {averaging === "standard" && !aqi.complete && (
+            <div style={{ fontSize: 11, color: "var(--muted-text)", marginTop: 6 }}>
+              Less than 75% of an averaging window has data, so treat the index as indicative.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ---------- Export Panel ----------
+const EXPORT_RANGES = [
+  { key: "24h", label: "Last 24 h", seconds: 24 * 3600 },
+  { key: "7d", label: "Last 7 days", seconds: 7 * 24 * 3600 },
+  { key: "30d", label: "Last 30 days", seconds: 30 * 24 * 3600 },
+  { key: "all", label: "All data", seconds: null },
+];
+
+function ExportPanel({ deviceId }) {
+  const [format, setFormat] = useState("csv");
+  const [range, setRange] = useState("all");
+  const [raw, setRaw] = useState(false);
+  const [withExtras, setWithExtras] = useState(false);
+
+  const seconds = EXPORT_RANGES.find((r) => r.key === range).seconds;
+  const params = new URLSearchParams({ format, tz: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC" });
+  if (deviceId) params.set("device", deviceId);
+  // Rounded to the minute so the link doesn't change on every render
+  if (seconds) params.set("from", String(Math.floor(Date.now() / 60000) * 60 - seconds));
+  if (raw) params.set("raw", "1");
+  if (withExtras && format !== "csv") params.set("include", "all");
+  const selectStyle = {
+    padding: "2px 4px", border: "1px solid var(--border)", borderRadius: 6,
+    background: "var(--surface)", color: "var(--text)", fontSize: 12,
+  };
+
+  return (
+    <div style={{ ...panelItemStyle }}>
+      <div style={{ ...panelTitleStyle, marginBottom: 6 }}>Export data</div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 6 }}>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} style={selectStyle}>
+          <option value="csv">CSV</option>
+          <option value="json">JSON</option>
+          <option value="ndjson">NDJSON</option>
+        </select>
+        <select value={range} onChange={(e) => setRange(e.target.value)} style={selectStyle}>
+          {EXPORT_RANGES.map((r) => <option key={r.key} value={r.key}>{r.label}</option>)}
+        </select>
+      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12 }}>
+        <input type="checkbox" checked={raw} onChange={(e) => setRaw(e.target.checked)} />
+        Raw values (without calibration)
+      </label>
+      <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, opacity: format === "csv" ? 0.6 : 1 }}>
+        <input type="checkbox" checked={withExtras} disabled={format === "csv"} onChange={(e) => setWithExtras(e.target.checked)} />
+        Include family profile and alerts
+      </label>
+      <div style={{ fontSize: 11, color: "var(--muted-text)", margin: "4px 0 8px" }}>
+        {deviceId ? "This device" : "All devices"}, times in {params.get("tz")}.
+        {raw && format !== "csv" && withExtras && !seconds ? " Full archive: can be restored with POST /import." : ""}
+      </div>
+      <a
+        href={`${API_BASE}/export?${params}`}
+        style={{ textDecoration: "none", display: "block", textAlign: "center", ...btnPrimary }}
+      >
+        Download ({format.toUpperCase()})
+      </a>
+    </div>
+  );
+}
+
 // ---------- Info Panel ----------
-function InfoPanel({ latest, rows }) {
+function InfoPanel({ latest, rows, deviceId }) {
   const pred = latest?.predicted_iaq;
   const cur  = latest?.current_iaq;
 
@@ -91,7 +643,6 @@ function InfoPanel({ latest, rows }) {
   );
 
   const curBadge = getIaqLabel(cur);
-  const exportUrl = `${API_BASE}/export.csv`;
 
   return (
     <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
@@ -112,7 +663,7 @@ function InfoPanel({ latest, rows }) {
               background: "var(--surface)",
               color: curBadge.color,
             }}
-            title="Based on sub-indices (PM2.5, CO, VoC, Ethanol); worst sub-index wins"
+            title="The device's own index; the standards-based AQI below is computed from pollutant averages"
           >
             {curBadge.label}
           </span>
@@ -122,6 +673,8 @@ function InfoPanel({ latest, rows }) {
         </div>
       </div>
 
+      <AqiBreakdown deviceId={deviceId} latestTs={latest?.ts} />
+
       {/* Next 5-min outlook */}
       <div style={{ ...panelItemStyle }}>
         <div style={{ ...panelTitleStyle, marginBottom: 4 }}>Next 5-min outlook</div>
@@ -132,24 +685,268 @@ function InfoPanel({ latest, rows }) {
         <div style={{ fontSize: 12, color: "var(--muted-text)" }}>Trend: {predTrend}</div>
       </div>
 
-      {/* Export */}
-      <a
-        href={exportUrl}
-        style={{ textDecoration: "none", display: "inline-block", textAlign: "center", ...btnPrimary }}
-      >
-        Download data (CSV)
-      </a>
+      <ExportPanel deviceId={deviceId} />
+    </div>
+  );
+}
+
+// ---------- Alerts Panel ----------
+const SEVERITY_COLORS = { info: "#2563eb", warning: "#f59e0b", critical: "#ef4444" };
+const RULE_METRICS = [
+  { key: "pm25", label: "PM2.5" },
+  { key: "voc", label: "VoC" },
+  { key: "c2h5oh", label: "Ethanol" },
+  { key: "co", label: "CO" },
+  { key: "current_iaq", label: "IAQ (current)" },
+  { key: "predicted_iaq", label: "IAQ (pred)" },
+];
+const EMPTY_RULE = {
+  name: "", metric: "co", op: ">", threshold: "", agg: "sustained", windowMin: "5",
+  hysteresis: "", cooldownMin: "10", severity: "warning", thisDeviceOnly: false,
+};
+
+function AlertsPanel({ deviceId, devices }) {
+  const [alerts, setAlerts] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [showRules, setShowRules] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [error, setError] = useState("");
+
+  const deviceName = (id) => {
+    const d = devices.find((x) => x.id === id);
+    return d ? (d.room || d.name || d.id) : id;
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    const q = deviceId ? `&device=${encodeURIComponent(deviceId)}` : "";
+    apiFetch(`/alerts?limit=20${q}`)
+      .then(r => r.json())
+      .then(j => { if (!cancelled && j.ok) setAlerts(j.data || []); })
+      .catch(console.error);
+    return () => { cancelled = true; };
+  }, [deviceId]);
+
+  // Live alert events are re-dispatched by App from the SSE stream
+  useEffect(() => {
+    const onAlert = (ev) => {
+      const { alert } = ev.detail || {};
+      if (!alert) return;
+      setAlerts((prev) => [alert, ...prev.filter((a) => a.id !== alert.id)].slice(0, 50));
+    };
+    window.addEventListener("iaq-alert", onAlert);
+    return () => window.removeEventListener("iaq-alert", onAlert);
+  }, []);
+
+  function loadRules() {
+    apiFetch(`/alert-rules`)
+      .then(r => r.json())
+      .then(j => { if (j.ok) setRules(j.data || []); })
+      .catch(console.error);
+  }
+  useEffect(() => { if (showRules) loadRules(); }, [showRules]);
+
+  async function acknowledge(id) {
+    try {
+      const res = await apiFetch(`/alerts/${id}/ack`, { method: "POST" });
+      const j = await res.json();
+      if (j.ok) setAlerts((prev) => prev.map((a) => (a.id === id ? j.data : a)));
+    } catch (e) { console.warn(e); }
+  }
+
+  async function addRule() {
+    setError("");
+    const body = {
+      name: draft.name || `${draft.metric} ${draft.op} ${draft.threshold}`,
+      metric: draft.metric,
+      op: draft.op,
+      threshold: Number(draft.threshold),
+      agg: draft.agg,
+      window_s: draft.agg === "last" ? 0 : Math.round(Number(draft.windowMin || 0) * 60),
+      hysteresis: Number(draft.hysteresis || 0),
+      cooldown_s: Math.round(Number(draft.cooldownMin || 0) * 60),
+      severity: draft.severity,
+      device_id: draft.thisDeviceOnly && deviceId ? deviceId : null,
+    };
+    try {
+      const res = await apiFetch(`/alert-rules`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const j = await res.json();
+      if (!j.ok) return setError(j.error || "Could not save rule");
+      setDraft(EMPTY_RULE);
+      loadRules();
+    } catch (e) { setError(e.message); }
+  }
+
+  async function toggleRule(rule) {
+    await apiFetch(`/alert-rules/${rule.id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ enabled: !rule.enabled }),
+    }).catch(console.warn);
+    loadRules();
+  }
+
+  async function deleteRule(rule) {
+    if (!confirm(`Delete rule "${rule.name}"?`)) return;
+    await apiFetch(`/alert-rules/${rule.id}`, { method: "DELETE" }).catch(console.warn);
+    loadRules();
+  }
+
+  const fieldStyle = {
+    padding: 6, border: "1px solid var(--border)", borderRadius: 6,
+    background: "var(--surface)", color: "var(--text)", fontSize: 12, minWidth: 0,
+  };
+  const setField = (k) => (e) => setDraft((d) => ({ ...d, [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+  const openCount = alerts.filter((a) => !a.closed_ts).length;
+
+  return (
+    <div style={panelItemStyle}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={panelTitleStyle}>Alerts{openCount ? ` (${openCount} open)` : ""}</div>
+        <button onClick={() => setShowRules((v) => !v)} style={btnSecondary}>
+          {showRules ? "Hide rules" : "Rules"}
+        </button>
+      </div>
+
+      {alerts.length === 0 ? (
+        <div style={{ fontSize: 13, color: "var(--muted-text)" }}>No alerts yet.</div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6, maxHeight: 240, overflowY: "auto" }}>
+          {alerts.map((a) => (
+            <div
+              key={a.id}
+              style={{
+                border: "1px solid var(--border)", borderLeft: `4px solid ${SEVERITY_COLORS[a.severity] || "#94a3b8"}`,
+                borderRadius: 8, padding: 8, opacity: a.closed_ts ? 0.7 : 1,
+              }}
+            >
+              <div style={{ fontSize: 13, fontWeight: 600 }}>{a.message || a.rule_name}</div>
+              <div style={{ fontSize: 11, color: "var(--muted-text)" }}>
+                {deviceName(a.device_id)} • {new Date(a.opened_ts * 1000).toLocaleString()}
+                {a.closed_ts ? ` → closed ${new Date(a.closed_ts * 1000).toLocaleTimeString()}` : " • open"}
+                {a.peak_value !== null && a.peak_value !== undefined ? ` • peak ${Number(a.peak_value).toFixed(1)}` : ""}
+              </div>
+              {a.acknowledged_ts ? (
+                <div style={{ fontSize: 11, color: "var(--muted-text)" }}>Acknowledged</div>
+              ) : (
+                <button onClick={() => acknowledge(a.id)} style={{ ...btnPill, marginTop: 6, padding: "4px 10px" }}>
+                  Acknowledge
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showRules && (
+        <div style={{ marginTop: 10, borderTop: "1px solid var(--border)", paddingTop: 10 }}>
+          {rules.map((r) => (
+            <div key={r.id} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, marginBottom: 6 }}>
+              <input type="checkbox" checked={!!r.enabled} onChange={() => toggleRule(r)} title="Enabled" />
+              <div style={{ flex: 1 }}>
+                <b>{r.name}</b>{" "}
+                <span style={{ color: "var(--muted-text)" }}>
+                  {r.metric} {r.op} {r.threshold}
+                  {r.agg !== "last" ? ` (${r.agg}, ${Math.round(r.window_s / 60)} min)` : ""}
+                  {r.device_id ? ` • ${deviceName(r.device_id)}` : ""}
+                </span>
+              </div>
+              <button onClick={() => deleteRule(r)} style={{ fontSize: 11, padding: "2px 6px", cursor: "pointer" }}>Delete</button>
+            </div>
+          ))}
+
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6, marginTop: 8 }}>
+            <input placeholder="Rule name" value={draft.name} onChange={setField("name")} style={{ ...fieldStyle, gridColumn: "1 / -1" }} />
+            <select value={draft.metric} onChange={setField("metric")} style={fieldStyle}>
+              {RULE_METRICS.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+            </select>
+            <div style={{ display: "flex", gap: 6 }}>
+              <select value={draft.op} onChange={setField("op")} style={{ ...fieldStyle, width: 48 }}>
+                <option value=">">&gt;</option>
+                <option value="<">&lt;</option>
+              </select>
+              <input placeholder="Threshold" value={draft.threshold} onChange={setField("threshold")} style={{ ...fieldStyle, flex: 1 }} />
+            </div>
+            <select value={draft.agg} onChange={setField("agg")} style={fieldStyle}>
+              <option value="last">Latest value</option>
+              <option value="sustained">Sustained for…</option>
+              <option value="avg">Average over…</option>
+              <option value="max">Max over…</option>
+              <option value="min">Min over…</option>
+            </select>
+            <input placeholder="Window (min)" value={draft.windowMin} onChange={setField("windowMin")} disabled={draft.agg === "last"} style={fieldStyle} />
+            <input placeholder="Hysteresis" value={draft.hysteresis} onChange={setField("hysteresis")} style={fieldStyle} />
+            <input placeholder="Cooldown (min)" value={draft.cooldownMin} onChange={setField("cooldownMin")} style={fieldStyle} />
+            <select value={draft.severity} onChange={setField("severity")} style={fieldStyle}>
+              <option value="info">Info</option>
+              <option value="warning">Warning</option>
+              <option value="critical">Critical</option>
+            </select>
+            <label style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 12 }}>
+              <input type="checkbox" checked={draft.thisDeviceOnly} onChange={setField("thisDeviceOnly")} />
+              This device only
+            </label>
+          </div>
+          {error && <div style={{ color: "#ef4444", fontSize: 12, marginTop: 6 }}>{error}</div>}
+          <button onClick={addRule} disabled={draft.threshold === ""} style={{ ...btnPrimary, marginTop: 8, width: "100%" }}>
+            Add rule
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
 // ---------- Chatbot ----------
-function Chatbot({ rows, latest }) {
+// Reads a text/event-stream response body, calling onEvent(name, data) per event
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) >= 0) {
+      const block = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+      let event = "message";
+      let data = "";
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Short label for a history lookup the assistant ran, e.g. "find_peaks · co · -7d → now"
+function describeToolCall(call) {
+  const a = call.arguments || {};
+  const parts = [call.name];
+  if (a.metric) parts.push(a.metric);
+  if (a.a_from || a.b_from) parts.push(`${a.a_from || "?"}→${a.a_to || "now"} vs ${a.b_from || "?"}→${a.b_to || "now"}`);
+  else if (a.from || a.to) parts.push(`${a.from || "-24h"} → ${a.to || "now"}`);
+  if (a.device) parts.push(a.device);
+  return parts.join(" · ");
+}
+
+function Chatbot({ rows, latest, deviceId }) {
   const [open, setOpen] = useState(false);
   const [sending, setSending] = useState(false);
   const [input, setInput] = useState("");
   const [messages, setMessages] = useState([]); // {role:'user'|'assistant', content:string, meta?:object}
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null); // null = new conversation on next question
+  const [showChats, setShowChats] = useState(false);
   const scrollRef = useRef(null);
+  const abortRef = useRef(null);
 
   const suggestions = [
     "Why is the predicted IAQ so high?",
@@ -158,33 +955,118 @@ function Chatbot({ rows, latest }) {
     "How is the 5-minute prediction computed?",
   ];
 
+  // Update the assistant message being streamed (always the last one)
+  function updateLast(fn) {
+    setMessages((m) => [...m.slice(0, -1), fn(m[m.length - 1])]);
+  }
+
+  async function loadConversations() {
+    try {
+      const res = await apiFetch(`/conversations`);
+      const j = await res.json();
+      if (j.ok) setConversations(j.data || []);
+    } catch (e) {
+      console.warn("Failed to load conversations", e);
+    }
+  }
+
+  async function openConversation(id) {
+    if (sending) return;
+    try {
+      const res = await apiFetch(`/conversations/${id}`);
+      const j = await res.json();
+      if (!j.ok) throw new Error(j.error || "Failed to load conversation");
+      setConversationId(id);
+      setMessages((j.data.messages || []).map((m) => ({ role: m.role, content: m.content, meta: m.meta || undefined })));
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+
+  function newConversation() {
+    if (sending) return;
+    setConversationId(null);
+    setMessages([]);
+  }
+
+  async function renameConversation(c) {
+    const title = window.prompt("Rename conversation", c.title);
+    if (!title || !title.trim()) return;
+    const res = await apiFetch(`/conversations/${c.id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title: title.trim() }),
+    });
+    const j = await res.json();
+    if (!j.ok) return alert(j.error || "Rename failed");
+    loadConversations();
+  }
+
+  async function deleteConversation(c) {
+    if (!confirm(`Delete conversation "${c.title}"?`)) return;
+    const res = await apiFetch(`/conversations/${c.id}`, { method: "DELETE" });
+    const j = await res.json();
+    if (!j.ok) return alert(j.error || "Delete failed");
+    if (c.id === conversationId) newConversation();
+    loadConversations();
+  }
+
+  useEffect(() => {
+    if (open) loadConversations();
+  }, [open]);
+
   async function ask(question) {
-    if (!question) return;
-    setMessages((m) => [...m, { role: "user", content: question }]);
+    if (!question || sending) return;
+    setMessages((m) => [...m, { role: "user", content: question }, { role: "assistant", content: "" }]);
     setInput("");
     setOpen(true);
     setSending(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
     try {
       const recentData = rows.slice(-100);
-      const chatUrl = `${API_BASE}/chat`;
-      const res = await fetch(chatUrl, {
+      const res = await apiFetch(`/chat/stream`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ question, recentData, latest }),
+        body: JSON.stringify({
+          question, recentData, latest, conversation_id: conversationId,
+          device: deviceId || undefined, tz_offset: -new Date().getTimezoneOffset(),
+        }),
+        signal: controller.signal,
       });
-      const j = await res.json();
-      if (j.ok) {
-        setMessages((m) => [...m, { role: "assistant", content: j.answer, meta: j.meta }]);
-      } else {
-        setMessages((m) => [...m, { role: "assistant", content: `Error: ${j.error || "Unable to answer"}` }]);
+      if (!res.ok || !res.body) {
+        let j = null;
+        try { j = await res.json(); } catch {}
+        updateLast((msg) => ({ ...msg, content: `Error: ${j?.error || "Unable to answer"}` }));
+        return;
       }
+      await readEventStream(res, (event, data) => {
+        if (event === "conversation") setConversationId(data.id);
+        else if (event === "tool") updateLast((msg) => ({ ...msg, tools: [...(msg.tools || []), data] }));
+        else if (event === "token") updateLast((msg) => ({ ...msg, content: msg.content + data.text }));
+        else if (event === "meta") updateLast((msg) => ({ ...msg, meta: data }));
+        else if (event === "error") updateLast((msg) => ({ ...msg, content: `${msg.content ? `${msg.content}\n\n` : ""}Error: ${data.error || "Unable to answer"}` }));
+      });
     } catch (e) {
-      setMessages((m) => [...m, { role: "assistant", content: `Network error: ${e.message}` }]);
+      if (e.name === "AbortError") {
+        updateLast((msg) => ({ ...msg, meta: { ...msg.meta, stopped: true } }));
+      } else {
+        updateLast((msg) => ({ ...msg, content: `${msg.content ? `${msg.content}\n\n` : ""}Network error: ${e.message}` }));
+      }
     } finally {
+      abortRef.current = null;
       setSending(false);
+      loadConversations();
     }
   }
 
+  function stop() {
+    abortRef.current?.abort();
+  }
+
+  // Abort an in-flight answer when the panel unmounts
+  useEffect(() => () => abortRef.current?.abort(), []);
+
   // Auto-scroll
   useEffect(() => {
     const el = scrollRef.current;
@@ -203,14 +1085,53 @@ function Chatbot({ rows, latest }) {
         }}
       >
         <div style={panelTitleStyle}>IAQ Assistant</div>
-        <button onClick={() => setOpen((o) => !o)} style={btnSecondary}>
-          {open ? "Close" : "Open"}
-        </button>
+        <div style={{ display: "flex", gap: 6 }}>
+          {open && (
+            <button onClick={() => setShowChats((v) => !v)} style={btnSecondary}>
+              {showChats ? "Hide chats" : "Chats"}
+            </button>
+          )}
+          <button onClick={() => setOpen((o) => !o)} style={btnSecondary}>
+            {open ? "Close" : "Open"}
+          </button>
+        </div>
       </div>
 
       {/* Expandable content */}
       {open && (
-        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 10 }}>
+        {/* Conversation sidebar */}
+        {showChats && (
+          <div style={{ flex: "0 0 140px", display: "flex", flexDirection: "column", gap: 6, maxHeight: 380, overflowY: "auto" }}>
+            <button onClick={newConversation} disabled={sending} style={{ ...btnPill, textAlign: "left" }}>+ New chat</button>
+            {conversations.length === 0 && <div style={{ fontSize: 12, color: "var(--muted-text)" }}>No saved chats yet.</div>}
+            {conversations.map((c) => (
+              <div
+                key={c.id}
+                style={{
+                  border: "1px solid var(--border)", borderRadius: 8, padding: "6px 8px", fontSize: 12,
+                  background: c.id === conversationId ? "rgba(37, 99, 235, 0.08)" : "transparent",
+                }}
+              >
+                <div
+                  onClick={() => openConversation(c.id)}
+                  title={c.title}
+                  style={{ cursor: "pointer", fontWeight: c.id === conversationId ? 600 : 400, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}
+                >
+                  {c.title}
+                </div>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 2, color: "var(--muted-text)" }}>
+                  <span>{new Date(c.updated_ts * 1000).toLocaleDateString()}</span>
+                  <span style={{ display: "flex", gap: 6 }}>
+                    <a onClick={() => renameConversation(c)} style={{ cursor: "pointer" }} title="Rename">✎</a>
+                    <a onClick={() => deleteConversation(c)} style={{ cursor: "pointer" }} title="Delete">✕</a>
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        <div style={{ flex: "1 1 220px", minWidth: 0, display: "flex", flexDirection: "column", gap: 10 }}>
           {/* Suggestions (shown when no messages) */}
           {messages.length === 0 && (
             <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
@@ -223,6 +1144,8 @@ function Chatbot({ rows, latest }) {
           {/* Messages */}
           <div ref={scrollRef} style={{ maxHeight: 320, overflowY: "auto", paddingRight: 6 }}>
             {messages.map((m, idx) => {
+              const toolCalls = m.meta?.toolCalls || m.tools || [];
+              if (m.role === "assistant" && !m.content && !toolCalls.length) return null; // still waiting for the first token
               const htmlContent = m.role === "assistant" && m.content
                 ? (() => { try { return marked.parse(m.content, { breaks: true, gfm: true }); } catch { return m.content; } })()
                 : m.content;
@@ -238,6 +1161,21 @@ function Chatbot({ rows, latest }) {
                   <div style={{ fontSize: 12, color: "var(--muted-text)", marginBottom: 4 }}>
                     {m.role === "user" ? "You" : "Assistant"}
                   </div>
+                  {toolCalls.length > 0 && (
+                    <details style={{ fontSize: 11, color: "var(--muted-text)", marginBottom: 4 }}>
+                      <summary style={{ cursor: "pointer" }}>
+                        Looked up {toolCalls.length} data {toolCalls.length === 1 ? "query" : "queries"}
+                      </summary>
+                      {toolCalls.map((c, i) => (
+                        <div key={i} style={{ marginTop: 4 }}>
+                          <div>🔎 {describeToolCall(c)}</div>
+                          <pre style={{ margin: "2px 0 0", whiteSpace: "pre-wrap", maxHeight: 120, overflowY: "auto" }}>
+                            {JSON.stringify(c.result, null, 1)}
+                          </pre>
+                        </div>
+                      ))}
+                    </details>
+                  )}
                   {m.role === "assistant" ? (
                     <div style={{ lineHeight: 1.6, fontSize: 14 }} dangerouslySetInnerHTML={{ __html: htmlContent }} />
                   ) : (
@@ -247,16 +1185,19 @@ function Chatbot({ rows, latest }) {
                     <div style={{ marginTop: 6, fontSize: 11, color: "var(--muted-text)" }}>
                       {m.meta.profileSummary ? (
                         <div>
-                          Personalized for: {m.meta.profileSummary.replace(/Household owner:[^.]*\.\s*/i, "")}
+                          Personalized for: {m.meta.profileSummary}
                         </div>
                       ) : null}
+                      {m.meta.stopped ? <div>Stopped before the answer was complete.</div> : null}
                       <div>{m.meta.disclaimer || "This is educational guidance, not medical advice."}</div>
                     </div>
                   )}
                 </div>
               );
             })}
-            {sending && <div style={{ fontSize: 12, color: "var(--muted-text)" }}>Thinking…</div>}
+            {sending && !messages[messages.length - 1]?.content && (
+              <div style={{ fontSize: 12, color: "var(--muted-text)" }}>Thinking…</div>
+            )}
           </div>
 
           {/* Input */}
@@ -271,20 +1212,209 @@ function Chatbot({ rows, latest }) {
                 outline: "none", background: "var(--surface)", color: "var(--text)", fontSize: 14,
               }}
             />
-            <button onClick={() => ask(input.trim())} disabled={sending || !input.trim()} style={btnPrimary}>
-              Send
-            </button>
+            {sending ? (
+              <button onClick={stop} style={btnSecondary}>Stop</button>
+            ) : (
+              <button onClick={() => ask(input.trim())} disabled={!input.trim()} style={btnPrimary}>
+                Send
+              </button>
+            )}
+          </div>
+        </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Family Profile History ----------
+// Saved versions of the profile (GET /profile/versions), a member-by-member diff of the
+// picked version against another one (current by default) and restoring it as current.
+const DIFF_STATUS_COLORS = { added: "#16a34a", removed: "#ef4444", changed: "#f59e0b", unchanged: "var(--muted-text)" };
+
+function ProfileHistory({ onRestored, onClose }) {
+  const [versions, setVersions] = React.useState([]);
+  const [selectedId, setSelectedId] = React.useState(null);
+  const [compareId, setCompareId] = React.useState("");
+  const [diff, setDiff] = React.useState(null);
+  const [error, setError] = React.useState("");
+
+  const loadVersions = () => {
+    apiFetch(`/profile/versions`)
+      .then(r => r.json())
+      .then(j => { if (j.ok) setVersions(j.data || []); else setError(j.error || "Failed to load history"); })
+      .catch(() => setError("Failed to load history"));
+  };
+  React.useEffect(loadVersions, []);
+
+  React.useEffect(() => {
+    setDiff(null);
+    if (!selectedId) return;
+    const params = new URLSearchParams({ from: String(selectedId) });
+    if (compareId) params.set("to", compareId);
+    apiFetch(`/profile/diff?${params}`)
+      .then(r => r.json())
+      .then(j => { if (j.ok) setDiff(j.data); else setError(j.error || "Failed to compare versions"); })
+      .catch(() => setError("Failed to compare versions"));
+  }, [selectedId, compareId]);
+
+  async function restore(id) {
+    setError("");
+    try {
+      const res = await apiFetch(`/profile/versions/${id}/restore`, { method: "POST" });
+      const j = await res.json();
+      if (!j.ok) throw new Error(j.error || "Restore failed");
+      setSelectedId(null);
+      setCompareId("");
+      loadVersions();
+      onRestored(j.profile);
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  const fmtTime = (ts) => new Date(ts).toLocaleString([], { year: "numeric", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+  const label = (v) => `v${v.version} · ${fmtTime(v.updated_ts)}${v.current ? " (current)" : ""}`;
+  const selected = versions.find((v) => v.id === selectedId) || null;
+  const fmtValue = (v) => (v === null || v === undefined || v === "" ? "—" : typeof v === "object" ? JSON.stringify(v) : String(v));
+
+  return (
+    <div style={{ marginTop: 10, border: "1px solid var(--border)", borderRadius: 6, padding: 8, fontSize: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <div style={{ fontWeight: 700, fontSize: 13 }}>History</div>
+        <button onClick={onClose} style={{ ...btnPill, padding: "2px 8px" }}>Close</button>
+      </div>
+      {!versions.length && !error && <div style={{ color: "var(--muted-text)" }}>No saved versions yet.</div>}
+      <div style={{ display: "flex", flexDirection: "column", gap: 4, maxHeight: 180, overflowY: "auto" }}>
+        {versions.map((v) => (
+          <div
+            key={v.id}
+            onClick={() => setSelectedId(v.id === selectedId ? null : v.id)}
+            style={{
+              padding: "4px 6px", borderRadius: 4, cursor: "pointer",
+              background: v.id === selectedId ? "var(--border)" : "transparent",
+            }}
+          >
+            <b>{label(v)}</b>
+            <span style={{ color: "var(--muted-text)" }}>
+              {" · "}{v.owner_name || "No name"} · {v.member_count} member{v.member_count === 1 ? "" : "s"}
+              {v.restored_from ? " · restored" : ""}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {selected && (
+        <div style={{ marginTop: 8, borderTop: "1px solid var(--border)", paddingTop: 8 }}>
+          <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", marginBottom: 6 }}>
+            <span>v{selected.version} compared with</span>
+            <select value={compareId} onChange={(e) => setCompareId(e.target.value)} style={{ ...btnPill, padding: "2px 6px" }}>
+              <option value="">current</option>
+              {versions.filter((v) => v.id !== selected.id && !v.current).map((v) => <option key={v.id} value={v.id}>{label(v)}</option>)}
+            </select>
+          </div>
+          {diff && diff.unchanged && <div style={{ color: "var(--muted-text)" }}>No differences.</div>}
+          {diff && !diff.unchanged && (
+            <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+              {diff.owner_name && <div>Name: {fmtValue(diff.owner_name.from)} → {fmtValue(diff.owner_name.to)}</div>}
+              {diff.members.map((m, i) => (
+                <div key={i}>
+                  <b style={{ color: DIFF_STATUS_COLORS[m.status] }}>{capitalize(m.status)}</b> {m.name || "(unnamed)"}
+                  {m.changes.map((c) => (
+                    <span key={c.field} style={{ color: "var(--muted-text)" }}> · {c.field}: {fmtValue(c.from)} → {fmtValue(c.to)}</span>
+                  ))}
+                  {m.conditions.added.length > 0 && <span style={{ color: "var(--muted-text)" }}> · +{m.conditions.added.join(", +")}</span>}
+                  {m.conditions.removed.length > 0 && <span style={{ color: "var(--muted-text)" }}> · −{m.conditions.removed.join(", −")}</span>}
+                </div>
+              ))}
+              {diff.preferences.map((p) => (
+                <div key={p.key} style={{ color: "var(--muted-text)" }}>{p.key}: {fmtValue(p.from)} → {fmtValue(p.to)}</div>
+              ))}
+            </div>
+          )}
+          {!selected.current && (
+            <button onClick={() => restore(selected.id)} style={{ ...btnSecondary, marginTop: 8 }}>Restore v{selected.version}</button>
+          )}
+        </div>
+      )}
+      {error && <div style={{ color: "#ef4444", marginTop: 6 }}>{error}</div>}
+    </div>
+  );
+}
+
+// ---------- What is sent to the LLM ----------
+// The exact prompt the assistant would send for a sample question with the form's
+// (possibly unsaved) sharing settings (POST /privacy/preview), and the household's
+// recent outbound requests from the audit log.
+function SharingPreview({ form, onClose }) {
+  const [question, setQuestion] = React.useState("How is the air right now?");
+  const [preview, setPreview] = React.useState(null);
+  const [audit, setAudit] = React.useState([]);
+  const [error, setError] = React.useState("");
+
+  async function load() {
+    setError("");
+    try {
+      const res = await apiFetch(`/privacy/preview`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ endpoint: "chat", question, profile: { members: form.members, preferences: form.preferences } }),
+      });
+      const j = await res.json();
+      if (!j.ok) throw new Error(j.error || "Preview failed");
+      setPreview(j.data);
+    } catch (e) {
+      setError(e.message);
+    }
+    apiFetch(`/privacy/audit?limit=10`)
+      .then(r => r.json())
+      .then(j => { if (j.ok) setAudit(j.data || []); })
+      .catch(console.error);
+  }
+  React.useEffect(() => { load(); }, []);
+
+  return (
+    <div style={{ marginTop: 10, border: "1px solid var(--border)", borderRadius: 6, padding: 8, fontSize: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <div style={{ fontWeight: 700, fontSize: 13 }}>What is sent</div>
+        <button onClick={onClose} style={{ ...btnPill, padding: "2px 8px" }}>Close</button>
+      </div>
+      <div style={{ display: "flex", gap: 6, marginBottom: 6 }}>
+        <input value={question} onChange={(e) => setQuestion(e.target.value)} placeholder="Sample question" style={{ flex: 1, minWidth: 0, padding: 6, border: "1px solid var(--border)", borderRadius: 4 }} />
+        <button onClick={load} style={{ ...btnPill, padding: "2px 10px" }}>Preview</button>
+      </div>
+      {preview && (
+        <>
+          <div style={{ marginBottom: 4 }}>
+            {preview.will_send ? `Sent to ${preview.provider} with this household summary:` : `Nothing is sent: ${preview.reason}. If sharing were on, this summary would be used:`}
+            {" "}<b>{preview.profile_summary || "(no members)"}</b>
           </div>
-        </div>
+          <pre style={{ whiteSpace: "pre-wrap", maxHeight: 200, overflowY: "auto", background: "var(--surface)", border: "1px solid var(--border)", borderRadius: 4, padding: 6, margin: 0 }}>{preview.prompt}</pre>
+          <div style={{ color: "var(--muted-text)", marginTop: 2 }}>SHA-256 {preview.payload_sha256.slice(0, 16)}… · {preview.payload_bytes} bytes</div>
+        </>
       )}
+      <div style={{ fontWeight: 700, marginTop: 8 }}>Recent requests</div>
+      {!audit.length && <div style={{ color: "var(--muted-text)" }}>No requests have been sent.</div>}
+      {audit.map((a) => (
+        <div key={a.id} style={{ color: "var(--muted-text)" }}>
+          {new Date(a.ts * 1000).toLocaleString()} · {a.endpoint} · {a.provider}/{a.model} · {a.outcome || "pending"} · {a.payload_sha256.slice(0, 12)}…
+        </div>
+      ))}
+      {error && <div style={{ color: "#ef4444", marginTop: 6 }}>{error}</div>}
     </div>
   );
 }
 
 // ---------- Family Profile Panel ----------
-function FamilyProfilePanel() {
+// Logged in, the household's profile lives on the server only; the localStorage copy is
+// the demo fallback for installs without accounts.
+function FamilyProfilePanel({ user }) {
+  const useDemoCopy = !user;
   const [profile, setProfile] = React.useState(null);
   const [loading, setLoading] = React.useState(true);
+  const [showHistory, setShowHistory] = React.useState(false);
+  const [showPreview, setShowPreview] = React.useState(false);
+  const [undoUntil, setUndoUntil] = React.useState(null);
   const [form, setForm] = React.useState({
     owner_name: "Bheemanna",
     members: [ { name: "Bheemanna", relation: "self", age: "", conditions: ["Asthma"], notes: "" } ],
@@ -295,7 +1425,7 @@ function FamilyProfilePanel() {
     let mounted = true;
     (async () => {
       try {
-        const res = await fetch(`${API_BASE}/profile`);
+        const res = await apiFetch(`/profile`);
         const data = await res.json();
         if (mounted && data.ok) {
           setProfile(data.profile);
@@ -307,7 +1437,7 @@ function FamilyProfilePanel() {
         }
       } catch (e) { console.warn(e); }
       // Local demo fallback if API unreachable or returns null
-      try {
+      if (useDemoCopy) try {
         const raw = localStorage.getItem(DEMO_PROFILE_KEY);
         if (raw) {
           const p = JSON.parse(raw);
@@ -322,7 +1452,7 @@ function FamilyProfilePanel() {
       if (mounted) setLoading(false);
     })();
     return () => { mounted = false; };
-  }, []);
+  }, [useDemoCopy]);
 
   function updateField(path, val) {
     setForm(prev => {
@@ -335,14 +1465,42 @@ function FamilyProfilePanel() {
     });
   }
 
+  const saveDemoCopy = (p = form) => {
+    if (!useDemoCopy) return;
+    try { localStorage.setItem(DEMO_PROFILE_KEY, JSON.stringify({ owner_name: p.owner_name, members: p.members, preferences: p.preferences })); } catch {}
+  };
+
+  // A restored or undeleted profile from the server becomes the form
+  const applyProfile = (p) => {
+    setProfile(p);
+    setForm({
+      owner_name: p.owner_name || "",
+      members: p.members || [],
+      preferences: p.preferences || { shareWithGemini:false, receiveNotifications:true }
+    });
+    saveDemoCopy(p);
+    try { window.dispatchEvent(new CustomEvent('profile-saved')); } catch {}
+  };
+
+  // The undo banner goes away when the server's undo window closes
+  React.useEffect(() => {
+    if (!undoUntil) return;
+    const timer = setTimeout(() => setUndoUntil(null), Math.max(0, undoUntil - Date.now()));
+    return () => clearTimeout(timer);
+  }, [undoUntil]);
+
   async function saveProfile() {
     try {
-      let res = await fetch(`${API_BASE}/profile`, {
+      let res = await apiFetch(`/profile`, {
         method: "POST",
         headers: { "Content-Type":"application/json" },
         body: JSON.stringify(form)
       });
       let data = null; try { data = await res.json(); } catch {}
+      if (!(res.ok && data && data.ok) && !useDemoCopy) {
+        alert("Save failed: " + (data?.error || `HTTP ${res.status}`));
+        return;
+      }
       if (!(res.ok && data && data.ok)) {
         // Fallback: try same-origin relative endpoint
         res = await fetch(`/profile`, {
@@ -354,20 +1512,21 @@ function FamilyProfilePanel() {
       }
       if (res.ok && data && data.ok) {
         setProfile(data);
-        try { localStorage.setItem(DEMO_PROFILE_KEY, JSON.stringify({ owner_name: form.owner_name, members: form.members, preferences: form.preferences })); } catch {}
+        saveDemoCopy();
         alert("Save succefull");
         try { window.dispatchEvent(new CustomEvent('profile-saved')); } catch {}
       } else {
         // Persist locally and proceed for demo even if server returns 404/500
-        try { localStorage.setItem(DEMO_PROFILE_KEY, JSON.stringify({ owner_name: form.owner_name, members: form.members, preferences: form.preferences })); } catch {}
+        saveDemoCopy();
         setProfile({ ok: true, ...form });
         alert("Save success'ful");
         try { window.dispatchEvent(new CustomEvent('profile-saved')); } catch {}
       }
     } catch (e) {
       console.warn(e);
+      if (!useDemoCopy) return alert("Save failed: the server is unreachable");
       // Network error path: emulate success for demo
-      try { localStorage.setItem(DEMO_PROFILE_KEY, JSON.stringify({ owner_name: form.owner_name, members: form.members, preferences: form.preferences })); } catch {}
+      saveDemoCopy();
       setProfile({ ok: true, ...form });
       alert("Save success'ful");
       try { window.dispatchEvent(new CustomEvent('profile-saved')); } catch {}
@@ -375,13 +1534,15 @@ function FamilyProfilePanel() {
   }
 
   async function deleteProfile() {
-    if (!confirm("Delete stored family profile? This cannot be undone.")) return;
+    if (!confirm("Delete stored family profile and its history?")) return;
     try {
-      const res = await fetch(`${API_BASE}/profile`, { method: "DELETE" });
+      const res = await apiFetch(`/profile`, { method: "DELETE" });
       if (!res.ok) {
         try { const j = await res.json(); alert("Delete failed: " + (j.error || res.status)); } catch { alert("Delete failed: HTTP " + res.status); }
         return;
       }
+      try { const j = await res.json(); setUndoUntil(j.undo_until || null); } catch {}
+      setShowHistory(false);
       setProfile(null);
       setForm({ owner_name: "", members: [], preferences: { shareWithGemini:false, receiveNotifications:true } });
       try { window.dispatchEvent(new CustomEvent('profile-saved')); } catch {}
@@ -389,6 +1550,20 @@ function FamilyProfilePanel() {
     try { localStorage.removeItem(DEMO_PROFILE_KEY); } catch {}
   }
 
+  async function undoDelete() {
+    try {
+      const res = await apiFetch(`/profile/undo-delete`, { method: "POST" });
+      const j = await res.json();
+      if (!j.ok) throw new Error(j.error || `HTTP ${res.status}`);
+      setUndoUntil(null);
+      applyProfile(j.profile);
+    } catch (e) { alert("Undo failed: " + e.message); }
+  }
+
+  // Per-field sharing (preferences.sharing); names are never sent
+  const sharing = { age: "band", conditions: true, relation: true, ...(form.preferences.sharing || {}) };
+  const updateSharing = (key, val) => updateField("preferences.sharing", { ...sharing, [key]: val });
+
   const addMember = () => setForm(prev => ({ ...prev, members: [...(prev.members||[]), { name:"", relation:"", age:"", conditions:[], notes:"" }] }));
   const updateMember = (i, key, val) => {
     setForm(prev => { const copy = {...prev}; copy.members = JSON.parse(JSON.stringify(prev.members||[])); copy.members[i][key] = val; return copy; });
@@ -434,21 +1609,59 @@ function FamilyProfilePanel() {
           <input type="checkbox" checked={form.preferences.shareWithGemini || false} onChange={e=>updateField("preferences.shareWithGemini", e.target.checked)} />
           <span style={{ fontSize:13 }}>Share profile with Gemini (improves personalization). <small style={{ color:"var(--muted-text)" }}>Opt-in required</small></span>
         </label>
+        <div style={{ marginLeft:24, marginTop:4, display:"flex", flexDirection:"column", gap:2, fontSize:12, opacity: form.preferences.shareWithGemini ? 1 : 0.6 }}>
+          <label style={{ display:"flex", alignItems:"center", gap:6 }}>
+            Ages:
+            <select value={sharing.age} onChange={e=>updateSharing("age", e.target.value)} style={{ fontSize:12 }}>
+              <option value="band">as an age band (e.g. 60-74)</option>
+              <option value="none">don't share</option>
+            </select>
+          </label>
+          <label style={{ display:"flex", alignItems:"center", gap:6 }}>
+            <input type="checkbox" checked={sharing.conditions} onChange={e=>updateSharing("conditions", e.target.checked)} /> Health conditions
+          </label>
+          <label style={{ display:"flex", alignItems:"center", gap:6 }}>
+            <input type="checkbox" checked={sharing.relation} onChange={e=>updateSharing("relation", e.target.checked)} /> Relation (e.g. son, grandmother)
+          </label>
+          <span style={{ color:"var(--muted-text)" }}>Names are never shared. <a href="#" onClick={e=>{ e.preventDefault(); setShowPreview(v => !v); }}>Preview what will be sent</a></span>
+        </div>
+        <label style={{ display:"flex", alignItems:"center", gap:8, marginTop:4 }}>
+          <input type="checkbox" checked={form.preferences.receiveNotifications !== false} onChange={e=>updateField("preferences.receiveNotifications", e.target.checked)} />
+          <span style={{ fontSize:13 }}>Send alert notifications (webhook, email, push)</span>
+        </label>
       </div>
 
       <div style={{ marginTop:10, display:"flex", gap:8 }}>
         <button onClick={saveProfile} style={{ ...btnPrimary }}>Save profile</button>
         <button onClick={deleteProfile} style={{ ...btnSecondary }}>Delete profile</button>
+        <button onClick={() => setShowHistory(v => !v)} style={{ ...btnSecondary }}>History</button>
       </div>
 
+      {undoUntil && (
+        <div style={{ marginTop:8, fontSize:12, display:"flex", alignItems:"center", gap:8 }}>
+          <span>Profile deleted. You can undo until {new Date(undoUntil).toLocaleTimeString([], { hour:"2-digit", minute:"2-digit" })}.</span>
+          <button onClick={undoDelete} style={{ ...btnPill, padding:"2px 10px" }}>Undo</button>
+        </div>
+      )}
+
+      {showPreview && <SharingPreview form={form} onClose={() => setShowPreview(false)} />}
+      {showHistory && <ProfileHistory onRestored={applyProfile} onClose={() => setShowHistory(false)} />}
+
       <div style={{ marginTop:8, fontSize:12, color:"var(--muted-text)" }}>
-        Privacy & Safety: Profile is stored locally. If you enable “Share with Gemini”, a short, non-identifying summary (e.g., “child with asthma, grandma age 68”) is sent to Gemini to personalize advice. Advice is educational — not a medical diagnosis.
+        Privacy & Safety: Profile is stored on your own server, with member details encrypted. If you enable “Share with Gemini”, a short, non-identifying summary (e.g., “son, age 5-11, conditions: asthma”) is sent to Gemini to personalize advice. Every request sent is logged. Advice is educational — not a medical diagnosis.
       </div>
     </div>
   );
 }
 
 // ---------- Lifestyle Advice Panel ----------
+// advice.source is the server's LLM provider, or "local" for the rule-based fallback
+const ADVICE_SOURCES = {
+  gemini: "Gemini (profile shared if opted-in)",
+  openai: "Local AI model (profile shared with your model server if opted-in)",
+  mock: "Mock model (testing)",
+  local: "Local (no external sharing)",
+};
 function LifestyleAdvicePanel({ latest, recent }) {
   const [text, setText] = useState("");
   const [src, setSrc] = useState("local");
@@ -477,7 +1690,7 @@ function LifestyleAdvicePanel({ latest, recent }) {
   async function fetchAdvice() {
     try {
       setLoading(true);
-      const res = await fetch(`${API_BASE}/lifestyle-advice`, {
+      const res = await apiFetch(`/lifestyle-advice`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ latest, recent: recent || [] })
@@ -487,7 +1700,7 @@ function LifestyleAdvicePanel({ latest, recent }) {
       if (res.ok && j && j.ok) {
         const t = j.advice?.text || j.advice?.primary || "";
         setText(t);
-        setSrc(j.advice?.source || (j.meta?.usedGemini ? "gemini" : "local"));
+        setSrc(j.advice?.source || j.meta?.provider || "local");
         setLastUpdated(new Date());
       } else {
         localAdviceFallback();
@@ -530,17 +1743,136 @@ function LifestyleAdvicePanel({ latest, recent }) {
         />
       )}
       <div style={{ marginTop: 8, fontSize: 12, color: 'var(--muted-text)' }}>
-        Source: {src === 'gemini' ? 'Gemini (profile shared if opted-in)' : 'Local (no external sharing)'}
+        Source: {ADVICE_SOURCES[src] || ADVICE_SOURCES.local}
         {lastUpdated ? ` • Updated ${lastUpdated.toLocaleTimeString()}` : ''}
       </div>
     </div>
   );
 }
 
+// ---------- Accounts ----------
+// Login / registration form. Shown instead of the dashboard when the server has accounts and
+// nobody is logged in; `onCancel` is set when it was opened from the header instead.
+function AccountForm({ auth, onCancel }) {
+  const [mode, setMode] = useState(auth?.accounts ? "login" : "register");
+  const [form, setForm] = useState({ email: "", password: "", name: "", household: "", invite: "" });
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+  const canRegister = !auth?.accounts || auth.registration !== "closed";
+
+  async function submit(e) {
+    e.preventDefault();
+    setError("");
+    setBusy(true);
+    const body = mode === "login"
+      ? { email: form.email, password: form.password }
+      : Object.fromEntries(Object.entries(form).filter(([, v]) => v !== ""));
+    try {
+      const res = await apiFetch(`/auth/${mode}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const j = await res.json().catch(() => ({}));
+      if (!j.ok) throw new Error(j.error || `Request failed (${res.status})`);
+      // The household's profile comes from the server from now on
+      try { localStorage.removeItem(DEMO_PROFILE_KEY); } catch {}
+      window.location.reload();
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  }
+
+  const input = { width: "100%", padding: 8, marginBottom: 8, boxSizing: "border-box" };
+  return (
+    <div style={{ ...panelItemStyle, maxWidth: 380, margin: "48px auto" }}>
+      <div style={panelTitleStyle}>{mode === "login" ? "Log in" : "Create an account"}</div>
+      <p style={{ ...panelPStyle, marginBottom: 12, fontSize: 13 }}>
+        {mode === "login"
+          ? "Devices, the family profile, alerts and chats are shared by everyone in your household."
+          : auth?.accounts
+            ? "Without an invite code you get a new household; ask a member for a code to join theirs."
+            : "The first account takes over the devices and data already on this server."}
+      </p>
+      <form onSubmit={submit}>
+        <input type="email" value={form.email} onChange={set("email")} placeholder="Email" required style={input} />
+        <input type="password" value={form.password} onChange={set("password")} placeholder="Password" required minLength={mode === "register" ? 8 : undefined} style={input} />
+        {mode === "register" && (
+          <>
+            <input value={form.name} onChange={set("name")} placeholder="Your name (optional)" style={input} />
+            {auth?.accounts && <input value={form.invite} onChange={set("invite")} placeholder={auth.registration === "invite" ? "Invite code" : "Invite code (optional)"} style={input} />}
+            {!form.invite && <input value={form.household} onChange={set("household")} placeholder="Household name (optional)" style={input} />}
+          </>
+        )}
+        {error && <div style={{ color: "#dc2626", fontSize: 13, marginBottom: 8 }}>{error}</div>}
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          <button type="submit" disabled={busy} style={btnPrimary}>{mode === "login" ? "Log in" : "Create account"}</button>
+          {auth?.accounts && canRegister && (
+            <button type="button" onClick={() => setMode((m) => (m === "login" ? "register" : "login"))} style={btnSecondary}>
+              {mode === "login" ? "Create an account" : "I have an account"}
+            </button>
+          )}
+          {onCancel && <button type="button" onClick={onCancel} style={btnSecondary}>Cancel</button>}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Header: who is logged in, invite codes and logout (or "Create account" before accounts exist)
+function AccountMenu({ auth, onCreateAccount }) {
+  const [invite, setInvite] = useState(null);
+  if (!auth) return null;
+  if (!auth.user) {
+    return auth.accounts ? null : (
+      <button onClick={onCreateAccount} style={btnSecondary} title="Add logins and separate households">Create account</button>
+    );
+  }
+
+  async function createInvite() {
+    const res = await apiFetch("/auth/invites", { method: "POST" });
+    const j = await res.json().catch(() => ({}));
+    if (j.ok) setInvite(j.data);
+    else alert(j.error || "Could not create an invite");
+  }
+
+  async function logout() {
+    await apiFetch("/auth/logout", { method: "POST" }).catch(console.warn);
+    window.location.reload();
+  }
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13 }}>
+      <span style={{ color: "var(--muted-text)" }} title={auth.household?.name || ""}>
+        {auth.user.name || auth.user.email}
+      </span>
+      {invite ? (
+        <span title={`Valid until ${new Date(invite.expires_ts * 1000).toLocaleString()}`}>
+          Invite code: <code>{invite.code}</code>
+        </span>
+      ) : (
+        <button onClick={createInvite} style={btnSecondary} title="Let someone join this household">Invite</button>
+      )}
+      <button onClick={logout} style={btnSecondary}>Log out</button>
+    </div>
+  );
+}
+
 // ---------- App ----------
 export default function App() {
   const [rows, setRows] = useState([]);
   const [latest, setLatest] = useState(null);
+  const [devices, setDevices] = useState([]);
+  const [deviceId, setDeviceId] = useState(() => localStorage.getItem(DEVICE_KEY) || "");
+  const [view, setView] = useState("live"); // 'live' | 'compare' | 'reports'
+  const [range, setRange] = useState({ key: "live" });
+  const [rangeRows, setRangeRows] = useState([]);
+  const [forecasts, setForecasts] = useState([]);
+  const [dataVersion, setDataVersion] = useState(0); // bumped when calibrations change, to refetch
+  const [auth, setAuth] = useState(null); // GET /auth/me
+  const [showAccountForm, setShowAccountForm] = useState(false);
   const esRef = useRef(null);
   const [theme, setTheme] = useState(() => {
     const saved = localStorage.getItem("theme");
@@ -552,22 +1884,61 @@ export default function App() {
     localStorage.setItem("theme", theme);
   }, [theme]);
 
-  // Initial history + latest
+  // Who is logged in; re-checked when an API call comes back 401
+  useEffect(() => {
+    const load = () =>
+      apiFetch("/auth/me")
+        .then(r => r.json())
+        .then(j => { if (j.ok) setAuth(j.data); })
+        .catch(console.error);
+    load();
+    window.addEventListener("auth-required", load);
+    return () => window.removeEventListener("auth-required", load);
+  }, []);
+
+  // Device registry (refreshed periodically so new units and last-seen times show up)
+  useEffect(() => {
+    let cancelled = false;
+    const load = () =>
+      apiFetch(`/devices`)
+        .then(r => r.json())
+        .then(j => { if (!cancelled && j.ok) setDevices(j.data || []); })
+        .catch(console.error);
+    load();
+    const timer = setInterval(load, 30000);
+    return () => { cancelled = true; clearInterval(timer); };
+  }, []);
+
+  // Fall back to the first known device when nothing (or an unknown one) is selected
+  useEffect(() => {
+    if (!devices.length) return;
+    if (!devices.some((d) => d.id === deviceId)) setDeviceId(devices[0].id);
+  }, [devices, deviceId]);
+
+  useEffect(() => {
+    if (deviceId) localStorage.setItem(DEVICE_KEY, deviceId);
+  }, [deviceId]);
+
+  const deviceQuery = deviceId ? `device=${encodeURIComponent(deviceId)}` : "";
+
+  // Initial history + latest (reloaded when switching devices)
   useEffect(() => {
-    fetch(`${API_BASE}/history?limit=720`)
+    setRows([]);
+    setLatest(null);
+    apiFetch(`/history?limit=720${deviceQuery ? `&${deviceQuery}` : ""}`)
       .then(r => r.json())
       .then(j => { if (j.ok) setRows(j.data || []); })
       .catch(console.error);
 
-    fetch(`${API_BASE}/latest`)
+    apiFetch(`/latest${deviceQuery ? `?${deviceQuery}` : ""}`)
       .then(r => r.json())
       .then(j => { if (j.ok) setLatest(j.data); })
       .catch(console.error);
-  }, []);
+  }, [deviceQuery, dataVersion]);
 
   // Live updates via SSE
   useEffect(() => {
-    const es = new EventSource(`${API_BASE}/stream`, { withCredentials: false });
+    const es = new EventSource(`${API_BASE}/stream${deviceQuery ? `?${deviceQuery}` : ""}`, { withCredentials: true });
     es.onmessage = (ev) => {
       try {
         const data = JSON.parse(ev.data);
@@ -577,10 +1948,71 @@ export default function App() {
         console.warn("SSE parse error", e);
       }
     };
+    // Alert open/close/ack events go to AlertsPanel
+    es.addEventListener("alert", (ev) => {
+      try {
+        window.dispatchEvent(new CustomEvent("iaq-alert", { detail: JSON.parse(ev.data) }));
+      } catch (e) {
+        console.warn("SSE alert parse error", e);
+      }
+    });
+    // Offline backfill arrives as one summary; reload history so the gap fills in
+    es.addEventListener("backfill", () => {
+      apiFetch(`/history?limit=720${deviceQuery ? `&${deviceQuery}` : ""}`)
+        .then(r => r.json())
+        .then(j => { if (j.ok) setRows(j.data || []); })
+        .catch(console.error);
+    });
     es.onerror = (e) => console.warn("SSE error", e);
     esRef.current = es;
     return () => es.close();
-  }, []);
+  }, [deviceQuery]);
+
+  // Chart range other than "live": fetched from /history (bucketed for long spans).
+  // Presets that end "now" are refreshed every minute.
+  useEffect(() => {
+    if (range.key === "live") return;
+    let cancelled = false;
+    const load = () => {
+      const { from, to } = resolveRange(range);
+      const bucket = pickBucket(to - from);
+      const params = new URLSearchParams({ from: String(from), to: String(to), limit: "5000" });
+      if (bucket) {
+        params.set("bucket", bucket);
+        params.set("tz_offset", String(-new Date().getTimezoneOffset()));
+      }
+      if (deviceId) params.set("device", deviceId);
+      apiFetch(`/history?${params}`)
+        .then(r => r.json())
+        .then(j => { if (!cancelled && j.ok) setRangeRows(j.data || []); })
+        .catch(console.error);
+    };
+    setRangeRows([]);
+    load();
+    const timer = range.key === "custom" ? null : setInterval(load, 60000);
+    return () => { cancelled = true; if (timer) clearInterval(timer); };
+  }, [range, deviceId, dataVersion]);
+
+  // Device and server forecasts for the chart window (plus the next hour), refreshed every minute
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => {
+      const now = Math.floor(Date.now() / 1000);
+      const bounds = resolveRange(range) || { from: now - 6 * 3600, to: now };
+      const params = new URLSearchParams({ from: String(bounds.from), to: String(bounds.to + 3600) });
+      const bucket = range.key === "live" ? null : pickBucket(bounds.to - bounds.from);
+      if (bucket) params.set("bucket", bucket);
+      if (deviceId) params.set("device", deviceId);
+      apiFetch(`/forecasts?${params}`)
+        .then(r => r.json())
+        .then(j => { if (!cancelled && j.ok) setForecasts(j.data || []); })
+        .catch(console.error);
+    };
+    setForecasts([]);
+    load();
+    const timer = range.key === "custom" ? null : setInterval(load, 60000);
+    return () => { cancelled = true; if (timer) clearInterval(timer); };
+  }, [range, deviceId, dataVersion]);
 
   const cards = useMemo(() => {
     const d = latest || {};
@@ -590,18 +2022,33 @@ export default function App() {
       { label: "Ethanol (ppb)", value: d.c2h5oh, dp: 2 },
       { label: "CO (ppm)", value: d.co, dp: 2 },
       { label: "IAQ (current)", value: d.current_iaq, dp: 0 },  // integer-like
-      { label: "IAQ (pred 5m)", value: d.predicted_iaq, dp: 0 }, // integer-like
+      // Server forecast stands in when the device sent no prediction
+      { label: d.predicted_source === "server" ? "IAQ (pred 5m, server)" : "IAQ (pred 5m)", value: d.predicted_iaq, dp: 0 },
     ];
   }, [latest]);
 
-  const chartData = useMemo(
-    () =>
-      rows.map((r) => ({
-        ...r,
-        time: new Date((r.ts ?? 0) * 1000).toLocaleTimeString()
-      })),
-    [rows]
-  );
+  const chartData = useMemo(() => {
+    const readings = range.key === "live" ? rows : rangeRows;
+    const firstTs = readings.length ? readings[0].ts : Infinity;
+    const lastTs = readings.length ? readings[readings.length - 1].ts : 0;
+    const source = [...readings, ...forecastPoints(forecasts, lastTs).filter((p) => p.ts >= firstTs)]
+      .sort((a, b) => a.ts - b.ts);
+    const span = source.length ? source[source.length - 1].ts - source[0].ts : 0;
+    const fmt = (ts) => {
+      const d = new Date((ts ?? 0) * 1000);
+      return span > 86400 ? d.toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) : d.toLocaleTimeString();
+    };
+    return source.map((r) => ({ ...r, time: fmt(r.ts) }));
+  }, [rows, rangeRows, range, forecasts]);
+
+  if ((auth?.accounts && !auth.user) || showAccountForm) {
+    return (
+      <div style={{ fontFamily: "system-ui, Arial, sans-serif", padding: 16 }}>
+        <h1 style={{ marginBottom: 4, textAlign: "center" }}>IAQ Edge Dashboard</h1>
+        <AccountForm auth={auth} onCancel={showAccountForm ? () => setShowAccountForm(false) : null} />
+      </div>
+    );
+  }
 
   return (
     <div style={{ fontFamily: "system-ui, Arial, sans-serif", padding: 16 }}>
@@ -612,15 +2059,42 @@ export default function App() {
             Live data from ESP32 via HTTP → SQLite → SSE
           </p>
         </div>
-        <button
-          onClick={() => setTheme((t) => (t === "light" ? "dark" : "light"))}
-          style={btnSecondary}
-          title="Toggle dark mode"
-        >
-          {theme === "light" ? "Dark mode" : "Light mode"}
-        </button>
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          {view !== "compare" && <DevicePicker devices={devices} value={deviceId} onChange={setDeviceId} />}
+          <button
+            onClick={() => setView((v) => (v === "reports" ? "live" : "reports"))}
+            style={btnSecondary}
+            title="Daily and weekly exposure summaries"
+          >
+            {view === "reports" ? "Back to live view" : "Reports"}
+          </button>
+          {devices.length > 1 && (
+            <button
+              onClick={() => setView((v) => (v === "compare" ? "live" : "compare"))}
+              style={btnSecondary}
+              title="Show all rooms side by side"
+            >
+              {view === "compare" ? "Back to live view" : "Compare rooms"}
+            </button>
+          )}
+          <button
+            onClick={() => setTheme((t) => (t === "light" ? "dark" : "light"))}
+            style={btnSecondary}
+            title="Toggle dark mode"
+          >
+            {theme === "light" ? "Dark mode" : "Light mode"}
+          </button>
+          <AccountMenu auth={auth} onCreateAccount={() => setShowAccountForm(true)} />
+        </div>
       </div>
 
+      {view === "compare" ? (
+        <RoomComparison devices={devices} />
+      ) : view === "reports" ? (
+        <ExposureReports deviceId={deviceId} />
+      ) : (
+      <>
+
       {/* Cards */}
       <div
         style={{
@@ -660,8 +2134,11 @@ export default function App() {
             style={{
               height: 480, width: "100%", border: "1px solid var(--border)",
               borderRadius: 12, padding: 8, background: "var(--surface)",
+              display: "flex", flexDirection: "column", gap: 8,
             }}
           >
+            <RangePicker value={range} onChange={setRange} />
+            <div style={{ flex: 1, minHeight: 0 }}>
             <ResponsiveContainer>
               <LineChart data={chartData}>
                 <CartesianGrid strokeDasharray="3 3" />
@@ -669,32 +2146,632 @@ export default function App() {
                 <YAxis />
                 <Tooltip />
                 <Legend />
-                <Line type="monotone" dataKey="pm25" name="PM2.5" dot={false} />
-                <Line type="monotone" dataKey="voc" name="VoC" dot={false} />
-                <Line type="monotone" dataKey="c2h5oh" name="Ethanol" dot={false} />
-                <Line type="monotone" dataKey="co" name="CO" dot={false} />
-                <Line type="monotone" dataKey="current_iaq" name="IAQ (current)" dot={false} />
-                <Line type="monotone" dataKey="predicted_iaq" name="IAQ (pred)" dot={false} />
+                {/* Forecast points are interleaved with readings, so every line bridges the gaps */}
+                <Line type="monotone" dataKey="pm25" name="PM2.5" dot={false} connectNulls />
+                <Line type="monotone" dataKey="voc" name="VoC" dot={false} connectNulls />
+                <Line type="monotone" dataKey="c2h5oh" name="Ethanol" dot={false} connectNulls />
+                <Line type="monotone" dataKey="co" name="CO" dot={false} connectNulls />
+                <Line type="monotone" dataKey="current_iaq" name="IAQ (current)" dot={false} connectNulls />
+                <Line type="monotone" dataKey="forecast_device" name="IAQ forecast (device)" dot={false} connectNulls stroke="#9333ea" strokeDasharray="4 3" />
+                <Line type="monotone" dataKey="forecast_server" name="IAQ forecast (server)" dot={false} connectNulls stroke="#ea580c" strokeDasharray="4 3" />
               </LineChart>
             </ResponsiveContainer>
+            </div>
           </div>
 
+          <EpisodeTimeline deviceId={deviceId} range={range} startTs={rows[0]?.ts} dataVersion={dataVersion} />
+          <ForecastAccuracyPanel deviceId={deviceId} devices={devices} />
+          <CalibrationPanel deviceId={deviceId} onChange={() => setDataVersion((v) => v + 1)} />
+
           {/* Details below chart */}
           <InfoDetails />
         </div>
 
         {/* Middle Column: Profile + Advice */}
         <div style={{ display: "flex", flexDirection: "column", gap: 12, minWidth: 280 }}>
-          <FamilyProfilePanel />
+          <FamilyProfilePanel user={auth?.user} />
           <LifestyleAdvicePanel latest={latest} recent={rows.slice(-20)} />
         </div>
 
         {/* Right Column: Chat + Info */}
         <div style={{ display: "flex", flexDirection: "column", gap: 12, minWidth: 260 }}>
-          <Chatbot rows={rows} latest={latest} />
-          <InfoPanel latest={latest} rows={rows} />
+          <AlertsPanel deviceId={deviceId} devices={devices} />
+          <Chatbot rows={rows} latest={latest} deviceId={deviceId} />
+          <InfoPanel latest={latest} rows={rows} deviceId={deviceId} />
+          <SensorHealthPanel deviceId={deviceId || latest?.device_id} latestTs={latest?.ts} />
+        </div>
+      </div>
+      </>
+      )}
+    </div>
+  );
+}
+
+// ---------- Episodes ----------
+// Elevated periods detected by the server and their likely source. Confirming or
+// relabelling one trains the classifier (PUT /episodes/:id).
+const EPISODE_COLORS = {
+  cooking: "#ea580c",
+  cleaning: "#0ea5e9",
+  sanitizer: "#a855f7",
+  combustion: "#ef4444",
+  other: "#64748b",
+  unknown: "#94a3b8",
+};
+const CUSTOM_EPISODE_COLORS = ["#14b8a6", "#eab308", "#ec4899", "#6366f1", "#84cc16"];
+
+function episodeColor(label) {
+  if (EPISODE_COLORS[label]) return EPISODE_COLORS[label];
+  let h = 0;
+  for (const ch of String(label)) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return CUSTOM_EPISODE_COLORS[h % CUSTOM_EPISODE_COLORS.length];
+}
+
+const capitalize = (s) => (s ? s[0].toUpperCase() + s.slice(1) : s);
+
+function EpisodeTimeline({ deviceId, range, startTs, dataVersion }) {
+  const [episodes, setEpisodes] = useState([]);
+  const [labels, setLabels] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [customLabel, setCustomLabel] = useState("");
+  const [error, setError] = useState("");
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  const bounds = resolveRange(range) || { from: startTs || now - 6 * 3600, to: now };
+
+  const load = () => {
+    const params = new URLSearchParams({ from: String(bounds.from), to: String(bounds.to) });
+    if (deviceId) params.set("device", deviceId);
+    apiFetch(`/episodes?${params}`)
+      .then(r => r.json())
+      .then(j => { if (j.ok) setEpisodes(j.data || []); })
+      .catch(console.error);
+  };
+
+  useEffect(() => {
+    load();
+    const timer = range.key === "custom" ? null : setInterval(() => setNow(Math.floor(Date.now() / 1000)), 60000);
+    return () => { if (timer) clearInterval(timer); };
+  }, [deviceId, range, dataVersion, now]);
+
+  useEffect(() => {
+    apiFetch(`/episodes/labels`)
+      .then(r => r.json())
+      .then(j => { if (j.ok) setLabels(j.data.map((l) => l.label)); })
+      .catch(console.error);
+  }, []);
+
+  const selected = episodes.find((e) => e.id === selectedId) || null;
+
+  async function setLabel(label) {
+    setError("");
+    try {
+      const res = await apiFetch(`/episodes/${selected.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ label }),
+      });
+      const j = await res.json();
+      if (!j.ok) throw new Error(j.error || "Failed to save label");
+      setCustomLabel("");
+      if (label && !labels.includes(label.toLowerCase())) setLabels((l) => [...l, j.data.user_label]);
+      load();
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  const span = Math.max(1, bounds.to - bounds.from);
+  const pct = (ts) => Math.min(100, Math.max(0, ((ts - bounds.from) / span) * 100));
+  const fmtTime = (ts) => new Date(ts * 1000).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+  const fmtValue = (v) => (v === null || v === undefined ? "—" : Number(Number(v).toFixed(1)));
+  const shownLabels = [...new Set(episodes.map((e) => e.label))];
+
+  return (
+    <div style={panelItemStyle}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 6 }}>
+        <div style={{ ...panelTitleStyle, marginBottom: 0 }}>Episodes</div>
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", fontSize: 12 }}>
+          {shownLabels.map((l) => (
+            <span key={l} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+              <span style={{ width: 10, height: 10, borderRadius: 2, background: episodeColor(l) }} />
+              {capitalize(l)}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ position: "relative", height: 22, borderRadius: 6, background: "var(--border)", overflow: "hidden" }}>
+        {episodes.map((e) => {
+          const end = e.end_ts ?? now;
+          return (
+            <div
+              key={e.id}
+              onClick={() => setSelectedId(e.id === selectedId ? null : e.id)}
+              title={`${capitalize(e.label)}${e.confirmed ? "" : ` (${Math.round((e.confidence || 0) * 100)}% sure)`} · ${fmtTime(e.start_ts)}${e.ongoing ? " – now" : ` – ${fmtTime(e.end_ts)}`}`}
+              style={{
+                position: "absolute", top: 2, bottom: 2,
+                left: `${pct(e.start_ts)}%`, width: `max(4px, ${pct(end) - pct(e.start_ts)}%)`,
+                background: episodeColor(e.label), opacity: e.confirmed ? 1 : 0.6, borderRadius: 3, cursor: "pointer",
+                outline: e.id === selectedId ? "2px solid var(--text)" : "none",
+              }}
+            />
+          );
+        })}
+      </div>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: "var(--muted-text)", marginTop: 2 }}>
+        <span>{fmtTime(bounds.from)}</span>
+        <span>{episodes.length ? `${episodes.length} episode${episodes.length === 1 ? "" : "s"}` : "No episodes in this range"}</span>
+        <span>{fmtTime(bounds.to)}</span>
+      </div>
+
+      {selected && (
+        <div style={{ marginTop: 8, fontSize: 12, display: "flex", flexDirection: "column", gap: 6 }}>
+          <div>
+            <b style={{ color: episodeColor(selected.label) }}>{capitalize(selected.label)}</b>{" "}
+            {selected.confirmed
+              ? <span style={{ color: "var(--muted-text)" }}>(labelled by you{selected.predicted_label !== selected.user_label ? `; guessed ${selected.predicted_label}` : ""})</span>
+              : <span style={{ color: "var(--muted-text)" }}>(guess, {Math.round((selected.confidence || 0) * 100)}% sure)</span>}
+            {" · "}{fmtTime(selected.start_ts)} – {selected.ongoing ? "ongoing" : fmtTime(selected.end_ts)}
+            {" · "}{Math.max(1, Math.round(((selected.end_ts ?? now) - selected.start_ts) / 60))} min
+          </div>
+          <div style={{ color: "var(--muted-text)" }}>
+            {selected.sensors.map((k) => `${SENSOR_LABELS[k] || k} ${fmtValue(selected.baseline[k])} → ${fmtValue(selected.peak[k])}`).join(" · ")}
+          </div>
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+            {!selected.confirmed && selected.label !== "unknown" && (
+              <button onClick={() => setLabel(selected.predicted_label)} style={{ ...btnPill, padding: "4px 10px" }}>
+                Yes, {selected.predicted_label}
+              </button>
+            )}
+            <select
+              value=""
+              onChange={(e) => e.target.value && setLabel(e.target.value)}
+              style={{ ...btnPill, padding: "4px 8px" }}
+            >
+              <option value="">Relabel as…</option>
+              {labels.filter((l) => l !== selected.label).map((l) => <option key={l} value={l}>{capitalize(l)}</option>)}
+            </select>
+            <input
+              placeholder="Other source"
+              value={customLabel}
+              onChange={(e) => setCustomLabel(e.target.value)}
+              onKeyDown={(e) => { if (e.key === "Enter" && customLabel.trim()) setLabel(customLabel.trim()); }}
+              style={{ padding: "4px 8px", border: "1px solid var(--border)", borderRadius: 999, background: "var(--surface)", color: "var(--text)", fontSize: 12, width: 120 }}
+            />
+            {selected.confirmed && (
+              <button onClick={() => setLabel(null)} style={{ ...btnPill, padding: "4px 10px" }}>Use guess</button>
+            )}
+          </div>
+          {error && <div style={{ color: "#ef4444" }}>{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Sensor Health ----------
+// Results of the ingest fault checks (GET /devices/:id/health): what's wrong with each
+// sensor right now and how often it was flagged in the last 24 h.
+const SENSOR_LABELS = { pm25: "PM2.5", voc: "VoC", c2h5oh: "Ethanol", co: "CO" };
+const QUALITY_FLAG_LABELS = {
+  range: "out of range",
+  rate: "implausible jump",
+  stuck: "stuck value",
+  warmup: "warming up",
+  spike: "spike",
+  step: "level change",
+};
+const HEALTH_STYLES = {
+  ok: { label: "OK", color: "#16a34a" },
+  suspect: { label: "Suspect", color: "#f59e0b" },
+  degraded: { label: "Degraded", color: "#f59e0b" },
+  fault: { label: "Fault", color: "#ef4444" },
+};
+
+function SensorHealthPanel({ deviceId, latestTs }) {
+  const [health, setHealth] = useState(null);
+  const minute = Math.floor((latestTs || 0) / 60);
+
+  useEffect(() => {
+    if (!deviceId) return setHealth(null);
+    let cancelled = false;
+    apiFetch(`/devices/${encodeURIComponent(deviceId)}/health`)
+      .then(r => r.json())
+      .then(j => { if (!cancelled) setHealth(j.ok ? j.data : null); })
+      .catch(console.error);
+    return () => { cancelled = true; };
+  }, [deviceId, minute]);
+
+  const chip = (status) => {
+    const st = HEALTH_STYLES[status] || HEALTH_STYLES.ok;
+    return <span style={{ fontSize: 11, fontWeight: 700, color: st.color }}>{st.label}</span>;
+  };
+
+  return (
+    <div style={panelItemStyle}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+        <div style={{ ...panelTitleStyle, marginBottom: 0 }}>Sensor health</div>
+        {health && chip(health.status)}
+      </div>
+      {!health ? (
+        <div style={{ fontSize: 12, color: "var(--muted-text)" }}>{deviceId ? "No readings yet." : "Select a device."}</div>
+      ) : (
+        <>
+          {health.warming_up && (
+            <div style={{ fontSize: 12, color: "#f59e0b", marginBottom: 6 }}>
+              Gas sensors are warming up after a restart; their values are ignored for now.
+            </div>
+          )}
+          {health.sensors.map((s) => {
+            const counts = Object.entries(s.counts).map(([flag, n]) => `${QUALITY_FLAG_LABELS[flag] || flag} ×${n}`);
+            return (
+              <div key={s.sensor} style={{ fontSize: 12, marginBottom: 4 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", gap: 6 }}>
+                  <span>
+                    <b>{SENSOR_LABELS[s.sensor] || s.sensor}</b>
+                    {s.flags.length > 0 && <span> — {s.flags.map((f) => QUALITY_FLAG_LABELS[f] || f).join(", ")}</span>}
+                  </span>
+                  {chip(s.status)}
+                </div>
+                {counts.length > 0 && (
+                  <div style={{ color: "var(--muted-text)" }}>
+                    Last {health.window_h} h: {counts.join(", ")}
+                    {s.last_flag_ts ? ` · last ${new Date(s.last_flag_ts * 1000).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}` : ""}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          <div style={{ fontSize: 11, color: "var(--muted-text)", marginTop: 4 }}>
+            {health.readings} readings in the last {health.window_h} h · {health.bad} bad, {health.suspect} suspect.
+            Bad values are left out of advice and the AQI.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ---------- Forecast Accuracy ----------
+// Device (firmware) and server forecasts scored against the IAQ observed at their
+// target time. A jump in the device's daily MAE usually means a firmware model regressed.
+const ACCURACY_SOURCES = { device: "Device", server: "Server" };
+
+function ForecastAccuracyPanel({ deviceId, devices }) {
+  const [horizon, setHorizon] = useState(5);
+  const [data, setData] = useState(null);
+  const [matrixSource, setMatrixSource] = useState("device");
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ horizon: String(horizon) });
+    if (deviceId) params.set("device", deviceId);
+    const load = () =>
+      apiFetch(`/forecast-accuracy?${params}`)
+        .then(r => r.json())
+        .then(j => { if (!cancelled && j.ok) setData(j.data); })
+        .catch(console.error);
+    load();
+    const timer = setInterval(load, 10 * 60000);
+    return () => { cancelled = true; clearInterval(timer); };
+  }, [deviceId, horizon]);
+
+  const sources = data?.sources || {};
+  const sourceKeys = Object.keys(ACCURACY_SOURCES).filter((k) => sources[k]);
+  const shownMatrix = sources[matrixSource] ? matrixSource : sourceKeys[0];
+  const firmware = devices.find((d) => d.id === deviceId)?.firmware_version;
+
+  // One row per day with each source's MAE side by side
+  const daily = useMemo(() => {
+    const byDay = new Map();
+    for (const key of sourceKeys) {
+      for (const d of sources[key].days) {
+        const row = byDay.get(d.day) || { day: d.day, time: new Date(d.day * 1000).toLocaleDateString([], { month: "short", day: "numeric", timeZone: "UTC" }) };
+        row[key] = d.mae;
+        byDay.set(d.day, row);
+      }
+    }
+    return [...byDay.values()].sort((a, b) => a.day - b.day);
+  }, [data]);
+
+  const fmt = (v) => (v === null || v === undefined ? "—" : Number(v).toFixed(1));
+  const cell = { padding: "2px 6px", textAlign: "right", borderBottom: "1px solid var(--border)" };
+
+  return (
+    <div style={panelItemStyle}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ ...panelTitleStyle, marginBottom: 0 }}>Forecast accuracy</div>
+        <div style={{ display: "flex", gap: 4 }}>
+          {[5, 15, 60].map((h) => (
+            <button
+              key={h}
+              onClick={() => setHorizon(h)}
+              style={{ ...btnPill, padding: "4px 10px", fontSize: 12, ...(horizon === h ? { background: "#2563eb", color: "#fff", borderColor: "#2563eb" } : {}) }}
+            >
+              +{h}m
+            </button>
+          ))}
         </div>
       </div>
+
+      {!sourceKeys.length ? (
+        <p style={{ ...panelPStyle, fontSize: 13 }}>
+          No scored forecasts yet{horizon !== 5 ? " for this horizon (the device only predicts 5 minutes ahead)" : ""}. Scores appear once
+          predictions can be compared with the IAQ measured {horizon} minutes later.
+        </p>
+      ) : (
+        <>
+          <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse", marginBottom: 8 }}>
+            <thead>
+              <tr style={{ color: "var(--muted-text)" }}>
+                <th style={{ ...cell, textAlign: "left" }}>Last 30 days</th>
+                <th style={cell}>MAE</th>
+                <th style={cell}>RMSE</th>
+                <th style={cell}>Bias</th>
+                <th style={cell}>Category hit</th>
+                <th style={cell}>n</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sourceKeys.map((k) => (
+                <tr key={k}>
+                  <td style={{ ...cell, textAlign: "left" }}>
+                    {ACCURACY_SOURCES[k]}{k === "device" && firmware ? ` (fw ${firmware})` : ""}
+                  </td>
+                  <td style={cell}>{fmt(sources[k].mae)}</td>
+                  <td style={cell}>{fmt(sources[k].rmse)}</td>
+                  <td style={cell}>{sources[k].bias > 0 ? "+" : ""}{fmt(sources[k].bias)}</td>
+                  <td style={cell}>{sources[k].category_accuracy === null ? "—" : `${Math.round(sources[k].category_accuracy * 100)}%`}</td>
+                  <td style={cell}>{sources[k].n}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {daily.length > 1 && (
+            <div style={{ height: 140, marginBottom: 8 }}>
+              <ResponsiveContainer>
+                <LineChart data={daily}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="time" fontSize={11} minTickGap={16} />
+                  <YAxis fontSize={11} width={32} />
+                  <Tooltip />
+                  <Legend />
+                  {sourceKeys.map((k) => (
+                    <Line
+                      key={k}
+                      type="monotone"
+                      dataKey={k}
+                      name={`${ACCURACY_SOURCES[k]} MAE`}
+                      stroke={k === "device" ? "#9333ea" : "#ea580c"}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          <details>
+            <summary style={{ cursor: "pointer", fontSize: 13 }}>By category and confusion matrix</summary>
+            {sourceKeys.length > 1 && (
+              <div style={{ display: "flex", gap: 4, margin: "6px 0" }}>
+                {sourceKeys.map((k) => (
+                  <button
+                    key={k}
+                    onClick={() => setMatrixSource(k)}
+                    style={{ ...btnPill, padding: "2px 10px", fontSize: 12, ...(shownMatrix === k ? { background: "#2563eb", color: "#fff", borderColor: "#2563eb" } : {}) }}
+                  >
+                    {ACCURACY_SOURCES[k]}
+                  </button>
+                ))}
+              </div>
+            )}
+            <table style={{ width: "100%", fontSize: 11, borderCollapse: "collapse", marginTop: 6 }}>
+              <thead>
+                <tr style={{ color: "var(--muted-text)" }}>
+                  <th style={{ ...cell, textAlign: "left" }}>Actual ↓ / Predicted →</th>
+                  {data.categories.map((c) => <th key={c.key} style={cell} title={c.label}>{c.label.split(" ").map((w) => w[0]).join("")}</th>)}
+                  <th style={cell}>MAE</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.categories.map((c, i) => {
+                  const row = sources[shownMatrix].confusion[i];
+                  const stats = sources[shownMatrix].categories.find((x) => x.category === c.key);
+                  if (!row.some(Boolean)) return null;
+                  return (
+                    <tr key={c.key}>
+                      <td style={{ ...cell, textAlign: "left" }}>{c.label}</td>
+                      {row.map((n, j) => (
+                        <td key={j} style={{ ...cell, fontWeight: i === j ? 700 : 400, color: n && i !== j ? "#ef4444" : undefined }}>{n || ""}</td>
+                      ))}
+                      <td style={cell}>{fmt(stats?.mae)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </details>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ---------- Calibration (admin) ----------
+// Versioned corrections applied server-side to everything the dashboard shows.
+// Admin routes need ADMIN_TOKEN when the server sets one (kept in this browser only).
+const ADMIN_TOKEN_KEY = "admin.token";
+const EMPTY_REFERENCE = { sensor: "pm25", reference: "", mode: "offset", when: "", allHistory: false };
+const EMPTY_LINEAR = { sensor: "predicted_iaq", scale: "1", offset: "0", allDevices: false };
+
+function describeCalibration(c) {
+  if (c.kind === "piecewise") return `piecewise ${c.params.points.map(([x, y]) => `${x}→${y}`).join(", ")}`;
+  const { scale = 1, offset = 0 } = c.params;
+  const parts = [];
+  if (scale !== 1) parts.push(`× ${Number(scale.toFixed(4))}`);
+  if (offset !== 0 || !parts.length) parts.push(`${offset >= 0 ? "+" : "−"} ${Number(Math.abs(offset).toFixed(3))}`);
+  return `raw ${parts.join(" ")}`;
+}
+
+function CalibrationPanel({ deviceId, onChange }) {
+  const [open, setOpen] = useState(false);
+  const [items, setItems] = useState([]);
+  const [token, setToken] = useState(() => localStorage.getItem(ADMIN_TOKEN_KEY) || "");
+  const [reference, setReference] = useState(EMPTY_REFERENCE);
+  const [linear, setLinear] = useState(EMPTY_LINEAR);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const load = () => {
+    const q = deviceId ? `?device=${encodeURIComponent(deviceId)}` : "";
+    apiFetch(`/calibrations${q}`)
+      .then(r => r.json())
+      .then(j => { if (j.ok) setItems(j.data || []); })
+      .catch(console.error);
+  };
+  useEffect(() => { if (open) load(); }, [open, deviceId]);
+
+  const saveToken = (value) => {
+    setToken(value);
+    if (value) localStorage.setItem(ADMIN_TOKEN_KEY, value);
+    else localStorage.removeItem(ADMIN_TOKEN_KEY);
+  };
+
+  async function adminRequest(method, path, body) {
+    setError("");
+    setMessage("");
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers["X-Admin-Token"] = token;
+    const res = await apiFetch(path, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const j = await res.json().catch(() => ({}));
+    if (!j.ok) throw new Error(j.error || `Request failed (${res.status})`);
+    load();
+    onChange?.();
+    return j;
+  }
+
+  async function calibrateFromReference() {
+    const value = Number(reference.reference);
+    if (reference.reference === "" || !Number.isFinite(value)) return setError("Enter the reference instrument's reading");
+    const body = { device_id: deviceId, sensor: reference.sensor, reference: value, mode: reference.mode };
+    if (reference.when) body.ts = Math.floor(new Date(reference.when).getTime() / 1000);
+    if (reference.allHistory) body.effective_from = 0;
+    try {
+      const j = await adminRequest("POST", "/calibrations/reference", body);
+      const ref = j.data.reference;
+      setMessage(`Saved: sensor read ${ref.raw} (mean of ${ref.samples} samples) vs reference ${ref.reference} → ${describeCalibration(j.data)}`);
+      setReference((r) => ({ ...r, reference: "" }));
+    } catch (e) { setError(e.message); }
+  }
+
+  async function addLinear() {
+    const scale = Number(linear.scale);
+    const offset = Number(linear.offset);
+    if (!Number.isFinite(scale) || !Number.isFinite(offset)) return setError("Scale and offset must be numbers");
+    try {
+      await adminRequest("POST", "/calibrations", {
+        device_id: linear.allDevices ? null : deviceId, sensor: linear.sensor, kind: "linear", params: { scale, offset },
+      });
+      setMessage("Saved; it applies to readings from now on.");
+    } catch (e) { setError(e.message); }
+  }
+
+  async function remove(c) {
+    if (!confirm(`Delete version ${c.version} of the ${c.sensor} calibration${c.device_id ? ` for ${c.device_id}` : " for all devices"}?`)) return;
+    try { await adminRequest("DELETE", `/calibrations/${c.id}`); } catch (e) { setError(e.message); }
+  }
+
+  const fieldStyle = {
+    padding: 6, border: "1px solid var(--border)", borderRadius: 6,
+    background: "var(--surface)", color: "var(--text)", fontSize: 12, minWidth: 0,
+  };
+  const setRef = (k) => (e) => setReference((d) => ({ ...d, [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+  const setLin = (k) => (e) => setLinear((d) => ({ ...d, [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+  const sensorLabel = (key) => RULE_METRICS.find((m) => m.key === key)?.label || key;
+
+  return (
+    <div style={panelItemStyle}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ ...panelTitleStyle, marginBottom: 0 }}>Calibration</div>
+        <button onClick={() => setOpen((v) => !v)} style={{ ...btnPill, padding: "4px 10px", fontSize: 12 }}>
+          {open ? "Hide" : "Manage"}
+        </button>
+      </div>
+
+      {open && (
+        <div style={{ marginTop: 10, display: "flex", flexDirection: "column", gap: 10 }}>
+          <div style={{ fontSize: 12 }}>
+            {items.length === 0 && <div style={{ color: "var(--muted-text)" }}>No calibrations; raw values are shown.</div>}
+            {items.map((c) => (
+              <div key={c.id} style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 6, opacity: c.active ? 1 : 0.6 }}>
+                <div style={{ flex: 1 }}>
+                  <b>{sensorLabel(c.sensor)}</b> v{c.version} · {c.device_id || "all devices"}
+                  {c.active && <span style={{ color: "#16a34a", fontWeight: 700 }}> · active</span>}
+                  <div style={{ color: "var(--muted-text)" }}>
+                    {describeCalibration(c)} · from {c.effective_from ? new Date(c.effective_from * 1000).toLocaleString() : "the beginning"}
+                    {c.note ? ` · ${c.note}` : ""}
+                  </div>
+                </div>
+                <button onClick={() => remove(c)} style={{ fontSize: 11, padding: "2px 6px", cursor: "pointer" }}>Delete</button>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ borderTop: "1px solid var(--border)", paddingTop: 8 }}>
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>From a reference instrument ({deviceId || "select a device"})</div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6 }}>
+              <select value={reference.sensor} onChange={setRef("sensor")} style={fieldStyle}>
+                {RULE_METRICS.filter((m) => m.key !== "predicted_iaq").map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+              <input placeholder="Reference reading" value={reference.reference} onChange={setRef("reference")} style={fieldStyle} />
+              <select value={reference.mode} onChange={setRef("mode")} style={fieldStyle}>
+                <option value="offset">Offset (add difference)</option>
+                <option value="scale">Scale (multiply)</option>
+                <option value="point">Add calibration point</option>
+              </select>
+              <input
+                type="datetime-local" value={reference.when} onChange={setRef("when")} style={fieldStyle}
+                title="When the reference was read (empty = the latest reading)"
+              />
+              <label style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 12, gridColumn: "1 / -1" }}>
+                <input type="checkbox" checked={reference.allHistory} onChange={setRef("allHistory")} />
+                Also correct earlier readings
+              </label>
+            </div>
+            <button onClick={calibrateFromReference} disabled={!deviceId} style={{ ...btnPrimary, marginTop: 6, width: "100%" }}>
+              Calibrate against reference
+            </button>
+          </div>
+
+          <div style={{ borderTop: "1px solid var(--border)", paddingTop: 8 }}>
+            <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>Manual linear correction (value = raw × scale + offset)</div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 6 }}>
+              <select value={linear.sensor} onChange={setLin("sensor")} style={fieldStyle}>
+                {RULE_METRICS.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+              <input placeholder="Scale" value={linear.scale} onChange={setLin("scale")} style={fieldStyle} />
+              <input placeholder="Offset" value={linear.offset} onChange={setLin("offset")} style={fieldStyle} />
+              <label style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 12, gridColumn: "1 / -1" }}>
+                <input type="checkbox" checked={linear.allDevices} onChange={setLin("allDevices")} />
+                All devices (otherwise {deviceId || "the selected device"} only)
+              </label>
+            </div>
+            <button onClick={addLinear} disabled={!deviceId && !linear.allDevices} style={{ ...btnSecondary, marginTop: 6, width: "100%" }}>
+              Add version
+            </button>
+          </div>
+
+          <input
+            type="password" placeholder="Admin token (if the server requires one)" value={token}
+            onChange={(e) => saveToken(e.target.value)} style={fieldStyle}
+          />
+          {message && <div style={{ color: "#16a34a", fontSize: 12 }}>{message}</div>}
+          {error && <div style={{ color: "#ef4444", fontSize: 12 }}>{error}</div>}
+        </div>
+      )}
     </div>
   );
 }
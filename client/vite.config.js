@@ -6,6 +6,8 @@ export default defineConfig({
   server: {
     port: 5173,
     strictPort: true,
+    // App.jsx imports ../shared (AQI breakpoints shared with the server)
+    fs: { allow: [".."] },
     proxy: {
       "/history": "http://localhost:3000",
       "/latest": "http://localhost:3000",
@@ -0,0 +1,263 @@
+// ----- Accounts and households -----
+// Users log in with email + password and belong to one household; a household owns
+// devices (and through them readings, episodes, forecasts, alerts), its family profile,
+// alert rules and assistant conversations. index.js scopes every user route to the
+// caller's household.
+//
+// Passwords are hashed with scrypt (random salt per user). A login creates a session
+// whose token is returned once and set as an HttpOnly cookie; only its SHA-256 is
+// stored. API clients can send it as a bearer token instead of the cookie.
+//
+// Existing installs keep working without logging in: everything that existed before
+// accounts belongs to the default household, and until the first user registers,
+// requests without a session act as that household. The first user to register joins
+// it; later users get a household of their own unless they register with an invite.
+import crypto from "crypto";
+import { promisify } from "util";
+import { run, get, all, transaction } from "./sqlite.js";
+
+export const DEFAULT_HOUSEHOLD_ID = 1;
+export const SESSION_COOKIE = "iaq_session";
+export const REGISTRATION_MODES = ["open", "invite", "closed"];
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+const SESSION_PREFIX = "iaqs_";
+const INVITE_DAYS = 7;
+const EMAIL_RE = /^[^\s@]{1,64}@[^\s@]{1,190}\.[^\s@]{2,}$/;
+const MIN_PASSWORD = 8;
+
+const nowS = () => Math.floor(Date.now() / 1000);
+const sha256 = (text) => crypto.createHash("sha256").update(String(text)).digest("hex");
+
+// Called from the schema setup in index.js (inside db.serialize)
+export function createAccountTables(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS households (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    created_ts INTEGER
+  )`);
+  // Owner of everything stored before accounts existed
+  db.run("INSERT OR IGNORE INTO households (id, name, created_ts) VALUES (?, 'Home', ?)", [DEFAULT_HOUSEHOLD_ID, nowS()]);
+  db.run(`CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    household_id INTEGER NOT NULL,
+    email TEXT NOT NULL UNIQUE,   -- lower-cased
+    name TEXT,
+    password_hash TEXT NOT NULL,  -- scrypt$N$r$p$salt$hash (base64)
+    created_ts INTEGER,
+    last_login_ts INTEGER
+  )`);
+  db.run(`CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_ts INTEGER,
+    expires_ts INTEGER NOT NULL,
+    last_used_ts INTEGER,
+    revoked_ts INTEGER
+  )`);
+  db.run(`CREATE TABLE IF NOT EXISTS household_invites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    household_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL UNIQUE,
+    created_by INTEGER,
+    created_ts INTEGER,
+    expires_ts INTEGER NOT NULL,
+    used_by INTEGER,
+    used_ts INTEGER
+  )`);
+}
+
+// REGISTRATION in .env: open (default), invite (an invite code is required) or closed.
+// The first account can always be created.
+export function registrationMode() {
+  const mode = String(process.env.REGISTRATION || "").trim().toLowerCase();
+  return REGISTRATION_MODES.includes(mode) ? mode : "open";
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [kind, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (kind !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const given = await scrypt(String(password), Buffer.from(salt, "base64"), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// Validate a register/login body. Returns { email, password, name? } or { error }.
+export function validateCredentials(body, { register = false } = {}) {
+  const email = String(body?.email || "").trim().toLowerCase();
+  const password = typeof body?.password === "string" ? body.password : "";
+  if (!EMAIL_RE.test(email)) return { error: "A valid email is required" };
+  if (!password) return { error: "password is required" };
+  if (!register) return { email, password };
+  if (password.length < MIN_PASSWORD) return { error: `password must be at least ${MIN_PASSWORD} characters` };
+  if (password.length > 1024) return { error: "password is too long" };
+  const name = body?.name === undefined ? null : String(body.name).trim().slice(0, 128) || null;
+  return { email, password, name };
+}
+
+const publicUser = (u) => (u ? { id: u.id, email: u.email, name: u.name, household_id: u.household_id, created_ts: u.created_ts } : null);
+
+// options.sessionDays -> session lifetime (SESSION_DAYS, default 30)
+export function createAccounts(db, { sessionDays = 30 } = {}) {
+  const deviceHouseholds = new Map(); // device id -> household id (devices.household_id)
+  let userCount = 0;
+
+  // Device ownership is needed synchronously (SSE fan-out), so it is cached. Both queries
+  // finish before the cache changes, so a failed reload keeps the previous state.
+  async function load() {
+    const devices = await all(db, "SELECT id, household_id FROM devices");
+    const users = (await get(db, "SELECT COUNT(*) AS n FROM users"))?.n || 0;
+    deviceHouseholds.clear();
+    for (const d of devices) deviceHouseholds.set(d.id, d.household_id ?? DEFAULT_HOUSEHOLD_ID);
+    userCount = users;
+  }
+
+  // Until someone registers, the dashboard works without logging in
+  const hasUsers = () => userCount > 0;
+
+  // Devices nobody assigned (e.g. first seen before accounts) belong to the default household
+  const householdOf = (deviceId) => deviceHouseholds.get(deviceId) ?? DEFAULT_HOUSEHOLD_ID;
+
+  async function householdDevices(householdId) {
+    const rows = await all(db, "SELECT id FROM devices WHERE COALESCE(household_id, ?) = ? ORDER BY id", [DEFAULT_HOUSEHOLD_ID, householdId]);
+    return rows.map((r) => r.id);
+  }
+
+  // Creates the device row if needed; the only place devices change household
+  async function assignDevice(deviceId, householdId) {
+    await run(
+      db,
+      `INSERT INTO devices (id, household_id, created_ts) VALUES (?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET household_id = excluded.household_id`,
+      [deviceId, householdId, nowS()]
+    );
+    deviceHouseholds.set(deviceId, householdId);
+  }
+
+  async function getHousehold(id) {
+    return get(db, "SELECT * FROM households WHERE id = ?", [id]);
+  }
+
+  async function householdMembers(householdId) {
+    const rows = await all(db, "SELECT * FROM users WHERE household_id = ? ORDER BY id", [householdId]);
+    return rows.map(publicUser);
+  }
+
+  async function createSession(user) {
+    const token = `${SESSION_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    const now = nowS();
+    const expires_ts = now + Math.round(sessionDays * 86400);
+    await run(db, "INSERT INTO sessions (user_id, token_hash, created_ts, expires_ts, last_used_ts) VALUES (?, ?, ?, ?, ?)", [
+      user.id, sha256(token), now, expires_ts, now,
+    ]);
+    await run(db, "UPDATE users SET last_login_ts = ? WHERE id = ?", [now, user.id]);
+    return { token, expires_ts, user: publicUser(user), household: await getHousehold(user.household_id) };
+  }
+
+  // { email, password, name?, household?, invite? } -> session, or { status, error }.
+  // The checks and inserts share one transaction, so two first registrations can't both
+  // join the default household.
+  async function register({ email, password, name, household, invite }) {
+    const mode = registrationMode();
+    const passwordHash = await hashPassword(password);
+    let created;
+    try {
+      created = await transaction(db, async () => {
+        const users = (await get(db, "SELECT COUNT(*) AS n FROM users"))?.n || 0;
+        if (users && mode === "closed") return { status: 403, error: "Registration is closed" };
+        if (users && mode === "invite" && !invite) return { status: 403, error: "An invite code is required to register" };
+        if (await get(db, "SELECT id FROM users WHERE email = ?", [email])) return { status: 409, error: "Email is already registered" };
+
+        const now = nowS();
+        let householdId;
+        let inviteRow = null;
+        if (invite) {
+          inviteRow = await get(db, "SELECT * FROM household_invites WHERE code_hash = ? AND used_ts IS NULL AND expires_ts > ?", [sha256(invite), now]);
+          if (!inviteRow) return { status: 400, error: "Invalid or expired invite code" };
+          householdId = inviteRow.household_id;
+        } else if (!users) {
+          householdId = DEFAULT_HOUSEHOLD_ID;
+          if (household) await run(db, "UPDATE households SET name = ? WHERE id = ?", [String(household).slice(0, 128), householdId]);
+        } else {
+          const label = String(household || (name ? `${name}'s home` : "Home")).slice(0, 128);
+          householdId = (await run(db, "INSERT INTO households (name, created_ts) VALUES (?, ?)", [label, now])).lastID;
+        }
+
+        const { lastID } = await run(db, "INSERT INTO users (household_id, email, name, password_hash, created_ts) VALUES (?, ?, ?, ?, ?)", [
+          householdId, email, name, passwordHash, now,
+        ]);
+        if (inviteRow) await run(db, "UPDATE household_invites SET used_by = ?, used_ts = ? WHERE id = ?", [lastID, now, inviteRow.id]);
+        return { id: lastID, users: users + 1 };
+      });
+    } catch (e) {
+      // The email check above covers this connection; another one (a second process) may still race
+      if (e.code === "SQLITE_CONSTRAINT") return { status: 409, error: "Email is already registered" };
+      throw e;
+    }
+    if (created.error) return created;
+    userCount = Math.max(userCount, created.users);
+    return createSession(await get(db, "SELECT * FROM users WHERE id = ?", [created.id]));
+  }
+
+  // -> session, or null for an unknown email / wrong password
+  async function login({ email, password }) {
+    const user = await get(db, "SELECT * FROM users WHERE email = ?", [email]);
+    // Hash anyway so unknown emails take as long as wrong passwords
+    const ok = await verifyPassword(password, user?.password_hash || (await hashPassword("")));
+    return user && ok ? createSession(user) : null;
+  }
+
+  async function logout(token) {
+    await run(db, "UPDATE sessions SET revoked_ts = ? WHERE token_hash = ? AND revoked_ts IS NULL", [nowS(), sha256(token)]);
+  }
+
+  // Session token -> { user, householdId } (null if unknown, expired or revoked)
+  async function resolve(token) {
+    if (!token) return null;
+    const now = nowS();
+    const row = await get(
+      db,
+      `SELECT s.id AS session_id, s.last_used_ts, u.* FROM sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.token_hash = ? AND s.revoked_ts IS NULL AND s.expires_ts > ?`,
+      [sha256(token), now]
+    );
+    if (!row) return null;
+    // Write at most once a minute per session
+    if (now - (row.last_used_ts || 0) >= 60) await run(db, "UPDATE sessions SET last_used_ts = ? WHERE id = ?", [now, row.session_id]);
+    return { user: publicUser(row), householdId: row.household_id };
+  }
+
+  // -> { code, expires_ts }; the plaintext code is returned only here
+  async function createInvite(householdId, userId) {
+    const code = crypto.randomBytes(9).toString("base64url");
+    const now = nowS();
+    const expires_ts = now + INVITE_DAYS * 86400;
+    await run(db, "INSERT INTO household_invites (household_id, code_hash, created_by, created_ts, expires_ts) VALUES (?, ?, ?, ?, ?)", [
+      householdId, sha256(code), userId ?? null, now, expires_ts,
+    ]);
+    return { code, expires_ts };
+  }
+
+  return {
+    load,
+    hasUsers,
+    householdOf,
+    householdDevices,
+    assignDevice,
+    getHousehold,
+    householdMembers,
+    register,
+    login,
+    logout,
+    resolve,
+    createInvite,
+  };
+}
@@ -0,0 +1,250 @@
+// ----- Forecast accuracy -----
+// Scores IAQ predictions against the current_iaq actually observed at their target time:
+// the device's 5-minute predicted_iaq (from `readings`, so history from before the
+// forecasts table counts too) and the server forecasts in `forecasts` (5/15/60 min).
+//
+// A background job matches each prediction with the reading nearest its target time
+// (within MATCH_WINDOW_S) and stores sums per device, source, horizon, UTC day and
+// (actual, predicted) IAQ category in `forecast_accuracy`. MAE/RMSE/bias per day or
+// category and the confusion matrix are all sums over that table. Like the rollups,
+// each run recomputes whole days (those touched by new rows, plus today and
+// yesterday for predictions whose outcome has just arrived), so it is idempotent.
+import { run, get, all, getSetting, setSetting, deviceFilter } from "./sqlite.js";
+import { IAQ_CATEGORIES, iaqCategory } from "../shared/aqi.js";
+
+const DEVICE_HORIZON = 5;
+const MATCH_WINDOW_S = 90;
+const DAY = 86400;
+
+const categoryKey = (value) => iaqCategory(value).key;
+
+// Called from the schema setup in index.js (inside db.serialize)
+export function createAccuracyTables(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS forecast_accuracy (
+    device_id TEXT NOT NULL,
+    source TEXT NOT NULL,          -- 'device' | 'server'
+    horizon_min INTEGER NOT NULL,
+    day_ts INTEGER NOT NULL,       -- UTC day of the prediction
+    actual_cat TEXT NOT NULL,
+    predicted_cat TEXT NOT NULL,
+    n INTEGER NOT NULL,
+    sum_err REAL NOT NULL,         -- predicted - actual
+    sum_abs_err REAL NOT NULL,
+    sum_sq_err REAL NOT NULL,
+    PRIMARY KEY (device_id, source, horizon_min, day_ts, actual_cat, predicted_cat)
+  )`);
+}
+
+const MAX_HORIZON_S = 3600; // longest server horizon
+
+// Observed current_iaq per device (ascending ts) -> lookup of the reading nearest a target time
+function outcomeIndex(rows) {
+  const byDevice = new Map();
+  for (const r of rows) {
+    const d = byDevice.get(r.device_id) || { ts: [], value: [] };
+    d.ts.push(r.ts);
+    d.value.push(r.current_iaq);
+    byDevice.set(r.device_id, d);
+  }
+  return (deviceId, target) => {
+    const d = byDevice.get(deviceId);
+    if (!d) return null;
+    let lo = 0;
+    let hi = d.ts.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (d.ts[mid] < target) lo = mid + 1;
+      else hi = mid;
+    }
+    let best = null;
+    for (const i of [lo - 1, lo]) {
+      if (i < 0 || i >= d.ts.length) continue;
+      const dist = Math.abs(d.ts[i] - target);
+      if (dist <= MATCH_WINDOW_S && (best === null || dist < Math.abs(d.ts[best] - target))) best = i;
+    }
+    return best === null ? null : d.value[best];
+  };
+}
+
+function summarize(acc) {
+  if (!acc.n) return { n: 0, mae: null, rmse: null, bias: null };
+  const r = (v) => Math.round(v * 100) / 100;
+  return { n: acc.n, mae: r(acc.abs / acc.n), rmse: r(Math.sqrt(acc.sq / acc.n)), bias: r(acc.err / acc.n) };
+}
+
+function addTo(map, key, row) {
+  const acc = map.get(key) || { n: 0, err: 0, abs: 0, sq: 0 };
+  acc.n += row.n;
+  acc.err += row.sum_err;
+  acc.abs += row.sum_abs_err;
+  acc.sq += row.sum_sq_err;
+  map.set(key, acc);
+}
+
+// options.adjust(row) -> display view of a reading; predictions and outcomes are
+// compared on the scale the dashboard shows
+export function createAccuracyTracker(db, { adjust = (r) => r } = {}) {
+  let running = false;
+
+  // Matched (prediction, outcome) pairs issued during one UTC day
+  async function dayPairs(dayTs) {
+    const outcomes = outcomeIndex(
+      await all(
+        db,
+        "SELECT device_id, ts, current_iaq FROM readings WHERE ts >= ? AND ts < ? AND current_iaq IS NOT NULL ORDER BY ts ASC",
+        [dayTs - MATCH_WINDOW_S, dayTs + DAY + MAX_HORIZON_S + MATCH_WINDOW_S]
+      )
+    );
+    const device = await all(
+      db,
+      `SELECT device_id, ts, predicted_iaq, predicted_source FROM readings
+       WHERE ts >= ? AND ts < ? AND (predicted_source = 'device' OR predicted_source IS NULL)`,
+      [dayTs, dayTs + DAY]
+    );
+    const server = await all(
+      db,
+      "SELECT device_id, horizon_min, target_ts, iaq FROM forecasts WHERE source = 'server' AND issued_ts >= ? AND issued_ts < ?",
+      [dayTs, dayTs + DAY]
+    );
+    const observed = (deviceId, target) => {
+      const value = outcomes(deviceId, target);
+      return value === null ? null : adjust({ device_id: deviceId, ts: target, current_iaq: value }).current_iaq;
+    };
+    const pairs = [];
+    for (const p of device) {
+      const actual = observed(p.device_id, p.ts + DEVICE_HORIZON * 60);
+      if (actual === null) continue;
+      const view = adjust({ device_id: p.device_id, ts: p.ts, predicted_iaq: p.predicted_iaq, predicted_source: p.predicted_source });
+      pairs.push({ device_id: p.device_id, source: "device", horizon_min: DEVICE_HORIZON, predicted: view.predicted_iaq, actual });
+    }
+    for (const f of server) {
+      const actual = observed(f.device_id, f.target_ts);
+      if (actual === null) continue;
+      const issued = f.target_ts - f.horizon_min * 60;
+      const predicted = adjust({ device_id: f.device_id, ts: issued, predicted_iaq: f.iaq, predicted_source: "server" }).predicted_iaq;
+      pairs.push({ device_id: f.device_id, source: "server", horizon_min: f.horizon_min, predicted, actual });
+    }
+    return pairs;
+  }
+
+  async function recomputeDay(dayTs) {
+    const groups = new Map();
+    for (const p of await dayPairs(dayTs)) {
+      if (!Number.isFinite(p.predicted) || !Number.isFinite(p.actual)) continue;
+      const actualCat = categoryKey(p.actual);
+      const predictedCat = categoryKey(p.predicted);
+      const key = [p.device_id, p.source, p.horizon_min, actualCat, predictedCat].join("|");
+      const g = groups.get(key) || { device_id: p.device_id, source: p.source, horizon_min: p.horizon_min, actualCat, predictedCat, n: 0, err: 0, abs: 0, sq: 0 };
+      const err = p.predicted - p.actual;
+      g.n += 1;
+      g.err += err;
+      g.abs += Math.abs(err);
+      g.sq += err * err;
+      groups.set(key, g);
+    }
+    await run(db, "DELETE FROM forecast_accuracy WHERE day_ts = ?", [dayTs]);
+    const rows = [...groups.values()];
+    for (let i = 0; i < rows.length; i += 100) {
+      const chunk = rows.slice(i, i + 100);
+      await run(
+        db,
+        `INSERT INTO forecast_accuracy (device_id, source, horizon_min, day_ts, actual_cat, predicted_cat, n, sum_err, sum_abs_err, sum_sq_err)
+         VALUES ${chunk.map(() => "(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)").join(", ")}`,
+        chunk.flatMap((g) => [g.device_id, g.source, g.horizon_min, dayTs, g.actualCat, g.predictedCat, g.n, g.err, g.abs, g.sq])
+      );
+    }
+    return rows.length;
+  }
+
+  // Recompute the days touched since the last run. Returns { days }.
+  async function runEvaluation() {
+    if (running) return { days: 0, skipped: true };
+    running = true;
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      const lastReading = Number(await getSetting(db, "accuracy.last_reading_id")) || 0;
+      const lastForecast = Number(await getSetting(db, "accuracy.last_forecast_id")) || 0;
+      const maxReading = (await get(db, "SELECT MAX(id) AS id FROM readings"))?.id || 0;
+      const maxForecast = (await get(db, "SELECT MAX(id) AS id FROM forecasts"))?.id || 0;
+      const touched = await all(
+        db,
+        `SELECT DISTINCT CAST(ts AS INTEGER) / ${DAY} * ${DAY} AS day FROM readings WHERE id > ? AND id <= ?
+         UNION SELECT DISTINCT issued_ts / ${DAY} * ${DAY} FROM forecasts WHERE id > ? AND id <= ?`,
+        [lastReading, maxReading, lastForecast, maxForecast]
+      );
+      const days = new Set(touched.map((t) => t.day));
+      // Predictions whose outcomes arrived since the last run (up to an hour later)
+      days.add(Math.floor(now / DAY) * DAY);
+      days.add(Math.floor((now - MAX_HORIZON_S - MATCH_WINDOW_S) / DAY) * DAY);
+      // Days whose raw readings were pruned keep their stored scores
+      const prunedBefore = Number(await getSetting(db, "prune.cutoff_ts")) || 0;
+      const todo = [...days].filter((d) => d >= prunedBefore).sort((a, b) => a - b);
+      for (const day of todo) await recomputeDay(day);
+      await setSetting(db, "accuracy.last_reading_id", maxReading);
+      await setSetting(db, "accuracy.last_forecast_id", maxForecast);
+      await setSetting(db, "accuracy.last_run_ts", now);
+      return { days: todo.length };
+    } finally {
+      running = false;
+    }
+  }
+
+  // Scores per source for a range of UTC days: overall, per day, per actual category
+  // and a confusion matrix (rows = actual category, columns = predicted category)
+  async function summary({ device, source, horizon = DEVICE_HORIZON, from, to }) {
+    const where = ["horizon_min = ?", "day_ts >= ?", "day_ts <= ?"];
+    const params = [horizon, Math.floor(from / DAY) * DAY, to];
+    const byDevice = deviceFilter(device);
+    if (byDevice) { where.push(byDevice.sql); params.push(...byDevice.params); }
+    if (source) { where.push("source = ?"); params.push(source); }
+    const rows = await all(
+      db,
+      `SELECT source, day_ts, actual_cat, predicted_cat,
+              SUM(n) AS n, SUM(sum_err) AS sum_err, SUM(sum_abs_err) AS sum_abs_err, SUM(sum_sq_err) AS sum_sq_err
+       FROM forecast_accuracy WHERE ${where.join(" AND ")}
+       GROUP BY source, day_ts, actual_cat, predicted_cat`,
+      params
+    );
+    const keys = IAQ_CATEGORIES.map((c) => c.key);
+    const sources = {};
+    for (const src of [...new Set(rows.map((r) => r.source))].sort()) {
+      const overall = new Map();
+      const days = new Map();
+      const categories = new Map();
+      const matrix = keys.map(() => keys.map(() => 0));
+      for (const row of rows.filter((r) => r.source === src)) {
+        addTo(overall, "all", row);
+        addTo(days, row.day_ts, row);
+        addTo(categories, row.actual_cat, row);
+        matrix[keys.indexOf(row.actual_cat)][keys.indexOf(row.predicted_cat)] += row.n;
+      }
+      const total = overall.get("all")?.n || 0;
+      const hits = keys.reduce((sum, _, i) => sum + matrix[i][i], 0);
+      sources[src] = {
+        ...summarize(overall.get("all") || {}),
+        category_accuracy: total ? Math.round((hits / total) * 1000) / 1000 : null,
+        days: [...days.entries()].sort((a, b) => a[0] - b[0]).map(([day, acc]) => ({ day, ...summarize(acc) })),
+        categories: keys.filter((k) => categories.has(k)).map((k) => ({ category: k, ...summarize(categories.get(k)) })),
+        confusion: matrix,
+      };
+    }
+    const lastRun = await getSetting(db, "accuracy.last_run_ts");
+    return {
+      horizon,
+      from: Math.floor(from / DAY) * DAY,
+      to,
+      categories: IAQ_CATEGORIES.map(({ key, label }) => ({ key, label })),
+      last_run_ts: lastRun === null ? null : Number(lastRun),
+      sources,
+    };
+  }
+
+  // Background schedule: first run shortly after start, then every `intervalMs`
+  function start(intervalMs = 600000) {
+    const tick = () => runEvaluation().catch((e) => console.warn("[accuracy] failed:", e.message));
+    setTimeout(tick, 20000);
+    setInterval(tick, intervalMs);
+  }
+
+  return { run: runEvaluation, summary, start };
+}
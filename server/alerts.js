@@ -0,0 +1,313 @@
+// ----- Threshold alerting -----
+// User-defined rules such as "CO > 9 ppm sustained for 5 minutes" or
+// "PM2.5 average over 15 minutes > 35", evaluated server-side whenever a reading
+// is stored. Open/close transitions are persisted in `alerts` and reported through
+// `onEvent` (index.js pushes them over SSE as a named `alert` event).
+//
+// A rule opens when its value crosses the threshold and closes once the value is
+// back past the threshold by `hysteresis`; after closing it cannot reopen for the
+// same device until `cooldown_s` has elapsed.
+import { SENSOR_COLUMNS } from "./sensors.js";
+import { run, get, all, deviceFilter } from "./sqlite.js";
+import { DEFAULT_HOUSEHOLD_ID } from "./accounts.js";
+
+export const RULE_AGGS = ["last", "avg", "min", "max", "sustained"];
+export const RULE_OPS = [">", "<"];
+export const RULE_SEVERITIES = ["info", "warning", "critical"];
+
+// Called from the schema setup in index.js (inside db.serialize)
+export function createAlertTables(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    device_id TEXT,            -- NULL = every device
+    metric TEXT NOT NULL,      -- one of SENSOR_COLUMNS
+    op TEXT NOT NULL,          -- '>' or '<'
+    threshold REAL NOT NULL,
+    agg TEXT NOT NULL DEFAULT 'last',
+    window_s INTEGER NOT NULL DEFAULT 0,
+    hysteresis REAL NOT NULL DEFAULT 0,
+    cooldown_s INTEGER NOT NULL DEFAULT 0,
+    severity TEXT NOT NULL DEFAULT 'warning',
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_ts INTEGER,
+    updated_ts INTEGER
+  )`);
+  db.run(`CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL,
+    device_id TEXT NOT NULL,
+    opened_ts INTEGER NOT NULL,
+    closed_ts INTEGER,
+    open_value REAL,
+    peak_value REAL,
+    close_value REAL,
+    acknowledged_ts INTEGER,
+    message TEXT
+  )`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_alerts_rule_device ON alerts (rule_id, device_id, closed_ts)`);
+  // Rules belong to a household (accounts.js); rules created before accounts go to the default one
+  db.run(`ALTER TABLE alert_rules ADD COLUMN household_id INTEGER NOT NULL DEFAULT ${DEFAULT_HOUSEHOLD_ID}`, (err) => {
+    if (err && !/(duplicate column|already exists|duplicate column name)/i.test(err.message)) {
+      console.warn("[DB] Failed to add alert_rules.household_id column:", err.message);
+    }
+  });
+}
+
+// Validate a rule payload (full for create, partial for update). Returns { rule } or { error }.
+export function validateRule(body, { partial = false } = {}) {
+  const b = body || {};
+  const rule = {};
+  const has = (k) => b[k] !== undefined;
+  const num = (v) => typeof v === "number" && Number.isFinite(v);
+
+  if (has("name") || !partial) {
+    const name = String(b.name || "").trim().slice(0, 128);
+    if (!name) return { error: "name is required" };
+    rule.name = name;
+  }
+  if (has("device_id")) {
+    if (b.device_id !== null && !/^[A-Za-z0-9._:-]{1,64}$/.test(String(b.device_id))) return { error: "Invalid device_id" };
+    rule.device_id = b.device_id === null || b.device_id === "" ? null : String(b.device_id);
+  }
+  if (has("metric") || !partial) {
+    if (!SENSOR_COLUMNS.includes(b.metric)) return { error: `metric must be one of ${SENSOR_COLUMNS.join(", ")}` };
+    rule.metric = b.metric;
+  }
+  if (has("op") || !partial) {
+    if (!RULE_OPS.includes(b.op)) return { error: "op must be '>' or '<'" };
+    rule.op = b.op;
+  }
+  if (has("threshold") || !partial) {
+    if (!num(b.threshold)) return { error: "threshold must be a number" };
+    rule.threshold = b.threshold;
+  }
+  if (has("agg")) {
+    if (!RULE_AGGS.includes(b.agg)) return { error: `agg must be one of ${RULE_AGGS.join(", ")}` };
+    rule.agg = b.agg;
+  }
+  for (const key of ["window_s", "cooldown_s"]) {
+    if (has(key)) {
+      if (!num(b[key]) || b[key] < 0 || b[key] > 7 * 86400) return { error: `${key} must be between 0 and 604800` };
+      rule[key] = Math.floor(b[key]);
+    }
+  }
+  if (has("hysteresis")) {
+    if (!num(b.hysteresis) || b.hysteresis < 0) return { error: "hysteresis must be a non-negative number" };
+    rule.hysteresis = b.hysteresis;
+  }
+  if (has("severity")) {
+    if (!RULE_SEVERITIES.includes(b.severity)) return { error: `severity must be one of ${RULE_SEVERITIES.join(", ")}` };
+    rule.severity = b.severity;
+  }
+  if (has("enabled")) rule.enabled = b.enabled ? 1 : 0;
+  if (!partial && rule.agg && rule.agg !== "last" && !rule.window_s) {
+    return { error: "window_s is required for windowed rules" };
+  }
+  return { rule };
+}
+
+export function describeRule(rule) {
+  const metric = rule.metric;
+  const windowMin = Math.round((rule.window_s || 0) / 60);
+  if (rule.agg === "sustained") return `${metric} ${rule.op} ${rule.threshold} for ${windowMin} min`;
+  if (rule.agg && rule.agg !== "last" && rule.window_s) return `${metric} ${rule.agg} over ${windowMin} min ${rule.op} ${rule.threshold}`;
+  return `${metric} ${rule.op} ${rule.threshold}`;
+}
+
+function aggregate(values, agg, op) {
+  if (!values.length) return null;
+  switch (agg) {
+    case "avg":
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    case "min":
+      return Math.min(...values);
+    case "max":
+      return Math.max(...values);
+    case "sustained":
+      // Every sample in the window must be past the threshold
+      return op === ">" ? Math.min(...values) : Math.max(...values);
+    default:
+      return values[values.length - 1];
+  }
+}
+
+// options.adjust(row) maps a stored row to the values users see (display offsets etc.)
+// options.onEvent({ type, device_id, alert }) is called for opened/closed/acknowledged.
+// options.householdOf(deviceId) -> household whose rules apply to the device's readings.
+export function createAlertEngine(db, { adjust = (r) => r, onEvent = () => {}, householdOf = () => DEFAULT_HOUSEHOLD_ID } = {}) {
+  let queue = Promise.resolve();
+
+  async function ruleValue(rule, row) {
+    const latest = adjust(row)[rule.metric];
+    if (rule.agg === "last" || !rule.window_s) {
+      return typeof latest === "number" && Number.isFinite(latest) ? latest : null;
+    }
+    const rows = await all(
+      db,
+      `SELECT * FROM readings WHERE device_id = ? AND ts >= ? AND ts <= ? ORDER BY ts ASC`,
+      [row.device_id, row.ts - rule.window_s, row.ts]
+    );
+    // "For 5 minutes" needs data that actually spans (most of) the window
+    if (!rows.length || rows[0].ts > row.ts - rule.window_s * 0.9) return null;
+    const values = rows.map((r) => adjust(r)[rule.metric]).filter((v) => typeof v === "number" && Number.isFinite(v));
+    return aggregate(values, rule.agg, rule.op);
+  }
+
+  async function evaluateRule(rule, row) {
+    const value = await ruleValue(rule, row);
+    if (value === null) return;
+    const open = await get(
+      db,
+      "SELECT * FROM alerts WHERE rule_id = ? AND device_id = ? AND closed_ts IS NULL ORDER BY id DESC LIMIT 1",
+      [rule.id, row.device_id]
+    );
+
+    const breached = rule.op === ">" ? value > rule.threshold : value < rule.threshold;
+    if (!open) {
+      if (!breached) return;
+      if (rule.cooldown_s) {
+        const last = await get(
+          db,
+          "SELECT closed_ts FROM alerts WHERE rule_id = ? AND device_id = ? AND closed_ts IS NOT NULL ORDER BY closed_ts DESC LIMIT 1",
+          [rule.id, row.device_id]
+        );
+        if (last && row.ts - last.closed_ts < rule.cooldown_s) return;
+      }
+      const message = `${rule.name}: ${describeRule(rule)} (now ${round(value)})`;
+      const { lastID } = await run(
+        db,
+        "INSERT INTO alerts (rule_id, device_id, opened_ts, open_value, peak_value, message) VALUES (?, ?, ?, ?, ?, ?)",
+        [rule.id, row.device_id, row.ts, value, value, message]
+      );
+      const alert = await getAlert(lastID);
+      onEvent({ type: "opened", device_id: row.device_id, alert });
+      return;
+    }
+
+    const cleared = rule.op === ">"
+      ? value < rule.threshold - (rule.hysteresis || 0)
+      : value > rule.threshold + (rule.hysteresis || 0);
+    if (cleared) {
+      await run(db, "UPDATE alerts SET closed_ts = ?, close_value = ? WHERE id = ?", [row.ts, value, open.id]);
+      onEvent({ type: "closed", device_id: row.device_id, alert: await getAlert(open.id) });
+      return;
+    }
+    const worse = rule.op === ">" ? value > open.peak_value : value < open.peak_value;
+    if (worse) await run(db, "UPDATE alerts SET peak_value = ? WHERE id = ?", [value, open.id]);
+  }
+
+  async function evaluateNow(row) {
+    const rules = await all(
+      db,
+      "SELECT * FROM alert_rules WHERE enabled = 1 AND household_id = ? AND (device_id IS NULL OR device_id = ?)",
+      [householdOf(row.device_id), row.device_id]
+    );
+    for (const rule of rules) {
+      try {
+        await evaluateRule(rule, row);
+      } catch (e) {
+        console.warn(`[alerts] rule ${rule.id} failed:`, e.message);
+      }
+    }
+  }
+
+  // Evaluations run one at a time so two quick readings can't open the same alert twice
+  function evaluate(row) {
+    queue = queue.then(() => evaluateNow(row)).catch((e) => console.warn("[alerts] evaluation failed:", e.message));
+    return queue;
+  }
+
+  async function getAlert(id) {
+    return get(
+      db,
+      `SELECT a.*, r.name AS rule_name, r.metric, r.severity FROM alerts a
+       LEFT JOIN alert_rules r ON r.id = a.rule_id WHERE a.id = ?`,
+      [id]
+    );
+  }
+
+  async function listAlerts({ device, status = "all", limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    const byDevice = deviceFilter(device, "a.device_id");
+    if (byDevice) { where.push(byDevice.sql); params.push(...byDevice.params); }
+    if (status === "open") where.push("a.closed_ts IS NULL");
+    if (status === "unacknowledged") where.push("a.acknowledged_ts IS NULL");
+    return all(
+      db,
+      `SELECT a.*, r.name AS rule_name, r.metric, r.severity FROM alerts a
+       LEFT JOIN alert_rules r ON r.id = a.rule_id
+       ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY a.opened_ts DESC, a.id DESC LIMIT ?`,
+      [...params, limit]
+    );
+  }
+
+  async function acknowledge(id) {
+    const { changes } = await run(
+      db,
+      "UPDATE alerts SET acknowledged_ts = ? WHERE id = ? AND acknowledged_ts IS NULL",
+      [Math.floor(Date.now() / 1000), id]
+    );
+    const alert = await getAlert(id);
+    if (changes && alert) onEvent({ type: "acknowledged", device_id: alert.device_id, alert });
+    return alert;
+  }
+
+  // Rule CRUD is per household; a rule id from another household reads as missing
+  async function listRules(householdId = DEFAULT_HOUSEHOLD_ID) {
+    return all(db, "SELECT * FROM alert_rules WHERE household_id = ? ORDER BY id ASC", [householdId]);
+  }
+
+  async function getRule(id, householdId = DEFAULT_HOUSEHOLD_ID) {
+    return get(db, "SELECT * FROM alert_rules WHERE id = ? AND household_id = ?", [id, householdId]);
+  }
+
+  async function createRule(rule, householdId = DEFAULT_HOUSEHOLD_ID) {
+    const now = Math.floor(Date.now() / 1000);
+    const r = {
+      device_id: null, agg: "last", window_s: 0, hysteresis: 0, cooldown_s: 0, severity: "warning", enabled: 1,
+      ...rule,
+    };
+    const { lastID } = await run(
+      db,
+      `INSERT INTO alert_rules (household_id, name, device_id, metric, op, threshold, agg, window_s, hysteresis, cooldown_s, severity, enabled, created_ts, updated_ts)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [householdId, r.name, r.device_id, r.metric, r.op, r.threshold, r.agg, r.window_s, r.hysteresis, r.cooldown_s, r.severity, r.enabled, now, now]
+    );
+    return getRule(lastID, householdId);
+  }
+
+  async function updateRule(id, changes, householdId = DEFAULT_HOUSEHOLD_ID) {
+    if (!(await getRule(id, householdId))) return null;
+    const keys = Object.keys(changes);
+    if (keys.length) {
+      await run(
+        db,
+        `UPDATE alert_rules SET ${keys.map((k) => `${k} = ?`).join(", ")}, updated_ts = ? WHERE id = ?`,
+        [...keys.map((k) => changes[k]), Math.floor(Date.now() / 1000), id]
+      );
+    }
+    return getRule(id, householdId);
+  }
+
+  // Deleting a rule closes its open alerts, with the same `closed` event as a resolved one
+  // (read before the rule goes, so it still carries the rule's name); history stays
+  async function deleteRule(id, householdId = DEFAULT_HOUSEHOLD_ID) {
+    if (!(await getRule(id, householdId))) return false;
+    const now = Math.floor(Date.now() / 1000);
+    const open = await all(db, "SELECT id FROM alerts WHERE rule_id = ? AND closed_ts IS NULL", [id]);
+    await run(db, "UPDATE alerts SET closed_ts = ? WHERE rule_id = ? AND closed_ts IS NULL", [now, id]);
+    const closed = await Promise.all(open.map((a) => getAlert(a.id)));
+    const { changes } = await run(db, "DELETE FROM alert_rules WHERE id = ?", [id]);
+    for (const alert of closed) onEvent({ type: "closed", device_id: alert.device_id, alert });
+    return changes > 0;
+  }
+
+  return { evaluate, listAlerts, acknowledge, getAlert, listRules, getRule, createRule, updateRule, deleteRule };
+}
+
+function round(v) {
+  return Math.round(v * 100) / 100;
+}
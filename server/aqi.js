@@ -0,0 +1,99 @@
+// ----- AQI breakdown -----
+// Feeds shared/aqi.js with time-averaged concentrations from `readings`: per pollutant,
+// the mean over its scheme window (e.g. 24 h PM2.5, 8 h CO for US EPA) ending at the
+// latest reading. Averages are built from calibrated 1-minute means, and `coverage`
+// is the share of the window's hours that had any data (EPA counts hours the same way).
+// Values flagged bad at ingest (see quality.js) are left out.
+import { get, all, deviceFilter } from "./sqlite.js";
+import { sensorBit, usableReading } from "./quality.js";
+import {
+  AQI_SCHEMES,
+  AQI_AVERAGING,
+  DEFAULT_AQI_SCHEME,
+  INDOOR_GUIDANCE,
+  aqiWindows,
+  computeAqi,
+  isAqiScheme,
+} from "../shared/aqi.js";
+
+const CACHE_S = 60; // window averages barely move within a minute (instant results aren't cached)
+
+// Falls back to the default when AQI_SCHEME is unset or unknown
+export function defaultAqiScheme() {
+  const key = String(process.env.AQI_SCHEME || "").trim().toLowerCase();
+  return isAqiScheme(key) ? key : DEFAULT_AQI_SCHEME;
+}
+
+// options.adjust(row) -> calibrated view of a reading
+export function createAqiEngine(db, { adjust = (r) => r } = {}) {
+  const cache = new Map(); // `${device}|${scheme}|${averaging}` -> { until, result }
+
+  async function latestReading(device) {
+    const byDevice = deviceFilter(device);
+    return get(
+      db,
+      `SELECT * FROM readings ${byDevice ? `WHERE ${byDevice.sql}` : ""} ORDER BY ts DESC, id DESC LIMIT 1`,
+      byDevice ? byDevice.params : []
+    );
+  }
+
+  // pollutant -> { value, coverage } averaged over each window ending at `end`
+  async function windowAverages(deviceId, end, windows) {
+    const pollutants = Object.keys(windows);
+    const longest = Math.max(...Object.values(windows));
+    const minutes = await all(
+      db,
+      `SELECT ts / 60 AS minute,
+              ${pollutants.map((p) => `AVG(CASE WHEN COALESCE(bad_sensors, 0) & ${sensorBit(p)} = 0 THEN ${p} END) AS ${p}`).join(", ")}
+       FROM readings WHERE device_id = ? AND ts > ? AND ts <= ? GROUP BY 1`,
+      [deviceId, end - longest * 3600, end]
+    );
+    // Calibrate each minute mean with the version in force at the minute's end
+    const calibrated = minutes.map((m) => ({ minute: m.minute, ...adjust({ ...m, device_id: deviceId, ts: m.minute * 60 + 59 }) }));
+    const out = {};
+    for (const p of pollutants) {
+      const since = end - windows[p] * 3600;
+      let sum = 0;
+      let n = 0;
+      const hours = new Set();
+      for (const m of calibrated) {
+        if (m.minute * 60 + 59 <= since || typeof m[p] !== "number") continue;
+        sum += m[p];
+        n += 1;
+        hours.add(Math.floor(m.minute / 60));
+      }
+      out[p] = { value: n ? sum / n : null, coverage: Math.min(1, hours.size / windows[p]), window_h: windows[p] };
+    }
+    return out;
+  }
+
+  // { device?, scheme?, averaging? } -> computeAqi() result plus device_id / ts / averaging,
+  // or null when there are no readings
+  async function breakdown({ device, scheme = defaultAqiScheme(), averaging = "standard" } = {}) {
+    if (!isAqiScheme(scheme)) throw new Error(`Unknown AQI scheme (expected ${Object.keys(AQI_SCHEMES).join(", ")})`);
+    if (!AQI_AVERAGING.includes(averaging)) throw new Error(`Unknown averaging (expected ${AQI_AVERAGING.join(", ")})`);
+    const key = `${device || ""}|${scheme}|${averaging}`;
+    const now = Math.floor(Date.now() / 1000);
+    const hit = cache.get(key);
+    if (hit && hit.until > now) return hit.result;
+
+    const row = await latestReading(device);
+    if (!row) return null;
+    const latest = usableReading(adjust(row));
+    const windows = aqiWindows(scheme);
+    const values = averaging === "instant"
+      ? Object.fromEntries(Object.keys(windows).map((p) => [p, { value: latest[p], coverage: null, window_h: 0 }]))
+      : await windowAverages(row.device_id, row.ts, windows);
+    // Indoor-guidance pollutants are always rated on the latest reading
+    for (const p of Object.keys(INDOOR_GUIDANCE)) values[p] = latest[p];
+
+    const result = { ...computeAqi(scheme, values), averaging, device_id: row.device_id, ts: row.ts };
+    if (averaging === "standard") {
+      cache.set(key, { until: now + CACHE_S, result });
+      if (cache.size > 200) cache.delete(cache.keys().next().value);
+    }
+    return result;
+  }
+
+  return { breakdown };
+}
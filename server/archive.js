@@ -0,0 +1,498 @@
+// ----- Export and import archives -----
+// GET /export streams a household's data: readings (filtered by time range and device,
+// calibrated or raw) and optionally its family profile versions and alert rules/alerts.
+// Every timestamp keeps its Unix seconds field and gets an ISO 8601 twin in the requested
+// timezone (`time`, `opened_at`, ...). Formats:
+//   csv     readings only, one row per reading
+//   json    one document: { meta, devices, readings, profiles?, alert_rules?, alerts? }
+//   ndjson  one flat record per line, tagged with `type` (meta first), so each type can be
+//           loaded as its own table (Parquet, DuckDB, pandas)
+//
+// POST /import takes a json or ndjson archive exported with raw values and restores it into
+// the caller's household, e.g. to move to a new Raspberry Pi. It is checked in full first,
+// then written in one transaction, skipping what is already there (same device + ts,
+// profile version, rule, alert), so an interrupted import can be repeated.
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import readline from "readline";
+import { once } from "events";
+import { finished } from "stream/promises";
+import { run, get, all, transaction, deviceFilter } from "./sqlite.js";
+import { validateRule } from "./alerts.js";
+
+export const ARCHIVE_FORMAT = "iaq-archive";
+export const ARCHIVE_VERSION = 1;
+export const EXPORT_FORMATS = ["csv", "json", "ndjson"];
+export const EXPORT_INCLUDES = ["profiles", "alerts"];
+
+const READING_FIELDS = [
+  "id", "ts", "device_id", "pm25", "voc", "c2h5oh", "co", "predicted_iaq", "current_iaq",
+  "predicted_source", "quality", "quality_flags", "bad_sensors",
+];
+const REQUIRED_READING_FIELDS = ["pm25", "voc", "c2h5oh", "co", "predicted_iaq"];
+const DEVICE_FIELDS = ["id", "name", "room", "firmware_version", "created_ts", "last_seen_ts"];
+const RULE_FIELDS = [
+  "id", "name", "device_id", "metric", "op", "threshold", "agg", "window_s", "hysteresis",
+  "cooldown_s", "severity", "enabled", "created_ts", "updated_ts",
+];
+const ALERT_FIELDS = [
+  "id", "rule_id", "device_id", "opened_ts", "closed_ts", "open_value", "peak_value",
+  "close_value", "acknowledged_ts", "message",
+];
+const RULE_DEFAULTS = { agg: "last", window_s: 0, hysteresis: 0, cooldown_s: 0, severity: "warning", enabled: 1 };
+// Section of the json format -> record type in ndjson
+const SECTIONS = { devices: "device", readings: "reading", profiles: "profile", alert_rules: "alert_rule", alerts: "alert" };
+const PAGE = 5000;
+
+export class ArchiveError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ArchiveError";
+    this.status = status;
+  }
+}
+
+// Archive rule record -> validateRule input (exported nulls mean "not set")
+const ruleFields = (record) => Object.fromEntries(Object.entries(record).filter(([, v]) => v !== null));
+const pick = (row, fields) => Object.fromEntries(fields.map((f) => [f, row[f] ?? null]));
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// "UTC" (default), an IANA zone ("Asia/Kolkata") or a fixed offset ("+05:30")
+// -> ts => ISO 8601 with that zone's offset. Throws RangeError for an unknown zone.
+export function isoFormatter(timeZone = "UTC") {
+  const withOffset = (ts, minutes) => {
+    const local = new Date((Math.floor(ts) + minutes * 60) * 1000).toISOString().slice(0, 19);
+    if (!minutes) return `${local}Z`;
+    const abs = Math.abs(minutes);
+    return `${local}${minutes < 0 ? "-" : "+"}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+  };
+  const fixed = /^([+-])(\d{2}):?(\d{2})$/.exec(timeZone);
+  if (fixed) {
+    const minutes = (fixed[1] === "-" ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3]));
+    if (Math.abs(minutes) > 14 * 60) throw new RangeError(`Invalid offset ${timeZone}`);
+    return (ts) => (isNum(ts) ? withOffset(ts, minutes) : null);
+  }
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  return (ts) => {
+    if (!isNum(ts)) return null;
+    const p = Object.fromEntries(parts.formatToParts(new Date(Math.floor(ts) * 1000)).map((x) => [x.type, x.value]));
+    const local = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second));
+    return withOffset(ts, Math.round((local - Math.floor(ts) * 1000) / 60000));
+  };
+}
+
+// Query string -> { format, include, timeZone, iso } or { error } (from/to/device/raw are parsed by the route)
+export function parseExportOptions(query, { format: defaultFormat = "json" } = {}) {
+  const format = String(query.format || defaultFormat).toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) return { error: `format must be one of ${EXPORT_FORMATS.join(", ")}` };
+  const requested = String(query.include || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+  const include = requested.includes("all") ? [...EXPORT_INCLUDES] : requested;
+  const unknown = include.filter((i) => !EXPORT_INCLUDES.includes(i));
+  if (unknown.length) return { error: `Unknown include ${unknown.join(", ")} (use ${EXPORT_INCLUDES.join(", ")} or all)` };
+  if (format === "csv" && include.length) return { error: "CSV holds readings only; use json or ndjson to include profiles or alerts" };
+  const timeZone = String(query.tz || "UTC");
+  try {
+    return { format, include, timeZone, iso: isoFormatter(timeZone) };
+  } catch {
+    return { error: `Unknown timezone ${timeZone} (use an IANA name like Europe/Berlin or an offset like +05:30)` };
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// options.adjust(row) -> calibrated reading; options.profiles -> profile store (profiles.js);
+// options.normalizeDeviceId(value) -> valid device id or null; options.connect() -> a new
+// connection to the same database and options.profilesFor(connection) -> a profile store
+// on it (both for importFrom)
+export function createArchive(
+  db,
+  { adjust = (r) => r, profiles, connect, profilesFor, normalizeDeviceId = (v) => (typeof v === "string" && v ? v : null) } = {}
+) {
+  // ----- Export -----
+
+  // Readings in (ts, id) order, a page at a time
+  async function* readings(device, from, to) {
+    const byDevice = deviceFilter(device);
+    const where = [byDevice.sql];
+    const params = [...byDevice.params];
+    if (from !== undefined) { where.push("ts >= ?"); params.push(from); }
+    if (to !== undefined) { where.push("ts <= ?"); params.push(to); }
+    let after = null;
+    for (;;) {
+      const page = after
+        ? await all(db, `SELECT * FROM readings WHERE ${where.join(" AND ")} AND (ts > ? OR (ts = ? AND id > ?)) ORDER BY ts, id LIMIT ${PAGE}`, [
+            ...params, after.ts, after.ts, after.id,
+          ])
+        : await all(db, `SELECT * FROM readings WHERE ${where.join(" AND ")} ORDER BY ts, id LIMIT ${PAGE}`, params);
+      yield* page;
+      if (page.length < PAGE) return;
+      after = page[page.length - 1];
+    }
+  }
+
+  // Records of one section, ready to serialize
+  async function* section(name, { householdId, device, from, to, raw, iso }) {
+    const ids = [device].flat();
+    if (name === "devices") {
+      const byId = deviceFilter(ids, "id");
+      for (const d of await all(db, `SELECT * FROM devices WHERE ${byId.sql} ORDER BY id`, byId.params)) yield pick(d, DEVICE_FIELDS);
+    } else if (name === "readings") {
+      for await (const stored of readings(device, from, to)) {
+        const row = pick(raw ? stored : adjust(stored), READING_FIELDS);
+        yield { ...row, time: iso(row.ts) };
+      }
+    } else if (name === "profiles") {
+      // Oldest first, so an import rebuilds the history in order
+      for (const v of (await profiles.listVersions(householdId)).reverse()) {
+        const p = await profiles.getVersion(householdId, v.id);
+        if (p) yield { ...p, updated_at: iso(Math.floor(p.updated_ts / 1000)) };
+      }
+    } else if (name === "alert_rules") {
+      for (const r of await all(db, "SELECT * FROM alert_rules WHERE household_id = ? ORDER BY id", [householdId])) yield pick(r, RULE_FIELDS);
+    } else if (name === "alerts") {
+      const byDevice = deviceFilter(ids, "a.device_id");
+      const where = ["r.household_id = ?", byDevice.sql];
+      const params = [householdId, ...byDevice.params];
+      if (from !== undefined) { where.push("(a.closed_ts IS NULL OR a.closed_ts >= ?)"); params.push(from); }
+      if (to !== undefined) { where.push("a.opened_ts <= ?"); params.push(to); }
+      const rows = await all(db, `SELECT a.* FROM alerts a JOIN alert_rules r ON r.id = a.rule_id WHERE ${where.join(" AND ")} ORDER BY a.opened_ts, a.id`, params);
+      for (const a of rows) {
+        yield { ...pick(a, ALERT_FIELDS), opened_at: iso(a.opened_ts), closed_at: iso(a.closed_ts), acknowledged_at: iso(a.acknowledged_ts) };
+      }
+    }
+  }
+
+  // Streams the archive to `out` (an HTTP response), respecting backpressure.
+  // options: { format, include, timeZone, iso, householdId, device (id or list), from?, to?, raw }
+  async function exportTo(out, options) {
+    const { format, include, timeZone, iso, device, from, to, raw } = options;
+    const write = async (text) => {
+      if (!out.write(text)) await once(out, "drain");
+    };
+    const gone = () => out.destroyed;
+
+    if (format === "csv") {
+      const columns = ["id", "ts", "time", ...READING_FIELDS.slice(2)];
+      await write(columns.join(",") + "\n");
+      for await (const row of section("readings", options)) {
+        if (gone()) return;
+        await write(columns.map((c) => csvCell(row[c])).join(",") + "\n");
+      }
+      return;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const meta = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exported_ts: now,
+      exported_at: iso(now),
+      timezone: timeZone,
+      calibrated: !raw,
+      from: from ?? null,
+      to: to ?? null,
+      devices: [device].flat(),
+      include,
+    };
+    const names = ["devices", "readings", ...(include.includes("profiles") ? ["profiles"] : []), ...(include.includes("alerts") ? ["alert_rules", "alerts"] : [])];
+
+    if (format === "ndjson") {
+      await write(JSON.stringify({ type: "meta", ...meta }) + "\n");
+      for (const name of names) {
+        for await (const record of section(name, options)) {
+          if (gone()) return;
+          await write(JSON.stringify({ type: SECTIONS[name], ...record }) + "\n");
+        }
+      }
+      return;
+    }
+
+    await write(`{"meta":${JSON.stringify(meta)}`);
+    for (const name of names) {
+      await write(`,\n"${name}":[`);
+      let first = true;
+      for await (const record of section(name, options)) {
+        if (gone()) return;
+        await write((first ? "\n" : ",\n") + JSON.stringify(record));
+        first = false;
+      }
+      await write("]");
+    }
+    await write("}\n");
+  }
+
+  // ----- Import -----
+
+  // Request body -> temp file (deleted by importFrom). Bodies over maxBytes are read to the
+  // end but not kept, so the 413 still reaches the client; `setting` names the limit in the error.
+  async function receive(req, maxBytes, setting) {
+    const tooLarge = () => new ArchiveError(413, `Archive is larger than ${Math.round(maxBytes / 1048576)} MB (see ${setting})`);
+    if (Number(req.headers["content-length"]) > maxBytes) throw tooLarge();
+    const file = path.join(os.tmpdir(), `iaq-import-${crypto.randomBytes(8).toString("hex")}`);
+    const out = fs.createWriteStream(file, { mode: 0o600 });
+    let size = 0;
+    try {
+      for await (const chunk of req) {
+        size += chunk.length;
+        if (size <= maxBytes && !out.write(chunk)) await once(out, "drain");
+      }
+      out.end();
+      await finished(out);
+    } catch (e) {
+      out.destroy();
+      await fs.promises.rm(file, { force: true });
+      throw e;
+    }
+    if (size > maxBytes) {
+      await fs.promises.rm(file, { force: true });
+      throw tooLarge();
+    }
+    return file;
+  }
+
+  // Spooled archive -> () => async iterable of { type, ...record }, for each pass.
+  // NDJSON is read line by line; JSON is parsed once and walked section by section.
+  async function openArchive(file, ndjson) {
+    if (ndjson) {
+      return async function* () {
+        let line = 0;
+        for await (const text of readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })) {
+          line += 1;
+          if (!text.trim()) continue;
+          try {
+            yield JSON.parse(text);
+          } catch {
+            throw new ArchiveError(400, `Line ${line} is not valid JSON`);
+          }
+        }
+      };
+    }
+    let doc;
+    try {
+      doc = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch {
+      throw new ArchiveError(400, "Body is not valid JSON");
+    }
+    if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+      throw new ArchiveError(400, "A JSON archive must be an object: { meta, devices, readings, ... }");
+    }
+    return function* () {
+      yield { type: "meta", ...(doc.meta || {}) };
+      for (const [name, recordType] of Object.entries(SECTIONS)) {
+        if (doc[name] !== undefined && !Array.isArray(doc[name])) throw new ArchiveError(400, `${name} must be an array`);
+        for (const record of doc[name] || []) yield { ...record, type: recordType };
+      }
+    };
+  }
+
+  // First pass, read-only: every record is well formed, no device belongs to another
+  // household and new devices only come with registerDevices. -> nothing; throws ArchiveError
+  async function check(records, householdId, registerDevices) {
+    const devices = new Set();
+    const ruleIds = new Set();
+    const deviceOf = (value, n) => {
+      const id = normalizeDeviceId(value);
+      if (!id) throw new ArchiveError(400, `Record ${n}: invalid device id`);
+      devices.add(id);
+    };
+    let seenMeta = false;
+    let n = 0;
+    for await (const record of records()) {
+      n += 1;
+      const type = record?.type;
+      if (!seenMeta) {
+        if (type !== "meta" || record.format !== ARCHIVE_FORMAT) throw new ArchiveError(400, `Not an ${ARCHIVE_FORMAT} archive (meta record missing)`);
+        if (record.version > ARCHIVE_VERSION) throw new ArchiveError(400, `Archive version ${record.version} is newer than this server supports (${ARCHIVE_VERSION})`);
+        if (record.calibrated) throw new ArchiveError(400, "Calibrated values can't be restored; export with raw=1");
+        seenMeta = true;
+      } else if (type === "device") {
+        deviceOf(record.id, n);
+      } else if (type === "reading") {
+        if (!isNum(record.ts) || REQUIRED_READING_FIELDS.some((f) => !isNum(record[f]))) {
+          throw new ArchiveError(400, `Record ${n}: a reading needs a numeric ts and ${REQUIRED_READING_FIELDS.join(", ")}`);
+        }
+        deviceOf(record.device_id, n);
+      } else if (type === "profile") {
+        if (!isNum(record.updated_ts)) throw new ArchiveError(400, `Record ${n}: a profile version needs updated_ts`);
+      } else if (type === "alert_rule") {
+        const { rule, error } = validateRule(ruleFields(record));
+        if (error) throw new ArchiveError(400, `Record ${n}: ${error}`);
+        if (rule.device_id) deviceOf(rule.device_id, n);
+        ruleIds.add(record.id);
+      } else if (type === "alert") {
+        // Alerts of rules missing from the archive are skipped on import
+        if (ruleIds.has(record.rule_id) && isNum(record.opened_ts)) deviceOf(record.device_id, n);
+      } else if (type !== "meta") {
+        throw new ArchiveError(400, `Record ${n}: unknown record type ${JSON.stringify(type)}`);
+      }
+    }
+    if (!seenMeta) throw new ArchiveError(400, "The archive is empty");
+    for (const id of devices) {
+      const row = await get(db, "SELECT household_id FROM devices WHERE id = ?", [id]);
+      if (row && (row.household_id ?? householdId) !== householdId) throw new ArchiveError(409, `Device ${id} belongs to another household`);
+      if (!row && !registerDevices) throw new ArchiveError(403, `Device ${id} is not registered here; importing new devices needs admin rights`);
+    }
+  }
+
+  // Device row for the household (ownership was checked in the first pass)
+  function claimDevice(conn, id, householdId, details = {}) {
+    return run(
+      conn,
+      `INSERT INTO devices (id, household_id, name, room, firmware_version, created_ts, last_seen_ts) VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET household_id = excluded.household_id,
+         name = COALESCE(devices.name, excluded.name), room = COALESCE(devices.room, excluded.room),
+         firmware_version = COALESCE(devices.firmware_version, excluded.firmware_version),
+         created_ts = MIN(COALESCE(devices.created_ts, excluded.created_ts), COALESCE(excluded.created_ts, devices.created_ts)),
+         last_seen_ts = MAX(COALESCE(devices.last_seen_ts, 0), COALESCE(excluded.last_seen_ts, 0))`,
+      [id, householdId, details.name ?? null, details.room ?? null, details.firmware_version ?? null, details.created_ts ?? null, details.last_seen_ts ?? null]
+    );
+  }
+
+  // Second pass, on its own connection inside one transaction -> counts (see importFrom)
+  async function write(conn, records, householdId) {
+    const store = profilesFor(conn);
+    const counts = { devices: 0, readings: 0, profiles: 0, alert_rules: 0, alerts: 0 };
+    const skipped = { readings: 0, profiles: 0, alert_rules: 0, alerts: 0 };
+    const claimed = new Set();
+    const ruleIds = new Map(); // archive rule id -> local id
+    const profileIds = new Map(); // archive version id -> local id
+    let earliest = null;
+
+    const deviceOf = async (value) => {
+      const id = normalizeDeviceId(value);
+      if (!claimed.has(id)) {
+        await claimDevice(conn, id, householdId);
+        claimed.add(id);
+      }
+      return id;
+    };
+
+    for await (const record of records()) {
+      const type = record.type;
+      if (type === "device") {
+        const id = normalizeDeviceId(record.id);
+        await claimDevice(conn, id, householdId, record);
+        claimed.add(id);
+        counts.devices += 1;
+      } else if (type === "reading") {
+        const device = await deviceOf(record.device_id);
+        const fields = READING_FIELDS.slice(1);
+        const values = fields.map((f) => (f === "device_id" ? device : record[f] ?? null));
+        const { changes } = await run(
+          conn,
+          `INSERT INTO readings (${fields.join(", ")}) SELECT ${fields.map(() => "?").join(", ")}
+           WHERE NOT EXISTS (SELECT 1 FROM readings WHERE device_id = ? AND ts = ?)`,
+          [...values, device, record.ts]
+        );
+        if (changes) {
+          counts.readings += 1;
+          if (earliest === null || record.ts < earliest) earliest = record.ts;
+        } else {
+          skipped.readings += 1;
+        }
+      } else if (type === "profile") {
+        const existing = await get(conn, "SELECT id FROM profiles WHERE household_id = ? AND updated_ts = ? AND deleted_ts IS NULL", [householdId, record.updated_ts]);
+        if (existing) {
+          profileIds.set(record.id, existing.id);
+          skipped.profiles += 1;
+          continue;
+        }
+        const saved = await store.save(
+          householdId,
+          {
+            owner_name: String(record.owner_name || "").slice(0, 128),
+            members: Array.isArray(record.members) ? record.members : [],
+            preferences: record.preferences && typeof record.preferences === "object" ? record.preferences : {},
+          },
+          { updatedTs: record.updated_ts, restoredFrom: profileIds.get(record.restored_from) ?? null }
+        );
+        profileIds.set(record.id, saved.id);
+        counts.profiles += 1;
+      } else if (type === "alert_rule") {
+        const { rule } = validateRule(ruleFields(record));
+        const device = rule.device_id ? await deviceOf(rule.device_id) : null;
+        const same = await get(
+          conn,
+          "SELECT id FROM alert_rules WHERE household_id = ? AND name = ? AND metric = ? AND op = ? AND threshold = ? AND device_id IS ?",
+          [householdId, rule.name, rule.metric, rule.op, rule.threshold, device]
+        );
+        if (same) {
+          ruleIds.set(record.id, same.id);
+          skipped.alert_rules += 1;
+          continue;
+        }
+        const r = { ...RULE_DEFAULTS, ...rule, device_id: device };
+        const now = Math.floor(Date.now() / 1000);
+        const { lastID } = await run(
+          conn,
+          `INSERT INTO alert_rules (household_id, name, device_id, metric, op, threshold, agg, window_s, hysteresis, cooldown_s, severity, enabled, created_ts, updated_ts)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [householdId, r.name, r.device_id, r.metric, r.op, r.threshold, r.agg, r.window_s, r.hysteresis, r.cooldown_s, r.severity, r.enabled,
+            record.created_ts ?? now, record.updated_ts ?? now]
+        );
+        ruleIds.set(record.id, lastID);
+        counts.alert_rules += 1;
+      } else if (type === "alert") {
+        const ruleId = ruleIds.get(record.rule_id);
+        if (!ruleId || !isNum(record.opened_ts)) {
+          skipped.alerts += 1;
+          continue;
+        }
+        const device = await deviceOf(record.device_id);
+        const exists = await get(conn, "SELECT id FROM alerts WHERE rule_id = ? AND device_id = ? AND opened_ts = ?", [ruleId, device, record.opened_ts]);
+        if (exists) {
+          skipped.alerts += 1;
+          continue;
+        }
+        const fields = ALERT_FIELDS.slice(1);
+        const values = fields.map((f) => (f === "rule_id" ? ruleId : f === "device_id" ? device : record[f] ?? null));
+        await run(conn, `INSERT INTO alerts (${fields.join(", ")}) VALUES (${fields.map(() => "?").join(", ")})`, values);
+        counts.alerts += 1;
+      }
+    }
+    return { ...counts, skipped, device_ids: [...claimed], earliest_ts: earliest };
+  }
+
+  // Restores the archive in the request body (json, or ndjson by Content-Type) into the
+  // household -> counts per type ({ devices, readings, ..., skipped: { readings, ... } }) plus
+  // the devices written to (device_ids) and the earliest new reading (earliest_ts).
+  // The body is spooled to a temp file and checked in full before anything is written, so
+  // the transaction never waits on the network. It runs on a connection of its own: live
+  // writes on the shared one wait for it (busy timeout) instead of joining it.
+  // registerDevices allows devices this server doesn't know yet (admins only, as with
+  // PUT /devices/:id). Throws ArchiveError on bad input; nothing is kept then.
+  // maxJsonBytes caps JSON bodies, which are parsed in one piece (NDJSON is read line by line)
+  async function importFrom(req, { householdId, maxBytes, maxJsonBytes = maxBytes, registerDevices = false }) {
+    const ndjson = /ndjson|jsonlines|x-jsonl/i.test(String(req.headers["content-type"] || ""));
+    const file = await (ndjson ? receive(req, maxBytes, "IMPORT_MAX_MB") : receive(req, Math.min(maxBytes, maxJsonBytes), "IMPORT_MAX_JSON_MB"));
+    try {
+      const records = await openArchive(file, ndjson);
+      await check(records, householdId, registerDevices);
+      const conn = connect();
+      try {
+        return await transaction(conn, () => write(conn, records, householdId));
+      } finally {
+        await new Promise((resolve) => conn.close(() => resolve()));
+      }
+    } finally {
+      await fs.promises.rm(file, { force: true });
+    }
+  }
+
+  return { exportTo, importFrom };
+}
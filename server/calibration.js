@@ -0,0 +1,292 @@
+// ----- Sensor calibration -----
+// Versioned corrections from the raw values stored in `readings` to the values the
+// dashboard, SSE, alerts, MQTT, metrics and exports show. Raw data is never modified.
+//
+// Each row in `calibrations` is one version for a sensor, either for one device or
+// global (device_id NULL), in force from `effective_from` until a newer version of the
+// same scope starts. A device's own versions take precedence over global ones; before
+// its first own version, the global calibration applies. Readings are corrected with
+// the version in force at their own timestamp, so re-calibrating doesn't rewrite how
+// older data looked unless the new version is back-dated.
+//
+// predicted_iaq filled in by the server (forecast.js) is a forecast of raw current_iaq,
+// so it gets current_iaq's calibration rather than the device prediction's.
+import { SENSOR_COLUMNS } from "./sensors.js";
+import { run, get, all } from "./sqlite.js";
+
+export const CALIBRATION_KINDS = ["linear", "piecewise"];
+export const REFERENCE_MODES = ["offset", "scale", "point"];
+const REFERENCE_WINDOW_S = 60; // raw samples averaged around a reference reading
+const MAX_POINTS = 20;
+
+// Called from the schema setup in index.js (inside db.serialize, after `settings`)
+export function createCalibrationTables(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS calibrations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT,              -- NULL = every device without its own version
+    sensor TEXT NOT NULL,        -- one of SENSOR_COLUMNS
+    kind TEXT NOT NULL,          -- 'linear' | 'piecewise'
+    params_json TEXT NOT NULL,   -- linear: { scale, offset }; piecewise: { points: [[raw, value], ...] }
+    effective_from INTEGER NOT NULL,
+    note TEXT,
+    reference_json TEXT,         -- reference-instrument reading the version was derived from
+    created_ts INTEGER NOT NULL
+  )`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_calibrations_sensor ON calibrations (sensor, device_id, effective_from)`);
+  // The fixed display offset that used to live in index.js becomes the first global version
+  db.run(
+    `INSERT INTO calibrations (device_id, sensor, kind, params_json, effective_from, note, created_ts)
+     SELECT NULL, 'predicted_iaq', 'linear', '{"scale":1,"offset":-180}', 0, 'Former fixed display offset', strftime('%s', 'now')
+     WHERE NOT EXISTS (SELECT 1 FROM settings WHERE key = 'calibration.seeded')`
+  );
+  db.run(`INSERT OR IGNORE INTO settings (key, value, updated_ts) VALUES ('calibration.seeded', '1', strftime('%s', 'now'))`);
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Unix seconds, ISO 8601 or undefined -> Unix seconds (null if invalid)
+function parseTs(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  if (isNum(value)) return Math.floor(value);
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) return Math.floor(Number(str));
+  const ms = Date.parse(str);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+function validateParams(kind, params) {
+  if (kind === "linear") {
+    const scale = params?.scale ?? 1;
+    const offset = params?.offset ?? 0;
+    if (!isNum(scale) || scale === 0) return { error: "scale must be a non-zero number" };
+    if (!isNum(offset)) return { error: "offset must be a number" };
+    return { params: { scale, offset } };
+  }
+  const points = params?.points;
+  if (!Array.isArray(points) || points.length < 2 || points.length > MAX_POINTS) {
+    return { error: `points must be an array of 2-${MAX_POINTS} [raw, value] pairs` };
+  }
+  if (!points.every((p) => Array.isArray(p) && p.length === 2 && isNum(p[0]) && isNum(p[1]))) {
+    return { error: "each point must be [raw, value] with numbers" };
+  }
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  if (sorted.some((p, i) => i > 0 && p[0] === sorted[i - 1][0])) return { error: "points must have distinct raw values" };
+  return { params: { points: sorted } };
+}
+
+// Validate a calibration payload. Returns { calibration } or { error }.
+export function validateCalibration(body, now = Math.floor(Date.now() / 1000)) {
+  const b = body || {};
+  let deviceId = null;
+  if (b.device_id !== undefined && b.device_id !== null && b.device_id !== "") {
+    if (!/^[A-Za-z0-9._:-]{1,64}$/.test(String(b.device_id))) return { error: "Invalid device_id" };
+    deviceId = String(b.device_id);
+  }
+  if (!SENSOR_COLUMNS.includes(b.sensor)) return { error: `sensor must be one of ${SENSOR_COLUMNS.join(", ")}` };
+  const kind = b.kind || "linear";
+  if (!CALIBRATION_KINDS.includes(kind)) return { error: `kind must be one of ${CALIBRATION_KINDS.join(", ")}` };
+  const { params, error } = validateParams(kind, b.params || b);
+  if (error) return { error };
+  const effectiveFrom = parseTs(b.effective_from, now);
+  if (effectiveFrom === null) return { error: "Invalid effective_from (use Unix seconds or ISO 8601)" };
+  return {
+    calibration: {
+      device_id: deviceId,
+      sensor: b.sensor,
+      kind,
+      params,
+      effective_from: effectiveFrom,
+      note: b.note ? String(b.note).slice(0, 200) : null,
+    },
+  };
+}
+
+// raw -> corrected value for one version
+function compile(kind, params) {
+  if (kind === "linear") return (v) => v * params.scale + params.offset;
+  const pts = params.points;
+  return (v) => {
+    // Interpolate inside the table, extend the end segments outside it
+    let i = 1;
+    while (i < pts.length - 1 && v > pts[i][0]) i++;
+    const [x0, y0] = pts[i - 1];
+    const [x1, y1] = pts[i];
+    return y0 + ((v - x0) * (y1 - y0)) / (x1 - x0);
+  };
+}
+
+function parseRow(row) {
+  let params = {};
+  let reference = null;
+  try {
+    params = JSON.parse(row.params_json);
+  } catch {}
+  try {
+    reference = row.reference_json ? JSON.parse(row.reference_json) : null;
+  } catch {}
+  const { params_json, reference_json, ...rest } = row;
+  return { ...rest, params, reference };
+}
+
+export function createCalibrator(db) {
+  // sensor -> scope ("" = global, else device id) -> versions sorted by effective_from
+  let versions = new Map();
+
+  async function load() {
+    const rows = await all(db, "SELECT * FROM calibrations ORDER BY effective_from ASC, id ASC");
+    const next = new Map();
+    for (const row of rows.map(parseRow)) {
+      if (!next.has(row.sensor)) next.set(row.sensor, new Map());
+      const scopes = next.get(row.sensor);
+      const scope = row.device_id || "";
+      if (!scopes.has(scope)) scopes.set(scope, []);
+      scopes.get(scope).push({ ...row, fn: compile(row.kind, row.params) });
+    }
+    versions = next;
+    return rows.length;
+  }
+
+  // Version in force for a sensor on a device at `ts` (null = raw values)
+  function versionAt(sensor, deviceId, ts) {
+    const scopes = versions.get(sensor);
+    if (!scopes) return null;
+    for (const scope of deviceId ? [deviceId, ""] : [""]) {
+      const list = scopes.get(scope);
+      if (!list) continue;
+      for (let i = list.length - 1; i >= 0; i--) if (list[i].effective_from <= ts) return list[i];
+    }
+    return null;
+  }
+
+  // Reading (or bucketed history row with _min/_max variants) -> calibrated copy
+  function apply(row) {
+    if (!row || typeof row !== "object") return row;
+    const out = { ...row };
+    const ts = isNum(row.ts) ? row.ts : Math.floor(Date.now() / 1000);
+    for (const sensor of SENSOR_COLUMNS) {
+      const source =
+        sensor === "predicted_iaq" && (row.predicted_source === "server" || row.predicted_source === "current_iaq")
+          ? "current_iaq"
+          : sensor;
+      const version = versionAt(source, row.device_id, ts);
+      if (!version) continue;
+      for (const key of [sensor, `${sensor}_min`, `${sensor}_max`]) {
+        if (isNum(out[key])) out[key] = Math.round(version.fn(out[key]) * 1000) / 1000;
+      }
+    }
+    return out;
+  }
+
+  // All versions (optionally for one device, which includes the global ones), newest first,
+  // with `version` (1 = oldest in its scope) and `active` (in force now)
+  async function list({ device, sensor } = {}) {
+    const where = [];
+    const params = [];
+    if (device) { where.push("(device_id = ? OR device_id IS NULL)"); params.push(device); }
+    if (sensor) { where.push("sensor = ?"); params.push(sensor); }
+    const rows = (
+      await all(db, `SELECT * FROM calibrations ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY effective_from ASC, id ASC`, params)
+    ).map(parseRow);
+    const now = Math.floor(Date.now() / 1000);
+    const counters = new Map();
+    for (const row of rows) {
+      const key = `${row.sensor}|${row.device_id || ""}`;
+      counters.set(key, (counters.get(key) || 0) + 1);
+      row.version = counters.get(key);
+      const inForce = versionAt(row.sensor, row.device_id, now);
+      row.active = inForce?.id === row.id;
+    }
+    return rows.reverse();
+  }
+
+  async function getCalibration(id) {
+    const row = await get(db, "SELECT * FROM calibrations WHERE id = ?", [id]);
+    return row ? parseRow(row) : null;
+  }
+
+  async function create(calibration, reference = null) {
+    const { lastID } = await run(
+      db,
+      `INSERT INTO calibrations (device_id, sensor, kind, params_json, effective_from, note, reference_json, created_ts)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        calibration.device_id, calibration.sensor, calibration.kind, JSON.stringify(calibration.params),
+        calibration.effective_from, calibration.note, reference ? JSON.stringify(reference) : null, Math.floor(Date.now() / 1000),
+      ]
+    );
+    await load();
+    return getCalibration(lastID);
+  }
+
+  async function remove(id) {
+    const { changes } = await run(db, "DELETE FROM calibrations WHERE id = ?", [id]);
+    if (changes) await load();
+    return changes > 0;
+  }
+
+  // New device version from a reference-instrument reading taken at `ts` (default: the
+  // device's latest reading). The raw value is the mean of the device's samples within
+  // REFERENCE_WINDOW_S of that time.
+  //   offset -> raw + (reference - raw); scale -> raw * reference / raw;
+  //   point  -> adds (raw, reference) to the device's piecewise table (an offset until there are two points)
+  async function fromReference(body) {
+    const b = body || {};
+    const now = Math.floor(Date.now() / 1000);
+    if (!b.device_id || !/^[A-Za-z0-9._:-]{1,64}$/.test(String(b.device_id))) return { error: "device_id is required" };
+    const deviceId = String(b.device_id);
+    if (!SENSOR_COLUMNS.includes(b.sensor) || b.sensor === "predicted_iaq") {
+      return { error: `sensor must be one of ${SENSOR_COLUMNS.filter((s) => s !== "predicted_iaq").join(", ")}` };
+    }
+    if (!isNum(b.reference)) return { error: "reference must be a number" };
+    const mode = b.mode || "offset";
+    if (!REFERENCE_MODES.includes(mode)) return { error: `mode must be one of ${REFERENCE_MODES.join(", ")}` };
+    let ts = parseTs(b.ts, undefined);
+    if (ts === null) return { error: "Invalid ts (use Unix seconds or ISO 8601)" };
+    if (ts === undefined) {
+      const latest = await get(db, "SELECT ts FROM readings WHERE device_id = ? ORDER BY ts DESC LIMIT 1", [deviceId]);
+      if (!latest) return { status: 404, error: "No readings for this device" };
+      ts = latest.ts;
+    }
+    const sample = await get(
+      db,
+      `SELECT AVG(${b.sensor}) AS raw, COUNT(${b.sensor}) AS n FROM readings WHERE device_id = ? AND ts BETWEEN ? AND ?`,
+      [deviceId, ts - REFERENCE_WINDOW_S, ts + REFERENCE_WINDOW_S]
+    );
+    if (!sample?.n) return { status: 404, error: `No ${b.sensor} readings within ${REFERENCE_WINDOW_S}s of that time` };
+    const raw = Math.round(sample.raw * 1000) / 1000;
+
+    let kind = "linear";
+    let params;
+    if (mode === "scale") {
+      if (raw === 0) return { error: "Raw value is 0; use offset mode" };
+      params = { scale: b.reference / raw, offset: 0 };
+    } else if (mode === "point") {
+      const current = versionAt(b.sensor, deviceId, now);
+      const own = current && current.device_id === deviceId && current.kind === "piecewise" ? current.params.points : [];
+      const points = [...own.filter((p) => p[0] !== raw), [raw, b.reference]].sort((x, y) => x[0] - y[0]);
+      if (points.length > MAX_POINTS) return { error: `A piecewise calibration holds at most ${MAX_POINTS} points` };
+      if (points.length >= 2) {
+        kind = "piecewise";
+        params = { points };
+      } else {
+        params = { scale: 1, offset: b.reference - raw };
+      }
+    } else {
+      params = { scale: 1, offset: b.reference - raw };
+    }
+
+    const { calibration, error } = validateCalibration({
+      device_id: deviceId,
+      sensor: b.sensor,
+      kind,
+      params,
+      effective_from: b.effective_from ?? ts,
+      note: b.note || `Reference ${b.reference} vs raw ${raw} (${mode})`,
+    });
+    if (error) return { error };
+    const reference = { ts, raw, reference: b.reference, samples: sample.n, mode };
+    return { calibration: await create(calibration, reference) };
+  }
+
+  return { load, apply, list, getCalibration, create, remove, fromReference };
+}
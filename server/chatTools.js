@@ -0,0 +1,231 @@
+// ----- Chat tools -----
+// Server-side lookups the assistant can run against the readings table, so it can answer
+// "what was the worst CO reading last week?" instead of guessing from the last few rows.
+//
+// The protocol is plain text so it works with every provider in llm.js (including local
+// models without native function calling): the model replies with a single line
+//   TOOL_CALL {"name": "...", "arguments": {...}}
+// we run the tool, append `TOOL_RESULT {...}` to the prompt and ask again, up to
+// `maxRounds` times. Every call is reported through `onToolCall` and returned in
+// `toolCalls`, so the answer meta shows which data backed the claim.
+import { SENSOR_COLUMNS } from "./sensors.js";
+import { get, all, deviceFilter } from "./sqlite.js";
+
+export const TOOL_MARKER = "TOOL_CALL";
+const RESULT_MARKER = "TOOL_RESULT";
+const MAX_PEAKS = 20;
+
+const METRIC_ALIASES = { "pm2.5": "pm25", ethanol: "c2h5oh", iaq: "current_iaq", predicted: "predicted_iaq" };
+
+const TOOL_DOCS = [
+  ["range_stats", "metric?, from, to, device?", "min/avg/max and reading count per sensor (all sensors if metric is omitted)"],
+  ["find_peaks", "metric, from, to, device?, limit?", "highest readings, at most one per hour, with their times"],
+  ["daily_profile", "metric, from, to, device?", "average and max per hour of day in the user's local time (when does it usually spike?)"],
+  ["compare_periods", "metric, a_from, a_to, b_from, b_to, device?", "range_stats for two periods plus the change in average"],
+];
+
+// "-7d", "-12h", "-30m", "now", Unix seconds or ISO 8601 -> Unix seconds (null if invalid)
+function parseToolTime(value, now) {
+  if (value === undefined || value === null || value === "") return null;
+  const str = String(value).trim().toLowerCase();
+  if (str === "now") return now;
+  const rel = /^-(\d+(?:\.\d+)?)\s*([mhdw])$/.exec(str);
+  if (rel) return Math.floor(now - Number(rel[1]) * { m: 60, h: 3600, d: 86400, w: 604800 }[rel[2]]);
+  if (/^\d+(\.\d+)?$/.test(str)) return Math.floor(Number(str));
+  const ms = Date.parse(String(value));
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+function parseMetric(value, { required = true } = {}) {
+  if (value === undefined || value === null || value === "") {
+    if (required) throw new Error(`metric is required (one of ${SENSOR_COLUMNS.join(", ")})`);
+    return null;
+  }
+  const key = String(value).trim().toLowerCase();
+  const metric = METRIC_ALIASES[key] || key;
+  if (!SENSOR_COLUMNS.includes(metric)) throw new Error(`Unknown metric "${value}" (use ${SENSOR_COLUMNS.join(", ")})`);
+  return metric;
+}
+
+const round = (v) => (typeof v === "number" && Number.isFinite(v) ? Math.round(v * 100) / 100 : null);
+const iso = (ts) => (ts === null || ts === undefined ? null : new Date(ts * 1000).toISOString());
+
+// options.adjust(row)  -> display values (tools report what the dashboard shows)
+// options.device       -> default device when the model doesn't name one
+// options.tzOffset     -> user's UTC offset in minutes (daily_profile hours are local)
+// options.devices      -> device ids the tools may read (the user's household); null = all
+export function createChatTools(db, { adjust = (r) => r, device = null, devices = null, tzOffset = 0 } = {}) {
+  const now = () => Math.floor(Date.now() / 1000);
+  // `at` = { device_id, ts } so the calibration in force for that device and time is used
+  const adjustValue = (metric, value, at = {}) => round(value === null ? null : adjust({ ...at, [metric]: value })[metric]);
+
+  function range(args, fromKey = "from", toKey = "to") {
+    const t = now();
+    const from = parseToolTime(args[fromKey] ?? "-24h", t);
+    const to = parseToolTime(args[toKey] ?? "now", t);
+    if (from === null || to === null) throw new Error(`Invalid ${fromKey}/${toKey} (use ISO 8601, Unix seconds or relative like -7d)`);
+    if (from > to) throw new Error(`${fromKey} must be before ${toKey}`);
+    return { from, to };
+  }
+
+  function scope(args, { from, to }) {
+    const dev = args.device ?? device;
+    if (dev && devices && !devices.includes(String(dev))) throw new Error(`Unknown device: ${dev}`);
+    const where = ["ts >= ?", "ts <= ?"];
+    const params = [from, to];
+    const byDevice = deviceFilter(dev ? String(dev) : devices);
+    if (byDevice) {
+      where.push(byDevice.sql);
+      params.push(...byDevice.params);
+    }
+    return { where: where.join(" AND "), params, device: dev || "all" };
+  }
+
+  async function stats(args, metrics, r) {
+    const { where, params, device: dev } = scope(args, r);
+    const cols = metrics.map((m) => `MIN(${m}) AS ${m}_min, AVG(${m}) AS ${m}_avg, MAX(${m}) AS ${m}_max`).join(", ");
+    const row = await get(db, `SELECT COUNT(*) AS n, ${cols} FROM readings WHERE ${where}`, params);
+    const out = { device: dev, from: iso(r.from), to: iso(r.to), readings: row?.n || 0, metrics: {} };
+    const at = { device_id: dev === "all" ? undefined : dev, ts: r.to };
+    for (const m of metrics) {
+      out.metrics[m] = { min: adjustValue(m, row?.[`${m}_min`] ?? null, at), avg: adjustValue(m, row?.[`${m}_avg`] ?? null, at), max: adjustValue(m, row?.[`${m}_max`] ?? null, at) };
+    }
+    return out;
+  }
+
+  const tools = {
+    async range_stats(args) {
+      const metric = parseMetric(args.metric, { required: false });
+      return stats(args, metric ? [metric] : SENSOR_COLUMNS, range(args));
+    },
+
+    async find_peaks(args) {
+      const metric = parseMetric(args.metric);
+      const r = range(args);
+      const { where, params, device: dev } = scope(args, r);
+      const limit = Math.min(Math.max(parseInt(args.limit ?? 5, 10) || 5, 1), MAX_PEAKS);
+      // SQLite returns the ts/device of the row holding MAX() for bare columns
+      const rows = await all(
+        db,
+        `SELECT ts, device_id, MAX(${metric}) AS value FROM readings WHERE ${where}
+         GROUP BY device_id, CAST(ts AS INTEGER) / 3600 ORDER BY value DESC LIMIT ?`,
+        [...params, limit]
+      );
+      return { metric, device: dev, from: iso(r.from), to: iso(r.to), peaks: rows.map((p) => ({ ts: iso(p.ts), device: p.device_id, value: adjustValue(metric, p.value, { device_id: p.device_id, ts: p.ts }) })) };
+    },
+
+    async daily_profile(args) {
+      const metric = parseMetric(args.metric);
+      const r = range(args);
+      const { where, params, device: dev } = scope(args, r);
+      const offset = Math.round(tzOffset) * 60;
+      const rows = await all(
+        db,
+        `SELECT ((CAST(ts AS INTEGER) + ${offset}) % 86400 + 86400) % 86400 / 3600 AS hour,
+                AVG(${metric}) AS avg, MAX(${metric}) AS max, COUNT(*) AS n
+         FROM readings WHERE ${where} GROUP BY hour ORDER BY hour`,
+        params
+      );
+      const at = { device_id: dev === "all" ? undefined : dev, ts: r.to };
+      const hours = rows.map((h) => ({ hour: h.hour, avg: adjustValue(metric, h.avg, at), max: adjustValue(metric, h.max, at), readings: h.n }));
+      const peak = hours.reduce((best, h) => (best === null || h.avg > best.avg ? h : best), null);
+      return { metric, device: dev, from: iso(r.from), to: iso(r.to), utc_offset_minutes: tzOffset, hours, peak_hour: peak?.hour ?? null };
+    },
+
+    async compare_periods(args) {
+      const metric = parseMetric(args.metric);
+      const a = await stats(args, [metric], range(args, "a_from", "a_to"));
+      const b = await stats(args, [metric], range(args, "b_from", "b_to"));
+      const avgA = a.metrics[metric].avg;
+      const avgB = b.metrics[metric].avg;
+      const change = avgA !== null && avgB !== null ? round(avgB - avgA) : null;
+      const pct = change !== null && avgA ? round((change / Math.abs(avgA)) * 100) : null;
+      return { metric, a, b, avg_change: change, avg_change_pct: pct };
+    },
+  };
+
+  async function execute(name, args) {
+    const fn = Object.prototype.hasOwnProperty.call(tools, name) ? tools[name] : null;
+    if (!fn) throw new Error(`Unknown tool "${name}" (available: ${Object.keys(tools).join(", ")})`);
+    return fn(args && typeof args === "object" ? args : {});
+  }
+
+  function instructions() {
+    const offset = `${tzOffset >= 0 ? "+" : "-"}${String(Math.floor(Math.abs(tzOffset) / 60)).padStart(2, "0")}:${String(Math.abs(tzOffset) % 60).padStart(2, "0")}`;
+    return (
+      `\nYou can look up stored sensor history with these tools:\n` +
+      TOOL_DOCS.map(([name, params, desc]) => `- ${name}(${params}): ${desc}`).join("\n") +
+      `\nMetrics: ${SENSOR_COLUMNS.join(", ")}. Times: ISO 8601, Unix seconds, "now" or relative like "-7d", "-12h".` +
+      `${device ? ` Default device: ${device}.` : ""} Current time: ${iso(now())} (user's UTC offset ${offset}).\n` +
+      `To call a tool, reply with ONLY one line: ${TOOL_MARKER} {"name": "<tool>", "arguments": {...}}\n` +
+      `You will get a ${RESULT_MARKER} line back and may call more tools, then answer normally. ` +
+      `Base claims about past readings on tool results.\n`
+    );
+  }
+
+  return { execute, instructions, names: Object.keys(tools) };
+}
+
+// `TOOL_CALL {...}` (optionally inside a code fence) -> { name, arguments }, else null
+export function parseToolCall(text) {
+  const body = String(text || "").trim().replace(/^```\w*\s*/, "").replace(/\s*```$/, "").trim();
+  if (!body.startsWith(TOOL_MARKER)) return null;
+  try {
+    const call = JSON.parse(body.slice(TOOL_MARKER.length).trim());
+    if (!call || typeof call.name !== "string") return null;
+    return { name: call.name, arguments: call.arguments || call.args || {} };
+  } catch {
+    return null;
+  }
+}
+
+// Run the model, executing tool calls until it answers in prose.
+// With `onToken`, each round streams; text is held back until it's clear the round
+// isn't a tool call. Resolves with the llm result plus `toolCalls`.
+export async function answerWithTools(llm, tools, { prompt, maxRounds = 4, onToken, onToolCall = () => {}, ...request }) {
+  const toolCalls = [];
+  let transcript = prompt + tools.instructions();
+  for (let round = 0; ; round++) {
+    const lastRound = round >= maxRounds;
+    if (lastRound) transcript += `\n(Tool limit reached: answer now with the results you have.)\n`;
+    let result;
+    if (onToken) {
+      let buffer = "";
+      let mode = null; // null = undecided, "tool" or "text"
+      result = await llm.stream({ ...request, prompt: transcript }, (chunk) => {
+        if (mode === "text") return onToken(chunk);
+        buffer += chunk;
+        if (mode === "tool") return;
+        const head = buffer.trimStart().replace(/^```\w*\s*/, "");
+        if (head.startsWith(TOOL_MARKER)) mode = "tool";
+        else if (/^`{1,3}\w*$/.test(head)) return; // maybe a fenced tool call
+        else if (!TOOL_MARKER.startsWith(head)) {
+          mode = "text";
+          onToken(buffer);
+        }
+      });
+      if (mode === null && !parseToolCall(result.text)) onToken(buffer);
+    } else {
+      result = await llm.generate({ ...request, prompt: transcript });
+    }
+
+    const call = parseToolCall(result.text);
+    if (!call) return { ...result, toolCalls };
+    if (lastRound) {
+      const text = "I couldn't finish looking up the data for this question. Please try asking about a shorter or more specific period.";
+      if (onToken) onToken(text);
+      return { ...result, text, toolCalls };
+    }
+
+    let output;
+    try {
+      output = await tools.execute(call.name, call.arguments);
+    } catch (e) {
+      output = { error: e.message };
+    }
+    const entry = { name: call.name, arguments: call.arguments, result: output };
+    toolCalls.push(entry);
+    onToolCall(entry);
+    transcript += `\n${TOOL_MARKER} ${JSON.stringify({ name: call.name, arguments: call.arguments })}\n${RESULT_MARKER} ${JSON.stringify(output)}\n`;
+  }
+}
@@ -0,0 +1,150 @@
+// ----- Chat conversations -----
+// Assistant conversations and their messages, so chats survive a reload and follow-up
+// questions ("and what about tonight?") are answered with the earlier turns in the prompt.
+// Only the newest turns that fit the token budget (CHAT_HISTORY_TOKENS) are sent.
+// Conversations belong to a household (accounts.js); ids from another household read as unknown.
+import { run, get, all } from "./sqlite.js";
+import { DEFAULT_HOUSEHOLD_ID } from "./accounts.js";
+
+export const CHAT_ROLES = ["user", "assistant"];
+const TITLE_MAX = 80;
+
+// Called from the schema setup in index.js (inside db.serialize)
+export function createConversationTables(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS conversations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    created_ts INTEGER NOT NULL,
+    updated_ts INTEGER NOT NULL
+  )`);
+  db.run(`CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id INTEGER NOT NULL,
+    role TEXT NOT NULL,        -- 'user' | 'assistant'
+    content TEXT NOT NULL,
+    meta_json TEXT,            -- assistant answer meta (provider, disclaimer, stopped, ...)
+    created_ts INTEGER NOT NULL
+  )`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages (conversation_id, id)`);
+  db.run(`ALTER TABLE conversations ADD COLUMN household_id INTEGER NOT NULL DEFAULT ${DEFAULT_HOUSEHOLD_ID}`, (err) => {
+    if (err && !/(duplicate column|already exists|duplicate column name)/i.test(err.message)) {
+      console.warn("[DB] Failed to add conversations.household_id column:", err.message);
+    }
+  });
+}
+
+// Assistant message meta -> whether a model wrote the answer
+function fromModel(metaJson) {
+  try {
+    const meta = JSON.parse(metaJson || "{}");
+    return !!(meta.provider || meta.usedGemini);
+  } catch {
+    return false;
+  }
+}
+
+// Rough token count (~4 characters per token for English text); good enough for a budget
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+export function titleFromQuestion(question) {
+  const text = String(question || "").replace(/\s+/g, " ").trim();
+  if (!text) return "New conversation";
+  return text.length > TITLE_MAX ? `${text.slice(0, TITLE_MAX - 1)}…` : text;
+}
+
+function parseMessage(row) {
+  let meta = null;
+  try {
+    meta = row.meta_json ? JSON.parse(row.meta_json) : null;
+  } catch {}
+  const { meta_json, ...rest } = row;
+  return { ...rest, meta };
+}
+
+export function createConversationStore(db, { historyTokens = 1500 } = {}) {
+  async function list({ householdId = DEFAULT_HOUSEHOLD_ID, limit = 50 } = {}) {
+    return all(
+      db,
+      `SELECT c.*, COUNT(m.id) AS message_count FROM conversations c
+       LEFT JOIN messages m ON m.conversation_id = c.id
+       WHERE c.household_id = ?
+       GROUP BY c.id ORDER BY c.updated_ts DESC, c.id DESC LIMIT ?`,
+      [householdId, limit]
+    );
+  }
+
+  async function getConversation(id, householdId = DEFAULT_HOUSEHOLD_ID) {
+    return get(db, "SELECT * FROM conversations WHERE id = ? AND household_id = ?", [id, householdId]);
+  }
+
+  // Conversation with all its messages, oldest first (null if unknown)
+  async function load(id, householdId = DEFAULT_HOUSEHOLD_ID) {
+    const conversation = await getConversation(id, householdId);
+    if (!conversation) return null;
+    const messages = await all(db, "SELECT * FROM messages WHERE conversation_id = ? ORDER BY id ASC", [id]);
+    return { ...conversation, messages: messages.map(parseMessage) };
+  }
+
+  async function create(title, householdId = DEFAULT_HOUSEHOLD_ID) {
+    const now = Math.floor(Date.now() / 1000);
+    const { lastID } = await run(db, "INSERT INTO conversations (title, household_id, created_ts, updated_ts) VALUES (?, ?, ?, ?)", [
+      titleFromQuestion(title),
+      householdId,
+      now,
+      now,
+    ]);
+    return getConversation(lastID, householdId);
+  }
+
+  async function rename(id, title, householdId = DEFAULT_HOUSEHOLD_ID) {
+    const { changes } = await run(db, "UPDATE conversations SET title = ? WHERE id = ? AND household_id = ?", [
+      titleFromQuestion(title),
+      id,
+      householdId,
+    ]);
+    return changes ? getConversation(id, householdId) : null;
+  }
+
+  async function remove(id, householdId = DEFAULT_HOUSEHOLD_ID) {
+    if (!(await getConversation(id, householdId))) return false;
+    await run(db, "DELETE FROM messages WHERE conversation_id = ?", [id]);
+    const { changes } = await run(db, "DELETE FROM conversations WHERE id = ?", [id]);
+    return changes > 0;
+  }
+
+  async function addMessage(conversationId, role, content, meta = null) {
+    const now = Math.floor(Date.now() / 1000);
+    const { lastID } = await run(
+      db,
+      "INSERT INTO messages (conversation_id, role, content, meta_json, created_ts) VALUES (?, ?, ?, ?, ?)",
+      [conversationId, role, String(content), meta ? JSON.stringify(meta) : null, now]
+    );
+    await run(db, "UPDATE conversations SET updated_ts = ? WHERE id = ?", [now, conversationId]);
+    return lastID;
+  }
+
+  // Newest turns (oldest first) whose estimated size fits the budget. Answers made locally
+  // (private or fallback, no provider in meta) are left out: they are personalized from the
+  // whole profile, which must reach the model only through the shared summary (privacy.js).
+  async function promptHistory(conversationId, budget = historyTokens) {
+    const rows = await all(
+      db,
+      "SELECT role, content, meta_json FROM messages WHERE conversation_id = ? ORDER BY id DESC LIMIT 200",
+      [conversationId]
+    );
+    const turns = [];
+    let used = 0;
+    for (const row of rows) {
+      if (row.role === "assistant" && !fromModel(row.meta_json)) continue;
+      const cost = estimateTokens(row.content) + 4; // role label and separators
+      if (used + cost > budget) break;
+      used += cost;
+      turns.unshift({ role: row.role, content: row.content });
+    }
+    return turns;
+  }
+
+  return { list, load, getConversation, create, rename, remove, addMessage, promptHistory };
+}
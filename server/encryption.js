@@ -0,0 +1,110 @@
+// ----- Encryption at rest -----
+// Field-level AES-256-GCM for sensitive columns (the family profile's owner name and its
+// members and preferences JSON: names, ages, medical conditions). A value is stored as
+// `enc:v1:<key id>:<iv>:<tag>:<ciphertext>` (base64 parts); the column name is bound in as
+// additional authenticated data, so a value copied into another column fails to decrypt.
+// The key id (first 8 hex chars of the key's SHA-256) tells which key encrypted a value,
+// so older keys can still read during a rotation (see rotateProfileKey.js).
+//
+// Keys are 32 random bytes, base64 or hex. PROFILE_ENCRYPTION_KEY in .env wins; otherwise
+// the key file (PROFILE_KEY_FILE, default server/profile.key) is used and created on first
+// start. Older keys that may still be needed for reading: PROFILE_ENCRYPTION_KEYS_OLD
+// (comma separated), or the lines after the first in the key file.
+import crypto from "crypto";
+import fs from "fs";
+
+const PREFIX = "enc:v1:";
+const IV_BYTES = 12;
+
+export const keyId = (key) => crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+
+export function generateKey() {
+  return crypto.randomBytes(32).toString("base64");
+}
+
+// base64 or hex text -> 32-byte Buffer (throws on anything else)
+export function parseKey(text) {
+  const value = String(text || "").trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, "hex") : Buffer.from(value, "base64");
+  if (key.length !== 32) throw new Error("encryption keys must be 32 bytes (base64 or hex)");
+  return key;
+}
+
+const splitKeys = (text) =>
+  String(text || "")
+    .split(/[\s,]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+// One key per line; lines starting with # are comments
+export function readKeyFile(file) {
+  const lines = fs.readFileSync(file, "utf8").split("\n");
+  return splitKeys(lines.filter((l) => !l.trim().startsWith("#")).join("\n"));
+}
+
+// Current key first; written via a temp file so a crash never leaves half a key file
+export function writeKeyFile(file, keys) {
+  const tmp = `${file}.tmp`;
+  const text = `# Family profile encryption keys: current first, older ones after it.\n# Back this file up with iaq.db; without it the stored profiles cannot be read.\n${keys.join("\n")}\n`;
+  fs.writeFileSync(tmp, text, { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// -> { current: { id, key }, keys: Map(id -> key), source: "env" | "file", file }
+export function loadKeyring({ env = process.env, keyFile, create = true } = {}) {
+  let texts;
+  let source;
+  const file = env.PROFILE_KEY_FILE || keyFile;
+  if (env.PROFILE_ENCRYPTION_KEY) {
+    texts = [env.PROFILE_ENCRYPTION_KEY, ...splitKeys(env.PROFILE_ENCRYPTION_KEYS_OLD)];
+    source = "env";
+  } else {
+    if (!file) throw new Error("No PROFILE_ENCRYPTION_KEY and no key file configured");
+    if (!fs.existsSync(file)) {
+      if (!create) throw new Error(`Key file ${file} does not exist`);
+      writeKeyFile(file, [generateKey()]);
+      console.log(`[encryption] Created profile encryption key in ${file}`);
+    }
+    texts = [...readKeyFile(file), ...splitKeys(env.PROFILE_ENCRYPTION_KEYS_OLD)];
+    if (!texts.length) throw new Error(`Key file ${file} holds no key`);
+    source = "file";
+  }
+  const keys = new Map();
+  for (const text of texts) {
+    const key = parseKey(text);
+    keys.set(keyId(key), key);
+  }
+  const currentKey = parseKey(texts[0]);
+  return { current: { id: keyId(currentKey), key: currentKey }, keys, source, file: source === "file" ? file : null };
+}
+
+export const isEncrypted = (stored) => typeof stored === "string" && stored.startsWith(PREFIX);
+
+export function createFieldCipher(keyring) {
+  function encrypt(plaintext, field) {
+    if (plaintext === null || plaintext === undefined) return plaintext;
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv("aes-256-gcm", keyring.current.key, iv);
+    cipher.setAAD(Buffer.from(field));
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+    return PREFIX + [keyring.current.id, iv.toString("base64"), cipher.getAuthTag().toString("base64"), ciphertext.toString("base64")].join(":");
+  }
+
+  // Values written before encryption was added are returned as they are
+  function decrypt(stored, field) {
+    if (!isEncrypted(stored)) return stored;
+    const [id, iv, tag, ciphertext] = stored.slice(PREFIX.length).split(":");
+    const key = keyring.keys.get(id);
+    if (!key) throw new Error(`No encryption key with id ${id} (was the key rotated or lost?)`);
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+    decipher.setAAD(Buffer.from(field));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]).toString("utf8");
+  }
+
+  // Plaintext, or encrypted with an older key
+  const needsRewrite = (stored) =>
+    stored !== null && stored !== undefined && (!isEncrypted(stored) || !stored.startsWith(`${PREFIX}${keyring.current.id}:`));
+
+  return { encrypt, decrypt, needsRewrite, keyId: keyring.current.id };
+}
@@ -0,0 +1,400 @@
+// ----- Pollution episodes -----
+// Segments each device's readings into episodes (elevated periods) and guesses their
+// source from the signature: an ethanol burst is hand sanitizer, PM2.5 with VOC is
+// cooking, VOC alone is cleaners or paint, CO is combustion.
+//
+// A job walks new complete minutes per device (calibrated 1-minute means; values
+// flagged bad at ingest are left out). A sensor is elevated when it exceeds its
+// baseline (20th percentile of the previous 2 hours, frozen when an episode opens) by
+// ELEVATED_ABS or 50%; an episode closes after QUIET_MIN minutes without any elevated
+// sensor. Episodes still going on are stored with end_ts NULL.
+//
+// The classifier is k-nearest-neighbours over a small feature vector (how the rise is
+// split between sensors, duration, time to peak). Its examples are a few hand-made
+// prototypes plus every episode a user confirmed or relabelled, so labels given in the
+// dashboard shape later guesses; unconfirmed episodes are re-classified after each label.
+import { run, get, all, getSetting, setSetting, deviceFilter } from "./sqlite.js";
+import { DEFAULT_HOUSEHOLD_ID } from "./accounts.js";
+import { sensorBit } from "./quality.js";
+
+const SENSORS = ["pm25", "voc", "c2h5oh", "co"];
+const ELEVATED_ABS = { pm25: 10, voc: 150, c2h5oh: 150, co: 3 };
+const ELEVATED_REL = 0.5;
+const SCALE = { pm25: 25, voc: 300, c2h5oh: 300, co: 5 }; // normalises rises across units
+const BASELINE_MIN = 120;
+const BASELINE_MIN_POINTS = 15;
+const QUIET_MIN = 5;
+const MIN_EPISODE_MIN = 2; // shorter blips are dropped
+const FIRST_RUN_LOOKBACK_MIN = 24 * 60;
+const K = 5;
+const UNKNOWN_DISTANCE = 0.6; // nothing this close -> "unknown"
+const RECLASSIFY_DAYS = 90;
+
+export const EPISODE_LABELS = ["cooking", "cleaning", "sanitizer", "combustion", "other"];
+const LABEL_RE = /^[a-z][a-z0-9 _-]{0,31}$/;
+
+// [pm25, voc, c2h5oh, co share of the rise, duration, time to peak] (see features())
+const PROTOTYPES = [
+  { label: "sanitizer", vector: [0.05, 0.15, 0.8, 0, 0.39, 0.1] },
+  { label: "cooking", vector: [0.5, 0.35, 0.1, 0.05, 0.75, 0.5] },
+  { label: "cleaning", vector: [0.05, 0.75, 0.2, 0, 0.66, 0.3] },
+  { label: "combustion", vector: [0.3, 0.1, 0, 0.6, 0.75, 0.5] },
+];
+
+// Called from the schema setup in index.js (inside db.serialize)
+export function createEpisodeTables(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS episodes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    start_ts INTEGER NOT NULL,
+    end_ts INTEGER,              -- NULL while the episode is going on
+    peak_ts INTEGER,
+    predicted_label TEXT,
+    confidence REAL,
+    user_label TEXT,             -- set when a user confirms or relabels; used for training
+    features_json TEXT,          -- baseline, peaks, minutes, classifier vector
+    created_ts INTEGER,
+    updated_ts INTEGER
+  )`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_episodes_device_start ON episodes (device_id, start_ts)`);
+}
+
+// Normalises a user-given label; returns null when invalid
+export function normalizeLabel(value) {
+  const label = String(value ?? "").trim().toLowerCase();
+  return LABEL_RE.test(label) ? label : null;
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function percentile(values, p) {
+  const s = [...values].sort((a, b) => a - b);
+  return s[Math.min(s.length - 1, Math.floor(p * s.length))];
+}
+
+// Episode state -> classifier vector
+function features(state) {
+  const rise = SENSORS.map((s) => Math.max(0, (state.peak[s] ?? state.baseline[s] ?? 0) - (state.baseline[s] ?? 0)) / SCALE[s]);
+  const total = rise.reduce((a, b) => a + b, 0) || 1;
+  const minutes = Math.max(1, state.last_elevated - state.start_minute + 1);
+  const toPeak = Math.min(1, Math.max(0, (state.peak_minute - state.start_minute) / minutes));
+  return [...rise.map((r) => Math.round((r / total) * 1000) / 1000), Math.round((Math.log10(minutes + 1) / 2) * 1000) / 1000, Math.round(toPeak * 1000) / 1000];
+}
+
+function distance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return Math.sqrt(sum);
+}
+
+// vector + examples [{ label, vector }] -> { label, confidence }
+export function classify(vector, examples) {
+  const nearest = [...examples, ...PROTOTYPES]
+    .map((e) => ({ label: e.label, d: distance(vector, e.vector) }))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, K);
+  if (!nearest.length || nearest[0].d > UNKNOWN_DISTANCE) return { label: "unknown", confidence: 0 };
+  const scores = new Map();
+  for (const n of nearest) scores.set(n.label, (scores.get(n.label) || 0) + 1 / (n.d + 0.05));
+  const total = [...scores.values()].reduce((a, b) => a + b, 0);
+  const [label, score] = [...scores.entries()].sort((a, b) => b[1] - a[1])[0];
+  return { label, confidence: Math.round((score / total) * 100) / 100 };
+}
+
+// options.adjust(row) -> calibrated view of a reading
+// options.householdOf(deviceId) -> owning household; labels only train the classifier
+// for devices of the same household
+export function createEpisodeDetector(db, { adjust = (r) => r, householdOf = () => DEFAULT_HOUSEHOLD_ID } = {}) {
+  let running = null; // promise of the detection or rebuild in progress
+
+  // Only one job touches the episodes at a time
+  function exclusive(job) {
+    running = job().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  async function trainingExamples() {
+    const rows = await all(
+      db,
+      "SELECT device_id, user_label, features_json FROM episodes WHERE user_label IS NOT NULL ORDER BY updated_ts DESC LIMIT 500"
+    );
+    return rows
+      .map((r) => {
+        try {
+          return { device_id: r.device_id, label: r.user_label, vector: JSON.parse(r.features_json).vector };
+        } catch {
+          return null;
+        }
+      })
+      .filter((e) => Array.isArray(e?.vector));
+  }
+
+  function examplesFor(examples, deviceId) {
+    const household = householdOf(deviceId);
+    return examples.filter((e) => householdOf(e.device_id) === household);
+  }
+
+  // Calibrated 1-minute means (bad values excluded) for [fromMinute, toMinute]
+  async function minuteMeans(deviceId, fromMinute, toMinute) {
+    const rows = await all(
+      db,
+      `SELECT ts / 60 AS minute,
+              ${SENSORS.map((s) => `AVG(CASE WHEN COALESCE(bad_sensors, 0) & ${sensorBit(s)} = 0 THEN ${s} END) AS ${s}`).join(", ")}
+       FROM readings WHERE device_id = ? AND ts >= ? AND ts < ? GROUP BY 1 ORDER BY 1`,
+      [deviceId, fromMinute * 60, (toMinute + 1) * 60]
+    );
+    return rows.map((m) => ({ minute: m.minute, ...adjust({ ...m, device_id: deviceId, ts: m.minute * 60 + 59 }) }));
+  }
+
+  async function saveEpisode(deviceId, state, examples) {
+    const vector = features(state);
+    const { label, confidence } = classify(vector, examples);
+    const { id, closed, ...stats } = state;
+    const featuresJson = JSON.stringify({ ...stats, vector });
+    const now = Math.floor(Date.now() / 1000);
+    const endTs = closed ? (state.last_elevated + 1) * 60 : null;
+    if (id) {
+      await run(
+        db,
+        `UPDATE episodes SET end_ts = ?, peak_ts = ?, predicted_label = ?, confidence = ?, features_json = ?, updated_ts = ? WHERE id = ?`,
+        [endTs, state.peak_minute * 60, label, confidence, featuresJson, now, id]
+      );
+    } else {
+      const { lastID } = await run(
+        db,
+        `INSERT INTO episodes (device_id, start_ts, end_ts, peak_ts, predicted_label, confidence, features_json, created_ts, updated_ts)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [deviceId, state.start_minute * 60, endTs, state.peak_minute * 60, label, confidence, featuresJson, now, now]
+      );
+      state.id = lastID;
+    }
+  }
+
+  // Walk the device's complete minutes after its watermark
+  async function detectDevice(deviceId, examples, endMinute) {
+    const key = `episodes.minute.${deviceId}`;
+    const stored = Number(await getSetting(db, key));
+    const startMinute = Number.isFinite(stored) && stored > 0 ? stored + 1 : endMinute - FIRST_RUN_LOOKBACK_MIN;
+    if (startMinute > endMinute) return 0;
+
+    const openRow = await get(db, "SELECT * FROM episodes WHERE device_id = ? AND end_ts IS NULL ORDER BY start_ts DESC LIMIT 1", [deviceId]);
+    let open = null;
+    if (openRow) {
+      try {
+        open = { ...JSON.parse(openRow.features_json), id: openRow.id };
+      } catch {
+        open = null;
+      }
+    }
+
+    const minutes = await minuteMeans(deviceId, startMinute - BASELINE_MIN, endMinute);
+    const history = minutes.filter((m) => m.minute < startMinute);
+    let changed = 0;
+
+    const close = async (state) => {
+      state.closed = true;
+      if (state.last_elevated - state.start_minute + 1 < MIN_EPISODE_MIN) {
+        if (state.id) await run(db, "DELETE FROM episodes WHERE id = ?", [state.id]);
+      } else {
+        await saveEpisode(deviceId, state, examples);
+        changed += 1;
+      }
+    };
+
+    for (const m of minutes.filter((x) => x.minute >= startMinute)) {
+      // Silence counts as quiet time
+      if (open && m.minute - open.last_elevated > QUIET_MIN) {
+        await close(open);
+        open = null;
+      }
+      const window = history.filter((h) => h.minute >= m.minute - BASELINE_MIN);
+      let baseline = open?.baseline;
+      if (!baseline) {
+        baseline = {};
+        for (const s of SENSORS) {
+          const values = window.map((h) => h[s]).filter(isNum);
+          if (values.length >= BASELINE_MIN_POINTS) baseline[s] = percentile(values, 0.2);
+        }
+      }
+      const elevated = SENSORS.filter(
+        (s) => isNum(m[s]) && isNum(baseline[s]) && m[s] - baseline[s] > Math.max(ELEVATED_ABS[s], ELEVATED_REL * Math.abs(baseline[s]))
+      );
+
+      if (elevated.length) {
+        if (!open) open = { start_minute: m.minute, last_elevated: m.minute, peak_minute: m.minute, baseline, peak: {}, sensors: [] };
+        open.last_elevated = m.minute;
+        let strongest = 0;
+        for (const s of SENSORS) {
+          if (!isNum(m[s])) continue;
+          if (!isNum(open.peak[s]) || m[s] > open.peak[s]) open.peak[s] = m[s];
+          if (isNum(baseline[s])) strongest = Math.max(strongest, (m[s] - baseline[s]) / SCALE[s]);
+        }
+        if (!open.peak_strength || strongest > open.peak_strength) {
+          open.peak_strength = Math.round(strongest * 1000) / 1000;
+          open.peak_minute = m.minute;
+        }
+        open.sensors = [...new Set([...open.sensors, ...elevated])];
+      } else if (open && m.minute - open.last_elevated >= QUIET_MIN) {
+        await close(open);
+        open = null;
+      }
+      history.push(m);
+    }
+    if (open && endMinute - open.last_elevated >= QUIET_MIN) {
+      await close(open);
+      open = null;
+    }
+    // Still going on: stored (even if short so far) so the next run can continue it
+    if (open) {
+      await saveEpisode(deviceId, open, examples);
+      changed += 1;
+    }
+    await setSetting(db, key, String(endMinute));
+    return changed;
+  }
+
+  // One pass over every device with recent readings (complete minutes only)
+  async function detectAll({ since } = {}) {
+    const examples = await trainingExamples();
+    const endMinute = Math.floor(Date.now() / 60000) - 1;
+    const from = since ?? (endMinute - FIRST_RUN_LOOKBACK_MIN) * 60;
+    const devices = await all(db, "SELECT DISTINCT device_id FROM readings WHERE ts >= ?", [from]);
+    let episodes = 0;
+    for (const { device_id } of devices) episodes += await detectDevice(device_id, examplesFor(examples, device_id), endMinute);
+    return { episodes };
+  }
+
+  // The periodic job: skipped while another run or a rebuild is in progress
+  async function detect({ since } = {}) {
+    if (running) return { episodes: 0, skipped: true };
+    return exclusive(() => detectAll({ since }));
+  }
+
+  // Forget unlabelled episodes from `from` on and detect again (e.g. after a backfill or
+  // a calibration change). Confirmed and relabelled episodes are kept as they are.
+  // `device` is one id or a list of ids (unset = every device). Waits for a detection in
+  // progress instead of being dropped, and holds off the periodic job until it is done.
+  async function rebuild(options) {
+    while (running) await running.catch(() => {});
+    return exclusive(() => rebuildAll(options));
+  }
+
+  async function rebuildAll({ device, from }) {
+    const byDevice = deviceFilter(device);
+    const scope = byDevice ? `AND ${byDevice.sql}` : "";
+    const params = byDevice ? [from, ...byDevice.params] : [from];
+    // Start where the earliest episode being replaced started
+    const first = await get(db, `SELECT MIN(start_ts) AS ts FROM episodes WHERE user_label IS NULL AND (end_ts IS NULL OR end_ts >= ?) ${scope}`, params);
+    const since = Math.min(from, first?.ts ?? from);
+    const { changes } = await run(db, `DELETE FROM episodes WHERE user_label IS NULL AND (end_ts IS NULL OR end_ts >= ?) ${scope}`, params);
+    // A labelled episode can't be continued from an earlier minute, so it ends where it is
+    for (const row of await all(db, `SELECT id, features_json FROM episodes WHERE end_ts IS NULL ${scope}`, byDevice ? byDevice.params : [])) {
+      let last;
+      try {
+        last = JSON.parse(row.features_json).last_elevated;
+      } catch {}
+      if (isNum(last)) await run(db, "UPDATE episodes SET end_ts = ? WHERE id = ?", [(last + 1) * 60, row.id]);
+    }
+    // Every device with readings since then, including ones the job hasn't seen yet
+    const devices = byDevice ? [device].flat() : (await all(db, "SELECT DISTINCT device_id FROM readings WHERE ts >= ?", [since])).map((r) => r.device_id);
+    for (const d of devices) await setSetting(db, `episodes.minute.${d}`, String(Math.floor(since / 60) - 1));
+    const result = await detectAll({ since });
+    // Re-detected copies of labelled episodes would duplicate them
+    await run(
+      db,
+      `DELETE FROM episodes WHERE user_label IS NULL AND EXISTS (
+         SELECT 1 FROM episodes l WHERE l.user_label IS NOT NULL AND l.device_id = episodes.device_id
+           AND l.start_ts < COALESCE(episodes.end_ts, episodes.start_ts + 60) AND COALESCE(l.end_ts, l.start_ts + 60) > episodes.start_ts
+       )`
+    );
+    return { removed: changes, ...result };
+  }
+
+  // Unconfirmed episodes get the current classifier's guess
+  async function reclassify() {
+    const examples = await trainingExamples();
+    const rows = await all(
+      db,
+      "SELECT id, device_id, features_json FROM episodes WHERE user_label IS NULL AND start_ts >= ?",
+      [Math.floor(Date.now() / 1000) - RECLASSIFY_DAYS * 86400]
+    );
+    let updated = 0;
+    for (const r of rows) {
+      let vector;
+      try {
+        vector = JSON.parse(r.features_json).vector;
+      } catch {
+        continue;
+      }
+      if (!Array.isArray(vector)) continue;
+      const { label, confidence } = classify(vector, examplesFor(examples, r.device_id));
+      const res = await run(db, "UPDATE episodes SET predicted_label = ?, confidence = ? WHERE id = ? AND (predicted_label IS NOT ? OR confidence IS NOT ?)", [label, confidence, r.id, label, confidence]);
+      updated += res.changes;
+    }
+    return updated;
+  }
+
+  function view(row) {
+    let f = {};
+    try {
+      f = JSON.parse(row.features_json || "{}");
+    } catch {}
+    const { features_json, ...rest } = row;
+    return {
+      ...rest,
+      label: row.user_label || row.predicted_label,
+      confirmed: !!row.user_label,
+      ongoing: row.end_ts === null,
+      sensors: f.sensors || [],
+      baseline: f.baseline || {},
+      peak: f.peak || {},
+    };
+  }
+
+  async function list({ device, from, to, label, limit = 500 }) {
+    const where = ["start_ts <= ?", "(end_ts IS NULL OR end_ts >= ?)"];
+    const params = [to, from];
+    const byDevice = deviceFilter(device);
+    if (byDevice) { where.push(byDevice.sql); params.push(...byDevice.params); }
+    if (label) { where.push("COALESCE(user_label, predicted_label) = ?"); params.push(label); }
+    const rows = await all(db, `SELECT * FROM episodes WHERE ${where.join(" AND ")} ORDER BY start_ts ASC LIMIT ?`, [...params, limit]);
+    return rows.map(view);
+  }
+
+  async function getEpisode(id) {
+    const row = await get(db, "SELECT * FROM episodes WHERE id = ?", [id]);
+    return row ? view(row) : null;
+  }
+
+  // label: a label to confirm / relabel with, or null to go back to the classifier's guess
+  async function setLabel(id, label) {
+    const { changes } = await run(db, "UPDATE episodes SET user_label = ?, updated_ts = ? WHERE id = ?", [label, Math.floor(Date.now() / 1000), id]);
+    if (!changes) return null;
+    const reclassified = await reclassify();
+    const row = await get(db, "SELECT * FROM episodes WHERE id = ?", [id]);
+    return { episode: view(row), reclassified };
+  }
+
+  // Labels with how many user-labelled examples back them (`device`: one id or a list)
+  async function labels({ device } = {}) {
+    const byDevice = deviceFilter(device);
+    const rows = await all(
+      db,
+      `SELECT user_label AS label, COUNT(*) AS examples FROM episodes WHERE user_label IS NOT NULL ${byDevice ? `AND ${byDevice.sql}` : ""} GROUP BY 1`,
+      byDevice ? byDevice.params : []
+    );
+    const counts = new Map(rows.map((r) => [r.label, r.examples]));
+    const names = [...new Set([...EPISODE_LABELS, ...counts.keys()])];
+    return names.map((label) => ({ label, examples: counts.get(label) || 0 }));
+  }
+
+  function start(intervalMs = 60000) {
+    const tick = () => detect().catch((e) => console.warn("[episodes] failed:", e.message));
+    setTimeout(tick, 15000);
+    setInterval(tick, intervalMs);
+  }
+
+  return { detect, rebuild, list, getEpisode, setLabel, labels, start };
+}
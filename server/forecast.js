@@ -0,0 +1,272 @@
+// ----- IAQ forecasting -----
+// Server-side forecasts of current_iaq 5, 15 and 60 minutes ahead, as a cross-check
+// for the ESP32's TinyML prediction and as the stand-in when a reading arrives
+// without one.
+//
+// The model is damped Holt (level + trend) exponential smoothing over 1-minute means
+// of the last few hours. Its smoothing factors are re-fitted on that same window at
+// every run (grid search on one-step-ahead error), so it adapts to each room without
+// a separate training step. Forecasts are stored in `forecasts` next to the device's
+// own predictions, told apart by `source` ('device' | 'server').
+import { get, all, run, deviceFilter } from "./sqlite.js";
+import { getRetentionDays } from "./rollups.js";
+import { sensorBit } from "./quality.js";
+
+export const FORECAST_HORIZONS = [5, 15, 60]; // minutes ahead
+export const FORECAST_SOURCES = ["device", "server"];
+const DEVICE_HORIZON = 5; // the firmware's predicted_iaq looks 5 minutes ahead
+const LOOKBACK_MIN = 180;
+const MIN_POINTS = 10; // minutes of data needed before forecasting
+const MAX_GAP_MIN = 15; // longer gaps restart the series
+const IAQ_RANGE = [0, 500];
+const INSERT_CHUNK = 100; // rows per multi-row INSERT (8 parameters each)
+const IAQ_BAD = sensorBit("current_iaq"); // set while the device warms up (see quality.js)
+
+const ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const BETAS = [0.01, 0.05, 0.1, 0.2, 0.3];
+const PHIS = [0.8, 0.9, 0.95, 0.98];
+
+// Called from the schema setup in index.js (inside db.serialize)
+export function createForecastTables(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS forecasts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    source TEXT NOT NULL,        -- 'device' (firmware predicted_iaq) | 'server' (this module)
+    issued_ts INTEGER NOT NULL,  -- time of the reading the forecast was made from
+    horizon_min INTEGER NOT NULL,
+    target_ts INTEGER NOT NULL,  -- issued_ts + horizon
+    iaq REAL NOT NULL,           -- device rows are stored raw, like readings.predicted_iaq
+    model TEXT,
+    reading_id INTEGER
+  )`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_forecasts_device_target ON forecasts (device_id, target_ts)`);
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const clampIaq = (v) => Math.min(IAQ_RANGE[1], Math.max(IAQ_RANGE[0], v));
+
+// [{ ts, value }] (ascending) -> contiguous 1-minute means after the last long gap,
+// with short gaps filled by linear interpolation
+export function minuteSeries(points) {
+  const buckets = new Map();
+  for (const p of points) {
+    if (!isNum(p.value)) continue;
+    const m = Math.floor(p.ts / 60);
+    const b = buckets.get(m) || { sum: 0, n: 0 };
+    b.sum += p.value;
+    b.n += 1;
+    buckets.set(m, b);
+  }
+  const minutes = [...buckets.keys()].sort((a, b) => a - b);
+  let start = 0;
+  for (let i = 1; i < minutes.length; i++) if (minutes[i] - minutes[i - 1] > MAX_GAP_MIN) start = i;
+  const values = [];
+  for (let i = start; i < minutes.length; i++) {
+    const b = buckets.get(minutes[i]);
+    const value = b.sum / b.n;
+    if (i > start) {
+      const prev = values[values.length - 1];
+      const gap = minutes[i] - minutes[i - 1];
+      for (let k = 1; k < gap; k++) values.push(prev + ((value - prev) * k) / gap);
+    }
+    values.push(value);
+  }
+  return { values, lastMinute: minutes.length ? minutes[minutes.length - 1] : null };
+}
+
+// Damped Holt smoothing; returns the one-step SSE and the final level/trend
+function holt(values, alpha, beta, phi) {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  let sse = 0;
+  for (let i = 1; i < values.length; i++) {
+    const predicted = level + phi * trend;
+    const err = values[i] - predicted;
+    sse += err * err;
+    const prevLevel = level;
+    level = alpha * values[i] + (1 - alpha) * predicted;
+    trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+  }
+  return { sse, level, trend };
+}
+
+// Fit and forecast `horizons` minutes past the last value. Returns null with too little data.
+export function holtForecast(values, horizons = FORECAST_HORIZONS) {
+  if (values.length < MIN_POINTS) return null;
+  let best = null;
+  for (const alpha of ALPHAS) {
+    for (const beta of BETAS) {
+      for (const phi of PHIS) {
+        const fit = holt(values, alpha, beta, phi);
+        if (!best || fit.sse < best.sse) best = { ...fit, alpha, beta, phi };
+      }
+    }
+  }
+  const forecasts = {};
+  for (const h of horizons) {
+    // level + (phi + phi^2 + ... + phi^h) * trend
+    const damping = best.phi === 1 ? h : (best.phi * (1 - best.phi ** h)) / (1 - best.phi);
+    forecasts[h] = Math.round(clampIaq(best.level + damping * best.trend) * 10) / 10;
+  }
+  return {
+    forecasts,
+    model: `holt(a=${best.alpha},b=${best.beta},phi=${best.phi})`,
+    rmse: Math.round(Math.sqrt(best.sse / (values.length - 1)) * 100) / 100,
+    points: values.length,
+  };
+}
+
+// options.adjust(row) -> calibrated view of a reading; forecasts are shown as the
+// predicted_iaq of a reading from their source, issued at their issue time
+export function createForecaster(db, { adjust = (r) => r } = {}) {
+  const lastRun = new Map(); // device_id -> { minute, result, stored }
+
+  async function loadPoints(deviceId, ts) {
+    return all(
+      db,
+      `SELECT ts, current_iaq AS value FROM readings
+       WHERE device_id = ? AND ts > ? AND ts <= ? AND current_iaq IS NOT NULL AND COALESCE(bad_sensors, 0) & ${IAQ_BAD} = 0
+       ORDER BY ts ASC`,
+      [deviceId, ts - LOOKBACK_MIN * 60, ts]
+    );
+  }
+
+  // rows: [device_id, source, issued_ts, horizon_min, target_ts, iaq, model, reading_id]
+  async function insertForecasts(rows) {
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+      const chunk = rows.slice(i, i + INSERT_CHUNK);
+      await run(
+        db,
+        `INSERT INTO forecasts (device_id, source, issued_ts, horizon_min, target_ts, iaq, model, reading_id)
+         VALUES ${chunk.map(() => "(?, ?, ?, ?, ?, ?, ?, ?)").join(", ")}`,
+        chunk.flat()
+      );
+    }
+  }
+
+  // Forecast from the readings up to `row` (inclusive). Cached per device and minute.
+  async function forecastAt(row, { includeRow = false } = {}) {
+    const minute = Math.floor(row.ts / 60);
+    const cached = lastRun.get(row.device_id);
+    if (cached && cached.minute === minute) return cached.result;
+    const points = await loadPoints(row.device_id, row.ts);
+    if (includeRow && isNum(row.current_iaq) && !(row.bad_sensors & IAQ_BAD)) points.push({ ts: row.ts, value: row.current_iaq });
+    const series = minuteSeries(points);
+    // Don't extrapolate from data that stopped well before this reading
+    const fresh = series.lastMinute !== null && minute - series.lastMinute <= MAX_GAP_MIN;
+    const result = fresh ? holtForecast(series.values) : null;
+    lastRun.set(row.device_id, { minute, result, stored: false });
+    return result;
+  }
+
+  // Reading without a device prediction (not stored yet): use the server's 5-minute forecast
+  async function fillPrediction(row) {
+    try {
+      const result = await forecastAt(row, { includeRow: true });
+      if (!result) return row;
+      return { ...row, predicted_iaq: result.forecasts[DEVICE_HORIZON], predicted_source: "server" };
+    } catch (e) {
+      console.warn("[forecast] fill failed:", e.message);
+      return row;
+    }
+  }
+
+  // Device predictions of stored readings, kept next to the server forecasts
+  async function recordDevice(rows) {
+    const own = rows.filter((r) => r.predicted_source === "device" && isNum(r.predicted_iaq));
+    await insertForecasts(
+      own.map((r) => [r.device_id, "device", r.ts, DEVICE_HORIZON, r.ts + DEVICE_HORIZON * 60, r.predicted_iaq, "firmware", r.id ?? null])
+    );
+    return own.length;
+  }
+
+  // Server forecast for a stored reading; at most one set per device and minute
+  async function update(storedRow) {
+    const result = await forecastAt(storedRow);
+    const state = lastRun.get(storedRow.device_id);
+    if (!result || state.stored) return result;
+    state.stored = true;
+    await insertForecasts(
+      FORECAST_HORIZONS.map((h) => [
+        storedRow.device_id, "server", storedRow.ts, h, storedRow.ts + h * 60, result.forecasts[h], result.model, storedRow.id ?? null,
+      ])
+    );
+    return result;
+  }
+
+  function view(row, deviceId = row.device_id) {
+    const ts = row.issued_ts ?? row.target_ts - row.horizon_min * 60;
+    return { ...row, iaq: adjust({ device_id: deviceId, ts, predicted_iaq: row.iaq, predicted_source: row.source }).predicted_iaq };
+  }
+
+  // Stored forecasts by target time; `bucket` (seconds) averages per source/horizon/bucket.
+  // `raw` skips calibration.
+  async function list({ device, from, to, source, horizon, bucket, raw = false, limit = 5000 }) {
+    const where = ["target_ts >= ?", "target_ts <= ?"];
+    const params = [from, to];
+    const byDevice = deviceFilter(device);
+    if (byDevice) { where.push(byDevice.sql); params.push(...byDevice.params); }
+    if (source) { where.push("source = ?"); params.push(source); }
+    if (horizon) { where.push("horizon_min = ?"); params.push(horizon); }
+    const rows = bucket
+      ? await all(
+          db,
+          `SELECT source, horizon_min, (target_ts / ${bucket}) * ${bucket} AS target_ts, AVG(iaq) AS iaq, COUNT(*) AS n
+           FROM forecasts WHERE ${where.join(" AND ")}
+           GROUP BY source, horizon_min, 3 ORDER BY 3 ASC LIMIT ?`,
+          [...params, limit]
+        )
+      : await all(
+          db,
+          `SELECT device_id, source, issued_ts, horizon_min, target_ts, iaq, model FROM forecasts
+           WHERE ${where.join(" AND ")} ORDER BY target_ts ASC, id ASC LIMIT ?`,
+          [...params, limit]
+        );
+    return raw ? rows : rows.map((r) => view(r, Array.isArray(device) ? undefined : device));
+  }
+
+  // Most recent server forecast set and device prediction for a device
+  async function latest(device) {
+    const byDevice = deviceFilter(device);
+    const params = byDevice ? byDevice.params : [];
+    const scope = byDevice ? `AND ${byDevice.sql}` : "";
+    const issued = await get(db, `SELECT device_id, MAX(issued_ts) AS ts FROM forecasts WHERE source = 'server' ${scope}`, params);
+    const server = issued?.ts
+      ? await all(
+          db,
+          "SELECT horizon_min, target_ts, iaq, model FROM forecasts WHERE source = 'server' AND device_id = ? AND issued_ts = ? ORDER BY horizon_min",
+          [issued.device_id, issued.ts]
+        )
+      : [];
+    const devicePrediction = await get(
+      db,
+      `SELECT device_id, source, issued_ts, horizon_min, target_ts, iaq, model FROM forecasts WHERE source = 'device' ${scope}
+       ORDER BY issued_ts DESC, id DESC LIMIT 1`,
+      params
+    );
+    return {
+      server: server.length
+        ? {
+            device_id: issued.device_id,
+            issued_ts: issued.ts,
+            model: server[0].model,
+            horizons: server.map(({ model, ...h }) => {
+              const { source, device_id, issued_ts, ...shown } = view({ ...h, source: "server", device_id: issued.device_id, issued_ts: issued.ts });
+              return shown;
+            }),
+          }
+        : null,
+      device: devicePrediction ? view(devicePrediction) : null,
+    };
+  }
+
+  // Same retention window as raw readings (0 = keep forever)
+  async function prune() {
+    const days = await getRetentionDays(db);
+    if (!days) return 0;
+    const { changes } = await run(db, "DELETE FROM forecasts WHERE target_ts < ?", [Math.floor(Date.now() / 1000) - days * 86400]);
+    return changes;
+  }
+
+  return { fillPrediction, recordDevice, update, list, latest, prune };
+}
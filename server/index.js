@@ -3,16 +3,53 @@ import express from "express";
 import cors from "cors";
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import sqlite3 from "sqlite3";
+import { SENSOR_COLUMNS } from "./sensors.js";
+import { run, transaction, setSetting, deviceFilter } from "./sqlite.js";
+import {
+  createRollupTables,
+  runRollup,
+  pruneReadings,
+  getRetentionDays,
+  queryBuckets,
+  getDbStats,
+  startRollupJobs,
+} from "./rollups.js";
+import { createAlertTables, createAlertEngine, validateRule } from "./alerts.js";
+import { createNotifierTables, createNotifier, validateChannel } from "./notifier.js";
+import { createMqttBridge, mqttConfigFromEnv } from "./mqtt.js";
+import { createMetrics } from "./metrics.js";
+import { createLlm, llmConfigFromEnv } from "./llm.js";
+import { createConversationTables, createConversationStore } from "./conversations.js";
+import { createChatTools, answerWithTools } from "./chatTools.js";
+import { createForecastTables, createForecaster, FORECAST_HORIZONS, FORECAST_SOURCES } from "./forecast.js";
+import { createAccuracyTables, createAccuracyTracker } from "./accuracy.js";
+import { createCalibrationTables, createCalibrator, validateCalibration } from "./calibration.js";
+import { createAqiEngine, defaultAqiScheme } from "./aqi.js";
+import { createQualityChecker, usableReading } from "./quality.js";
+import { createEpisodeTables, createEpisodeDetector, normalizeLabel } from "./episodes.js";
+import { createReportBuilder, renderExposureHtml, REPORT_PERIODS } from "./reports.js";
+import { createProfileStore } from "./profiles.js";
+import { loadKeyring, createFieldCipher } from "./encryption.js";
+import { createArchive, parseExportOptions } from "./archive.js";
+import { createPrivacyTables, createLlmAudit, buildProfileSummary, sharingSettings, payloadHash } from "./privacy.js";
+import { createAccountTables, createAccounts, validateCredentials, registrationMode, DEFAULT_HOUSEHOLD_ID, SESSION_COOKIE } from "./accounts.js";
+import { AQI_SCHEMES, AQI_AVERAGING, isAqiScheme, iaqCategory, pollutantLevel } from "../shared/aqi.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || "";
-const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-1.5-flash-latest"; // override if needed
+const DEFAULT_DEVICE_ID = "default"; // owner of legacy readings stored before device ids existed
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ""; // unset = admin routes only from localhost
+const METRICS_TOKEN = process.env.METRICS_TOKEN || ""; // bearer for Prometheus scrapes (admin auth also works)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "http://localhost:5173,http://127.0.0.1:5173,http://localhost:4173")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
 
 async function getFetch() {
   if (typeof fetch === "function") return fetch;
@@ -20,13 +57,27 @@ async function getFetch() {
   return mod.default;
 }
 
-// CORS: allow ESP32 to POST from LAN and dev frontends
-app.use(cors());
-app.use(express.json());
+// CORS: only the dashboard origins need it (the ESP32 is not a browser and ignores CORS).
+// Credentials are allowed for the listed origins so the session cookie reaches the API from
+// the Vite dev server; with "*" any site may read public responses but never with the cookie.
+const ANY_ORIGIN = CORS_ORIGINS.includes("*");
+app.use(cors({ origin: ANY_ORIGIN ? "*" : CORS_ORIGINS, credentials: !ANY_ORIGIN }));
+// Batch uploads can carry a few thousand readings. /import reads its own body: archives are
+// far larger (see archive.js).
+const jsonBody = express.json({ limit: "2mb" });
+app.use((req, res, next) => (req.path === "/import" ? next() : jsonBody(req, res, next)));
 
 // ----- SQLite setup -----
 sqlite3.verbose();
-const db = new sqlite3.Database(path.join(__dirname, "iaq.db"));
+const DB_PATH = path.join(__dirname, "iaq.db");
+// Writes wait this long for a lock held by another connection (an import, see archive.js)
+const DB_BUSY_TIMEOUT_MS = 30000;
+function openDatabase() {
+  const conn = new sqlite3.Database(DB_PATH);
+  conn.configure("busyTimeout", DB_BUSY_TIMEOUT_MS);
+  return conn;
+}
+const db = openDatabase();
 
 db.serialize(() => {
   // Base table (keeps predicted_iaq NOT NULL to avoid complex migrations)
@@ -59,48 +110,323 @@ db.serialize(() => {
     preferences_json TEXT,   -- JSON like { shareWithGemini: true, receiveNotifications: true }
     updated_ts INTEGER
   )`);
+  // Version history (see profiles.js): soft-delete time and the version a row was restored from
+  for (const column of ["deleted_ts", "restored_from"]) {
+    db.run(`ALTER TABLE profiles ADD COLUMN ${column} INTEGER`, (err) => {
+      if (err && !/(duplicate column|already exists|duplicate column name)/i.test(err.message)) {
+        console.warn(`[DB] Failed to add profiles.${column} column:`, err.message);
+      }
+    });
+  }
+
+  // --- Device registry (one row per ESP32 unit) ---
+  db.run(`CREATE TABLE IF NOT EXISTS devices (
+    id TEXT PRIMARY KEY,     -- device-chosen id, e.g. "kitchen-esp32" or MAC
+    name TEXT,
+    room TEXT,
+    firmware_version TEXT,
+    created_ts INTEGER,
+    last_seen_ts INTEGER
+  )`);
+
+  // Add device_id to readings; legacy rows are attributed to the default device
+  db.run(`ALTER TABLE readings ADD COLUMN device_id TEXT`, (err) => {
+    if (err) {
+      if (!/(duplicate column|already exists|duplicate column name)/i.test(err.message)) {
+        console.warn("[DB] Failed to add device_id column:", err.message);
+      }
+    } else {
+      console.log("[DB] Added device_id column.");
+    }
+  });
+  db.run(`UPDATE readings SET device_id = ? WHERE device_id IS NULL`, [DEFAULT_DEVICE_ID]);
+  db.run(
+    `INSERT OR IGNORE INTO devices (id, name, created_ts, last_seen_ts)
+     SELECT ?, 'Default device', MIN(ts), MAX(ts) FROM readings WHERE device_id = ? HAVING COUNT(*) > 0`,
+    [DEFAULT_DEVICE_ID, DEFAULT_DEVICE_ID]
+  );
+  db.run(`CREATE INDEX IF NOT EXISTS idx_readings_device_ts ON readings (device_id, ts)`);
+
+  // Where predicted_iaq came from: 'device', 'server' (forecast.js) or 'current_iaq' (no forecast yet).
+  // NULL for readings stored before this column existed.
+  db.run(`ALTER TABLE readings ADD COLUMN predicted_source TEXT`, (err) => {
+    if (err) {
+      if (!/(duplicate column|already exists|duplicate column name)/i.test(err.message)) {
+        console.warn("[DB] Failed to add predicted_source column:", err.message);
+      }
+    } else {
+      console.log("[DB] Added predicted_source column.");
+    }
+  });
+
+  // Sensor-fault checks at ingest (see quality.js); NULL for readings stored before them
+  for (const [column, type] of [["quality", "TEXT"], ["quality_flags", "TEXT"], ["bad_sensors", "INTEGER"]]) {
+    db.run(`ALTER TABLE readings ADD COLUMN ${column} ${type}`, (err) => {
+      if (err && !/(duplicate column|already exists|duplicate column name)/i.test(err.message)) {
+        console.warn(`[DB] Failed to add ${column} column:`, err.message);
+      }
+    });
+  }
+
+  // --- Per-device ingestion tokens (only the SHA-256 of each token is stored) ---
+  db.run(`CREATE TABLE IF NOT EXISTS device_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT,       -- first characters, so a token can be recognised in lists
+    label TEXT,
+    created_ts INTEGER,
+    last_used_ts INTEGER,
+    revoked_ts INTEGER
+  )`);
+
+  // --- Key/value settings and background job bookkeeping ---
+  db.run(`CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_ts INTEGER
+  )`);
+
+  // --- Versioned per-device/per-sensor calibrations (see calibration.js) ---
+  createCalibrationTables(db);
+
+  // --- Minute/hour/day aggregates (see rollups.js) ---
+  createRollupTables(db);
+
+  // --- Alert rules and alert history (see alerts.js) ---
+  createAlertTables(db);
+
+  // --- Notification channels and delivery log (see notifier.js) ---
+  createNotifierTables(db);
+
+  // --- Assistant conversations and messages (see conversations.js) ---
+  createConversationTables(db);
+
+  // --- Log of outbound LLM requests (see privacy.js) ---
+  createPrivacyTables(db);
+
+  // --- Device and server IAQ forecasts (see forecast.js) ---
+  createForecastTables(db);
+
+  // --- Daily forecast accuracy sums (see accuracy.js) ---
+  createAccuracyTables(db);
+
+  // --- Detected pollution episodes and their labels (see episodes.js) ---
+  createEpisodeTables(db);
+
+  // --- Users, households and sessions (see accounts.js) ---
+  createAccountTables(db);
+  // Devices and profiles belong to a household; existing rows go to the default one
+  for (const table of ["devices", "profiles"]) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN household_id INTEGER NOT NULL DEFAULT ${DEFAULT_HOUSEHOLD_ID}`, (err) => {
+      if (err && !/(duplicate column|already exists|duplicate column name)/i.test(err.message)) {
+        console.warn(`[DB] Failed to add ${table}.household_id column:`, err.message);
+      }
+    });
+  }
 });
 
-// ---------------------------------------------------------------------------
-// DISPLAY OVERRIDE HOOKS
-// We want to SHOW predicted_iaq reduced by 100 *to the frontend* while keeping
-// the raw value as stored from the ESP32 in the database for integrity.
-// ---------------------------------------------------------------------------
-function adjustForFrontend(row) {
-  if (!row || typeof row !== "object") return row;
-  const out = { ...row };
-  if (typeof out.predicted_iaq === "number" && isFinite(out.predicted_iaq)) {
-    out.predicted_iaq = out.predicted_iaq - 180; // <-- hardcoded display tweak
+// ----- Device helpers -----
+// Accepts ids like "kitchen", "esp32-a1b2c3" or a MAC address.
+function normalizeDeviceId(value) {
+  if (value === undefined || value === null) return null;
+  const id = String(value).trim();
+  return /^[A-Za-z0-9._:-]{1,64}$/.test(id) ? id : null;
+}
+
+// Device filter from `?device=`; returns undefined when absent, null when invalid
+function deviceFromQuery(req) {
+  const raw = req.query.device;
+  if (raw === undefined || raw === "") return undefined;
+  return normalizeDeviceId(raw);
+}
+
+// Record that a device has reported (creates the registry row on first contact).
+// `seenTs` is server time, so a device with a wrong clock still shows as online.
+function touchDevice(deviceId, firmwareVersion, seenTs) {
+  const fw = firmwareVersion ? String(firmwareVersion).slice(0, 64) : null;
+  db.run(
+    `INSERT INTO devices (id, firmware_version, created_ts, last_seen_ts) VALUES (?, ?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET
+       last_seen_ts = excluded.last_seen_ts,
+       firmware_version = COALESCE(excluded.firmware_version, devices.firmware_version)`,
+    [deviceId, fw, seenTs, seenTs],
+    (err) => {
+      if (err) console.warn("[DB] Failed to update device registry:", err.message);
+    }
+  );
+}
+
+// ----- Auth helpers -----
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+  return m ? m[1].trim() : null;
+}
+
+function isLoopback(req) {
+  const addr = req.socket?.remoteAddress || "";
+  return addr === "127.0.0.1" || addr === "::1" || addr === "::ffff:127.0.0.1";
+}
+
+// Admin rights: ADMIN_TOKEN as bearer (or X-Admin-Token), or localhost when no token is configured
+function isAdmin(req) {
+  if (!ADMIN_TOKEN) return isLoopback(req);
+  const given = Buffer.from(hashToken(req.get("X-Admin-Token") || bearerToken(req) || ""));
+  const expected = Buffer.from(hashToken(ADMIN_TOKEN));
+  return crypto.timingSafeEqual(given, expected);
+}
+
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ ok: false, error: "Admin API is only available from localhost (set ADMIN_TOKEN to allow remote use)" });
+  }
+  res.status(401).json({ ok: false, error: "Invalid admin token" });
+}
+
+// ----- Accounts (see accounts.js) -----
+const accounts = createAccounts(db, { sessionDays: Number(process.env.SESSION_DAYS) || 30 });
+
+function cookieValue(req, name) {
+  for (const part of (req.get("Cookie") || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+// Session from the HttpOnly cookie (dashboard) or a bearer token (scripts)
+function sessionToken(req) {
+  const bearer = bearerToken(req);
+  return cookieValue(req, SESSION_COOKIE) || (bearer?.startsWith("iaqs_") ? bearer : null);
+}
+
+function setSessionCookie(req, res, token, expiresTs) {
+  const maxAge = token ? Math.max(0, expiresTs - Math.floor(Date.now() / 1000)) : 0;
+  res.append(
+    "Set-Cookie",
+    `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ""}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${req.secure ? "; Secure" : ""}`
+  );
+}
+
+// User routes: a valid session -> req.user and req.household ({ id, devices }).
+// Until the first account is registered, requests without one act as the default household.
+async function requireUser(req, res, next) {
+  try {
+    const session = await accounts.resolve(sessionToken(req));
+    if (!session && accounts.hasUsers()) return res.status(401).json({ ok: false, error: "Login required" });
+    const householdId = session?.householdId ?? DEFAULT_HOUSEHOLD_ID;
+    req.user = session?.user || null;
+    req.household = { id: householdId, devices: await accounts.householdDevices(householdId) };
+    next();
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
+
+// Device filter for a user route: `?device=` if the caller's household owns it, else all of
+// the household's devices. Returns null after sending the error response.
+function scopeDevice(req, res) {
+  const device = deviceFromQuery(req);
+  if (device === null) {
+    res.status(400).json({ ok: false, error: "Invalid device id" });
+    return null;
+  }
+  if (device === undefined) return req.household.devices;
+  if (!req.household.devices.includes(device)) {
+    res.status(404).json({ ok: false, error: "Unknown device" });
+    return null;
+  }
+  return device;
+}
+
+// Resolve a device token to { tokenId, deviceId } (null if unknown or revoked).
+// Looked up on every use so a revoked token stops working immediately.
+function verifyDeviceToken(token, callback) {
+  db.get(
+    "SELECT id, device_id FROM device_tokens WHERE token_hash = ? AND revoked_ts IS NULL",
+    [hashToken(token)],
+    (err, row) => {
+      if (err) return callback(err);
+      if (!row) return callback(null, null);
+      db.run("UPDATE device_tokens SET last_used_ts = ? WHERE id = ?", [Math.floor(Date.now() / 1000), row.id]);
+      callback(null, { tokenId: row.id, deviceId: row.device_id });
+    }
+  );
+}
+
+// Ingestion routes: a non-revoked device token as bearer (or X-Device-Token)
+function requireDeviceToken(req, res, next) {
+  const token = bearerToken(req) || req.get("X-Device-Token");
+  const source = req.path === "/data/batch" ? "batch" : "http";
+  if (!token) {
+    metrics.rejected(source, "missing_token");
+    return res.status(401).json({ ok: false, error: "Missing device token" });
   }
-  return out;
+  verifyDeviceToken(token, (err, auth) => {
+    if (err) return res.status(500).json({ ok: false, error: err.message });
+    if (!auth) {
+      metrics.rejected(source, "invalid_token");
+      return res.status(401).json({ ok: false, error: "Invalid or revoked device token" });
+    }
+    req.deviceAuth = auth;
+    next();
+  });
+}
+
+// ----- Calibration -----
+// Readings are stored raw; everything users see (API, SSE, alerts, MQTT, metrics, exports)
+// goes through the calibration in force at the reading's time. `?raw=1` skips it.
+const calibrator = createCalibrator(db);
+
+function calibrate(row) {
+  return calibrator.apply(row);
+}
+
+function wantsRaw(req) {
+  return req.query.raw === "1" || req.query.raw === "true";
 }
 
 // ----- SSE (Server-Sent Events) -----
-const sseClients = new Set();
-app.get("/stream", (req, res) => {
+// Each client maps to its subscription filter ({ household, device?, raw? }); clients only
+// receive events for devices of their own household
+const sseClients = new Map();
+app.get("/stream", requireUser, (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
   console.log("[SSE] New client connected, total clients:", sseClients.size + 1);
   res.set({
     "Content-Type": "text/event-stream",
     "Cache-Control": "no-cache",
-    Connection: "keep-alive",
-    "Access-Control-Allow-Origin": "*"
+    Connection: "keep-alive"
   });
   res.flushHeaders();
   // Named event (client listens on default 'message', so this is just a keepalive)
   res.write(`event: ping\ndata: "ok"\n\n`);
-  sseClients.add(res);
+  const raw = wantsRaw(req);
+  sseClients.set(res, { household: req.household.id, device: Array.isArray(device) ? undefined : device, raw });
   req.on("close", () => {
     sseClients.delete(res);
     console.log("[SSE] Client disconnected, remaining:", sseClients.size);
   });
 });
 
-function broadcast(dataObj) {
-  const payload = `data: ${JSON.stringify(dataObj)}\n\n`;
+// Unnamed events carry readings (the client's onmessage); named events are for everything else.
+// `rawObj` is the uncalibrated variant sent to clients that subscribed with ?raw=1.
+function broadcast(dataObj, eventName, rawObj = dataObj) {
+  const frame = (obj) => `${eventName ? `event: ${eventName}\n` : ""}data: ${JSON.stringify(obj)}\n\n`;
+  const payload = frame(dataObj);
+  const rawPayload = rawObj === dataObj ? payload : frame(rawObj);
   console.log(`[SSE] Broadcasting to ${sseClients.size} clients:`, JSON.stringify(dataObj).slice(0, 100));
-  for (const client of sseClients) {
+  for (const [client, filter] of sseClients) {
+    if (accounts.householdOf(dataObj?.device_id) !== filter.household) continue;
+    if (filter.device && dataObj?.device_id !== filter.device) continue;
     try {
-      client.write(payload);
+      client.write(filter.raw ? rawPayload : payload);
     } catch (e) {
       console.warn("[SSE] Write error, removing client:", e.message);
       sseClients.delete(client);
@@ -108,37 +434,110 @@ function broadcast(dataObj) {
   }
 }
 
-// ----- Profiles helpers -----
-// Helper: fetch latest profile
-function getProfile(callback) {
-  db.get("SELECT * FROM profiles ORDER BY updated_ts DESC LIMIT 1", (err, row) => {
-    if (err || !row) return callback(null);
-    try {
-      callback({
-        id: row.id,
-        owner_name: row.owner_name,
-        members: JSON.parse(row.members_json || "[]"),
-        preferences: JSON.parse(row.preferences_json || "{}"),
-        updated_ts: row.updated_ts,
+// ----- Metrics (Prometheus, served at /metrics) -----
+const metrics = createMetrics(db, {
+  adjust: calibrate,
+  getSseClientCount: () => sseClients.size,
+});
+
+// ----- LLM provider (Gemini, OpenAI-compatible local server or mock; see llm.js) -----
+// Every attempt is timed for /metrics and written to the audit log (privacy.js)
+const llmConfig = llmConfigFromEnv();
+const llmAudit = createLlmAudit(db);
+const llm = createLlm(llmConfig, {
+  getFetch,
+  onCall: (model, endpoint, call) => {
+    const audited = llmAudit.record({ provider: llmConfig.provider, model, endpoint, ...call });
+    const timed = metrics.startLlmCall(model, endpoint);
+    return (outcome) => {
+      timed(outcome);
+      audited(outcome);
+    };
+  },
+});
+console.log(`[llm] provider: ${llm.provider}${llm.available ? ` (${llm.models.join(", ")})` : ""}`);
+
+// ----- Forecasts (server-side IAQ model next to the device's predictions; see forecast.js) -----
+const forecaster = createForecaster(db, { adjust: calibrate });
+setInterval(() => {
+  forecaster.prune().catch((e) => console.warn("[forecast] prune failed:", e.message));
+}, 3600000);
+
+// Scores both forecast sources against the IAQ observed at their target time
+const accuracy = createAccuracyTracker(db, { adjust: calibrate });
+const aqiEngine = createAqiEngine(db, { adjust: calibrate });
+const qualityChecker = createQualityChecker(db);
+const episodes = createEpisodeDetector(db, { adjust: calibrate, householdOf: accounts.householdOf });
+const reports = createReportBuilder(db, {
+  adjust: calibrate,
+  getProfile: (householdId) => new Promise((resolve) => getProfile(householdId, resolve)),
+  episodes,
+});
+
+// ----- Alerts engine (rules evaluated on every stored reading) -----
+const notifier = createNotifier(db, {
+  getFetch,
+  householdOf: accounts.householdOf,
+  getPreferences: (evt) =>
+    new Promise((resolve) => getProfile(accounts.householdOf(evt.device_id), (profile) => resolve(profile?.preferences || {}))),
+});
+
+const alertEngine = createAlertEngine(db, {
+  adjust: calibrate, // thresholds apply to the values users see
+  householdOf: accounts.householdOf,
+  onEvent: (evt) => {
+    broadcast(evt, "alert");
+    notifier.notifyAlert(evt).catch((e) => console.warn("[notify] failed:", e.message));
+  },
+});
+
+// ----- MQTT bridge (optional, see mqtt.js) -----
+const mqttBridge = createMqttBridge(mqttConfigFromEnv(), {
+  adjust: calibrate,
+  getDevice: (id) => new Promise((resolve) => db.get("SELECT * FROM devices WHERE id = ?", [id], (err, row) => resolve(err ? null : row))),
+  // Readings published to MQTT_INGEST_TOPIC: same rules as POST /data, token inside the payload
+  onIngest: (topicDeviceId, payload) =>
+    new Promise((resolve, reject) => {
+      const { token, ...body } = payload || {};
+      const refuse = (reason, error) => {
+        metrics.rejected("mqtt", reason);
+        resolve({ ok: false, error });
+      };
+      if (!token) return refuse("missing_token", "Missing device token");
+      verifyDeviceToken(token, (err, auth) => {
+        if (err) return reject(err);
+        if (!auth) return refuse("invalid_token", "Invalid or revoked device token");
+        const now = Math.floor(Date.now() / 1000);
+        const { row, reason, error } = validateReading({ ...body, device_id: topicDeviceId }, auth.deviceId, now);
+        if (!row) return refuse(reason, error);
+        storeReading(row, body.firmware_version, now, (err2, storedRow) => {
+          if (err2) {
+            metrics.rejected("mqtt", "db_error");
+            return reject(err2);
+          }
+          metrics.accepted("mqtt");
+          resolve({ ok: true, id: storedRow.id });
+        });
       });
-    } catch (e) {
-      callback(null);
-    }
-  });
-}
+    }),
+});
+
+// ----- Profiles helpers -----
+// Members and preferences are encrypted at rest (see encryption.js for where the key comes from)
+const profileKeyring = loadKeyring({ keyFile: path.join(__dirname, "profile.key") });
+const profileCipher = createFieldCipher(profileKeyring);
+const profileStore = createProfileStore(db, {
+  undoSeconds: Number(process.env.PROFILE_UNDO_SECONDS) || 300,
+  cipher: profileCipher,
+});
+profileStore.start();
 
-function buildProfileSummary(profile) {
-  if (!profile) return "";
-  const parts = [];
-  if (profile.owner_name) parts.push(`Household owner: ${profile.owner_name}`);
-  const members = (profile.members || []).map((m) => {
-    const cond = (m.conditions || []).length ? `conditions: ${m.conditions.join(", ")}` : "";
-    return `${m.relation || "Member"} ${m.name || ""} (age: ${m.age || "?"}) ${cond}`.trim();
+// Helper: fetch a household's current (latest, not deleted) profile
+function getProfile(householdId, callback) {
+  profileStore.current(householdId).then(callback, (e) => {
+    console.warn("[profiles] failed to read profile:", e.message);
+    callback(null);
   });
-  if (members.length) parts.push(`Members: ${members.join(" | ")}`);
-  const prefs = profile.preferences || {};
-  if (prefs.receiveNotifications === false) parts.push(`Notifications: OFF`);
-  return parts.join(". ");
 }
 
 function personalizeTextForProfile(text, profile) {
@@ -156,7 +555,9 @@ function personalizeTextForProfile(text, profile) {
   return text;
 }
 
-// Simple server-side context analysis and advice for lifestyle fallback
+// Simple server-side context analysis and advice for lifestyle fallback.
+// `latest` is expected to have gone through usableReading() already (values flagged bad at
+// ingest - stuck, out of range, warming up... - are null), same as the row passed to the advice.
 function analyzeLifestyleContext(latest, recent) {
   const ctx = {
     latest,
@@ -165,17 +566,14 @@ function analyzeLifestyleContext(latest, recent) {
     categories: {},
   };
   if (!latest) return ctx;
-  const pm = Number(latest.pm25);
-  const voc = Number(latest.voc);
-  const etoh = Number(latest.c2h5oh);
-  const co = Number(latest.co);
-  const iaq = Number(latest.predicted_iaq);
-
-  ctx.categories.iaq = iaq >= 300 ? "hazardous" : iaq >= 200 ? "very-unhealthy" : iaq >= 150 ? "unhealthy" : iaq >= 100 ? "usg" : iaq >= 50 ? "moderate" : "good";
-  ctx.categories.pm25 = pm > 100 ? "high" : pm > 50 ? "elevated" : "ok";
-  ctx.categories.voc = voc > 600 ? "high" : voc > 300 ? "elevated" : "ok";
-  ctx.categories.etoh = etoh > 500 ? "high" : etoh > 200 ? "elevated" : "ok";
-  ctx.categories.co = co > 20 ? "high" : co > 9 ? "elevated" : "ok";
+  if (latest.quality_flags) ctx.sensorFlags = latest.quality_flags;
+  // Breakpoints come from shared/aqi.js (same as the dashboard badge and /aqi)
+  const scheme = defaultAqiScheme();
+  ctx.categories.iaq = iaqCategory(latest.predicted_iaq)?.key || "unknown";
+  ctx.categories.pm25 = pollutantLevel("pm25", latest.pm25, scheme) || "unknown";
+  ctx.categories.voc = pollutantLevel("voc", latest.voc, scheme) || "unknown";
+  ctx.categories.etoh = pollutantLevel("c2h5oh", latest.c2h5oh, scheme) || "unknown";
+  ctx.categories.co = pollutantLevel("co", latest.co, scheme) || "unknown";
   return ctx;
 }
 
@@ -183,7 +581,8 @@ function getResearchBasedAdvice(latest, ctx) {
   // Minimal, cautious, non-diagnostic tips
   const lines = [];
   const items = [];
-  const iaq = Number(latest?.predicted_iaq);
+  // null once flagged bad (see usableReading), which Number() would turn into 0
+  const iaq = latest?.predicted_iaq == null ? NaN : Number(latest.predicted_iaq);
   if (Number.isFinite(iaq)) {
     if (iaq >= 300) {
       lines.push("Emergency: Move to fresh air if feeling unwell. Increase ventilation immediately (open windows, use exhaust fans). Avoid sources like cooking or solvents.");
@@ -198,16 +597,15 @@ function getResearchBasedAdvice(latest, ctx) {
     }
   }
   if (ctx?.categories?.pm25 === "high") items.push("Reduce dust and cooking smoke; use exhaust hoods during cooking.");
-  if (ctx?.categories?.voc !== "ok") items.push("Minimize VOC sources (paints, cleaners, aerosols); ventilate during and after use.");
-  if (ctx?.categories?.co !== "ok") items.push("Ensure no combustion sources indoors; ventilate and step outside if headaches or dizziness occur.");
+  const raised = (category) => category === "elevated" || category === "high";
+  if (raised(ctx?.categories?.voc)) items.push("Minimize VOC sources (paints, cleaners, aerosols); ventilate during and after use.");
+  if (raised(ctx?.categories?.co)) items.push("Ensure no combustion sources indoors; ventilate and step outside if headaches or dizziness occur.");
   return { primary: lines[0] || "Maintain light ventilation and monitor.", tips: items.slice(0, 3) };
 }
 
-// ----- API: ESP32 posts here -----
-app.post("/data", (req, res) => {
-  // Expected JSON from ESP32:
-  // { ts?, pm25, voc, c2h5oh, co, current_iaq, predicted_iaq? }
-  const now = Math.floor(Date.now() / 1000);
+// ----- Reading validation (shared by /data and /data/batch) -----
+// Returns { row } ready for insertion, or { status, error } describing why it was rejected.
+function validateReading(body, deviceId, now) {
   const {
     ts = now,
     pm25,
@@ -216,350 +614,1565 @@ app.post("/data", (req, res) => {
     co,
     predicted_iaq,
     current_iaq
-  } = req.body || {};
+  } = body || {};
+
+  const claimedDeviceId = body?.device_id;
+  if (claimedDeviceId !== undefined && claimedDeviceId !== "" && String(claimedDeviceId).trim() !== deviceId) {
+    return { status: 403, reason: "device_mismatch", error: "Token was not issued to this device_id" };
+  }
+
+  if (typeof ts !== "number" || !isFinite(ts)) {
+    return { status: 400, reason: "invalid_ts", error: "Invalid ts (expected Unix seconds)" };
+  }
 
   // Validate sensors
   const sensorsOk = [pm25, voc, c2h5oh, co].every(
     (x) => typeof x === "number" && isFinite(x)
   );
   if (!sensorsOk) {
-    return res.status(400).json({ ok: false, error: "Invalid numeric sensor fields" });
+    return { status: 400, reason: "invalid_sensor_value", error: "Invalid numeric sensor fields" };
   }
 
-  // Choose value for NOT NULL predicted_iaq column (store RAW as sent by device)
+  // Choose value for NOT NULL predicted_iaq column (store RAW as sent by device).
+  // Without one, current_iaq is the placeholder until storeReading asks the forecaster.
   let predToStore = null;
+  let predSource = null;
   if (typeof predicted_iaq === "number" && isFinite(predicted_iaq)) {
     predToStore = predicted_iaq;
+    predSource = "device";
   } else if (typeof current_iaq === "number" && isFinite(current_iaq)) {
     predToStore = current_iaq; // fallback keeps schema happy
+    predSource = "current_iaq";
   }
 
   if (predToStore === null) {
-    return res.status(400).json({ ok: false, error: "Missing predicted_iaq and no valid current_iaq fallback" });
+    return { status: 400, reason: "missing_iaq", error: "Missing predicted_iaq and no valid current_iaq fallback" };
   }
 
-  const stmt = db.prepare(
-    "INSERT INTO readings (ts, pm25, voc, c2h5oh, co, predicted_iaq, current_iaq) VALUES (?, ?, ?, ?, ?, ?, ?)"
-  );
-  stmt.run(
-    ts, pm25, voc, c2h5oh, co, predToStore,
-    (typeof current_iaq === "number" && isFinite(current_iaq)) ? current_iaq : null,
+  // Optional seconds since the device booted; only used by the warm-up check (not stored)
+  const uptime = Number(body.uptime_s);
+
+  return {
+    row: {
+      ts: Math.floor(ts), device_id: deviceId, pm25, voc, c2h5oh, co,
+      predicted_iaq: predToStore,
+      predicted_source: predSource,
+      current_iaq: (typeof current_iaq === "number" && isFinite(current_iaq)) ? current_iaq : null,
+      ...(body.uptime_s !== undefined && Number.isFinite(uptime) && uptime >= 0 ? { uptime_s: uptime } : {}),
+    }
+  };
+}
+
+// Insert one validated reading and fan it out (SSE, alerts, MQTT, forecasts).
+// The sensor-fault checks flag it first; a reading without a device prediction gets
+// the server's 5-minute forecast instead.
+function storeReading(validRow, firmwareVersion, now, callback) {
+  const prepared = qualityChecker
+    .assess(validRow.device_id, [validRow], { firmware: firmwareVersion })
+    .then(([checked]) => (checked.predicted_source === "device" ? checked : forecaster.fillPrediction(checked)));
+  prepared.then((row) => db.run(
+    `INSERT INTO readings (ts, device_id, pm25, voc, c2h5oh, co, predicted_iaq, predicted_source, current_iaq, quality, quality_flags, bad_sensors)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.ts, row.device_id, row.pm25, row.voc, row.c2h5oh, row.co, row.predicted_iaq, row.predicted_source, row.current_iaq,
+      row.quality, row.quality_flags, row.bad_sensors,
+    ],
     function (err) {
-      if (err) return res.status(500).json({ ok: false, error: err.message });
+      if (err) return callback(err);
+      touchDevice(row.device_id, firmwareVersion, now);
+      const storedRow = { id: this.lastID, ...row };
+      broadcast(calibrate(storedRow), undefined, storedRow);
+      forecaster.recordDevice([storedRow]).catch((e) => console.warn("[forecast] record failed:", e.message));
+      onReadingStored(storedRow);
+      callback(null, storedRow);
+    }
+  ));
+}
 
-      const storedRow = {
-        id: this.lastID,
-        ts, pm25, voc, c2h5oh, co,
-        predicted_iaq: predToStore,
-        current_iaq: (typeof current_iaq === "number" && isFinite(current_iaq)) ? current_iaq : null
-      };
+// Server-side consumers of new readings (SSE clients are handled by the caller)
+function onReadingStored(storedRow) {
+  forecaster.update(storedRow).catch((e) => console.warn("[forecast] update failed:", e.message));
+  alertEngine.evaluate(storedRow);
+  mqttBridge?.publishReading(storedRow).catch((e) => console.warn("[mqtt] publish failed:", e.message));
+}
+
+// ----- API: ESP32 posts here -----
+app.post("/data", requireDeviceToken, (req, res) => {
+  // Expected JSON from ESP32 (with "Authorization: Bearer <device token>"):
+  // { ts?, device_id?, firmware_version?, uptime_s?, pm25, voc, c2h5oh, co, current_iaq, predicted_iaq? }
+  // device_id / firmware_version may also come as X-Device-Id / X-Firmware-Version headers;
+  // if given, device_id must match the device the token was issued to.
+  const now = Math.floor(Date.now() / 1000);
+  const body = { ...(req.body || {}) };
+  if (body.device_id === undefined && req.get("X-Device-Id")) body.device_id = req.get("X-Device-Id");
+  const firmware_version = body.firmware_version ?? req.get("X-Firmware-Version");
 
-      // IMPORTANT: Broadcast the *adjusted* value to frontend consumers
-      broadcast(adjustForFrontend(storedRow));
+  const { row, status, reason, error } = validateReading(body, req.deviceAuth.deviceId, now);
+  if (!row) {
+    metrics.rejected("http", reason);
+    return res.status(status).json({ ok: false, error });
+  }
 
-      res.json({ ok: true, id: this.lastID });
+  storeReading(row, firmware_version, now, (err, storedRow) => {
+    if (err) {
+      metrics.rejected("http", "db_error");
+      return res.status(500).json({ ok: false, error: err.message });
     }
-  );
+    metrics.accepted("http");
+    res.json({ ok: true, id: storedRow.id });
+  });
 });
 
-// ----- API: latest & history -----
-app.get("/latest", (req, res) => {
-  db.get(
-    "SELECT * FROM readings ORDER BY ts DESC, id DESC LIMIT 1",
-    (err, row) => {
-      if (err) return res.status(500).json({ ok: false, error: err.message });
-      // Return the *adjusted* view to the frontend
-      res.json({ ok: true, data: row ? adjustForFrontend(row) : null });
+// ----- API: batch / offline backfill -----
+// Body: JSON array of readings, { readings: [...] }, or NDJSON (application/x-ndjson).
+// Each item follows the /data rules; rows already stored for the same device and ts
+// are reported as duplicates. Valid rows are inserted in a single transaction.
+// Rows without predicted_iaq keep the current_iaq placeholder (no server forecast for past data).
+const MAX_BATCH_SIZE = 5000;
+
+function parseBatchBody(req) {
+  if (typeof req.body === "string") {
+    const items = [];
+    const lines = req.body.split(/\r?\n/).filter((l) => l.trim());
+    for (const line of lines) {
+      try {
+        items.push(JSON.parse(line));
+      } catch (e) {
+        items.push({ __parseError: "Invalid JSON line" });
+      }
     }
-  );
-});
+    return items;
+  }
+  if (Array.isArray(req.body)) return req.body;
+  if (Array.isArray(req.body?.readings)) return req.body.readings;
+  return null;
+}
 
-app.get("/history", (req, res) => {
-  const n = parseInt(req.query.limit || "500", 10);
-  const limit = Number.isFinite(n) ? Math.min(Math.max(n, 1), 5000) : 500;
-  db.all(
-    "SELECT * FROM readings ORDER BY ts DESC, id DESC LIMIT ?",
-    [limit],
-    (err, rows) => {
-      if (err) return res.status(500).json({ ok: false, error: err.message });
-      // Chronological order + adjusted view for the frontend
-      const chronological = (rows || []).reverse().map(adjustForFrontend);
-      res.json({ ok: true, data: chronological });
+app.post(
+  "/data/batch",
+  express.text({ type: ["application/x-ndjson", "application/ndjson"], limit: "2mb" }),
+  requireDeviceToken,
+  (req, res) => {
+    const items = parseBatchBody(req);
+    if (!items) return res.status(400).json({ ok: false, error: "Expected an array of readings or NDJSON" });
+    if (items.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({ ok: false, error: `Batch too large (max ${MAX_BATCH_SIZE} readings)` });
     }
-  );
-});
 
-// ----- Profile CRUD endpoints -----
-// GET /profile
-app.get("/profile", (req, res) => {
-  getProfile((profile) => res.json({ ok: true, profile }));
-});
+    const now = Math.floor(Date.now() / 1000);
+    const deviceId = req.deviceAuth.deviceId;
+    const results = items.map((item, index) => {
+      if (item?.__parseError) return { index, status: "rejected", reason: "invalid_json", error: item.__parseError };
+      const { row, reason, error } = validateReading(item, deviceId, now);
+      return row ? { index, row } : { index, status: "rejected", reason, error };
+    });
+    const toInsert = results.filter((r) => r.row);
 
-// POST /profile (insert new record; history preserved)
-app.post("/profile", express.json(), (req, res) => {
-  const body = req.body || {};
-  const owner_name = String(body.owner_name || "").slice(0, 128);
-  const members = Array.isArray(body.members) ? body.members : [];
-  const preferences = typeof body.preferences === "object" && body.preferences ? body.preferences : {};
-  const now = Date.now();
-  const members_json = JSON.stringify(members);
-  const preferences_json = JSON.stringify(preferences);
-  db.run(
-    "INSERT INTO profiles (owner_name, members_json, preferences_json, updated_ts) VALUES (?, ?, ?, ?)",
-    [owner_name, members_json, preferences_json, now],
-    function (err) {
+    const finish = () => {
+      const accepted = toInsert.filter((r) => r.status === "accepted");
+      const summary = {
+        accepted: accepted.length,
+        duplicates: results.filter((r) => r.status === "duplicate").length,
+        rejected: results.filter((r) => r.status === "rejected").length,
+      };
+      metrics.accepted("batch", summary.accepted);
+      metrics.rejected("batch", "duplicate", summary.duplicates);
+      for (const r of results) if (r.status === "rejected") metrics.rejected("batch", r.reason || "db_error");
+      if (accepted.length) {
+        touchDevice(deviceId, req.get("X-Firmware-Version"), now);
+        forecaster.recordDevice(accepted.map((r) => ({ id: r.id, ...r.row }))).catch((e) => console.warn("[forecast] record failed:", e.message));
+        const newest = accepted.reduce((a, b) => (b.row.ts >= a.row.ts ? b : a));
+        // One summarized frame instead of one per row
+        const frame = {
+          device_id: deviceId,
+          ...summary,
+          from_ts: Math.min(...accepted.map((r) => r.row.ts)),
+          to_ts: newest.row.ts,
+        };
+        const newestRow = { id: newest.id, ...newest.row };
+        broadcast({ ...frame, latest: calibrate(newestRow) }, "backfill", { ...frame, latest: newestRow });
+        // Rules and MQTT state reflect the device's current state, so only the newest reading is passed on
+        onReadingStored({ id: newest.id, ...newest.row });
+      }
+      res.json({
+        ok: true,
+        ...summary,
+        results: results.map(({ row, reason, ...r }) => r),
+      });
+    };
+
+    if (!toInsert.length) return finish();
+
+    // Sensor-fault checks run over the whole batch in time order (see quality.js)
+    const checked = qualityChecker.assess(deviceId, toInsert.map((r) => r.row), { firmware: req.get("X-Firmware-Version") });
+    const failed = (err) => res.status(503).json({ ok: false, error: `Could not store the batch, try again: ${err.message}` });
+    checked
+      .then((rows) => {
+        rows.forEach((row, i) => { toInsert[i].row = row; });
+        // Through the per-connection transaction queue, so concurrent batches and imports take
+        // turns instead of issuing overlapping BEGINs on the shared handle
+        return transaction(db, async () => {
+          for (const r of toInsert) {
+            const x = r.row;
+            try {
+              const { lastID, changes } = await run(
+                db,
+                `INSERT INTO readings (ts, device_id, pm25, voc, c2h5oh, co, predicted_iaq, predicted_source, current_iaq, quality, quality_flags, bad_sensors)
+                 SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+                 WHERE NOT EXISTS (SELECT 1 FROM readings WHERE device_id = ? AND ts = ?)`,
+                [x.ts, x.device_id, x.pm25, x.voc, x.c2h5oh, x.co, x.predicted_iaq, x.predicted_source, x.current_iaq,
+                  x.quality, x.quality_flags, x.bad_sensors, x.device_id, x.ts]
+              );
+              if (changes) {
+                r.status = "accepted";
+                r.id = lastID;
+              } else {
+                r.status = "duplicate";
+              }
+            } catch (err) {
+              r.status = "rejected";
+              r.error = err.message;
+            }
+          }
+        });
+      })
+      .then(finish, failed);
+  }
+);
+
+// ----- API: latest & history -----
+// ?raw=1 on /latest, /history, /devices, /forecasts, /stream and /export returns stored values
+// `aqi` carries the standards-based breakdown (see GET /aqi); ?aqi=<scheme> picks the
+// scheme, ?aqi=none leaves it out
+app.get("/latest", requireUser, (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  const view = wantsRaw(req) ? (r) => r : calibrate;
+  const scheme = req.query.aqi ? String(req.query.aqi) : defaultAqiScheme();
+  if (scheme !== "none" && !isAqiScheme(scheme)) return res.status(400).json({ ok: false, error: "Unknown AQI scheme" });
+  const byDevice = deviceFilter(device);
+  db.get(
+    `SELECT * FROM readings WHERE ${byDevice.sql} ORDER BY ts DESC, id DESC LIMIT 1`,
+    byDevice.params,
+    async (err, row) => {
       if (err) return res.status(500).json({ ok: false, error: err.message });
-      return res.json({ ok: true, id: this.lastID, owner_name, members, preferences, updated_ts: now });
+      if (!row) return res.json({ ok: true, data: null });
+      let aqi;
+      if (scheme !== "none") {
+        try {
+          aqi = await aqiEngine.breakdown({ device: row.device_id, scheme });
+        } catch (e) {
+          console.warn("[aqi] breakdown failed:", e.message);
+          aqi = null;
+        }
+      }
+      res.json({ ok: true, data: { ...view(row), ...(aqi !== undefined ? { aqi } : {}) } });
     }
   );
 });
 
-// DELETE /profile (remove all)
-app.delete("/profile", (req, res) => {
-  db.run("DELETE FROM profiles", (err) => {
-    if (err) return res.status(500).json({ ok: false, error: err.message });
-    res.json({ ok: true, deleted: true });
+// ----- AQI -----
+// GET /aqi?device=&scheme=&averaging=standard|instant
+// Standards-based index: per-pollutant sub-indices over the scheme's averaging windows
+// (calibrated values) and the overall index = the highest one.
+app.get("/aqi", requireUser, async (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  const scheme = req.query.scheme ? String(req.query.scheme) : defaultAqiScheme();
+  const averaging = req.query.averaging ? String(req.query.averaging) : "standard";
+  if (!isAqiScheme(scheme)) return res.status(400).json({ ok: false, error: "Unknown AQI scheme" });
+  if (!AQI_AVERAGING.includes(averaging)) {
+    return res.status(400).json({ ok: false, error: `averaging must be one of ${AQI_AVERAGING.join(", ")}` });
+  }
+  try {
+    res.json({ ok: true, data: await aqiEngine.breakdown({ device, scheme, averaging }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /aqi/schemes -> available schemes with their categories and averaging windows
+app.get("/aqi/schemes", (req, res) => {
+  res.json({
+    ok: true,
+    data: {
+      default: defaultAqiScheme(),
+      schemes: Object.entries(AQI_SCHEMES).map(([key, s]) => ({
+        key,
+        label: s.label,
+        source: s.source,
+        categories: s.categories.map(({ key, label, max }) => ({ key, label, max })),
+        pollutants: Object.entries(s.pollutants).map(([pollutant, p]) => ({ pollutant, unit: p.unit, window_h: p.window_h })),
+      })),
+    },
   });
 });
 
-// ----- AI Chat endpoint (Gemini proxy) -----
-app.post("/chat", async (req, res) => {
-  try {
-    const { question, recentData = [], latest = null } = req.body || {};
-    if (!question || typeof question !== "string") {
-      return res.status(400).json({ ok: false, error: "Missing question" });
-    }
-    console.log(`[chat] Q: ${question.slice(0, 120)}${question.length > 120 ? "…" : ""}`);
+// ----- History: time ranges + server-side downsampling -----
+const HISTORY_BUCKETS = { "1m": 60, "5m": 300, "1h": 3600, "1d": 86400 };
+const MAX_HISTORY_BUCKETS = 20000;
 
-    // Compact context
-    const tail = (Array.isArray(recentData) ? recentData : []).slice(-16);
-    function trend(values) {
-      if (!values || values.length < 4) return "insufficient";
-      const first = values[0];
-      const last = values[values.length - 1];
-      const delta = last - first;
-      const mag = Math.abs(delta);
-      const base = Math.max(1, Math.abs(first));
-      const rel = mag / base;
-      if (mag < 0.01) return "steady";
-      if (rel < 0.05) return delta > 0 ? "slightly rising" : "slightly falling";
-      return delta > 0 ? "rising" : "falling";
-    }
-    const pm25Trend = trend(tail.map((r) => Number(r.pm25)));
-    const vocTrend = trend(tail.map((r) => Number(r.voc)));
-    const etohTrend = trend(tail.map((r) => Number(r.c2h5oh)));
-    const coTrend = trend(tail.map((r) => Number(r.co)));
-    const iaqTrend = trend(tail.map((r) => Number(r.predicted_iaq)));
-    const trendSummary = `PM2.5: ${pm25Trend}; VoC: ${vocTrend}; Ethanol: ${etohTrend}; CO: ${coTrend}; Pred. IAQ: ${iaqTrend}.`;
-    const context = {
-      latest,
-      recentSummary: tail.map((r) => ({
-        ts: r.ts,
-        pm25: r.pm25,
-        voc: r.voc,
-        c2h5oh: r.c2h5oh,
-        co: r.co,
-        predicted_iaq: r.predicted_iaq,
-        current_iaq: r.current_iaq,
-      })),
-      trendSummary,
-    };
+// Accepts Unix seconds ("1717430400") or anything Date.parse understands ("2024-03-03T14:00").
+// Returns undefined when absent and null when unparseable.
+function parseTimeParam(value) {
+  if (value === undefined || value === "") return undefined;
+  const str = String(value).trim();
+  if (/^-?\d+(\.\d+)?$/.test(str)) return Math.floor(Number(str));
+  const ms = Date.parse(str);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
 
-    // Load profile and decide privacy
-    getProfile(async (profile) => {
-      const profileSummary = profile ? buildProfileSummary(profile) : "";
-      const shareWithGemini = !!(profile?.preferences?.shareWithGemini && GEMINI_API_KEY);
-
-      // If not sharing or no key, do local fallback answer
-      if (!shareWithGemini) {
-        const ctx = analyzeLifestyleContext(latest, tail);
-        const adviceObj = getResearchBasedAdvice(latest, ctx);
-        let answer = `Here’s what I see. ${ctx.categories?.iaq ? `Projected IAQ is ${ctx.categories.iaq}.` : ""} ${adviceObj.primary}`.trim();
-        if (adviceObj.tips?.length) answer += `\n\nOther tips:\n- ${adviceObj.tips.join("\n- ")}`;
-        answer = personalizeTextForProfile(answer, profile);
-        return res.json({
-          ok: true,
-          answer: `${answer}\n\nThis is educational guidance, not medical advice. If symptoms occur, seek professional care.`,
-          meta: {
-            usedGemini: false,
-            personalized: !!profile,
-            profileSummary: profileSummary || null,
-            disclaimer: "Personalized locally. No household details were sent to external services.",
-          },
-        });
-      }
+// GET /history?limit=&device=&from=&to=&bucket=&tz_offset=&raw=
+// - no bucket: raw rows (newest `limit` within the range), chronological
+// - bucket=1m|5m|1h|1d: per-bucket min/avg/max per sensor computed in SQLite.
+//   Averages keep the plain sensor names (pm25, voc, ...) so charts can use either shape.
+//   tz_offset (minutes east of UTC) aligns hour/day buckets to local midnight.
+//   Served from the rollup tables, so it still works after raw rows are pruned.
+app.get("/history", requireUser, async (req, res) => {
+  const n = parseInt(req.query.limit || "500", 10);
+  const limit = Number.isFinite(n) ? Math.min(Math.max(n, 1), 5000) : 500;
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (from === null || to === null) return res.status(400).json({ ok: false, error: "Invalid from/to (use Unix seconds or ISO 8601)" });
+  if (from !== undefined && to !== undefined && from > to) return res.status(400).json({ ok: false, error: "from must be before to" });
+  const bucketKey = req.query.bucket;
+  if (bucketKey !== undefined && !HISTORY_BUCKETS[bucketKey]) {
+    return res.status(400).json({ ok: false, error: `Invalid bucket (use ${Object.keys(HISTORY_BUCKETS).join(", ")})` });
+  }
+  const view = wantsRaw(req) ? (r) => r : calibrate;
 
-      // Build remote prompt with privacy controls
-      const basePrompt = `You are a friendly home wellness assistant for an Indoor Air Quality (IAQ) dashboard.\n` +
-        `Sensors: PM2.5, VoC (MQ-135), Ethanol proxy (MQ-3), CO (MQ-7). IAQ prediction is 5 minutes ahead.\n` +
-        `Answer clearly in 1-2 short paragraphs. Offer cautious, non-diagnostic lifestyle tips when appropriate.\n` +
-        `Do NOT provide medical diagnoses. Encourage consulting professionals for health concerns.\n` +
-        `Latest/Trend JSON follows; you may mention key trends.\n`;
-      let prompt = basePrompt +
-        `\nUser question: "${question}"\n` +
-        `Latest and trend:\n${JSON.stringify(context, null, 2)}\n`;
-      if (profileSummary) {
-        prompt += `\nHousehold profile: ${profileSummary}\nIMPORTANT: Use this profile to personalize language and prioritize vulnerable members. Keep it non-diagnostic and safety-first.`;
+  if (!bucketKey) {
+    const byDevice = deviceFilter(device);
+    const where = [byDevice.sql];
+    const params = [...byDevice.params];
+    if (from !== undefined) { where.push("ts >= ?"); params.push(from); }
+    if (to !== undefined) { where.push("ts <= ?"); params.push(to); }
+    db.all(
+      `SELECT * FROM readings WHERE ${where.join(" AND ")} ORDER BY ts DESC, id DESC LIMIT ?`,
+      [...params, limit],
+      (err, rows) => {
+        if (err) return res.status(500).json({ ok: false, error: err.message });
+        const chronological = (rows || []).reverse().map(view);
+        res.json({ ok: true, data: chronological });
       }
-      prompt += `\n\nFinish with a brief educational disclaimer.`;
+    );
+    return;
+  }
 
-      const modelsToTry = Array.from(new Set([GEMINI_MODEL, "gemini-2.5-flash", "gemini-2.0-flash", "gemini-1.5-flash-latest"]));
-      const doFetch = await getFetch();
-      let lastError = null;
-      for (const model of modelsToTry) {
-        const url = `https://generativelanguage.googleapis.com/v1/models/${encodeURIComponent(model)}:generateContent?key=${GEMINI_API_KEY}`;
-        try {
-          console.log(`[chat] trying model: ${model}`);
-          const resp = await doFetch(url, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              contents: [{ role: "user", parts: [{ text: prompt }] }],
-              generationConfig: { temperature: 0.4, topP: 0.9, maxOutputTokens: 512 },
-            }),
-          });
-          const data = await resp.json();
-          if (!resp.ok || data?.error) {
-            const message = data?.error?.message || `Upstream error (status ${resp.status})`;
-            lastError = message;
-            console.warn(`[chat] model ${model} error: ${message}`);
-            // Try next model if this one is overloaded, not found, or unavailable
-            if (/overloaded|not found|unsupported|unavailable|unrecognized|quota|rate limit/i.test(String(message)) || resp.status === 404 || resp.status === 429 || resp.status === 503) continue;
-            return res.status(502).json({ ok: false, error: message });
-          }
-          const blockedReason = data?.promptFeedback?.blockReason || data?.candidates?.[0]?.finishReason;
-          if (blockedReason && String(blockedReason).toUpperCase().includes("SAFETY")) {
-            return res.status(200).json({ ok: false, error: `Response blocked by safety filter (${blockedReason}). Try rephrasing the question.` });
-          }
-          let answer = "";
-          const parts = data?.candidates?.[0]?.content?.parts || [];
-          for (const p of parts) if (typeof p.text === "string") answer += p.text;
-          if (!answer.trim()) {
-            lastError = "Empty response from model";
-            console.warn(`[chat] model ${model} returned empty text; trying next`);
-            continue;
-          }
-          console.log(`[chat] answered with model: ${model}`);
-          return res.json({ ok: true, answer, meta: { usedGemini: true, personalized: !!profileSummary, profileSummary: profileSummary || null, disclaimer: "Profile summary was shared with Gemini for personalization." } });
-        } catch (e) {
-          lastError = e.message;
-          console.warn(`[chat] model ${model} exception: ${e.message}`);
-          continue;
-        }
-      }
-      // If Gemini fails, fallback locally
-      const ctx = analyzeLifestyleContext(latest, tail);
-      const adviceObj = getResearchBasedAdvice(latest, ctx);
-      let answer = personalizeTextForProfile(`${adviceObj.primary}`, profile);
-      return res.json({ ok: true, answer: `${answer}\n\n(Temporary fallback because AI model was unavailable)`, meta: { usedGemini: false, personalized: !!profile, profileSummary: profileSummary || null, disclaimer: "Personalized locally due to AI service issue." } });
+  // Bucketed: default to the last 24h when no range is given
+  const bucket = HISTORY_BUCKETS[bucketKey];
+  const tzOffset = Math.max(-840, Math.min(840, parseInt(req.query.tz_offset || "0", 10) || 0)) * 60;
+  const rangeTo = to !== undefined ? to : Math.floor(Date.now() / 1000);
+  const rangeFrom = from !== undefined ? from : rangeTo - 86400;
+  if ((rangeTo - rangeFrom) / bucket > MAX_HISTORY_BUCKETS) {
+    return res.status(400).json({ ok: false, error: "Range too large for this bucket; choose a larger bucket" });
+  }
+  try {
+    await runRollup(db); // pick up readings from the last minute
+    const rows = await queryBuckets(db, { device, from: rangeFrom, to: rangeTo, bucketSeconds: bucket, tzOffset });
+    res.json({
+      ok: true,
+      // Buckets are calibrated with the version in force at their end
+      // (a single device's own calibration; the global one when several devices are averaged)
+      data: rows.map((r) => ({ ...view({ ...r, device_id: Array.isArray(device) ? undefined : device, ts: r.ts + bucket - 1 }), ts: r.ts })),
+      meta: { from: rangeFrom, to: rangeTo, bucket: bucketKey },
     });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// ----- Lifestyle advice endpoint -----
-app.get("/lifestyle-advice", async (req, res) => {
-  db.get("SELECT * FROM readings ORDER BY ts DESC, id DESC LIMIT 1", (err, latest) => {
-    if (err || !latest) return res.status(500).json({ ok: false, error: "no data" });
-    db.all("SELECT * FROM readings ORDER BY ts DESC, id DESC LIMIT 20", async (err2, recent) => {
-      const context = analyzeLifestyleContext(latest, recent || []);
-      getProfile(async (profile) => {
-        const profileSummary = profile ? buildProfileSummary(profile) : "";
-        const shareWithGemini = !!(profile?.preferences?.shareWithGemini && GEMINI_API_KEY);
-        if (shareWithGemini) {
-          // Build Gemini prompt (single tip + prioritization)
-          const doFetch = await getFetch();
-          const modelsToTry = Array.from(new Set([GEMINI_MODEL, "gemini-2.5-flash", "gemini-2.0-flash", "gemini-1.5-flash-latest"]));
-          let lastError = null;
-          const prompt = `You are a friendly home wellness advisor. Based on the latest IAQ data (JSON below), give one research-informed tip tailored to this household. ` +
-            `Prioritize vulnerable members if present. Keep it non-diagnostic and safety-first. End with a brief educational disclaimer.\n` +
-            `Household profile: ${profileSummary}\n` +
-            `Context JSON: ${JSON.stringify({ latest: adjustForFrontend(latest), trendSummary: context?.categories }, null, 2)}`;
-          for (const model of modelsToTry) {
-            const url = `https://generativelanguage.googleapis.com/v1/models/${encodeURIComponent(model)}:generateContent?key=${GEMINI_API_KEY}`;
-            try {
-              const resp = await doFetch(url, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: prompt }] }], generationConfig: { temperature: 0.3, topP: 0.9, maxOutputTokens: 320 } }),
-              });
-              const data = await resp.json();
-              if (!resp.ok || data?.error) {
-                const message = data?.error?.message || `Upstream error (status ${resp.status})`;
-                lastError = message;
-                // Try next model if this one is overloaded, not found, or unavailable
-                if (/overloaded|not found|unsupported|unavailable|unrecognized|quota|rate limit/i.test(String(message)) || resp.status === 404 || resp.status === 429 || resp.status === 503) continue;
-                return res.status(502).json({ ok: false, error: message });
-              }
-              let text = "";
-              const parts = data?.candidates?.[0]?.content?.parts || [];
-              for (const p of parts) if (typeof p.text === "string") text += p.text;
-              if (!text.trim()) { lastError = "Empty response"; continue; }
-              return res.json({ ok: true, context, advice: { text, source: "gemini" }, meta: { usedGemini: true, profileSummary } });
-            } catch (e) {
-              lastError = e.message;
-            }
-          }
-          // fallthrough to local
-          console.warn("/lifestyle-advice: Gemini unavailable, using fallback: ", lastError);
-        }
-        const adviceObj = getResearchBasedAdvice(latest, context);
-        const finalText = personalizeTextForProfile(adviceObj.primary, profile);
-        res.json({ ok: true, context, advice: { ...adviceObj, text: `${finalText} This is educational guidance, not medical advice.` , source: "local" }, meta: { usedGemini: false, profileSummary } });
-      });
+// ----- Forecasts -----
+// GET /forecasts?device=&from=&to=&source=device|server&horizon=5|15|60&bucket=&raw=
+// Forecast points by target time (default: the last 24h plus the next hour), calibrated
+// like predicted_iaq.
+app.get("/forecasts", requireUser, async (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (from === null || to === null) return res.status(400).json({ ok: false, error: "Invalid from/to (use Unix seconds or ISO 8601)" });
+  const source = req.query.source || undefined;
+  if (source && !FORECAST_SOURCES.includes(source)) {
+    return res.status(400).json({ ok: false, error: `Invalid source (use ${FORECAST_SOURCES.join(", ")})` });
+  }
+  const horizon = req.query.horizon ? Number(req.query.horizon) : undefined;
+  if (horizon !== undefined && !FORECAST_HORIZONS.includes(horizon)) {
+    return res.status(400).json({ ok: false, error: `Invalid horizon (use ${FORECAST_HORIZONS.join(", ")})` });
+  }
+  const bucketKey = req.query.bucket;
+  if (bucketKey !== undefined && !HISTORY_BUCKETS[bucketKey]) {
+    return res.status(400).json({ ok: false, error: `Invalid bucket (use ${Object.keys(HISTORY_BUCKETS).join(", ")})` });
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const rangeTo = to !== undefined ? to : now + 3600;
+  const rangeFrom = from !== undefined ? from : now - 86400;
+  if (rangeFrom > rangeTo) return res.status(400).json({ ok: false, error: "from must be before to" });
+  try {
+    const data = await forecaster.list({
+      device, from: rangeFrom, to: rangeTo, source, horizon, bucket: HISTORY_BUCKETS[bucketKey], raw: wantsRaw(req),
     });
-  });
+    res.json({ ok: true, data, meta: { from: rangeFrom, to: rangeTo, horizons: FORECAST_HORIZONS } });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /forecasts/latest?device= -> newest server forecast set and device prediction
+app.get("/forecasts/latest", requireUser, async (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  try {
+    res.json({ ok: true, data: await forecaster.latest(device) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Forecast accuracy -----
+// GET /forecast-accuracy?device=&source=&horizon=&from=&to=
+// MAE/RMSE/bias overall, per UTC day and per observed IAQ category, plus the category
+// confusion matrix, for each source. Defaults: horizon 5, the last 30 days.
+app.get("/forecast-accuracy", requireUser, async (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (from === null || to === null) return res.status(400).json({ ok: false, error: "Invalid from/to (use Unix seconds or ISO 8601)" });
+  const source = req.query.source || undefined;
+  if (source && !FORECAST_SOURCES.includes(source)) {
+    return res.status(400).json({ ok: false, error: `Invalid source (use ${FORECAST_SOURCES.join(", ")})` });
+  }
+  const horizon = req.query.horizon ? Number(req.query.horizon) : undefined;
+  if (horizon !== undefined && !FORECAST_HORIZONS.includes(horizon)) {
+    return res.status(400).json({ ok: false, error: `Invalid horizon (use ${FORECAST_HORIZONS.join(", ")})` });
+  }
+  const rangeTo = to !== undefined ? to : Math.floor(Date.now() / 1000);
+  const rangeFrom = from !== undefined ? from : rangeTo - 30 * 86400;
+  if (rangeFrom > rangeTo) return res.status(400).json({ ok: false, error: "from must be before to" });
+  try {
+    res.json({ ok: true, data: await accuracy.summary({ device, source, horizon, from: rangeFrom, to: rangeTo }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /admin/forecast-accuracy/run -> rescore now instead of waiting for the job
+app.post("/admin/forecast-accuracy/run", requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await accuracy.run()) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Episodes -----
+// GET /episodes?device=&from=&to=&label=&limit= -> episodes overlapping the range (default:
+// the last 24 h), each with `label` (the user's if given, else the classifier's guess)
+app.get("/episodes", requireUser, async (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (from === null || to === null) return res.status(400).json({ ok: false, error: "Invalid from/to (use Unix seconds or ISO 8601)" });
+  const rangeTo = to !== undefined ? to : Math.floor(Date.now() / 1000);
+  const rangeFrom = from !== undefined ? from : rangeTo - 86400;
+  const n = parseInt(req.query.limit || "500", 10);
+  const limit = Number.isFinite(n) ? Math.min(Math.max(n, 1), 5000) : 500;
+  const label = req.query.label ? normalizeLabel(req.query.label) : undefined;
+  if (label === null) return res.status(400).json({ ok: false, error: "Invalid label" });
+  try {
+    res.json({ ok: true, data: await episodes.list({ device, from: rangeFrom, to: rangeTo, label, limit }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /episodes/labels -> known labels with the number of user-labelled examples
+app.get("/episodes/labels", requireUser, async (req, res) => {
+  try {
+    res.json({ ok: true, data: await episodes.labels({ device: req.household.devices }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// PUT /episodes/:id { label } confirms or relabels (the classifier learns from it);
+// { label: null } goes back to the classifier's guess
+app.put("/episodes/:id", requireUser, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ ok: false, error: "Invalid episode id" });
+  const given = req.body?.label;
+  const label = given === null ? null : normalizeLabel(given);
+  if (given !== null && !label) {
+    return res.status(400).json({ ok: false, error: "label must be 1-32 letters, digits, spaces, '-' or '_' (or null)" });
+  }
+  try {
+    const episode = await episodes.getEpisode(id);
+    if (!episode || !req.household.devices.includes(episode.device_id)) return res.status(404).json({ ok: false, error: "Unknown episode" });
+    const result = await episodes.setLabel(id, label);
+    if (!result) return res.status(404).json({ ok: false, error: "Unknown episode" });
+    res.json({ ok: true, data: result.episode, reclassified: result.reclassified });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /admin/episodes/rebuild { device?, from? } -> detect again from `from` (default:
+// 24 h ago), e.g. after a backfill. User-labelled episodes are kept.
+app.post("/admin/episodes/rebuild", requireAdmin, async (req, res) => {
+  const device = req.body?.device ? normalizeDeviceId(req.body.device) : undefined;
+  if (device === null) return res.status(400).json({ ok: false, error: "Invalid device id" });
+  const from = parseTimeParam(req.body?.from);
+  if (from === null) return res.status(400).json({ ok: false, error: "Invalid from (use Unix seconds or ISO 8601)" });
+  try {
+    res.json({ ok: true, ...(await episodes.rebuild({ device, from: from ?? Math.floor(Date.now() / 1000) - 86400 })) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Exposure reports -----
+// Query shared by the JSON and HTML routes -> { options } or { status?, error }
+function reportOptions(req) {
+  const device = deviceFromQuery(req);
+  if (device === null) return { error: "Invalid device id" };
+  if (device && !req.household.devices.includes(device)) return { status: 404, error: "Unknown device" };
+  const period = req.query.period || "week";
+  if (!REPORT_PERIODS[period]) return { error: `Invalid period (use ${Object.keys(REPORT_PERIODS).join(", ")})` };
+  const date = req.query.date || undefined;
+  if (date !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !Number.isFinite(Date.parse(date)))) {
+    return { error: "Invalid date (use YYYY-MM-DD)" };
+  }
+  const tzOffset = Math.max(-840, Math.min(840, parseInt(req.query.tz_offset || "0", 10) || 0)) * 60;
+  return { options: { device: device || req.household.devices, period, date, tzOffset, householdId: req.household.id } };
+}
+
+// GET /reports/exposure?device=&period=day|week&date=YYYY-MM-DD&tz_offset= -> time in
+// each IAQ category per day, hours above the WHO PM2.5 guideline, peak events, the
+// comparison with a week earlier and notes per vulnerable household member.
+// `date` is the last day of the period (default: today).
+app.get("/reports/exposure", requireUser, async (req, res) => {
+  const { options, status, error } = reportOptions(req);
+  if (error) return res.status(status || 400).json({ ok: false, error });
+  try {
+    const report = await reports.exposure(options);
+    if (!report) return res.status(404).json({ ok: false, error: "No readings yet" });
+    res.json({ ok: true, data: report });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /reports/exposure.html?...&print=1 -> the same report as a printable page;
+// print=1 opens the print dialog (Save as PDF) once it has loaded
+app.get("/reports/exposure.html", requireUser, async (req, res) => {
+  const { options, status, error } = reportOptions(req);
+  if (error) return res.status(status || 400).type("text/plain").send(error);
+  try {
+    const report = await reports.exposure(options);
+    if (!report) return res.status(404).type("text/plain").send("No readings yet");
+    res.type("html").send(renderExposureHtml(report, { autoPrint: req.query.print === "1" }));
+  } catch (e) {
+    res.status(500).type("text/plain").send(e.message);
+  }
+});
+
+// ----- Calibrations -----
+// GET /calibrations?device=&sensor= -> versions (a device's own plus the global ones), newest first.
+// Only the global versions and those of the household's own devices are listed.
+app.get("/calibrations", requireUser, async (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  try {
+    const list = await calibrator.list({ device: typeof device === "string" ? device : undefined, sensor: req.query.sensor || undefined });
+    res.json({ ok: true, data: list.filter((c) => !c.device_id || req.household.devices.includes(c.device_id)) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /calibrations { device_id?, sensor, kind: 'linear'|'piecewise', params, effective_from?, note? }
+// Adds a version; omit device_id for a global one. effective_from defaults to now.
+app.post("/calibrations", requireAdmin, async (req, res) => {
+  const { calibration, error } = validateCalibration(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    res.json({ ok: true, data: await calibrator.create(calibration) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /calibrations/reference { device_id, sensor, reference, ts?, mode?: 'offset'|'scale'|'point', effective_from? }
+// Derives a device version from a reference-instrument reading taken at `ts` (default: latest reading).
+app.post("/calibrations/reference", requireAdmin, async (req, res) => {
+  try {
+    const { calibration, status, error } = await calibrator.fromReference(req.body);
+    if (error) return res.status(status || 400).json({ ok: false, error });
+    res.json({ ok: true, data: calibration });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// DELETE /calibrations/:id -> the previous version (or the global one) applies again
+app.delete("/calibrations/:id", requireAdmin, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid id" });
+  try {
+    const deleted = await calibrator.remove(id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "Unknown calibration" });
+    res.json({ ok: true, deleted: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Admin: retention, rollups and DB stats -----
+// GET /admin/db-stats -> file size, row counts per table, last rollup/prune
+app.get("/admin/db-stats", requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, data: await getDbStats(db, DB_PATH) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/admin/retention", requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, retentionDays: await getRetentionDays(db) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// PUT /admin/retention { days } (0 keeps raw readings forever; null reverts to RETENTION_DAYS)
+app.put("/admin/retention", requireAdmin, async (req, res) => {
+  const days = req.body?.days;
+  if (days !== null && !(typeof days === "number" && Number.isFinite(days) && days >= 0)) {
+    return res.status(400).json({ ok: false, error: "days must be a non-negative number or null" });
+  }
+  try {
+    await setSetting(db, "retention.days", days);
+    res.json({ ok: true, retentionDays: await getRetentionDays(db) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /admin/rollup, /admin/prune (run the background jobs now)
+app.post("/admin/rollup", requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await runRollup(db)) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/admin/prune", requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await pruneReadings(db)) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Accounts -----
+function sessionResponse(req, res, session) {
+  setSessionCookie(req, res, session.token, session.expires_ts);
+  res.json({ ok: true, data: session });
+}
+
+// POST /auth/register { email, password, name?, household?, invite? } -> session (also set as
+// the cookie). Without an invite a new household is created, except for the first account,
+// which takes over the existing data.
+app.post("/auth/register", async (req, res) => {
+  const creds = validateCredentials(req.body, { register: true });
+  if (creds.error) return res.status(400).json({ ok: false, error: creds.error });
+  const invite = req.body?.invite ? String(req.body.invite).trim() : undefined;
+  const household = req.body?.household ? String(req.body.household).trim() : undefined;
+  try {
+    const result = await accounts.register({ ...creds, household, invite });
+    if (result.error) return res.status(result.status || 400).json({ ok: false, error: result.error });
+    sessionResponse(req, res, result);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /auth/login { email, password } -> session
+app.post("/auth/login", async (req, res) => {
+  const creds = validateCredentials(req.body);
+  if (creds.error) return res.status(400).json({ ok: false, error: creds.error });
+  try {
+    const session = await accounts.login(creds);
+    if (!session) return res.status(401).json({ ok: false, error: "Invalid email or password" });
+    sessionResponse(req, res, session);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/auth/logout", async (req, res) => {
+  try {
+    const token = sessionToken(req);
+    if (token) await accounts.logout(token);
+    setSessionCookie(req, res, null);
+    res.json({ ok: true, logged_out: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /auth/me -> { user, household, members, accounts, registration }; user is null when not
+// logged in. `accounts` is false until the first user registers (no login needed yet).
+app.get("/auth/me", async (req, res) => {
+  try {
+    const session = await accounts.resolve(sessionToken(req));
+    res.json({
+      ok: true,
+      data: {
+        user: session?.user || null,
+        household: session ? await accounts.getHousehold(session.householdId) : null,
+        members: session ? await accounts.householdMembers(session.householdId) : [],
+        accounts: accounts.hasUsers(),
+        registration: registrationMode(),
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /auth/invites -> { code, expires_ts } to register into the caller's household (one use, 7 days)
+app.post("/auth/invites", requireUser, async (req, res) => {
+  if (!req.user) return res.status(401).json({ ok: false, error: "Login required" });
+  try {
+    res.json({ ok: true, data: await accounts.createInvite(req.household.id, req.user.id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// PUT /admin/devices/:id/household { household_id } -> move a device (and its data) to a household
+app.put("/admin/devices/:id/household", requireAdmin, async (req, res) => {
+  const id = normalizeDeviceId(req.params.id);
+  if (!id) return res.status(400).json({ ok: false, error: "Invalid device id" });
+  const householdId = Number(req.body?.household_id);
+  if (!Number.isInteger(householdId)) return res.status(400).json({ ok: false, error: "household_id must be an integer" });
+  try {
+    if (!(await accounts.getHousehold(householdId))) return res.status(404).json({ ok: false, error: "Unknown household" });
+    await accounts.assignDevice(id, householdId);
+    res.json({ ok: true, device_id: id, household_id: householdId });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Device registry endpoints -----
+// GET /devices (each device with its latest reading, for pickers and room comparison)
+app.get("/devices", requireUser, (req, res) => {
+  const view = wantsRaw(req) ? (r) => r : calibrate;
+  db.all("SELECT * FROM devices WHERE household_id = ? ORDER BY COALESCE(room, name, id)", [req.household.id], (err, devices) => {
+    if (err) return res.status(500).json({ ok: false, error: err.message });
+    db.all(
+      `SELECT * FROM readings WHERE id IN (
+         SELECT (SELECT r.id FROM readings r WHERE r.device_id = d.id ORDER BY r.ts DESC, r.id DESC LIMIT 1)
+         FROM devices d WHERE d.household_id = ?
+       )`,
+      [req.household.id],
+      (err2, latestRows) => {
+        if (err2) return res.status(500).json({ ok: false, error: err2.message });
+        const latestByDevice = new Map((latestRows || []).map((r) => [r.device_id, r]));
+        const data = (devices || []).map((d) => {
+          const latest = latestByDevice.get(d.id);
+          return { ...d, latest: latest ? view(latest) : null };
+        });
+        res.json({ ok: true, data });
+      }
+    );
+  });
+});
+
+app.get("/devices/:id", requireUser, (req, res) => {
+  const id = normalizeDeviceId(req.params.id);
+  if (!id) return res.status(400).json({ ok: false, error: "Invalid device id" });
+  db.get("SELECT * FROM devices WHERE id = ? AND household_id = ?", [id, req.household.id], (err, device) => {
+    if (err) return res.status(500).json({ ok: false, error: err.message });
+    if (!device) return res.status(404).json({ ok: false, error: "Unknown device" });
+    res.json({ ok: true, data: device });
+  });
+});
+
+// GET /devices/:id/health?hours=24 -> per-sensor status from the ingest quality checks
+// (current flags of the latest reading, flag counts over the window)
+app.get("/devices/:id/health", requireUser, async (req, res) => {
+  const id = normalizeDeviceId(req.params.id);
+  if (!id) return res.status(400).json({ ok: false, error: "Invalid device id" });
+  const h = Number(req.query.hours ?? 24);
+  if (!Number.isFinite(h) || h <= 0 || h > 24 * 90) return res.status(400).json({ ok: false, error: "hours must be between 0 and 2160" });
+  if (!req.household.devices.includes(id)) return res.status(404).json({ ok: false, error: "Unknown device" });
+  try {
+    const data = await qualityChecker.health(id, { hours: h });
+    if (!data) return res.status(404).json({ ok: false, error: "No readings for this device" });
+    res.json({ ok: true, data });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// PUT /devices/:id (register a device ahead of time or set its display name / room).
+// A new id is registered to the caller's household, which takes admin rights (X-Admin-Token
+// along with the session): otherwise anyone could claim a device before it first reports.
+// One owned by another household is unknown.
+app.put("/devices/:id", requireUser, async (req, res) => {
+  const id = normalizeDeviceId(req.params.id);
+  if (!id) return res.status(400).json({ ok: false, error: "Invalid device id" });
+  const body = req.body || {};
+  const name = body.name === undefined ? null : String(body.name).slice(0, 128);
+  const room = body.room === undefined ? null : String(body.room).slice(0, 128);
+  const now = Math.floor(Date.now() / 1000);
+  if (!req.household.devices.includes(id)) {
+    try {
+      const existing = await new Promise((resolve, reject) =>
+        db.get("SELECT id FROM devices WHERE id = ?", [id], (err, row) => (err ? reject(err) : resolve(row)))
+      );
+      if (existing) return res.status(404).json({ ok: false, error: "Unknown device" });
+      if (!isAdmin(req)) return res.status(403).json({ ok: false, error: "Registering a new device needs admin rights" });
+      await accounts.assignDevice(id, req.household.id);
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+  db.run(
+    `INSERT INTO devices (id, name, room, created_ts) VALUES (?, ?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET
+       name = COALESCE(excluded.name, devices.name),
+       room = COALESCE(excluded.room, devices.room)`,
+    [id, name, room, now],
+    (err) => {
+      if (err) return res.status(500).json({ ok: false, error: err.message });
+      db.get("SELECT * FROM devices WHERE id = ?", [id], (err2, device) => {
+        if (err2) return res.status(500).json({ ok: false, error: err2.message });
+        res.json({ ok: true, data: device });
+      });
+    }
+  );
+});
+
+// ----- Device token endpoints (admin) -----
+// POST /devices/:id/tokens -> { token } (plaintext is returned only once)
+app.post("/devices/:id/tokens", requireAdmin, (req, res) => {
+  const id = normalizeDeviceId(req.params.id);
+  if (!id) return res.status(400).json({ ok: false, error: "Invalid device id" });
+  const label = req.body?.label === undefined ? null : String(req.body.label).slice(0, 128);
+  const token = `iaq_${crypto.randomBytes(24).toString("base64url")}`;
+  const now = Math.floor(Date.now() / 1000);
+  db.serialize(() => {
+    db.run("INSERT OR IGNORE INTO devices (id, created_ts) VALUES (?, ?)", [id, now]);
+    db.run(
+      "INSERT INTO device_tokens (device_id, token_hash, token_prefix, label, created_ts) VALUES (?, ?, ?, ?, ?)",
+      [id, hashToken(token), token.slice(0, 8), label, now],
+      function (err) {
+        if (err) return res.status(500).json({ ok: false, error: err.message });
+        res.json({ ok: true, id: this.lastID, device_id: id, label, token });
+      }
+    );
+  });
+});
+
+// GET /tokens (all devices) and GET /devices/:id/tokens; hashes are never returned
+function listTokens(deviceId, res) {
+  db.all(
+    `SELECT id, device_id, token_prefix, label, created_ts, last_used_ts, revoked_ts FROM device_tokens
+     ${deviceId ? "WHERE device_id = ?" : ""} ORDER BY created_ts DESC, id DESC`,
+    deviceId ? [deviceId] : [],
+    (err, rows) => {
+      if (err) return res.status(500).json({ ok: false, error: err.message });
+      res.json({ ok: true, data: rows || [] });
+    }
+  );
+}
+
+app.get("/tokens", requireAdmin, (req, res) => listTokens(null, res));
+
+app.get("/devices/:id/tokens", requireAdmin, (req, res) => {
+  const id = normalizeDeviceId(req.params.id);
+  if (!id) return res.status(400).json({ ok: false, error: "Invalid device id" });
+  listTokens(id, res);
+});
+
+// DELETE /devices/:id/tokens/:tokenId (revoke; the row is kept for auditing)
+app.delete("/devices/:id/tokens/:tokenId", requireAdmin, (req, res) => {
+  const id = normalizeDeviceId(req.params.id);
+  const tokenId = parseInt(req.params.tokenId, 10);
+  if (!id || !Number.isFinite(tokenId)) return res.status(400).json({ ok: false, error: "Invalid device or token id" });
+  db.run(
+    "UPDATE device_tokens SET revoked_ts = ? WHERE id = ? AND device_id = ? AND revoked_ts IS NULL",
+    [Math.floor(Date.now() / 1000), tokenId, id],
+    function (err) {
+      if (err) return res.status(500).json({ ok: false, error: err.message });
+      if (!this.changes) return res.status(404).json({ ok: false, error: "No active token with that id for this device" });
+      res.json({ ok: true, revoked: true });
+    }
+  );
+});
+
+// ----- Alert rules & alerts -----
+// Rules belong to the caller's household and may only target its own devices
+function ruleDeviceError(req, rule) {
+  return rule.device_id && !req.household.devices.includes(rule.device_id) ? "Unknown device_id" : null;
+}
+
+app.get("/alert-rules", requireUser, async (req, res) => {
+  try {
+    res.json({ ok: true, data: await alertEngine.listRules(req.household.id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /alert-rules { name, metric, op, threshold, agg?, window_s?, hysteresis?, cooldown_s?, severity?, device_id? }
+app.post("/alert-rules", requireUser, async (req, res) => {
+  const { rule, error } = validateRule(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  if (ruleDeviceError(req, rule)) return res.status(400).json({ ok: false, error: ruleDeviceError(req, rule) });
+  try {
+    res.json({ ok: true, data: await alertEngine.createRule(rule, req.household.id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.put("/alert-rules/:id", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid rule id" });
+  const { rule, error } = validateRule(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  if (ruleDeviceError(req, rule)) return res.status(400).json({ ok: false, error: ruleDeviceError(req, rule) });
+  try {
+    const updated = await alertEngine.updateRule(id, rule, req.household.id);
+    if (!updated) return res.status(404).json({ ok: false, error: "Unknown rule" });
+    res.json({ ok: true, data: updated });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/alert-rules/:id", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid rule id" });
+  try {
+    const deleted = await alertEngine.deleteRule(id, req.household.id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "Unknown rule" });
+    res.json({ ok: true, deleted: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /alerts?device=&status=all|open|unacknowledged&limit=
+app.get("/alerts", requireUser, async (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  const n = parseInt(req.query.limit || "100", 10);
+  const limit = Number.isFinite(n) ? Math.min(Math.max(n, 1), 1000) : 100;
+  try {
+    res.json({ ok: true, data: await alertEngine.listAlerts({ device, status: req.query.status, limit }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/alerts/:id/ack", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid alert id" });
+  try {
+    const existing = await alertEngine.getAlert(id);
+    if (!existing || !req.household.devices.includes(existing.device_id)) return res.status(404).json({ ok: false, error: "Unknown alert" });
+    const alert = await alertEngine.acknowledge(id);
+    if (!alert) return res.status(404).json({ ok: false, error: "Unknown alert" });
+    res.json({ ok: true, data: alert });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Notification channels (per household) -----
+app.get("/notifications/channels", requireUser, async (req, res) => {
+  try {
+    res.json({ ok: true, data: await notifier.listChannels(req.household.id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /notifications/channels { type: webhook|push|email, name?, config, enabled? }
+app.post("/notifications/channels", requireUser, async (req, res) => {
+  const { channel, error } = validateChannel(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const result = await notifier.createChannel(channel, req.household.id);
+    if (result.error) return res.status(400).json({ ok: false, error: result.error });
+    res.json({ ok: true, data: result.channel });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.put("/notifications/channels/:id", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid channel id" });
+  const { channel, error } = validateChannel(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const result = await notifier.updateChannel(id, channel, req.household.id);
+    if (result.notFound) return res.status(404).json({ ok: false, error: "Unknown channel" });
+    if (result.error) return res.status(400).json({ ok: false, error: result.error });
+    res.json({ ok: true, data: result.channel });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/notifications/channels/:id", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid channel id" });
+  try {
+    const deleted = await notifier.deleteChannel(id, req.household.id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "Unknown channel" });
+    res.json({ ok: true, deleted: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /notifications/channels/:id/test (one attempt, result returned directly)
+app.post("/notifications/channels/:id/test", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid channel id" });
+  try {
+    const result = await notifier.sendTest(id, req.household.id);
+    if (!result) return res.status(404).json({ ok: false, error: "Unknown channel" });
+    res.status(result.ok ? 200 : 502).json({ ok: result.ok, delivery: result, error: result.error });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /notifications/deliveries?channel=&limit=
+app.get("/notifications/deliveries", requireUser, async (req, res) => {
+  const channelId = req.query.channel ? parseInt(req.query.channel, 10) : null;
+  const n = parseInt(req.query.limit || "100", 10);
+  const limit = Number.isFinite(n) ? Math.min(Math.max(n, 1), 1000) : 100;
+  try {
+    res.json({ ok: true, data: await notifier.listDeliveries({ householdId: req.household.id, channelId, limit }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Profile CRUD endpoints -----
+// GET /profile
+app.get("/profile", requireUser, (req, res) => {
+  getProfile(req.household.id, (profile) => res.json({ ok: true, profile }));
+});
+
+// POST /profile (insert new record; history preserved)
+app.post("/profile", requireUser, express.json(), async (req, res) => {
+  const body = req.body || {};
+  const owner_name = String(body.owner_name || "").slice(0, 128);
+  const members = Array.isArray(body.members) ? body.members : [];
+  const preferences = typeof body.preferences === "object" && body.preferences ? body.preferences : {};
+  try {
+    const { id, updated_ts } = await profileStore.save(req.household.id, { owner_name, members, preferences });
+    res.json({ ok: true, id, owner_name, members, preferences, updated_ts });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// DELETE /profile (soft delete of all the household's versions; undo within PROFILE_UNDO_SECONDS)
+app.delete("/profile", requireUser, async (req, res) => {
+  try {
+    const { deleted, undo_until } = await profileStore.softDelete(req.household.id);
+    res.json({ ok: true, deleted: deleted > 0, versions: deleted, undo_until });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /profile/undo-delete (bring back the last deleted profile while the undo window is open)
+app.post("/profile/undo-delete", requireUser, async (req, res) => {
+  try {
+    const profile = await profileStore.undoDelete(req.household.id);
+    if (!profile) return res.status(404).json({ ok: false, error: "Nothing to undo (no recent delete)" });
+    res.json({ ok: true, profile });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Profile history -----
+// GET /profile/versions (newest first)
+app.get("/profile/versions", requireUser, async (req, res) => {
+  try {
+    res.json({ ok: true, data: await profileStore.listVersions(req.household.id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get("/profile/versions/:id", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid version id" });
+  try {
+    const profile = await profileStore.getVersion(req.household.id, id);
+    if (!profile) return res.status(404).json({ ok: false, error: "Unknown version" });
+    res.json({ ok: true, profile });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// GET /profile/diff?from=<id>&to=<id> (to defaults to the current version)
+app.get("/profile/diff", requireUser, async (req, res) => {
+  const from = parseInt(req.query.from, 10);
+  const to = req.query.to ? parseInt(req.query.to, 10) : null;
+  if (!Number.isFinite(from) || (to !== null && !Number.isFinite(to))) {
+    return res.status(400).json({ ok: false, error: "from (and optional to) must be version ids" });
+  }
+  try {
+    const diff = await profileStore.diff(req.household.id, from, to);
+    if (!diff) return res.status(404).json({ ok: false, error: "Unknown version" });
+    res.json({ ok: true, data: diff });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /profile/versions/:id/restore (saves the old version again as the current one)
+app.post("/profile/versions/:id/restore", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid version id" });
+  try {
+    const profile = await profileStore.restore(req.household.id, id);
+    if (!profile) return res.status(404).json({ ok: false, error: "Unknown version" });
+    res.json({ ok: true, profile });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- AI Chat endpoint (LLM proxy, see llm.js) -----
+const conversations = createConversationStore(db, { historyTokens: Number(process.env.CHAT_HISTORY_TOKENS) || 1500 });
+
+// Compact context + prompt for a question (shared by /chat and /chat/stream).
+// `history` holds earlier turns of the conversation, oldest first.
+function buildChatRequest({ question, recentData = [], latest: given = null }, profileSummary, history = []) {
+  const latest = usableReading(given);
+  const tail = (Array.isArray(recentData) ? recentData : []).slice(-16);
+  function trend(values) {
+    if (!values || values.length < 4) return "insufficient";
+    const first = values[0];
+    const last = values[values.length - 1];
+    const delta = last - first;
+    const mag = Math.abs(delta);
+    const base = Math.max(1, Math.abs(first));
+    const rel = mag / base;
+    if (mag < 0.01) return "steady";
+    if (rel < 0.05) return delta > 0 ? "slightly rising" : "slightly falling";
+    return delta > 0 ? "rising" : "falling";
+  }
+  const pm25Trend = trend(tail.map((r) => Number(r.pm25)));
+  const vocTrend = trend(tail.map((r) => Number(r.voc)));
+  const etohTrend = trend(tail.map((r) => Number(r.c2h5oh)));
+  const coTrend = trend(tail.map((r) => Number(r.co)));
+  const iaqTrend = trend(tail.map((r) => Number(r.predicted_iaq)));
+  const trendSummary = `PM2.5: ${pm25Trend}; VoC: ${vocTrend}; Ethanol: ${etohTrend}; CO: ${coTrend}; Pred. IAQ: ${iaqTrend}.`;
+  const context = {
+    latest,
+    recentSummary: tail.map((r) => ({
+      ts: r.ts,
+      pm25: r.pm25,
+      voc: r.voc,
+      c2h5oh: r.c2h5oh,
+      co: r.co,
+      predicted_iaq: r.predicted_iaq,
+      current_iaq: r.current_iaq,
+    })),
+    trendSummary,
+  };
+
+  // Build remote prompt with privacy controls
+  const basePrompt = `You are a friendly home wellness assistant for an Indoor Air Quality (IAQ) dashboard.\n` +
+    `Sensors: PM2.5, VoC (MQ-135), Ethanol proxy (MQ-3), CO (MQ-7). IAQ prediction is 5 minutes ahead.\n` +
+    `Answer clearly in 1-2 short paragraphs. Offer cautious, non-diagnostic lifestyle tips when appropriate.\n` +
+    `Do NOT provide medical diagnoses. Encourage consulting professionals for health concerns.\n` +
+    `Latest/Trend JSON follows; you may mention key trends.\n`;
+  let prompt = basePrompt;
+  if (history.length) {
+    prompt += `\nConversation so far (oldest first):\n` +
+      history.map((t) => `${t.role === "user" ? "User" : "Assistant"}: ${t.content}`).join("\n") + `\n`;
+  }
+  prompt +=
+    `\nUser question: "${question}"\n` +
+    `Latest and trend:\n${JSON.stringify(context, null, 2)}\n`;
+  if (profileSummary) {
+    prompt += `\nHousehold profile: ${profileSummary}\nIMPORTANT: Use this profile to personalize language and prioritize vulnerable members. Keep it non-diagnostic and safety-first.`;
+  }
+  prompt += `\n\nFinish with a brief educational disclaimer.`;
+  return { tail, prompt };
+}
+
+// Answer without the LLM: `private` when the profile doesn't opt in to sharing,
+// `fallback` when every model failed
+function localChatAnswer(kind, given, tail, profile, profileSummary) {
+  const latest = usableReading(given);
+  const ctx = analyzeLifestyleContext(latest, tail);
+  const adviceObj = getResearchBasedAdvice(latest, ctx);
+  if (kind === "fallback") {
+    const answer = personalizeTextForProfile(`${adviceObj.primary}`, profile);
+    return {
+      answer: `${answer}\n\n(Temporary fallback because AI model was unavailable)`,
+      meta: { usedGemini: false, personalized: !!profile, profileSummary: profileSummary || null, disclaimer: "Personalized locally due to AI service issue." },
+    };
+  }
+  let answer = `Here’s what I see. ${ctx.categories?.iaq && ctx.categories.iaq !== "unknown" ? `Projected IAQ is ${ctx.categories.iaq}.` : ""} ${adviceObj.primary}`.trim();
+  if (adviceObj.tips?.length) answer += `\n\nOther tips:\n- ${adviceObj.tips.join("\n- ")}`;
+  answer = personalizeTextForProfile(answer, profile);
+  return {
+    answer: `${answer}\n\nThis is educational guidance, not medical advice. If symptoms occur, seek professional care.`,
+    meta: {
+      usedGemini: false,
+      personalized: !!profile,
+      profileSummary: profileSummary || null,
+      disclaimer: "Personalized locally. No household details were sent to external services.",
+    },
+  };
+}
+
+// Conversation for a chat request: the given id (null if unknown in the household), or a new
+// one named after the question. Also records the question and returns the earlier turns.
+async function openConversation(householdId, conversationId, question) {
+  let conversation;
+  let history = [];
+  if (conversationId === undefined || conversationId === null || conversationId === "") {
+    conversation = await conversations.create(question, householdId);
+  } else {
+    const id = parseInt(conversationId, 10);
+    conversation = Number.isFinite(id) ? await conversations.getConversation(id, householdId) : null;
+    if (!conversation) return null;
+    history = await conversations.promptHistory(id);
+  }
+  await conversations.addMessage(conversation.id, "user", question);
+  return { conversation, history };
+}
+
+function llmChatMeta({ provider, model, toolCalls }, profileSummary) {
+  return {
+    usedGemini: provider === "gemini",
+    provider,
+    model,
+    personalized: !!profileSummary,
+    profileSummary: profileSummary || null,
+    disclaimer: `Profile summary was shared with ${llm.label} for personalization.`,
+    ...(toolCalls?.length ? { toolCalls } : {}),
+  };
+}
+
+// Ask the model, letting it query stored history through the chat tools (chatTools.js)
+// unless CHAT_TOOLS=false. `device` and `tz_offset` (minutes east of UTC) come from the client;
+// the tools only read the devices in `devices` (the caller's household).
+function runChatModel(body, devices, request, onToken, onToolCall) {
+  const tools = chatToolsFor(body, devices);
+  if (!tools) return onToken ? llm.stream(request, onToken) : llm.generate(request);
+  return answerWithTools(llm, tools, { ...request, onToken, onToolCall });
+}
+
+// null when CHAT_TOOLS=false
+function chatToolsFor(body, devices) {
+  if (process.env.CHAT_TOOLS === "false") return null;
+  const given = normalizeDeviceId(body?.device);
+  const device = given && devices.includes(given) ? given : null;
+  const tzOffset = Number.isFinite(Number(body?.tz_offset)) ? Math.max(-840, Math.min(840, Number(body.tz_offset))) : 0;
+  return createChatTools(db, { adjust: calibrate, device, devices, tzOffset });
+}
+
+// POST /chat { question, conversation_id?, recentData?, latest?, device?, tz_offset? }
+// Without conversation_id a new conversation is started; its id comes back as `conversation`.
+app.post("/chat", requireUser, async (req, res) => {
+  try {
+    const { question, latest = null, conversation_id } = req.body || {};
+    if (!question || typeof question !== "string") {
+      return res.status(400).json({ ok: false, error: "Missing question" });
+    }
+    console.log(`[chat] Q: ${question.slice(0, 120)}${question.length > 120 ? "…" : ""}`);
+    const opened = await openConversation(req.household.id, conversation_id, question);
+    if (!opened) return res.status(404).json({ ok: false, error: "Unknown conversation" });
+    const { conversation, history } = opened;
+    const reply = async ({ answer, meta }) => {
+      await conversations.addMessage(conversation.id, "assistant", answer, meta);
+      res.json({ ok: true, answer, meta, conversation });
+    };
+
+    // Load profile and decide privacy
+    getProfile(req.household.id, async (profile) => {
+      try {
+        const profileSummary = profile ? buildProfileSummary(profile) : "";
+        const shareWithGemini = !!(profile?.preferences?.shareWithGemini && llm.available);
+        const { tail, prompt } = buildChatRequest(req.body, profileSummary, history);
+
+        // If not sharing or no provider, do local answer
+        if (!shareWithGemini) {
+          return await reply(localChatAnswer("private", latest, tail, profile, profileSummary));
+        }
+
+        try {
+          const result = await runChatModel(req.body, req.household.devices, { prompt, temperature: 0.4, topP: 0.9, maxOutputTokens: 512, endpoint: "chat", householdId: req.household.id });
+          console.log(`[chat] answered with ${result.provider} model: ${result.model}`);
+          return await reply({ answer: result.text, meta: llmChatMeta(result, profileSummary) });
+        } catch (e) {
+          if (e.code === "blocked") return res.status(200).json({ ok: false, error: e.message, conversation });
+          if (e.code === "upstream") return res.status(502).json({ ok: false, error: e.message, conversation });
+          console.warn(`[chat] ${llm.label} unavailable, using fallback: ${e.message}`);
+        }
+        // If the model fails, fallback locally
+        await reply(localChatAnswer("fallback", latest, tail, profile, profileSummary));
+      } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Streaming chat (POST, answered as server-sent events) -----
+// Same body as /chat. Events: `conversation` ({ id, title, ... }) first, `tool`
+// ({ name, arguments, result }) for each history lookup, `token` ({ text }) as the answer
+// arrives, then one final `meta` (same fields as /chat's meta) or `error`
+// ({ error }). Closing the request aborts the upstream model call; the partial answer is
+// kept in the conversation with `meta.stopped`.
+app.post("/chat/stream", requireUser, async (req, res) => {
+  const { question, latest = null, conversation_id } = req.body || {};
+  if (!question || typeof question !== "string") {
+    return res.status(400).json({ ok: false, error: "Missing question" });
+  }
+  console.log(`[chat/stream] Q: ${question.slice(0, 120)}${question.length > 120 ? "…" : ""}`);
+  let opened;
+  try {
+    opened = await openConversation(req.household.id, conversation_id, question);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+  if (!opened) return res.status(404).json({ ok: false, error: "Unknown conversation" });
+  const { conversation, history } = opened;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const finish = (event, data) => {
+    send(event, data);
+    res.end();
+  };
+  const save = (answer, meta) =>
+    conversations.addMessage(conversation.id, "assistant", answer, meta).catch((e) => console.warn("[chat/stream] failed to save answer:", e.message));
+
+  // `close` fires on the response when the client goes away (or after we end it)
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  send("conversation", conversation);
+
+  getProfile(req.household.id, async (profile) => {
+    const profileSummary = profile ? buildProfileSummary(profile) : "";
+    const shareWithGemini = !!(profile?.preferences?.shareWithGemini && llm.available);
+    const { tail, prompt } = buildChatRequest(req.body, profileSummary, history);
+
+    if (!shareWithGemini) {
+      const { answer, meta } = localChatAnswer("private", latest, tail, profile, profileSummary);
+      send("token", { text: answer });
+      await save(answer, meta);
+      return finish("meta", meta);
+    }
+
+    let partial = "";
+    const toolCalls = [];
+    try {
+      const result = await runChatModel(
+        req.body,
+        req.household.devices,
+        { prompt, temperature: 0.4, topP: 0.9, maxOutputTokens: 512, endpoint: "chat", householdId: req.household.id, signal: controller.signal },
+        (text) => {
+          partial += text;
+          send("token", { text });
+        },
+        (call) => {
+          toolCalls.push(call);
+          send("tool", call);
+        }
+      );
+      console.log(`[chat/stream] answered with ${result.provider} model: ${result.model}`);
+      const meta = llmChatMeta(result, profileSummary);
+      await save(result.text, meta);
+      return finish("meta", meta);
+    } catch (e) {
+      if (e.code === "aborted") {
+        console.log("[chat/stream] client stopped the answer");
+        if (partial) await save(partial, { ...llmChatMeta({ provider: llm.provider, model: e.model, toolCalls }, profileSummary), stopped: true });
+        return;
+      }
+      if (e.code !== "unavailable") return finish("error", { error: e.message });
+      console.warn(`[chat/stream] ${llm.label} unavailable, using fallback: ${e.message}`);
+    }
+    const { answer, meta } = localChatAnswer("fallback", latest, tail, profile, profileSummary);
+    send("token", { text: answer });
+    await save(answer, meta);
+    finish("meta", meta);
+  });
+});
+
+// ----- Conversations -----
+app.get("/conversations", requireUser, async (req, res) => {
+  const n = parseInt(req.query.limit || "50", 10);
+  const limit = Number.isFinite(n) ? Math.min(Math.max(n, 1), 500) : 50;
+  try {
+    res.json({ ok: true, data: await conversations.list({ householdId: req.household.id, limit }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// POST /conversations { title? } (chats also start one implicitly)
+app.post("/conversations", requireUser, async (req, res) => {
+  try {
+    res.json({ ok: true, data: await conversations.create(req.body?.title, req.household.id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Conversation with its messages, to resume it
+app.get("/conversations/:id", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid conversation id" });
+  try {
+    const conversation = await conversations.load(id, req.household.id);
+    if (!conversation) return res.status(404).json({ ok: false, error: "Unknown conversation" });
+    res.json({ ok: true, data: conversation });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// PUT /conversations/:id { title }
+app.put("/conversations/:id", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid conversation id" });
+  const title = typeof req.body?.title === "string" ? req.body.title.trim() : "";
+  if (!title) return res.status(400).json({ ok: false, error: "title is required" });
+  try {
+    const conversation = await conversations.rename(id, title, req.household.id);
+    if (!conversation) return res.status(404).json({ ok: false, error: "Unknown conversation" });
+    res.json({ ok: true, data: conversation });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/conversations/:id", requireUser, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ ok: false, error: "Invalid conversation id" });
+  try {
+    const deleted = await conversations.remove(id, req.household.id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "Unknown conversation" });
+    res.json({ ok: true, deleted: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Lifestyle advice endpoint -----
+// LLM prompt for one tip (shared by both routes and the privacy preview)
+function buildAdvicePrompt(profileSummary, contextData) {
+  return `You are a friendly home wellness advisor. Based on the latest IAQ data (JSON below), give one research-informed tip tailored to this household. ` +
+    `Prioritize vulnerable members if present. Keep it non-diagnostic and safety-first. End with a brief educational disclaimer.\n` +
+    `Household profile: ${profileSummary}\n` +
+    `Context JSON: ${JSON.stringify(contextData, null, 2)}`;
+}
+
+// POST /lifestyle-advice context; the dashboard sends values as displayed (already calibrated)
+function clientAdviceContext(latest, recent, context) {
+  const tail = (Array.isArray(recent) ? recent : []).slice(-20);
+  return {
+    latest: latest || {},
+    recentSummary: tail.map((r) => ({ ts: r.ts, pm25: r.pm25, voc: r.voc, c2h5oh: r.c2h5oh, co: r.co, predicted_iaq: r.predicted_iaq, current_iaq: r.current_iaq })),
+    categories: context?.categories || {},
+  };
+}
+
+app.get("/lifestyle-advice", requireUser, async (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  const { sql, params } = deviceFilter(device);
+  const where = `WHERE ${sql}`;
+  db.get(`SELECT * FROM readings ${where} ORDER BY ts DESC, id DESC LIMIT 1`, params, (err, latestRaw) => {
+    if (err || !latestRaw) return res.status(500).json({ ok: false, error: "no data" });
+    const latest = usableReading(calibrate(latestRaw));
+    db.all(`SELECT * FROM readings ${where} ORDER BY ts DESC, id DESC LIMIT 20`, params, async (err2, recentRaw) => {
+      const recent = (recentRaw || []).map(calibrate);
+      const context = analyzeLifestyleContext(latest, recent || []);
+      getProfile(req.household.id, async (profile) => {
+        const profileSummary = profile ? buildProfileSummary(profile) : "";
+        const shareWithGemini = !!(profile?.preferences?.shareWithGemini && llm.available);
+        if (shareWithGemini) {
+          const prompt = buildAdvicePrompt(profileSummary, { latest, trendSummary: context?.categories });
+          try {
+            const { text, model, provider } = await llm.generate({ prompt, temperature: 0.3, topP: 0.9, maxOutputTokens: 320, endpoint: "lifestyle-advice", householdId: req.household.id });
+            return res.json({ ok: true, context, advice: { text, source: provider }, meta: { usedGemini: provider === "gemini", provider, model, profileSummary } });
+          } catch (e) {
+            if (e.code === "upstream") return res.status(502).json({ ok: false, error: e.message });
+            console.warn("/lifestyle-advice: model unavailable, using fallback: ", e.message);
+          }
+        }
+        const adviceObj = getResearchBasedAdvice(latest, context);
+        const finalText = personalizeTextForProfile(adviceObj.primary, profile);
+        res.json({ ok: true, context, advice: { ...adviceObj, text: `${finalText} This is educational guidance, not medical advice.` , source: "local" }, meta: { usedGemini: false, profileSummary } });
+      });
+    });
+  });
 });
 
 // ----- Lifestyle advice (client-provided context) -----
-app.post("/lifestyle-advice", async (req, res) => {
+app.post("/lifestyle-advice", requireUser, async (req, res) => {
   try {
-    const { latest = null, recent = [] } = req.body || {};
+    const { recent = [] } = req.body || {};
+    const latest = usableReading(req.body?.latest || null);
     const context = analyzeLifestyleContext(latest, recent || []);
-    getProfile(async (profile) => {
+    getProfile(req.household.id, async (profile) => {
       const profileSummary = profile ? buildProfileSummary(profile) : "";
-      const shareWithGemini = !!(profile?.preferences?.shareWithGemini && GEMINI_API_KEY);
+      const shareWithGemini = !!(profile?.preferences?.shareWithGemini && llm.available);
       if (shareWithGemini) {
-        const doFetch = await getFetch();
-        const modelsToTry = Array.from(new Set([GEMINI_MODEL, "gemini-2.5-flash", "gemini-2.0-flash", "gemini-1.5-flash-latest"]));
-        let lastError = null;
-        const tail = (Array.isArray(recent) ? recent : []).slice(-20);
-        const payload = {
-          latest: adjustForFrontend(latest || {}),
-          recentSummary: tail.map((r) => ({ ts: r.ts, pm25: r.pm25, voc: r.voc, c2h5oh: r.c2h5oh, co: r.co, predicted_iaq: r.predicted_iaq, current_iaq: r.current_iaq })),
-          categories: context?.categories || {},
-        };
-        const prompt = `You are a friendly home wellness advisor. Based on the latest IAQ data (JSON below), give one research-informed tip tailored to this household. ` +
-          `Prioritize vulnerable members if present. Keep it non-diagnostic and safety-first. End with a brief educational disclaimer.\n` +
-          `Household profile: ${profileSummary}\n` +
-          `Context JSON: ${JSON.stringify(payload, null, 2)}`;
-        for (const model of modelsToTry) {
-          const url = `https://generativelanguage.googleapis.com/v1/models/${encodeURIComponent(model)}:generateContent?key=${GEMINI_API_KEY}`;
-          try {
-            const resp = await doFetch(url, {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: prompt }] }], generationConfig: { temperature: 0.3, topP: 0.9, maxOutputTokens: 320 } }),
-            });
-            const data = await resp.json();
-            if (!resp.ok || data?.error) {
-              const message = data?.error?.message || `Upstream error (status ${resp.status})`;
-              lastError = message;
-              // Try next model if this one is overloaded, not found, or unavailable
-              if (/overloaded|not found|unsupported|unavailable|unrecognized|quota|rate limit/i.test(String(message)) || resp.status === 404 || resp.status === 429 || resp.status === 503) continue;
-              return res.status(502).json({ ok: false, error: message });
-            }
-            let text = "";
-            const parts = data?.candidates?.[0]?.content?.parts || [];
-            for (const p of parts) if (typeof p.text === "string") text += p.text;
-            if (!text.trim()) { lastError = "Empty response"; continue; }
-            return res.json({ ok: true, context, advice: { text, source: "gemini" }, meta: { usedGemini: true, profileSummary } });
-          } catch (e) {
-            lastError = e.message;
-          }
+        const prompt = buildAdvicePrompt(profileSummary, clientAdviceContext(latest, recent, context));
+        try {
+          const { text, model, provider } = await llm.generate({ prompt, temperature: 0.3, topP: 0.9, maxOutputTokens: 320, endpoint: "lifestyle-advice", householdId: req.household.id });
+          return res.json({ ok: true, context, advice: { text, source: provider }, meta: { usedGemini: provider === "gemini", provider, model, profileSummary } });
+        } catch (e) {
+          if (e.code === "upstream") return res.status(502).json({ ok: false, error: e.message });
+          console.warn("/lifestyle-advice (POST): model unavailable, using fallback: ", e.message);
         }
-        console.warn("/lifestyle-advice (POST): Gemini unavailable, using fallback: ", lastError);
       }
       const adviceObj = getResearchBasedAdvice(latest, context);
       const finalText = personalizeTextForProfile(adviceObj.primary, profile);
@@ -570,12 +2183,90 @@ app.post("/lifestyle-advice", async (req, res) => {
   }
 });
 
+// ----- Privacy: what is sent to the LLM (see privacy.js) -----
+// POST /privacy/preview { endpoint: "chat" | "lifestyle-advice", profile?, ...that endpoint's body }
+// Returns the prompt exactly as the endpoint would send it now (chat: the first round,
+// including the tool instructions; lifestyle-advice: the POST variant with the given
+// latest/recent) and its hash as the audit log records it. `profile` ({ members,
+// preferences }) previews unsaved form values instead of the stored profile.
+const PREVIEW_ENDPOINTS = ["chat", "lifestyle-advice"];
+app.post("/privacy/preview", requireUser, (req, res) => {
+  const body = req.body || {};
+  const endpoint = body.endpoint || "chat";
+  if (!PREVIEW_ENDPOINTS.includes(endpoint)) {
+    return res.status(400).json({ ok: false, error: `endpoint must be one of ${PREVIEW_ENDPOINTS.join(", ")}` });
+  }
+  if (endpoint === "chat" && (!body.question || typeof body.question !== "string")) {
+    return res.status(400).json({ ok: false, error: "Missing question" });
+  }
+  getProfile(req.household.id, async (saved) => {
+    try {
+      const given = body.profile && typeof body.profile === "object" ? body.profile : null;
+      const profile = given
+        ? { members: Array.isArray(given.members) ? given.members : [], preferences: given.preferences && typeof given.preferences === "object" ? given.preferences : {} }
+        : saved;
+      const profileSummary = profile ? buildProfileSummary(profile) : "";
+      let prompt;
+      if (endpoint === "chat") {
+        let history = [];
+        if (body.conversation_id !== undefined && body.conversation_id !== null && body.conversation_id !== "") {
+          const id = parseInt(body.conversation_id, 10);
+          const conversation = Number.isFinite(id) ? await conversations.getConversation(id, req.household.id) : null;
+          if (!conversation) return res.status(404).json({ ok: false, error: "Unknown conversation" });
+          history = await conversations.promptHistory(id);
+        }
+        prompt = buildChatRequest(body, profileSummary, history).prompt;
+        const tools = chatToolsFor(body, req.household.devices);
+        if (tools) prompt += tools.instructions();
+      } else {
+        const { recent = [] } = body;
+        const latest = usableReading(body.latest || null);
+        prompt = buildAdvicePrompt(profileSummary, clientAdviceContext(latest, recent, analyzeLifestyleContext(latest, recent || [])));
+      }
+      const optedIn = !!profile?.preferences?.shareWithGemini;
+      res.json({
+        ok: true,
+        data: {
+          endpoint,
+          will_send: optedIn && llm.available,
+          reason: !llm.available ? "No LLM provider configured" : !optedIn ? "The profile does not opt in to sharing, so answers are made locally" : null,
+          provider: llm.provider,
+          sharing: sharingSettings(profile?.preferences),
+          profile_summary: profileSummary || null,
+          prompt,
+          payload_sha256: payloadHash(prompt),
+          payload_bytes: Buffer.byteLength(prompt),
+        },
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+});
+
+// GET /privacy/audit?from=&to=&limit= (the household's outbound LLM requests, newest first)
+app.get("/privacy/audit", requireUser, async (req, res) => {
+  const n = parseInt(req.query.limit || "100", 10);
+  const limit = Number.isFinite(n) ? Math.min(Math.max(n, 1), 1000) : 100;
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (from === null || to === null) return res.status(400).json({ ok: false, error: "Invalid from/to (use Unix seconds or ISO 8601)" });
+  try {
+    res.json({ ok: true, data: await llmAudit.list({ householdId: req.household.id, limit, from, to }) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 // ----- Emergency check (simple) -----
-app.get("/emergency-check", (req, res) => {
-  db.get("SELECT * FROM readings ORDER BY ts DESC, id DESC LIMIT 1", (err, latest) => {
+app.get("/emergency-check", requireUser, (req, res) => {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  const byDevice = deviceFilter(device);
+  db.get(`SELECT * FROM readings WHERE ${byDevice.sql} ORDER BY ts DESC, id DESC LIMIT 1`, byDevice.params, (err, latest) => {
     if (err || !latest) return res.json({ ok: true, emergency: false });
-    getProfile((profile) => {
-      const pred = Number(latest.predicted_iaq);
+    getProfile(req.household.id, (profile) => {
+      const pred = Number(usableReading(calibrate(latest)).predicted_iaq);
       const emergency = Number.isFinite(pred) && pred >= 300;
       let message = emergency
         ? "Predicted IAQ is hazardous. Move to fresh air, ventilate strongly, and stop emission sources."
@@ -586,36 +2277,95 @@ app.get("/emergency-check", (req, res) => {
   });
 });
 
-// ----- Data export as CSV -----
-// NOTE: CSV export keeps RAW values as stored; change to adjustForFrontend(row)
-// if you also want downloads to reflect the -100 display tweak.
-app.get("/export.csv", (req, res) => {
-  res.setHeader("Content-Type", "text/csv; charset=utf-8");
-  res.setHeader("Content-Disposition", "attachment; filename=iaq_export.csv");
-  res.write("id,ts,pm25,voc,c2h5oh,co,predicted_iaq,current_iaq\n");
+// ----- Data export and import (see archive.js) -----
+const IMPORT_MAX_BYTES = (Number(process.env.IMPORT_MAX_MB) || 256) * 1048576;
+// JSON archives are parsed whole in memory, so they get a lower cap than NDJSON
+const IMPORT_MAX_JSON_BYTES = (Number(process.env.IMPORT_MAX_JSON_MB) || 32) * 1048576;
+const archive = createArchive(db, {
+  adjust: calibrate,
+  profiles: profileStore,
+  normalizeDeviceId,
+  // Imports write through a connection of their own (see archive.js)
+  connect: openDatabase,
+  profilesFor: (conn) => createProfileStore(conn, { cipher: profileCipher }),
+});
+const EXPORT_TYPES = { csv: "text/csv", json: "application/json", ndjson: "application/x-ndjson" };
 
-  let firstError = null;
-  db.each(
-    "SELECT id, ts, pm25, voc, c2h5oh, co, predicted_iaq, current_iaq FROM readings ORDER BY ts ASC",
-    (err, row) => {
-      if (err) {
-        firstError = err;
-        return;
-      }
-      const vals = [
-        row.id, row.ts, row.pm25, row.voc, row.c2h5oh, row.co, row.predicted_iaq, row.current_iaq
-      ].map((v) => (v === null || v === undefined ? "" : String(v)));
-      res.write(vals.join(",") + "\n");
-    },
-    (err) => {
-      if (err || firstError) {
-        if (!res.headersSent) res.status(500);
-        res.end(`# Error exporting CSV: ${(err || firstError).message}`);
-      } else {
-        res.end();
-      }
-    }
+// GET /export?format=json|ndjson|csv&from=&to=&device=&raw=1&tz=&include=profiles,alerts|all
+// Calibrated like the dashboard unless raw=1; tz (IANA name or +hh:mm, default UTC) sets the
+// offset of the ISO timestamps.
+async function sendExport(req, res, query) {
+  const device = scopeDevice(req, res);
+  if (device === null) return;
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (from === null || to === null) return res.status(400).json({ ok: false, error: "Invalid from/to (use Unix seconds or ISO 8601)" });
+  if (from !== undefined && to !== undefined && from > to) return res.status(400).json({ ok: false, error: "from must be before to" });
+  const options = parseExportOptions(query);
+  if (options.error) return res.status(400).json({ ok: false, error: options.error });
+  res.setHeader("Content-Type", `${EXPORT_TYPES[options.format]}; charset=utf-8`);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=iaq_export${typeof device === "string" ? `_${device.replace(/:/g, "-")}` : ""}.${options.format}`
   );
+  try {
+    await archive.exportTo(res, { ...options, householdId: req.household.id, device, from, to, raw: wantsRaw(req) });
+    res.end();
+  } catch (e) {
+    console.warn("[export] failed:", e.message);
+    if (!res.headersSent) return res.status(500).json({ ok: false, error: e.message });
+    res.end(options.format === "csv" ? `# Error exporting CSV: ${e.message}\n` : "");
+  }
+}
+
+app.get("/export", requireUser, (req, res) => sendExport(req, res, req.query));
+// The original download link: readings as CSV, same filters as /export
+app.get("/export.csv", requireUser, (req, res) => sendExport(req, res, { ...req.query, format: "csv" }));
+
+// POST /import with an archive from GET /export?raw=1 (JSON, or NDJSON sent as
+// application/x-ndjson). Restores it into the caller's household; see archive.js.
+app.post("/import", requireUser, async (req, res) => {
+  try {
+    const result = await archive.importFrom(req, { householdId: req.household.id, maxBytes: IMPORT_MAX_BYTES, maxJsonBytes: IMPORT_MAX_JSON_BYTES, registerDevices: isAdmin(req) });
+    await accounts.load();
+    // Rollups pick new rows up by id; episodes have to be detected again for the imported range
+    if (result.earliest_ts !== null) {
+      episodes.rebuild({ device: result.device_ids, from: result.earliest_ts }).catch((e) => console.warn("[import] episode rebuild failed:", e.message));
+    }
+    console.log(`[import] household ${req.household.id}: ${result.readings} readings, ${result.devices} devices, ${result.profiles} profile versions, ${result.alert_rules} rules, ${result.alerts} alerts`);
+    res.json({ ok: true, data: result });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// ----- Prometheus metrics -----
+// Scrape with METRICS_TOKEN as bearer; without it the admin rules apply (ADMIN_TOKEN or localhost)
+app.get(
+  "/metrics",
+  (req, res, next) => {
+    const given = Buffer.from(hashToken(bearerToken(req) || ""));
+    if (METRICS_TOKEN && crypto.timingSafeEqual(given, Buffer.from(hashToken(METRICS_TOKEN)))) return next();
+    requireAdmin(req, res, next);
+  },
+  async (req, res) => {
+    try {
+      res.set("Content-Type", metrics.contentType);
+      res.end(await metrics.render());
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Optional: list available models (debug)
+app.get("/models", async (req, res) => {
+  try {
+    if (!llm.available) return res.status(500).json({ ok: false, error: "No LLM provider configured (set LLM_PROVIDER or GEMINI_API_KEY)" });
+    res.json({ ok: true, provider: llm.provider, models: await llm.listModels() });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
 });
 
 // ----- Serve built frontend (after you build client) -----
@@ -627,25 +2377,30 @@ if (fs.existsSync(staticDir) && fs.existsSync(path.join(staticDir, "index.html")
   console.warn("[server] client/dist not found; skipping static file serving.");
 }
 
-// Optional: list available models (debug)
-app.get("/models", async (req, res) => {
-  try {
-    if (!GEMINI_API_KEY) return res.status(500).json({ ok: false, error: "Missing GEMINI_API_KEY" });
-    const doFetch = await getFetch();
-    const url = `https://generativelanguage.googleapis.com/v1/models?key=${GEMINI_API_KEY}`;
-    const resp = await doFetch(url);
-    const data = await resp.json();
-    if (!resp.ok || data?.error) {
-      const message = data?.error?.message || `Upstream error (status ${resp.status})`;
-      return res.status(502).json({ ok: false, error: message });
-    }
-    res.json({ ok: true, models: (data.models || []) });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
-  }
-});
+startRollupJobs(db);
+accuracy.start();
+episodes.start();
 
-app.listen(PORT, () => {
-  console.log(`Server listening on http://0.0.0.0:${PORT}`);
-  console.log(`POST data to http://<your-ip>:${PORT}/data`);
-});
+// Calibrations are applied synchronously, so they are loaded before serving (and device
+// ownership, which the SSE fan-out and alert rules look up synchronously). Profiles still
+// stored in plaintext, or under a previous key, are encrypted with the current key first.
+// Without the accounts the server would not know that logins are required, so it doesn't
+// start then.
+Promise.all([
+  calibrator.load().catch((e) => console.warn("[calibration] failed to load, serving raw values:", e.message)),
+  accounts.load(),
+  profileStore
+    .encryptExisting()
+    .then((n) => n && console.log(`[profiles] Encrypted ${n} stored profile version(s) with key ${profileKeyring.current.id}`))
+    .catch((e) => console.warn("[profiles] failed to encrypt stored profiles:", e.message)),
+])
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server listening on http://0.0.0.0:${PORT}`);
+      console.log(`POST data to http://<your-ip>:${PORT}/data`);
+    });
+  })
+  .catch((e) => {
+    console.error("[accounts] failed to load users and device households, not starting:", e.message);
+    process.exit(1);
+  });
@@ -0,0 +1,360 @@
+// ----- LLM providers -----
+// One place for talking to language models: which backend, which models to try,
+// timeouts, retries and fallback. Routes call `llm.generate({ prompt, ... })` (or
+// `llm.stream(request, onToken)` for token-by-token output) and get
+// `{ text, model, provider }` back, or an LlmError:
+//   code "blocked"     -> the model refused (safety filter); show the reason to the user
+//   code "upstream"    -> a non-retryable upstream error (bad request, auth, ...)
+//   code "unavailable" -> every model failed; callers fall back to local advice
+//   code "interrupted" -> a stream failed after sending tokens (no fallback possible)
+//   code "aborted"     -> the caller's AbortSignal fired
+//
+// LLM_PROVIDER selects the backend:
+//   gemini  Google Generative Language API (default when GEMINI_API_KEY is set)
+//   openai  any OpenAI-compatible /chat/completions server (llama.cpp, Ollama, vLLM, ...)
+//   mock    deterministic canned answers, for tests and offline demos
+//   none    disabled (default without GEMINI_API_KEY)
+import crypto from "crypto";
+
+const GEMINI_FALLBACK_MODELS = ["gemini-2.5-flash", "gemini-2.0-flash", "gemini-1.5-flash-latest"];
+
+// Messages/statuses that mean "this model can't serve right now, try the next one"
+const FALLBACK_PATTERN = /overloaded|not found|unsupported|unavailable|unrecognized|quota|rate limit/i;
+const FALLBACK_STATUSES = new Set([404, 429, 503]);
+// Worth retrying on the same model before moving on
+const TRANSIENT_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+export class LlmError extends Error {
+  constructor(code, message, { status = null, model = null } = {}) {
+    super(message);
+    this.name = "LlmError";
+    this.code = code;
+    this.status = status;
+    this.model = model;
+  }
+}
+
+function splitList(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+export function llmConfigFromEnv(env = process.env) {
+  const provider = (env.LLM_PROVIDER || (env.GEMINI_API_KEY ? "gemini" : "none")).toLowerCase();
+  const common = {
+    provider,
+    timeoutMs: positiveInt(env.LLM_TIMEOUT_MS, 30000),
+    retries: positiveInt(env.LLM_RETRIES, 1), // extra attempts per model on timeouts/5xx
+    backoffMs: positiveInt(env.LLM_RETRY_BACKOFF_MS, 1000),
+  };
+  const extraModels = splitList(env.LLM_FALLBACK_MODELS);
+  switch (provider) {
+    case "gemini": {
+      const primary = env.GEMINI_MODEL || "gemini-1.5-flash-latest";
+      return {
+        ...common,
+        apiKey: env.GEMINI_API_KEY || "",
+        baseUrl: (env.GEMINI_BASE_URL || "https://generativelanguage.googleapis.com/v1").replace(/\/+$/, ""),
+        models: [...new Set([primary, ...(extraModels.length ? extraModels : GEMINI_FALLBACK_MODELS)])],
+      };
+    }
+    case "openai":
+      return {
+        ...common,
+        apiKey: env.OPENAI_API_KEY || "",
+        baseUrl: (env.OPENAI_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, ""),
+        models: [...new Set([env.OPENAI_MODEL || "llama3.2", ...extraModels])],
+      };
+    case "mock":
+      return {
+        ...common,
+        models: [env.LLM_MOCK_MODEL || "mock-1"],
+        response: env.LLM_MOCK_RESPONSE || "",
+        tokenDelayMs: positiveInt(env.LLM_MOCK_TOKEN_DELAY_MS, 30),
+      };
+    default:
+      return { ...common, provider: "none", models: [] };
+  }
+}
+
+// ----- Backends -----
+// call(model, request, signal)            -> { text, blockedReason? }
+// stream(model, request, signal, onToken) -> same, calling onToken(text) for each chunk as it arrives
+// Both throw on failure (err.status set for HTTP errors).
+
+function geminiBackend(config, getFetch) {
+  const body = ({ prompt, temperature, topP, maxOutputTokens }) =>
+    JSON.stringify({
+      contents: [{ role: "user", parts: [{ text: prompt }] }],
+      generationConfig: { temperature, topP, maxOutputTokens },
+    });
+  const chunkText = (data) => (data?.candidates?.[0]?.content?.parts || []).map((p) => (typeof p.text === "string" ? p.text : "")).join("");
+  const chunkBlocked = (data) => data?.promptFeedback?.blockReason || data?.candidates?.[0]?.finishReason;
+  return {
+    label: "Gemini",
+    available: !!config.apiKey,
+    async call(model, request, signal) {
+      const doFetch = await getFetch();
+      const url = `${config.baseUrl}/models/${encodeURIComponent(model)}:generateContent?key=${config.apiKey}`;
+      const resp = await doFetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: body(request), signal });
+      const data = await resp.json();
+      if (!resp.ok || data?.error) {
+        throw upstreamError(data?.error?.message || `Upstream error (status ${resp.status})`, resp.status);
+      }
+      return { text: chunkText(data), blockedReason: chunkBlocked(data) };
+    },
+    async stream(model, request, signal, onToken) {
+      const doFetch = await getFetch();
+      const url = `${config.baseUrl}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse&key=${config.apiKey}`;
+      const resp = await doFetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: body(request), signal });
+      if (!resp.ok) {
+        const data = await resp.json().catch(() => ({}));
+        const err = Array.isArray(data) ? data[0]?.error : data?.error;
+        throw upstreamError(err?.message || `Upstream error (status ${resp.status})`, resp.status);
+      }
+      let text = "";
+      let blockedReason = null;
+      for await (const payload of sseData(resp.body)) {
+        const data = JSON.parse(payload);
+        if (data?.error) throw upstreamError(data.error.message || "Upstream error", data.error.code || 500);
+        blockedReason = chunkBlocked(data) || blockedReason;
+        if (blockedReason && String(blockedReason).toUpperCase().includes("SAFETY")) break;
+        const chunk = chunkText(data);
+        if (chunk) {
+          text += chunk;
+          onToken(chunk);
+        }
+      }
+      return { text, blockedReason };
+    },
+    async listModels() {
+      const doFetch = await getFetch();
+      const resp = await doFetch(`${config.baseUrl}/models?key=${config.apiKey}`);
+      const data = await resp.json();
+      if (!resp.ok || data?.error) throw upstreamError(data?.error?.message || `Upstream error (status ${resp.status})`, resp.status);
+      return data.models || [];
+    },
+  };
+}
+
+function openAiBackend(config, getFetch) {
+  const headers = { "Content-Type": "application/json", ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}) };
+  const body = (model, { prompt, temperature, topP, maxOutputTokens }, stream) =>
+    JSON.stringify({
+      model,
+      messages: [{ role: "user", content: prompt }],
+      temperature,
+      top_p: topP,
+      max_tokens: maxOutputTokens,
+      ...(stream ? { stream: true } : {}),
+    });
+  async function post(model, request, signal, stream) {
+    const doFetch = await getFetch();
+    const resp = await doFetch(`${config.baseUrl}/chat/completions`, { method: "POST", headers, body: body(model, request, stream), signal });
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      const message = data?.error?.message || (typeof data?.error === "string" ? data.error : `Upstream error (status ${resp.status})`);
+      throw upstreamError(message, resp.status);
+    }
+    return resp;
+  }
+  return {
+    label: "Local model",
+    available: !!config.baseUrl,
+    async call(model, request, signal) {
+      const data = await (await post(model, request, signal, false)).json();
+      if (data?.error) throw upstreamError(data.error.message || String(data.error), 500);
+      const choice = data?.choices?.[0];
+      return { text: choice?.message?.content || "", blockedReason: choice?.finish_reason === "content_filter" ? "SAFETY" : null };
+    },
+    async stream(model, request, signal, onToken) {
+      const resp = await post(model, request, signal, true);
+      let text = "";
+      let blockedReason = null;
+      for await (const payload of sseData(resp.body)) {
+        if (payload === "[DONE]") break;
+        const data = JSON.parse(payload);
+        if (data?.error) throw upstreamError(data.error.message || String(data.error), 500);
+        const choice = data?.choices?.[0];
+        if (choice?.finish_reason === "content_filter") blockedReason = "SAFETY";
+        const chunk = choice?.delta?.content || "";
+        if (chunk) {
+          text += chunk;
+          onToken(chunk);
+        }
+      }
+      return { text, blockedReason };
+    },
+    async listModels() {
+      const doFetch = await getFetch();
+      const resp = await doFetch(`${config.baseUrl}/models`, { headers });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw upstreamError(data?.error?.message || `Upstream error (status ${resp.status})`, resp.status);
+      return data.data || data.models || [];
+    },
+  };
+}
+
+// Same prompt -> same answer; the digest lets tests assert which prompt was sent.
+// Streams word by word (LLM_MOCK_TOKEN_DELAY_MS apart) so the UI and Stop can be exercised.
+// When the prompt offers chat tools (chatTools.js) it first asks for the last day's range_stats.
+function mockBackend(config) {
+  const answer = (prompt) => {
+    if (prompt.includes("TOOL_CALL {") && !prompt.includes("TOOL_RESULT {")) {
+      return `TOOL_CALL {"name": "range_stats", "arguments": {"from": "-24h", "to": "now"}}`;
+    }
+    const digest = crypto.createHash("sha256").update(prompt).digest("hex").slice(0, 12);
+    return config.response || `Mock answer ${digest}: keep windows open briefly and avoid indoor emission sources. This is educational guidance, not medical advice.`;
+  };
+  return {
+    label: "Mock model",
+    available: true,
+    async call(model, { prompt }) {
+      return { text: answer(prompt) };
+    },
+    async stream(model, { prompt }, signal, onToken) {
+      const text = answer(prompt);
+      for (const word of text.match(/\S+\s*/g) || []) {
+        await sleep(config.tokenDelayMs);
+        if (signal.aborted) throw Object.assign(new Error("aborted"), { name: "AbortError" });
+        onToken(word);
+      }
+      return { text };
+    },
+    async listModels() {
+      return config.models.map((name) => ({ name }));
+    },
+  };
+}
+
+// Yields the `data:` payloads of a server-sent events response body
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) if (line.startsWith("data:")) yield line.slice(5).trim();
+  }
+  if (buffer.startsWith("data:")) yield buffer.slice(5).trim();
+}
+
+function upstreamError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// options.getFetch()                     -> fetch implementation
+// options.onCall(model, endpoint, call)  -> returns done(outcome), for metrics and the
+//                                           audit log; call = { prompt, householdId }
+export function createLlm(config, { getFetch, onCall = () => () => {} } = {}) {
+  const backend =
+    config.provider === "gemini" ? geminiBackend(config, getFetch)
+    : config.provider === "openai" ? openAiBackend(config, getFetch)
+    : config.provider === "mock" ? mockBackend(config)
+    : null;
+  const available = !!backend?.available;
+
+  // One attempt with a timeout. For streams the timeout is an idle timeout: it restarts
+  // whenever a chunk arrives, so long answers are fine as long as tokens keep coming.
+  async function attempt(model, request, onToken) {
+    const controller = new AbortController();
+    let timer = null;
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), config.timeoutMs);
+    };
+    const abortOnCaller = () => controller.abort();
+    request.signal?.addEventListener("abort", abortOnCaller);
+    arm();
+    try {
+      if (!onToken) return await backend.call(model, request, controller.signal);
+      return await backend.stream(model, request, controller.signal, (chunk) => {
+        arm();
+        onToken(chunk);
+      });
+    } catch (e) {
+      if (controller.signal.aborted && !request.signal?.aborted) throw upstreamError(`Timed out after ${config.timeoutMs} ms`, 504);
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      request.signal?.removeEventListener("abort", abortOnCaller);
+    }
+  }
+
+  // Model fallback and retries, shared by generate() and stream(). Once a stream has sent
+  // tokens to the caller it can't switch models, so later failures end with "interrupted".
+  async function run({ prompt, temperature = 0.4, topP = 0.9, maxOutputTokens = 512, endpoint = "other", householdId = null, signal } = {}, onToken) {
+    if (!available) throw new LlmError("unavailable", "No LLM provider configured");
+    const request = { prompt, temperature, topP, maxOutputTokens, signal };
+    let lastError = null;
+    let emitted = false;
+    const relay = onToken
+      ? (chunk) => {
+          emitted = true;
+          onToken(chunk);
+        }
+      : null;
+    for (const model of config.models) {
+      for (let tries = 0; tries <= config.retries; tries++) {
+        if (signal?.aborted) throw new LlmError("aborted", "Request aborted", { model });
+        if (tries > 0) await sleep(config.backoffMs * 2 ** (tries - 1));
+        const done = onCall(model, endpoint, { prompt, householdId });
+        let result;
+        try {
+          result = await attempt(model, request, relay);
+        } catch (e) {
+          lastError = e.message;
+          if (signal?.aborted) {
+            done("aborted");
+            throw new LlmError("aborted", "Request aborted", { model });
+          }
+          done(e.status === undefined || e.status === null ? "exception" : "error");
+          console.warn(`[llm] ${config.provider}/${model} ${e.status ? "error" : "exception"}: ${e.message}`);
+          if (emitted) throw new LlmError("interrupted", e.message, { status: e.status ?? null, model });
+          // Network failure: same policy as a transient HTTP error
+          if (e.status === undefined || e.status === null) continue;
+          if (TRANSIENT_STATUSES.has(e.status) && tries < config.retries) continue;
+          if (FALLBACK_PATTERN.test(e.message) || FALLBACK_STATUSES.has(e.status) || TRANSIENT_STATUSES.has(e.status)) break;
+          throw new LlmError("upstream", e.message, { status: e.status, model });
+        }
+        if (result.blockedReason && String(result.blockedReason).toUpperCase().includes("SAFETY")) {
+          done("blocked");
+          throw new LlmError("blocked", `Response blocked by safety filter (${result.blockedReason}). Try rephrasing the question.`, { model });
+        }
+        if (!result.text?.trim()) {
+          done("empty");
+          lastError = "Empty response from model";
+          console.warn(`[llm] ${config.provider}/${model} returned empty text; trying next`);
+          break;
+        }
+        done("ok");
+        return { text: result.text, model, provider: config.provider };
+      }
+    }
+    throw new LlmError("unavailable", lastError || "All models failed");
+  }
+
+  // request: { prompt, temperature?, topP?, maxOutputTokens?, endpoint?, householdId?, signal? }
+  const generate = (request) => run(request, null);
+  // Same, calling onToken(text) as chunks arrive; resolves with the full text at the end
+  const stream = (request, onToken) => run(request, onToken);
+
+  async function listModels() {
+    if (!available) throw new LlmError("unavailable", "No LLM provider configured");
+    return backend.listModels();
+  }
+
+  return { provider: config.provider, label: backend?.label || "none", models: config.models, available, generate, stream, listModels };
+}
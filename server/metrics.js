@@ -0,0 +1,133 @@
+// ----- Prometheus metrics -----
+// Served as text by GET /metrics. Sensor gauges and the SSE client count are read at
+// scrape time; counters and histograms are updated by the routes as things happen.
+import client from "prom-client";
+import { SENSOR_COLUMNS } from "./sensors.js";
+import { all } from "./sqlite.js";
+
+// "SELECT * FROM readings WHERE ..." -> { op: "select", table: "readings" }.
+// Keeps label cardinality bounded no matter how many distinct statements run.
+function describeSql(sql) {
+  const text = String(sql).trim().replace(/\s+/g, " ");
+  let op = (/^(\w+)/.exec(text)?.[1] || "other").toLowerCase();
+  if (op === "with") op = /\b(insert|update|delete)\b/i.exec(text)?.[1]?.toLowerCase() || "select";
+  if (!["select", "insert", "update", "delete", "create", "alter", "begin", "commit", "rollback", "pragma"].includes(op)) op = "other";
+  const table = /\b(?:from|into|update|table(?: if not exists)?)\s+"?(\w+)"?/i.exec(text)?.[1]?.toLowerCase() || "";
+  return { op, table };
+}
+
+// options.adjust(row)         -> values to expose (same view as the dashboard)
+// options.getSseClientCount() -> number of open /stream connections
+export function createMetrics(db, { adjust = (r) => r, getSseClientCount = () => 0 } = {}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  new client.Gauge({
+    name: "iaq_sensor_value",
+    help: "Latest reading per device and sensor",
+    labelNames: ["device", "sensor"],
+    registers: [registry],
+    async collect() {
+      this.reset();
+      for (const row of await latestPerDevice()) {
+        const view = adjust(row);
+        for (const sensor of SENSOR_COLUMNS) {
+          if (typeof view[sensor] === "number" && Number.isFinite(view[sensor])) {
+            this.set({ device: row.device_id, sensor }, view[sensor]);
+          }
+        }
+      }
+    },
+  });
+
+  new client.Gauge({
+    name: "iaq_sensor_last_reading_timestamp_seconds",
+    help: "Timestamp of the latest reading per device",
+    labelNames: ["device"],
+    registers: [registry],
+    async collect() {
+      this.reset();
+      for (const row of await latestPerDevice()) this.set({ device: row.device_id }, row.ts);
+    },
+  });
+
+  new client.Gauge({
+    name: "iaq_sse_clients",
+    help: "Open /stream (SSE) connections",
+    registers: [registry],
+    collect() {
+      this.set(getSseClientCount());
+    },
+  });
+
+  const ingestAccepted = new client.Counter({
+    name: "iaq_ingest_accepted_total",
+    help: "Readings stored, by ingestion path (http, batch, mqtt)",
+    labelNames: ["source"],
+    registers: [registry],
+  });
+  const ingestRejected = new client.Counter({
+    name: "iaq_ingest_rejected_total",
+    help: "Readings refused, by ingestion path and reason",
+    labelNames: ["source", "reason"],
+    registers: [registry],
+  });
+
+  const llmRequests = new client.Counter({
+    name: "iaq_gemini_requests_total",
+    help: "LLM calls (Gemini or the configured provider) by model, endpoint and outcome",
+    labelNames: ["model", "endpoint", "outcome"],
+    registers: [registry],
+  });
+  const llmDuration = new client.Histogram({
+    name: "iaq_gemini_request_duration_seconds",
+    help: "LLM call latency by model",
+    labelNames: ["model", "endpoint"],
+    buckets: [0.25, 0.5, 1, 2, 4, 8, 15, 30],
+    registers: [registry],
+  });
+
+  const queryDuration = new client.Histogram({
+    name: "iaq_sqlite_query_duration_seconds",
+    help: "SQLite statement execution time by operation and table",
+    labelNames: ["op", "table"],
+    buckets: [0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5],
+    registers: [registry],
+  });
+  // sqlite3 reports every finished statement with its run time in milliseconds
+  db.on("profile", (sql, ms) => {
+    queryDuration.observe(describeSql(sql), ms / 1000);
+  });
+
+  // One query per scrape, shared by the gauges above
+  let latestPromise = null;
+  function latestPerDevice() {
+    if (!latestPromise) {
+      latestPromise = all(
+        db,
+        `SELECT * FROM readings WHERE id IN (
+           SELECT (SELECT r.id FROM readings r WHERE r.device_id = d.id ORDER BY r.ts DESC, r.id DESC LIMIT 1)
+           FROM devices d
+         )`
+      ).finally(() => setTimeout(() => (latestPromise = null), 1000));
+    }
+    return latestPromise;
+  }
+
+  // Time one LLM call; finish with "ok", "error", "empty", "blocked", "aborted" or "exception"
+  function startLlmCall(model, endpoint) {
+    const stop = llmDuration.startTimer({ model, endpoint });
+    return (outcome) => {
+      stop();
+      llmRequests.inc({ model, endpoint, outcome });
+    };
+  }
+
+  return {
+    contentType: registry.contentType,
+    render: () => registry.metrics(),
+    accepted: (source, n = 1) => n > 0 && ingestAccepted.inc({ source }, n),
+    rejected: (source, reason, n = 1) => n > 0 && ingestRejected.inc({ source, reason }, n),
+    startLlmCall,
+  };
+}
@@ -0,0 +1,144 @@
+// ----- MQTT bridge (optional) -----
+// Enabled when MQTT_URL is set. Publishes every stored reading to per-sensor topics
+// (`<MQTT_BASE_TOPIC>/<device>/<sensor>`, retained) and announces each device to
+// Home Assistant through MQTT discovery. Discovery is re-sent when Home Assistant
+// comes back online (its birth message on `<prefix>/status`).
+//
+// With MQTT_INGEST_TOPIC (e.g. `iaq/+/ingest`) it also accepts readings over MQTT:
+// the `+` segment is the device id and the JSON payload follows POST /data,
+// including the device token as `token`.
+import mqtt from "mqtt";
+
+// Home Assistant sensor metadata per reading column
+const HA_SENSORS = {
+  pm25: { name: "PM2.5", unit: "µg/m³", device_class: "pm25" },
+  voc: { name: "VoC", unit: "ppb", device_class: "volatile_organic_compounds_parts" },
+  c2h5oh: { name: "Ethanol", unit: "ppb", icon: "mdi:bottle-tonic-outline" },
+  co: { name: "CO", unit: "ppm", device_class: "carbon_monoxide" },
+  current_iaq: { name: "IAQ", device_class: "aqi" },
+  predicted_iaq: { name: "IAQ (5-min forecast)", device_class: "aqi", icon: "mdi:crystal-ball" },
+};
+
+export function mqttConfigFromEnv(env = process.env) {
+  if (!env.MQTT_URL) return null;
+  return {
+    url: env.MQTT_URL,
+    username: env.MQTT_USERNAME || undefined,
+    password: env.MQTT_PASSWORD || undefined,
+    clientId: env.MQTT_CLIENT_ID || `iaq-server-${Math.random().toString(16).slice(2, 8)}`,
+    baseTopic: (env.MQTT_BASE_TOPIC || "iaq").replace(/\/+$/, ""),
+    discoveryPrefix: (env.MQTT_DISCOVERY_PREFIX || "homeassistant").replace(/\/+$/, ""),
+    discovery: env.MQTT_DISCOVERY !== "false",
+    ingestTopic: env.MQTT_INGEST_TOPIC || "",
+  };
+}
+
+// Turns "iaq/+/ingest" into a matcher returning the `+` segment (the device id)
+function topicMatcher(pattern) {
+  const parts = pattern.split("/");
+  const idx = parts.indexOf("+");
+  return (topic) => {
+    const t = topic.split("/");
+    if (t.length !== parts.length) return null;
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i] !== "+" && parts[i] !== t[i]) return null;
+    }
+    return idx >= 0 ? t[idx] : null;
+  };
+}
+
+// options.adjust(row)        -> values to publish (same view as the dashboard)
+// options.getDevice(id)      -> Promise of the registry row (name/room/firmware) for discovery
+// options.onIngest(deviceId, payload) -> Promise of { ok, error? } for MQTT ingestion
+export function createMqttBridge(config, { adjust = (r) => r, getDevice = async () => null, onIngest } = {}) {
+  if (!config) return null;
+  const availabilityTopic = `${config.baseTopic}/status`;
+  const client = mqtt.connect(config.url, {
+    clientId: config.clientId,
+    username: config.username,
+    password: config.password,
+    reconnectPeriod: 5000,
+    will: { topic: availabilityTopic, payload: "offline", retain: true, qos: 1 },
+  });
+  const announced = new Set();
+  const matchIngest = config.ingestTopic ? topicMatcher(config.ingestTopic) : null;
+
+  client.on("connect", () => {
+    console.log(`[mqtt] connected to ${config.url}`);
+    announced.clear();
+    client.publish(availabilityTopic, "online", { retain: true, qos: 1 });
+    if (config.discovery) client.subscribe(`${config.discoveryPrefix}/status`);
+    if (matchIngest) client.subscribe(config.ingestTopic, { qos: 1 });
+  });
+  client.on("error", (e) => console.warn("[mqtt] error:", e.message));
+  client.on("offline", () => console.warn("[mqtt] offline, will retry"));
+
+  client.on("message", (topic, message) => {
+    if (topic === `${config.discoveryPrefix}/status`) {
+      if (String(message) === "online") announced.clear(); // HA restarted: re-announce on next reading
+      return;
+    }
+    const deviceId = matchIngest ? matchIngest(topic) : null;
+    if (!deviceId || !onIngest) return;
+    let payload;
+    try {
+      payload = JSON.parse(String(message));
+    } catch {
+      console.warn(`[mqtt] ignoring non-JSON payload on ${topic}`);
+      return;
+    }
+    onIngest(deviceId, payload)
+      .then((result) => {
+        if (!result.ok) console.warn(`[mqtt] rejected reading from ${deviceId}: ${result.error}`);
+      })
+      .catch((e) => console.warn(`[mqtt] ingest failed for ${deviceId}:`, e.message));
+  });
+
+  async function announce(deviceId) {
+    const device = (await getDevice(deviceId).catch(() => null)) || { id: deviceId };
+    const haDevice = {
+      identifiers: [`iaq_${deviceId}`],
+      name: device.room || device.name || `IAQ ${deviceId}`,
+      manufacturer: "IAQ Edge",
+      model: "ESP32 IAQ monitor",
+      ...(device.firmware_version ? { sw_version: device.firmware_version } : {}),
+      ...(device.room ? { suggested_area: device.room } : {}),
+    };
+    for (const [sensor, meta] of Object.entries(HA_SENSORS)) {
+      const objectId = `iaq_${deviceId.replace(/[^A-Za-z0-9_-]/g, "_")}_${sensor}`;
+      const payload = {
+        name: meta.name,
+        unique_id: objectId,
+        object_id: objectId,
+        state_topic: `${config.baseTopic}/${deviceId}/${sensor}`,
+        availability_topic: availabilityTopic,
+        state_class: "measurement",
+        ...(meta.unit ? { unit_of_measurement: meta.unit } : {}),
+        ...(meta.device_class ? { device_class: meta.device_class } : {}),
+        ...(meta.icon ? { icon: meta.icon } : {}),
+        device: haDevice,
+      };
+      client.publish(`${config.discoveryPrefix}/sensor/${objectId}/config`, JSON.stringify(payload), { retain: true, qos: 1 });
+    }
+    announced.add(deviceId);
+  }
+
+  async function publishReading(row) {
+    if (!client.connected || !row?.device_id) return;
+    if (config.discovery && !announced.has(row.device_id)) await announce(row.device_id);
+    const view = adjust(row);
+    for (const sensor of Object.keys(HA_SENSORS)) {
+      const value = view[sensor];
+      if (typeof value !== "number" || !Number.isFinite(value)) continue;
+      client.publish(`${config.baseTopic}/${row.device_id}/${sensor}`, String(Math.round(value * 100) / 100), { retain: true });
+    }
+  }
+
+  function close() {
+    return new Promise((resolve) => {
+      client.publish(availabilityTopic, "offline", { retain: true, qos: 1 }, () => client.end(false, {}, resolve));
+    });
+  }
+
+  return { publishReading, close, client };
+}
@@ -0,0 +1,353 @@
+// ----- Outbound notifications -----
+// Sends alert events to the channels of the household that owns the device:
+//   webhook - generic JSON POST           config: { url, headers? }
+//   push    - ntfy or Gotify style push    config: { flavor: "ntfy"|"gotify", url, topic?, token?, priority? }
+//   email   - SMTP via nodemailer          config: { host, port, secure?, user?, pass?, from, to }
+// Every channel may also set `events` (default ["opened"]) and `min_severity`.
+//
+// Deliveries are retried with exponential backoff and every attempt is written to
+// `notification_deliveries`. URLs and SMTP host/port are plain config, but any user can set
+// them, so hosts on loopback, private, link-local (cloud metadata) and other reserved
+// addresses are refused unless NOTIFY_ALLOW_PRIVATE=true - set it for local stand-in servers
+// (a webhook catcher, ntfy in Docker, MailHog). The check runs when a channel is saved and
+// again before every delivery, since DNS answers can change.
+import dns from "dns/promises";
+import net from "net";
+import nodemailer from "nodemailer";
+import { run, get, all } from "./sqlite.js";
+import { DEFAULT_HOUSEHOLD_ID } from "./accounts.js";
+
+export const CHANNEL_TYPES = ["webhook", "push", "email"];
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const SECRET_KEYS = ["pass", "token", "headers"];
+const MASK = "********";
+
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.NOTIFY_MAX_ATTEMPTS || "4", 10) || 4);
+const BACKOFF_MS = Math.max(100, parseInt(process.env.NOTIFY_BACKOFF_MS || "2000", 10) || 2000);
+const TIMEOUT_MS = 10000;
+const ALLOW_PRIVATE = process.env.NOTIFY_ALLOW_PRIVATE === "true";
+
+// Called from the schema setup in index.js (inside db.serialize)
+export function createNotifierTables(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS notification_channels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,        -- webhook | push | email
+    name TEXT,
+    config_json TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_ts INTEGER,
+    updated_ts INTEGER
+  )`);
+  db.run(`CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel_id INTEGER NOT NULL,
+    alert_id INTEGER,          -- NULL for test notifications
+    event TEXT,
+    attempt INTEGER NOT NULL,
+    status TEXT NOT NULL,      -- sent | retrying | failed | skipped
+    response_status INTEGER,
+    error TEXT,
+    created_ts INTEGER
+  )`);
+  // Channels belong to a household (accounts.js); channels created before accounts go to the default one
+  db.run(`ALTER TABLE notification_channels ADD COLUMN household_id INTEGER NOT NULL DEFAULT ${DEFAULT_HOUSEHOLD_ID}`, (err) => {
+    if (err && !/(duplicate column|already exists|duplicate column name)/i.test(err.message)) {
+      console.warn("[DB] Failed to add notification_channels.household_id column:", err.message);
+    }
+  });
+}
+
+// Validate a channel payload. Returns { channel } or { error }.
+export function validateChannel(body, { partial = false } = {}) {
+  const b = body || {};
+  const channel = {};
+  if (b.type !== undefined || !partial) {
+    if (!CHANNEL_TYPES.includes(b.type)) return { error: `type must be one of ${CHANNEL_TYPES.join(", ")}` };
+    channel.type = b.type;
+  }
+  if (b.name !== undefined) channel.name = String(b.name).slice(0, 128);
+  if (b.enabled !== undefined) channel.enabled = b.enabled ? 1 : 0;
+  if (b.config !== undefined || !partial) {
+    const c = b.config;
+    if (!c || typeof c !== "object" || Array.isArray(c)) return { error: "config must be an object" };
+    channel.config = c;
+  }
+  return { channel };
+}
+
+function checkConfig(type, c) {
+  const isUrl = (u) => /^https?:\/\/\S+$/i.test(String(u || "")) && URL.canParse(u);
+  if (type === "webhook" && !isUrl(c.url)) return "webhook config needs an http(s) url";
+  if (type === "push") {
+    if (!["ntfy", "gotify"].includes(c.flavor)) return "push config needs flavor 'ntfy' or 'gotify'";
+    if (!isUrl(c.url)) return "push config needs the server url";
+    if (c.flavor === "ntfy" && !c.topic) return "ntfy config needs a topic";
+    if (c.flavor === "gotify" && !c.token) return "gotify config needs an application token";
+  }
+  if (type === "email" && (!c.host || !c.from || !c.to)) return "email config needs host, from and to";
+  return null;
+}
+
+// IPv4 [network, prefix length] blocks that aren't the public internet
+const RESERVED_V4 = [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+];
+const v4Number = (ip) => ip.split(".").reduce((n, part) => n * 256 + Number(part), 0);
+
+function isReservedAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const n = v4Number(ip);
+    return RESERVED_V4.some(([base, bits]) => Math.floor(n / 2 ** (32 - bits)) === Math.floor(v4Number(base) / 2 ** (32 - bits)));
+  }
+  const v6 = ip.toLowerCase();
+  // IPv4-mapped, dotted (::ffff:127.0.0.1) or as URL parsing writes it (::ffff:7f00:1)
+  const dotted = v6.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return isReservedAddress(dotted[1]);
+  const hex = v6.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) return isReservedAddress([hex[1], hex[2]].map((h) => `${parseInt(h, 16) >> 8}.${parseInt(h, 16) & 255}`).join("."));
+  // Unspecified, loopback and the other ::-prefixed forms, unique local (fc00::/7),
+  // link-local (fe80::/10), multicast
+  return v6.startsWith("::") || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6) || v6.startsWith("ff");
+}
+
+// Host of a channel's target -> null, or why it may not be used
+async function checkHost(host) {
+  if (ALLOW_PRIVATE) return null;
+  const name = String(host || "").replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(name) ? [name] : (await dns.lookup(name, { all: true })).map((a) => a.address);
+  } catch {
+    return `Could not resolve ${name}`;
+  }
+  if (addresses.some(isReservedAddress)) {
+    return `${name} is a loopback, private or link-local address (set NOTIFY_ALLOW_PRIVATE=true to allow it)`;
+  }
+  return null;
+}
+
+const targetHost = (type, config) => (type === "email" ? config.host : new URL(config.url).hostname);
+
+function maskConfig(config) {
+  const out = { ...config };
+  for (const k of SECRET_KEYS) if (out[k] !== undefined && out[k] !== "") out[k] = MASK;
+  return out;
+}
+
+function publicChannel(row) {
+  if (!row) return row;
+  const { config_json, household_id, ...rest } = row;
+  return { ...rest, config: maskConfig(JSON.parse(config_json || "{}")) };
+}
+
+function messageForEvent(evt) {
+  const a = evt.alert || {};
+  const state = evt.type === "opened" ? "Alert" : evt.type === "closed" ? "Resolved" : "Acknowledged";
+  return {
+    title: `[IAQ] ${state}: ${a.rule_name || "alert"}${evt.device_id ? ` (${evt.device_id})` : ""}`,
+    message: a.message || `${state} on ${evt.device_id}`,
+    severity: a.severity || "warning",
+  };
+}
+
+// options.getFetch() -> fetch implementation (index.js falls back to node-fetch)
+// options.householdOf(deviceId) -> household whose channels get the device's alerts
+// options.getPreferences(evt) -> Promise of the preferences of the household that owns
+// evt.device_id ({ receiveNotifications, ... })
+export function createNotifier(db, { getFetch, householdOf = () => DEFAULT_HOUSEHOLD_ID, getPreferences = async () => ({}) } = {}) {
+  async function send(type, config, payload) {
+    const refused = await checkHost(targetHost(type, config));
+    if (refused) throw Object.assign(new Error(refused), { permanent: true });
+    if (type === "email") {
+      const transport = nodemailer.createTransport({
+        host: config.host,
+        port: Number(config.port) || 587,
+        secure: !!config.secure,
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+        connectionTimeout: TIMEOUT_MS,
+        ignoreTLS: !!config.ignoreTLS,
+      });
+      await transport.sendMail({
+        from: config.from,
+        to: config.to,
+        subject: payload.title,
+        text: `${payload.message}\n\n${new Date((payload.ts || Date.now() / 1000) * 1000).toISOString()}`,
+      });
+      return { status: null };
+    }
+
+    const doFetch = await getFetch();
+    let url;
+    let init;
+    if (type === "webhook") {
+      url = config.url;
+      init = {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(config.headers || {}) },
+        body: JSON.stringify(payload),
+      };
+    } else if (config.flavor === "ntfy") {
+      url = `${config.url.replace(/\/+$/, "")}/${encodeURIComponent(config.topic)}`;
+      init = {
+        method: "POST",
+        headers: {
+          Title: payload.title,
+          Priority: String(config.priority || (payload.severity === "critical" ? 5 : 3)),
+          Tags: payload.severity === "critical" ? "warning" : "bell",
+          ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}),
+        },
+        body: payload.message,
+      };
+    } else {
+      url = `${config.url.replace(/\/+$/, "")}/message`;
+      init = {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-Gotify-Key": config.token },
+        body: JSON.stringify({
+          title: payload.title,
+          message: payload.message,
+          priority: Number(config.priority || (payload.severity === "critical" ? 8 : 5)),
+        }),
+      };
+    }
+    // Redirects aren't followed unless private targets are allowed: they could lead to one
+    const resp = await doFetch(url, { ...init, redirect: ALLOW_PRIVATE ? "follow" : "manual", signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (!resp.ok) {
+      const err = new Error(`HTTP ${resp.status}`);
+      err.status = resp.status;
+      // Redirects and client errors other than throttling won't succeed on retry
+      err.permanent = resp.status >= 300 && resp.status < 500 && resp.status !== 408 && resp.status !== 429;
+      throw err;
+    }
+    return { status: resp.status };
+  }
+
+  function logDelivery(channelId, alertId, event, attempt, status, responseStatus, error) {
+    return run(
+      db,
+      `INSERT INTO notification_deliveries (channel_id, alert_id, event, attempt, status, response_status, error, created_ts)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [channelId, alertId, event, attempt, status, responseStatus ?? null, error ?? null, Math.floor(Date.now() / 1000)]
+    ).catch((e) => console.warn("[notify] failed to log delivery:", e.message));
+  }
+
+  // Attempt a delivery, retrying with exponential backoff (2s, 4s, 8s, ... by default).
+  // Resolves with the final delivery result.
+  async function deliver(channel, payload, { alertId = null, event, maxAttempts = MAX_ATTEMPTS } = {}) {
+    const config = JSON.parse(channel.config_json || "{}");
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const { status } = await send(channel.type, config, payload);
+        await logDelivery(channel.id, alertId, event, attempt, "sent", status, null);
+        return { ok: true, attempt, status };
+      } catch (e) {
+        const last = attempt === maxAttempts || e.permanent;
+        await logDelivery(channel.id, alertId, event, attempt, last ? "failed" : "retrying", e.status, e.message);
+        console.warn(`[notify] channel ${channel.id} attempt ${attempt} failed: ${e.message}`);
+        if (last) return { ok: false, attempt, error: e.message };
+        await new Promise((r) => setTimeout(r, BACKOFF_MS * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  // Fan an alert event out to every enabled channel of the device's household that wants
+  // it (fire-and-forget)
+  async function notifyAlert(evt) {
+    const channels = await all(db, "SELECT * FROM notification_channels WHERE enabled = 1 AND household_id = ?", [householdOf(evt.device_id)]);
+    if (!channels.length) return;
+    const prefs = (await getPreferences(evt).catch(() => ({}))) || {};
+    const payload = { event: evt.type, device_id: evt.device_id, alert: evt.alert, ts: Math.floor(Date.now() / 1000), ...messageForEvent(evt) };
+    for (const channel of channels) {
+      const config = JSON.parse(channel.config_json || "{}");
+      const events = Array.isArray(config.events) ? config.events : ["opened"];
+      if (!events.includes(evt.type)) continue;
+      if ((SEVERITY_RANK[payload.severity] ?? 1) < (SEVERITY_RANK[config.min_severity] ?? 0)) continue;
+      if (prefs.receiveNotifications === false) {
+        await logDelivery(channel.id, evt.alert?.id ?? null, evt.type, 0, "skipped", null, "Notifications are turned off in the profile");
+        continue;
+      }
+      deliver(channel, payload, { alertId: evt.alert?.id ?? null, event: evt.type }).catch((e) =>
+        console.warn(`[notify] channel ${channel.id} delivery error:`, e.message)
+      );
+    }
+  }
+
+  // Channel CRUD is per household; a channel id from another household reads as missing
+  const getChannel = (id, householdId) => get(db, "SELECT * FROM notification_channels WHERE id = ? AND household_id = ?", [id, householdId]);
+
+  // Single attempt so the caller gets an answer right away
+  async function sendTest(id, householdId = DEFAULT_HOUSEHOLD_ID) {
+    const channel = await getChannel(id, householdId);
+    if (!channel) return null;
+    const payload = {
+      event: "test",
+      title: "[IAQ] Test notification",
+      message: "This is a test notification from your IAQ dashboard.",
+      severity: "info",
+      ts: Math.floor(Date.now() / 1000),
+    };
+    return deliver(channel, payload, { event: "test", maxAttempts: 1 });
+  }
+
+  async function listChannels(householdId = DEFAULT_HOUSEHOLD_ID) {
+    return (await all(db, "SELECT * FROM notification_channels WHERE household_id = ? ORDER BY id ASC", [householdId])).map(publicChannel);
+  }
+
+  async function createChannel({ type, name = null, enabled = 1, config }, householdId = DEFAULT_HOUSEHOLD_ID) {
+    const problem = checkConfig(type, config) || (await checkHost(targetHost(type, config)));
+    if (problem) return { error: problem };
+    const now = Math.floor(Date.now() / 1000);
+    const { lastID } = await run(
+      db,
+      "INSERT INTO notification_channels (household_id, type, name, config_json, enabled, created_ts, updated_ts) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [householdId, type, name, JSON.stringify(config), enabled, now, now]
+    );
+    return { channel: publicChannel(await getChannel(lastID, householdId)) };
+  }
+
+  // Masked secrets sent back unchanged keep their stored value
+  async function updateChannel(id, changes, householdId = DEFAULT_HOUSEHOLD_ID) {
+    const existing = await getChannel(id, householdId);
+    if (!existing) return { notFound: true };
+    const type = changes.type || existing.type;
+    let config = JSON.parse(existing.config_json || "{}");
+    if (changes.config) {
+      const merged = { ...changes.config };
+      for (const k of SECRET_KEYS) if (merged[k] === MASK) merged[k] = config[k];
+      config = merged;
+    }
+    const problem = checkConfig(type, config) || (await checkHost(targetHost(type, config)));
+    if (problem) return { error: problem };
+    await run(
+      db,
+      "UPDATE notification_channels SET type = ?, name = ?, config_json = ?, enabled = ?, updated_ts = ? WHERE id = ?",
+      [
+        type,
+        changes.name !== undefined ? changes.name : existing.name,
+        JSON.stringify(config),
+        changes.enabled !== undefined ? changes.enabled : existing.enabled,
+        Math.floor(Date.now() / 1000),
+        id,
+      ]
+    );
+    return { channel: publicChannel(await getChannel(id, householdId)) };
+  }
+
+  async function deleteChannel(id, householdId = DEFAULT_HOUSEHOLD_ID) {
+    const { changes } = await run(db, "DELETE FROM notification_channels WHERE id = ? AND household_id = ?", [id, householdId]);
+    return changes > 0;
+  }
+
+  // Deliveries of the household's current channels
+  async function listDeliveries({ householdId = DEFAULT_HOUSEHOLD_ID, channelId, limit = 100 } = {}) {
+    return all(
+      db,
+      `SELECT d.* FROM notification_deliveries d JOIN notification_channels c ON c.id = d.channel_id
+       WHERE c.household_id = ? ${channelId ? "AND d.channel_id = ?" : ""} ORDER BY d.id DESC LIMIT ?`,
+      channelId ? [householdId, channelId, limit] : [householdId, limit]
+    );
+  }
+
+  return { notifyAlert, sendTest, listChannels, createChannel, updateChannel, deleteChannel, listDeliveries };
+}
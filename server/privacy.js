@@ -0,0 +1,112 @@
+// ----- Privacy: what leaves the server -----
+// The family profile reaches the LLM only as the summary built here, and only when the
+// profile opts in (preferences.shareWithGemini). Names are never part of it; what else is
+// shared per member is set in preferences.sharing:
+//   age        "band" (e.g. "60-74", default) | "none"
+//   conditions true (default) | false
+//   relation   true (default) | false
+//
+// Every outbound model request (each attempt, including retries and chat tool rounds) is
+// recorded in llm_audit with the SHA-256 of the exact prompt, so it can be matched against
+// POST /privacy/preview. The prompt itself is not stored.
+import crypto from "crypto";
+import { run, all } from "./sqlite.js";
+import { DEFAULT_HOUSEHOLD_ID } from "./accounts.js";
+
+export const DEFAULT_SHARING = { age: "band", conditions: true, relation: true };
+export const AGE_SHARING = ["band", "none"];
+
+// Upper bound (exclusive) -> label
+const AGE_BANDS = [
+  [5, "under 5"],
+  [12, "5-11"],
+  [18, "12-17"],
+  [40, "18-39"],
+  [60, "40-59"],
+  [75, "60-74"],
+  [Infinity, "75+"],
+];
+
+// Called from the schema setup in index.js (inside db.serialize)
+export function createPrivacyTables(db) {
+  db.run(`CREATE TABLE IF NOT EXISTS llm_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts INTEGER NOT NULL,
+    household_id INTEGER,
+    endpoint TEXT NOT NULL,      -- chat | lifestyle-advice | ...
+    provider TEXT,
+    model TEXT,
+    payload_sha256 TEXT NOT NULL, -- of the prompt as sent
+    payload_bytes INTEGER,
+    outcome TEXT                 -- ok | error | ... (metrics outcomes); null while in flight
+  )`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_llm_audit_household ON llm_audit (household_id, ts)`);
+}
+
+// preferences.sharing with defaults filled in and unknown values ignored
+export function sharingSettings(preferences) {
+  const given = preferences?.sharing && typeof preferences.sharing === "object" ? preferences.sharing : {};
+  return {
+    age: AGE_SHARING.includes(given.age) ? given.age : DEFAULT_SHARING.age,
+    conditions: typeof given.conditions === "boolean" ? given.conditions : DEFAULT_SHARING.conditions,
+    relation: typeof given.relation === "boolean" ? given.relation : DEFAULT_SHARING.relation,
+  };
+}
+
+export function ageBand(age) {
+  const n = Number(age);
+  if (age === "" || age === null || age === undefined || !Number.isFinite(n) || n < 0) return null;
+  return AGE_BANDS.find(([upper]) => n < upper)[1];
+}
+
+export const payloadHash = (prompt) => crypto.createHash("sha256").update(String(prompt), "utf8").digest("hex");
+
+// Non-identifying household summary for LLM prompts ("" without members)
+export function buildProfileSummary(profile, sharing = sharingSettings(profile?.preferences)) {
+  const members = (profile?.members || []).map((m, i) => {
+    const parts = [sharing.relation && String(m.relation || "").trim() ? String(m.relation).trim() : `Member ${i + 1}`];
+    const band = sharing.age === "band" ? ageBand(m.age) : null;
+    if (band) parts.push(`age ${band}`);
+    const conditions = (m.conditions || []).map((c) => String(c).trim()).filter(Boolean);
+    if (sharing.conditions && conditions.length) parts.push(`conditions: ${conditions.join(", ")}`);
+    return parts.join(", ");
+  });
+  return members.length ? `${members.length} member${members.length === 1 ? "" : "s"}: ${members.join(" | ")}` : "";
+}
+
+export function createLlmAudit(db) {
+  // Called by llm.js before each attempt -> done(outcome)
+  function record({ provider, model, endpoint, prompt, householdId }) {
+    const text = String(prompt ?? "");
+    const inserted = run(
+      db,
+      "INSERT INTO llm_audit (ts, household_id, endpoint, provider, model, payload_sha256, payload_bytes) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [Math.floor(Date.now() / 1000), householdId ?? null, endpoint, provider, model, payloadHash(text), Buffer.byteLength(text)]
+    ).catch((e) => {
+      console.warn("[privacy] failed to write LLM audit entry:", e.message);
+      return null;
+    });
+    return (outcome) => {
+      inserted
+        .then((r) => r && run(db, "UPDATE llm_audit SET outcome = ? WHERE id = ?", [outcome, r.lastID]))
+        .catch((e) => console.warn("[privacy] failed to update LLM audit entry:", e.message));
+    };
+  }
+
+  // Newest first
+  async function list({ householdId = DEFAULT_HOUSEHOLD_ID, limit = 100, from, to } = {}) {
+    const where = ["household_id = ?"];
+    const params = [householdId];
+    if (from) {
+      where.push("ts >= ?");
+      params.push(from);
+    }
+    if (to) {
+      where.push("ts <= ?");
+      params.push(to);
+    }
+    return all(db, `SELECT * FROM llm_audit WHERE ${where.join(" AND ")} ORDER BY ts DESC, id DESC LIMIT ?`, [...params, limit]);
+  }
+
+  return { record, list };
+}
@@ -0,0 +1,205 @@
+// ----- Family profile versions -----
+// Every POST /profile stores a new row, so the rows of a household form its version
+// history (newest = current). This lists them, diffs two versions member by member and
+// restores an old one by saving it again as the newest version (nothing is rewritten).
+//
+// DELETE /profile is a soft delete: the household's rows get `deleted_ts` and can be
+// brought back with undo until the window (PROFILE_UNDO_SECONDS) has passed; after that
+// `purge` removes them for good. Timestamps are milliseconds, like updated_ts.
+//
+// owner_name, members_json and preferences_json are encrypted at rest (encryption.js);
+// rows are written and read only through this store, so callers always see plain profiles.
+import { run, get, all, transaction } from "./sqlite.js";
+
+const MEMBER_FIELDS = ["relation", "age", "notes"];
+const ENCRYPTED_COLUMNS = ["owner_name", "members_json", "preferences_json"];
+
+// Without a cipher the columns are read as stored
+const plain = { encrypt: (v) => v, decrypt: (v) => v, needsRewrite: () => false };
+
+export function parseProfileRow(row, cipher = plain) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    owner_name: cipher.decrypt(row.owner_name, "owner_name"),
+    members: JSON.parse(cipher.decrypt(row.members_json, "members_json") || "[]"),
+    preferences: JSON.parse(cipher.decrypt(row.preferences_json, "preferences_json") || "{}"),
+    updated_ts: row.updated_ts,
+    restored_from: row.restored_from ?? null,
+  };
+}
+
+const memberKey = (m) => String(m?.name || "").trim().toLowerCase();
+const conditionsOf = (m) => (Array.isArray(m?.conditions) ? m.conditions.map((c) => String(c).trim()).filter(Boolean) : []);
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Members are matched by name (case-insensitive), the rest by position. Each entry is
+// { name, status: added|removed|changed|unchanged, changes: [{ field, from, to }],
+//   conditions: { added, removed } }.
+function diffMembers(before, after) {
+  const left = before.map((m, i) => ({ m, i }));
+  const right = after.map((m, i) => ({ m, i }));
+  const pairs = [];
+  for (const r of [...right]) {
+    const key = memberKey(r.m);
+    const l = key && left.find((x) => memberKey(x.m) === key);
+    if (!l) continue;
+    pairs.push([l.m, r.m, r.i]);
+    left.splice(left.indexOf(l), 1);
+    right.splice(right.indexOf(r), 1);
+  }
+  // Unnamed or renamed members: pair what is left in order
+  while (left.length && right.length) {
+    const l = left.shift();
+    const r = right.shift();
+    pairs.push([l.m, r.m, r.i]);
+  }
+  const out = pairs.map(([a, b, order]) => {
+    const changes = ["name", ...MEMBER_FIELDS]
+      .filter((field) => !same(a[field] === "" ? null : a[field], b[field] === "" ? null : b[field]))
+      .map((field) => ({ field, from: a[field] ?? null, to: b[field] ?? null }));
+    const was = conditionsOf(a);
+    const now = conditionsOf(b);
+    const conditions = { added: now.filter((c) => !was.includes(c)), removed: was.filter((c) => !now.includes(c)) };
+    const changed = changes.length || conditions.added.length || conditions.removed.length;
+    return { order, name: b.name || a.name || "", status: changed ? "changed" : "unchanged", changes, conditions };
+  });
+  for (const r of right) {
+    out.push({ order: r.i, name: r.m.name || "", status: "added", changes: [], conditions: { added: conditionsOf(r.m), removed: [] } });
+  }
+  for (const l of left) {
+    out.push({ order: after.length + l.i, name: l.m.name || "", status: "removed", changes: [], conditions: { added: [], removed: conditionsOf(l.m) } });
+  }
+  return out.sort((a, b) => a.order - b.order).map(({ order, ...m }) => m);
+}
+
+// Two parsed profiles -> what changed from `a` to `b`
+export function diffProfiles(a, b) {
+  const keys = [...new Set([...Object.keys(a.preferences || {}), ...Object.keys(b.preferences || {})])];
+  const ownerName = same(a.owner_name || "", b.owner_name || "") ? null : { from: a.owner_name || "", to: b.owner_name || "" };
+  const preferences = keys
+    .filter((k) => !same(a.preferences?.[k], b.preferences?.[k]))
+    .map((key) => ({ key, from: a.preferences?.[key] ?? null, to: b.preferences?.[key] ?? null }));
+  const members = diffMembers(a.members || [], b.members || []);
+  return {
+    from: { id: a.id, updated_ts: a.updated_ts },
+    to: { id: b.id, updated_ts: b.updated_ts },
+    owner_name: ownerName,
+    preferences,
+    members,
+    unchanged: !ownerName && !preferences.length && members.every((m) => m.status === "unchanged"),
+  };
+}
+
+// options.undoSeconds -> how long a deleted profile can be restored with undo;
+// options.cipher -> createFieldCipher() for the encrypted columns
+export function createProfileStore(db, { undoSeconds = 300, cipher = plain } = {}) {
+  const parse = (row) => parseProfileRow(row, cipher);
+
+  // Inserts a new version -> the new current profile. options.updatedTs keeps the time of an
+  // imported version (archive.js); options.restoredFrom marks a restore.
+  async function save(householdId, { owner_name, members, preferences }, { restoredFrom = null, updatedTs = Date.now() } = {}) {
+    const { lastID } = await run(
+      db,
+      "INSERT INTO profiles (household_id, owner_name, members_json, preferences_json, updated_ts, restored_from) VALUES (?, ?, ?, ?, ?, ?)",
+      [
+        householdId,
+        cipher.encrypt(owner_name, "owner_name"),
+        cipher.encrypt(JSON.stringify(members), "members_json"),
+        cipher.encrypt(JSON.stringify(preferences), "preferences_json"),
+        updatedTs,
+        restoredFrom,
+      ]
+    );
+    return parse(await get(db, "SELECT * FROM profiles WHERE id = ?", [lastID]));
+  }
+
+  // Newest first; `version` counts from 1 (oldest)
+  async function listVersions(householdId) {
+    const rows = await all(db, "SELECT * FROM profiles WHERE household_id = ? AND deleted_ts IS NULL ORDER BY updated_ts DESC, id DESC", [
+      householdId,
+    ]);
+    return rows.map((row, i) => {
+      const p = parse(row);
+      return {
+        id: p.id,
+        version: rows.length - i,
+        current: i === 0,
+        owner_name: p.owner_name,
+        member_count: p.members.length,
+        members: p.members.map((m) => m.name || "").filter(Boolean),
+        updated_ts: p.updated_ts,
+        restored_from: p.restored_from,
+      };
+    });
+  }
+
+  async function getVersion(householdId, id) {
+    return parse(await get(db, "SELECT * FROM profiles WHERE id = ? AND household_id = ? AND deleted_ts IS NULL", [id, householdId]));
+  }
+
+  async function current(householdId) {
+    return parse(
+      await get(db, "SELECT * FROM profiles WHERE household_id = ? AND deleted_ts IS NULL ORDER BY updated_ts DESC, id DESC LIMIT 1", [householdId])
+    );
+  }
+
+  // null when either version is unknown; `to` defaults to the current version
+  async function diff(householdId, fromId, toId) {
+    const a = await getVersion(householdId, fromId);
+    const b = toId ? await getVersion(householdId, toId) : await current(householdId);
+    return a && b ? diffProfiles(a, b) : null;
+  }
+
+  // Saves a copy of version `id` as the newest one -> the new current profile (null if unknown)
+  async function restore(householdId, id) {
+    const version = await getVersion(householdId, id);
+    return version ? save(householdId, version, { restoredFrom: id }) : null;
+  }
+
+  // -> { deleted: n, undo_until } (undo_until in ms)
+  async function softDelete(householdId) {
+    const now = Date.now();
+    const { changes } = await run(db, "UPDATE profiles SET deleted_ts = ? WHERE household_id = ? AND deleted_ts IS NULL", [now, householdId]);
+    return { deleted: changes, undo_until: changes ? now + undoSeconds * 1000 : null };
+  }
+
+  // Brings back the rows of the most recent delete if it is still inside the window.
+  // Returns the restored current profile, or null when there is nothing to undo.
+  async function undoDelete(householdId) {
+    const last = await get(db, "SELECT MAX(deleted_ts) AS ts FROM profiles WHERE household_id = ?", [householdId]);
+    if (!last?.ts || last.ts < Date.now() - undoSeconds * 1000) return null;
+    // A profile saved after the delete stays current
+    await run(db, "UPDATE profiles SET deleted_ts = NULL WHERE household_id = ? AND deleted_ts = ?", [householdId, last.ts]);
+    return current(householdId);
+  }
+
+  // Hard-deletes rows whose undo window has passed
+  async function purge() {
+    const { changes } = await run(db, "DELETE FROM profiles WHERE deleted_ts IS NOT NULL AND deleted_ts < ?", [Date.now() - undoSeconds * 1000]);
+    return changes;
+  }
+
+  // Encrypts rows stored in plaintext (written before encryption at rest) and re-encrypts
+  // rows under an older key with the current one. Runs at startup and from
+  // rotateProfileKey.js; returns the number of rows rewritten.
+  async function encryptExisting() {
+    return transaction(db, async () => {
+      const rows = await all(db, `SELECT id, ${ENCRYPTED_COLUMNS.join(", ")} FROM profiles`);
+      let rewritten = 0;
+      for (const row of rows) {
+        if (!ENCRYPTED_COLUMNS.some((c) => cipher.needsRewrite(row[c]))) continue;
+        const values = ENCRYPTED_COLUMNS.map((c) => (row[c] === null ? null : cipher.encrypt(cipher.decrypt(row[c], c), c)));
+        await run(db, `UPDATE profiles SET ${ENCRYPTED_COLUMNS.map((c) => `${c} = ?`).join(", ")} WHERE id = ?`, [...values, row.id]);
+        rewritten += 1;
+      }
+      return rewritten;
+    });
+  }
+
+  function start(intervalMs = 60000) {
+    setInterval(() => purge().catch((e) => console.warn("[profiles] purge failed:", e.message)), intervalMs);
+  }
+
+  return { save, listVersions, getVersion, current, diff, restore, softDelete, undoDelete, purge, encryptExisting, start, undoSeconds };
+}
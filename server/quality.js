@@ -0,0 +1,294 @@
+// ----- Reading quality -----
+// Sensor-fault checks run at ingest, before a reading is stored. MQ gas sensors drift,
+// saturate and get stuck, and a flatlined CO sensor looks just like clean air, so every
+// reading is compared with the device's previous ones:
+//
+//   range   outside what the sensor can physically report          -> bad
+//   rate    changed faster than the air in a room can               -> bad
+//   stuck   exactly the same value for too long (analog noise stops) -> bad (suspect for PM2.5)
+//   warmup  MQ heaters still warming up after a restart             -> bad
+//   spike   far from the recent median (first reading of a jump)    -> suspect
+//   step    the jump persists (the level changed)                   -> suspect
+//
+// Each stored reading gets `quality` ('good' | 'suspect' | 'bad', the worst flag),
+// `quality_flags` ("co:stuck,voc:spike") and `bad_sensors`, a bitmask over
+// SENSOR_COLUMNS of the values that must not be used (advice, AQI). Readings stored
+// before these checks existed have NULLs and count as good.
+import { SENSOR_COLUMNS } from "./sensors.js";
+import { get, all } from "./sqlite.js";
+
+export const QUALITY_LEVELS = ["good", "suspect", "bad"];
+export const QUALITY_FLAGS = {
+  range: "bad",
+  rate: "bad",
+  stuck: "bad",
+  warmup: "bad",
+  spike: "suspect",
+  step: "suspect",
+};
+
+// Per measured sensor (units as reported: µg/m³, ppb, ppb, ppm).
+// maxRatePerMin: largest plausible change per minute; stuckMin: minutes of identical
+// values before the sensor counts as stuck; spikeMin: smallest jump worth flagging.
+export const SENSOR_CHECKS = {
+  pm25: { range: [0, 1000], maxRatePerMin: 500, stuckMin: 360, stuckLevel: "suspect", spikeMin: 35, mq: false },
+  voc: { range: [0, 1000000], maxRatePerMin: 50000, stuckMin: 30, stuckLevel: "bad", spikeMin: 300, mq: true },
+  c2h5oh: { range: [0, 500000], maxRatePerMin: 50000, stuckMin: 30, stuckLevel: "bad", spikeMin: 300, mq: true },
+  co: { range: [0, 2000], maxRatePerMin: 100, stuckMin: 30, stuckLevel: "bad", spikeMin: 10, mq: true },
+};
+export const CHECKED_SENSORS = Object.keys(SENSOR_CHECKS);
+
+const STUCK_MIN_READINGS = 10; // a couple of repeats at a slow send interval isn't "stuck"
+const RECENT = 12; // readings kept per device for the median / rate checks
+const SPIKE_MIN_HISTORY = 5;
+const SPIKE_MADS = 6; // robust z-score threshold
+const RATE_MAX_GAP_S = 600; // rate limits only apply between readings this close
+const RATE_MIN_DT_S = 10;
+const RESTART_GAP_S = 30 * 60; // without uptime_s, a silence this long counts as a restart
+
+// Device IAQ values are computed from the MQ sensors, so they are unusable during warm-up too
+const WARMUP_COLUMNS = [...CHECKED_SENSORS.filter((s) => SENSOR_CHECKS[s].mq), "current_iaq", "predicted_iaq"];
+
+export function sensorBit(column) {
+  const i = SENSOR_COLUMNS.indexOf(column);
+  return i < 0 ? 0 : 1 << i;
+}
+
+export function warmupSeconds() {
+  const s = Number(process.env.SENSOR_WARMUP_S);
+  return Number.isFinite(s) && s >= 0 ? s : 300;
+}
+
+// Copy of a reading with the values flagged bad set to null (for advice and AQI)
+export function usableReading(row) {
+  if (!row || !row.bad_sensors) return row;
+  const out = { ...row };
+  for (const column of SENSOR_COLUMNS) if (row.bad_sensors & sensorBit(column)) out[column] = null;
+  return out;
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+function parseFlags(text) {
+  const flags = {};
+  for (const part of String(text || "").split(",").filter(Boolean)) {
+    const [sensor, flag] = part.split(":");
+    (flags[sensor] ||= []).push(flag);
+  }
+  return flags;
+}
+
+export function createQualityChecker(db) {
+  const contexts = new Map(); // device_id -> context after its newest assessed reading
+  const queues = new Map(); // device_id -> promise chain, so a device's readings are assessed in order
+
+  // Rebuild a device's context from the readings stored before `ts`
+  async function loadContext(deviceId, ts) {
+    const rows = await all(
+      db,
+      `SELECT ts, ${CHECKED_SENSORS.join(", ")}, quality_flags, bad_sensors FROM readings
+       WHERE device_id = ? AND ts < ? ORDER BY ts DESC, id DESC LIMIT ?`,
+      [deviceId, ts, RECENT]
+    );
+    rows.reverse();
+    const ctx = { lastTs: rows.length ? rows[rows.length - 1].ts : null, warmupUntil: null, firmware: undefined, sensors: {} };
+
+    // A warm-up still running: it started at the first of the trailing warm-up readings
+    let i = rows.length;
+    while (i > 0 && /(^|,)[a-z0-9_]+:warmup/.test(rows[i - 1].quality_flags || "")) i--;
+    if (i < rows.length) ctx.warmupUntil = rows[i].ts + warmupSeconds();
+
+    for (const sensor of CHECKED_SENSORS) {
+      const bit = sensorBit(sensor);
+      const recent = rows
+        .filter((r) => isNum(r[sensor]))
+        .map((r) => ({ ts: r.ts, value: r[sensor], bad: !!(r.bad_sensors & bit), flags: parseFlags(r.quality_flags)[sensor] || [] }));
+      const last = recent[recent.length - 1];
+      let run = null;
+      if (last) {
+        // The run of identical values may reach back beyond the rows loaded above
+        const changed = await get(
+          db,
+          `SELECT MAX(ts) AS ts FROM readings WHERE device_id = ? AND ts < ? AND ${sensor} != ?`,
+          [deviceId, ts, last.value]
+        );
+        const since = await get(
+          db,
+          `SELECT MIN(ts) AS ts, COUNT(*) AS n FROM readings WHERE device_id = ? AND ts > ? AND ts < ?`,
+          [deviceId, changed?.ts ?? -1, ts]
+        );
+        run = { value: last.value, since: since.ts, count: since.n };
+      }
+      ctx.sensors[sensor] = { recent, run };
+    }
+    return ctx;
+  }
+
+  // Check one reading against `ctx` and advance it
+  function check(ctx, row, { uptime, firmware }) {
+    const flags = [];
+    const bad = new Set();
+    let level = 0;
+    const flag = (sensor, code, severity = QUALITY_FLAGS[code]) => {
+      flags.push(`${sensor}:${code}`);
+      level = Math.max(level, QUALITY_LEVELS.indexOf(severity));
+      if (severity === "bad") bad.add(sensor);
+    };
+
+    // Warm-up: uptime_s from the firmware is exact; otherwise a firmware change or a
+    // long silence is taken as a restart
+    const warmup = warmupSeconds();
+    if (isNum(uptime)) {
+      ctx.warmupUntil = row.ts - uptime + warmup;
+    } else if (
+      ctx.lastTs === null ||
+      row.ts - ctx.lastTs > RESTART_GAP_S ||
+      (firmware && ctx.firmware && firmware !== ctx.firmware)
+    ) {
+      ctx.warmupUntil = row.ts + warmup;
+    }
+    if (firmware) ctx.firmware = firmware;
+    const warming = ctx.warmupUntil !== null && row.ts < ctx.warmupUntil;
+
+    for (const sensor of CHECKED_SENSORS) {
+      const spec = SENSOR_CHECKS[sensor];
+      const state = ctx.sensors[sensor] || (ctx.sensors[sensor] = { recent: [], run: null });
+      const value = row[sensor];
+      if (!isNum(value)) continue;
+      const own = [];
+      const mark = (code, severity) => { own.push(code); flag(sensor, code, severity); };
+
+      if (value < spec.range[0] || value > spec.range[1]) mark("range");
+      if (warming && spec.mq) mark("warmup");
+
+      // Stuck: identical values for stuckMin minutes and STUCK_MIN_READINGS readings
+      if (state.run && state.run.value === value) state.run.count += 1;
+      else state.run = { value, since: row.ts, count: 1 };
+      if (state.run.count >= STUCK_MIN_READINGS && row.ts - state.run.since >= spec.stuckMin * 60) mark("stuck", spec.stuckLevel);
+
+      // Rate and spike compare with the recent usable values
+      const usable = state.recent.filter((r) => !r.bad);
+      const prev = usable[usable.length - 1];
+      if (!own.includes("range") && prev && row.ts - prev.ts <= RATE_MAX_GAP_S) {
+        const dtMin = Math.max(row.ts - prev.ts, RATE_MIN_DT_S) / 60;
+        if (Math.abs(value - prev.value) / dtMin > spec.maxRatePerMin) mark("rate");
+      }
+      if (!own.includes("range") && !own.includes("rate") && usable.length >= SPIKE_MIN_HISTORY) {
+        const values = usable.map((r) => r.value);
+        const med = median(values);
+        const mad = median(values.map((v) => Math.abs(v - med)));
+        const deviation = value - med;
+        if (Math.abs(deviation) > Math.max(spec.spikeMin, SPIKE_MADS * 1.4826 * mad)) {
+          const last = state.recent[state.recent.length - 1];
+          const continued = last && (last.flags.includes("spike") || last.flags.includes("step")) && Math.sign(last.value - med) === Math.sign(deviation);
+          mark(continued ? "step" : "spike");
+        }
+      }
+
+      state.recent.push({ ts: row.ts, value, bad: bad.has(sensor), flags: own });
+      if (state.recent.length > RECENT) state.recent.shift();
+    }
+    ctx.lastTs = row.ts;
+
+    let badSensors = 0;
+    for (const sensor of bad) badSensors |= sensorBit(sensor);
+    if (warming) for (const column of WARMUP_COLUMNS) badSensors |= sensorBit(column);
+    return { quality: QUALITY_LEVELS[level], quality_flags: flags.length ? flags.join(",") : null, bad_sensors: badSensors };
+  }
+
+  async function assessNow(deviceId, rows, options) {
+    const sorted = [...rows].sort((a, b) => a.ts - b.ts);
+    let ctx = contexts.get(deviceId);
+    // Backfills older than what was last seen get their own context from the DB
+    const live = !!ctx && (ctx.lastTs === null || sorted[0].ts > ctx.lastTs);
+    if (!live) ctx = await loadContext(deviceId, sorted[0].ts);
+    const results = new Map();
+    for (const row of sorted) {
+      const { uptime_s, ...reading } = row;
+      results.set(row, { ...reading, ...check(ctx, reading, { uptime: uptime_s, firmware: options.firmware }) });
+    }
+    const current = contexts.get(deviceId);
+    if (!current || current.lastTs === null || ctx.lastTs >= current.lastTs) contexts.set(deviceId, ctx);
+    return rows.map((r) => results.get(r));
+  }
+
+  // Validated rows of one device (optionally with `uptime_s`) -> same rows with
+  // quality, quality_flags and bad_sensors, in the given order. Never rejects:
+  // if the checks fail, readings are stored unassessed.
+  function assess(deviceId, rows, options = {}) {
+    if (!rows.length) return Promise.resolve([]);
+    const prev = queues.get(deviceId) || Promise.resolve();
+    const next = prev.then(() => assessNow(deviceId, rows, options)).catch((e) => {
+      console.warn("[quality] checks failed:", e.message);
+      contexts.delete(deviceId);
+      return rows.map(({ uptime_s, ...r }) => ({ ...r, quality: null, quality_flags: null, bad_sensors: 0 }));
+    });
+    queues.set(deviceId, next);
+    next.finally(() => { if (queues.get(deviceId) === next) queues.delete(deviceId); });
+    return next;
+  }
+
+  // Per-sensor health for a device over the last `hours`
+  async function health(deviceId, { hours = 24 } = {}) {
+    const since = Math.floor(Date.now() / 1000) - hours * 3600;
+    const latest = await get(
+      db,
+      "SELECT ts, quality, quality_flags FROM readings WHERE device_id = ? ORDER BY ts DESC, id DESC LIMIT 1",
+      [deviceId]
+    );
+    if (!latest) return null;
+    const totals = await get(
+      db,
+      `SELECT COUNT(*) AS n,
+              SUM(CASE WHEN quality = 'suspect' THEN 1 ELSE 0 END) AS suspect,
+              SUM(CASE WHEN quality = 'bad' THEN 1 ELSE 0 END) AS bad
+       FROM readings WHERE device_id = ? AND ts > ?`,
+      [deviceId, since]
+    );
+    const flagged = await all(
+      db,
+      "SELECT ts, quality_flags FROM readings WHERE device_id = ? AND ts > ? AND quality_flags IS NOT NULL ORDER BY ts ASC",
+      [deviceId, since]
+    );
+    const current = parseFlags(latest.quality_flags);
+    const sensors = CHECKED_SENSORS.map((sensor) => {
+      const counts = {};
+      let lastFlagTs = null;
+      for (const r of flagged) {
+        const codes = parseFlags(r.quality_flags)[sensor];
+        if (!codes) continue;
+        for (const c of codes) counts[c] = (counts[c] || 0) + 1;
+        lastFlagTs = r.ts;
+      }
+      const now = current[sensor] || [];
+      const badNow = now.some((c) => c === "stuck" ? SENSOR_CHECKS[sensor].stuckLevel === "bad" : QUALITY_FLAGS[c] === "bad");
+      return {
+        sensor,
+        status: badNow ? "fault" : now.length ? "suspect" : "ok",
+        flags: now,
+        counts,
+        last_flag_ts: lastFlagTs,
+      };
+    });
+    const status = sensors.some((s) => s.status === "fault") ? "fault" : sensors.some((s) => s.status === "suspect") ? "degraded" : "ok";
+    return {
+      device_id: deviceId,
+      status,
+      checked_ts: latest.ts,
+      warming_up: /:warmup/.test(latest.quality_flags || ""),
+      window_h: hours,
+      readings: totals.n,
+      suspect: totals.suspect || 0,
+      bad: totals.bad || 0,
+      sensors,
+    };
+  }
+
+  return { assess, health };
+}
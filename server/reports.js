@@ -0,0 +1,323 @@
+// ----- Exposure reports -----
+// Daily / weekly summaries of what the household breathed: time in each IAQ category,
+// hours with PM2.5 above the WHO guideline, the worst episodes (see episodes.js) and a
+// comparison with the same period a week earlier, plus notes for vulnerable members
+// of the family profile (respiratory or heart conditions, elderly, children).
+//
+// Everything is computed on request from calibrated 1-minute means of current_iaq,
+// PM2.5 and CO (values flagged bad at ingest are left out). Days are local days for
+// the given tz_offset, like bucketed /history. Where raw readings have already been
+// pruned the minute rollups are used instead, without the bad-value filter.
+import { get, all, deviceFilter } from "./sqlite.js";
+import { sensorBit } from "./quality.js";
+import { AQI_SCHEMES, IAQ_CATEGORIES, iaqCategory } from "../shared/aqi.js";
+
+const DAY = 86400;
+export const REPORT_PERIODS = { day: 1, week: 7 };
+
+// WHO 2021 24-hour AQG level for PM2.5; an hour counts as above it when its mean is higher
+const WHO_PM25 = AQI_SCHEMES.who.pollutants.pm25.breakpoints[0][1];
+const CO_LIMIT_PPM = 9; // US EPA 8-hour standard, used for the CO notes
+const SENSITIVE_FROM = IAQ_CATEGORIES.findIndex((c) => c.key === "usg");
+const MAX_EVENTS = 5;
+const HOLD_MIN = 10; // a minute mean stands for the time until the next one, up to this long
+const COLUMNS = ["current_iaq", "pm25", "co"];
+
+const MEMBER_GROUPS = [
+  { key: "respiratory", label: "respiratory condition", test: (m) => hasCondition(m, /asthma|copd|bronch|lung|respirat/i) },
+  { key: "heart", label: "heart condition", test: (m) => hasCondition(m, /heart|cardi|hypertens/i) },
+  { key: "elderly", label: "aged 60+", test: (m) => Number(m.age) >= 60 },
+  { key: "child", label: "child", test: (m) => m.age !== "" && m.age !== undefined && m.age !== null && Number(m.age) < 12 },
+];
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const r1 = (v) => (isNum(v) ? Math.round(v * 10) / 10 : null);
+const hasCondition = (m, re) => (m.conditions || []).some((c) => re.test(c));
+
+// Local day (YYYY-MM-DD) of a timestamp for tzOffset seconds east of UTC
+const localDate = (ts, tzOffset) => new Date((ts + tzOffset) * 1000).toISOString().slice(0, 10);
+
+// date: last local day of the period (YYYY-MM-DD, default today) -> [from, to)
+function periodBounds(period, date, tzOffset, now) {
+  const lastDay = date ? Date.parse(`${date}T00:00:00Z`) / 1000 - tzOffset : Math.floor((now + tzOffset) / DAY) * DAY - tzOffset;
+  return { from: lastDay - (REPORT_PERIODS[period] - 1) * DAY, to: lastDay + DAY };
+}
+
+// Minute means -> summary of one window [from, to). Category time is weighted so a
+// device that sends every few minutes isn't mostly "no data".
+function summarize(minutes, from, to, now) {
+  const expected = Math.max(0, Math.floor((Math.min(to, now) - from) / 60));
+  const categories = Object.fromEntries(IAQ_CATEGORIES.map((c) => [c.key, 0]));
+  const stats = Object.fromEntries(COLUMNS.map((c) => [c, { sum: 0, n: 0, max: null, max_ts: null }]));
+  const hours = new Map(); // hour -> { sum, n } of PM2.5
+  const rated = minutes.filter((m) => isNum(m.current_iaq));
+  const endMinute = Math.min(to, now) / 60;
+  rated.forEach((m, i) => {
+    const next = rated[i + 1]?.minute ?? endMinute;
+    categories[iaqCategory(m.current_iaq).key] += Math.max(1, Math.min(HOLD_MIN, next - m.minute));
+  });
+  for (const m of minutes) {
+    for (const c of COLUMNS) {
+      if (!isNum(m[c])) continue;
+      const s = stats[c];
+      s.sum += m[c];
+      s.n += 1;
+      if (s.max === null || m[c] > s.max) { s.max = m[c]; s.max_ts = m.minute * 60; }
+    }
+    if (isNum(m.pm25)) {
+      const h = hours.get(Math.floor(m.minute / 60)) || { sum: 0, n: 0 };
+      h.sum += m.pm25;
+      h.n += 1;
+      hours.set(Math.floor(m.minute / 60), h);
+    }
+  }
+  const mean = (s) => (s.n ? r1(s.sum / s.n) : null);
+  const covered = Object.values(categories).reduce((a, b) => a + b, 0);
+  return {
+    from,
+    to,
+    hours_by_category: Object.fromEntries(Object.entries(categories).map(([k, n]) => [k, r1(n / 60)])),
+    no_data_h: r1(Math.max(0, expected - covered) / 60),
+    good_share: covered ? Math.round((categories.good / covered) * 100) / 100 : null,
+    usg_or_worse_h: r1(IAQ_CATEGORIES.slice(SENSITIVE_FROM).reduce((sum, c) => sum + categories[c.key], 0) / 60),
+    iaq: { mean: mean(stats.current_iaq), max: r1(stats.current_iaq.max), max_ts: stats.current_iaq.max_ts },
+    pm25: {
+      mean: mean(stats.pm25),
+      max: r1(stats.pm25.max),
+      max_ts: stats.pm25.max_ts,
+      hours_above_who: [...hours.values()].filter((h) => h.sum / h.n > WHO_PM25).length,
+    },
+    co: { max: r1(stats.co.max), max_ts: stats.co.max_ts },
+  };
+}
+
+function memberNotes(groups, totals, comparison, events) {
+  const notes = [];
+  const keys = groups.map((g) => g.key);
+  const above = totals.pm25.hours_above_who;
+  if (above > 0) {
+    const was = comparison.previous.pm25.hours_above_who;
+    const trend = was === above ? "" : ` (${was} h ${comparison.label})`;
+    const why = keys.includes("respiratory") ? " Fine particles are a common trigger for breathing symptoms." : "";
+    notes.push(`${above} h with PM2.5 above the WHO guideline (${WHO_PM25} µg/m³)${trend}.${why}`);
+  }
+  if (totals.usg_or_worse_h > 0) {
+    notes.push(`${totals.usg_or_worse_h} h at IAQ "USG" or worse, where sensitive groups are advised to limit exposure.`);
+  }
+  if ((keys.includes("heart") || keys.includes("elderly") || keys.includes("child")) && totals.co.max > CO_LIMIT_PPM) {
+    notes.push(`CO reached ${totals.co.max} ppm; check combustion appliances and ventilate when they run.`);
+  }
+  const source = events[0]?.label;
+  if (notes.length && source && source !== "unknown" && source !== "other") {
+    notes.push(`The worst episode came from ${source}; ventilating during ${source} helps most.`);
+  }
+  if (!notes.length) notes.push("Exposure stayed below the guideline levels in this period.");
+  return notes;
+}
+
+// options.adjust(row) -> calibrated view of a reading; options.getProfile(householdId) ->
+// profile or null; options.episodes -> the detector from episodes.js (for peak events)
+export function createReportBuilder(db, { adjust = (r) => r, getProfile = async () => null, episodes = null } = {}) {
+  // Calibrated minute means for [from, to), ascending
+  async function minuteSeries(device, from, to) {
+    const oldest = (await get(db, "SELECT MIN(ts) AS ts FROM readings WHERE device_id = ?", [device]))?.ts ?? to;
+    const raw = await all(
+      db,
+      `SELECT ts / 60 AS minute,
+              ${COLUMNS.map((c) => `AVG(CASE WHEN COALESCE(bad_sensors, 0) & ${sensorBit(c)} = 0 THEN ${c} END) AS ${c}`).join(", ")}
+       FROM readings WHERE device_id = ? AND ts >= ? AND ts < ? GROUP BY 1`,
+      [device, Math.max(from, oldest), to]
+    );
+    const rolled = oldest > from
+      ? await all(
+          db,
+          `SELECT bucket_ts / 60 AS minute, ${COLUMNS.map((c) => `${c}_sum / NULLIF(${c}_n, 0) AS ${c}`).join(", ")}
+           FROM readings_1m WHERE device_id = ? AND bucket_ts >= ? AND bucket_ts < ?`,
+          [device, from, Math.min(to, oldest - (oldest % 60))]
+        )
+      : [];
+    return [...rolled, ...raw]
+      .sort((a, b) => a.minute - b.minute)
+      .map((m) => ({ minute: m.minute, ...adjust({ ...m, device_id: device, ts: m.minute * 60 + 59 }) }));
+  }
+
+  async function peakEvents(device, from, to, minutes, now) {
+    if (!episodes) return { events: [], sources: [] };
+    const list = await episodes.list({ device, from, to: to - 1, limit: 5000 });
+    const sources = new Map();
+    const events = list.map((e) => {
+      const end = e.end_ts ?? now;
+      const inside = minutes.filter((m) => m.minute * 60 + 59 >= e.start_ts && m.minute * 60 <= end);
+      const max = (c) => r1(inside.reduce((best, m) => (isNum(m[c]) && (best === null || m[c] > best) ? m[c] : best), null));
+      const duration_min = Math.max(1, Math.round((end - e.start_ts) / 60));
+      const s = sources.get(e.label) || { label: e.label, count: 0, minutes: 0 };
+      s.count += 1;
+      s.minutes += duration_min;
+      sources.set(e.label, s);
+      return {
+        id: e.id,
+        label: e.label,
+        confirmed: e.confirmed,
+        start_ts: e.start_ts,
+        end_ts: e.end_ts,
+        duration_min,
+        iaq_max: max("current_iaq"),
+        pm25_max: max("pm25"),
+        co_max: max("co"),
+      };
+    });
+    events.sort((a, b) => (b.iaq_max ?? -1) - (a.iaq_max ?? -1) || (b.pm25_max ?? -1) - (a.pm25_max ?? -1));
+    return { events: events.slice(0, MAX_EVENTS), sources: [...sources.values()].sort((a, b) => b.minutes - a.minutes) };
+  }
+
+  // { device?, period, date?, tzOffset? (seconds), householdId? } -> report, or null when there
+  // are no readings. Without a device (or given a list of ids), the one that sent the latest
+  // reading is used. householdId is passed to getProfile for the member notes.
+  async function exposure({ device, period = "week", date, tzOffset = 0, householdId } = {}) {
+    if (!REPORT_PERIODS[period]) throw new Error(`Unknown period (expected ${Object.keys(REPORT_PERIODS).join(", ")})`);
+    if (typeof device !== "string") {
+      const byDevice = deviceFilter(device);
+      device = (
+        await get(db, `SELECT device_id FROM readings ${byDevice ? `WHERE ${byDevice.sql}` : ""} ORDER BY ts DESC, id DESC LIMIT 1`, byDevice?.params || [])
+      )?.device_id;
+    }
+    if (!device) return null;
+    const now = Math.floor(Date.now() / 1000);
+    const { from, to } = periodBounds(period, date, tzOffset, now);
+    const prevFrom = from - 7 * DAY;
+    const prevTo = to - 7 * DAY;
+
+    const series = await minuteSeries(device, prevFrom, to);
+    const within = (a, b) => series.filter((m) => m.minute * 60 >= a && m.minute * 60 < b);
+    const current = within(from, to);
+    const totals = summarize(current, from, to, now);
+    const days = [];
+    for (let d = from; d < to; d += DAY) days.push({ date: localDate(d, tzOffset), ...summarize(within(d, d + DAY), d, d + DAY, now) });
+    const previous = summarize(within(prevFrom, prevTo), prevFrom, prevTo, now);
+    const delta = (a, b) => (isNum(a) && isNum(b) ? r1(a - b) : null);
+    const comparison = {
+      label: period === "day" ? "same day last week" : "previous week",
+      previous,
+      change: {
+        iaq_mean: delta(totals.iaq.mean, previous.iaq.mean),
+        pm25_mean: delta(totals.pm25.mean, previous.pm25.mean),
+        hours_above_who: delta(totals.pm25.hours_above_who, previous.pm25.hours_above_who),
+        usg_or_worse_h: delta(totals.usg_or_worse_h, previous.usg_or_worse_h),
+        good_share: isNum(totals.good_share) && isNum(previous.good_share) ? Math.round((totals.good_share - previous.good_share) * 100) / 100 : null,
+      },
+    };
+    const { events, sources } = await peakEvents(device, from, to, current, now);
+
+    const profile = await getProfile(householdId);
+    const members = (profile?.members || []).map((m) => {
+      const groups = MEMBER_GROUPS.filter((g) => g.test(m));
+      return {
+        name: m.name || "",
+        relation: m.relation || "",
+        age: m.age ?? null,
+        groups: groups.map((g) => g.key),
+        group_labels: groups.map((g) => g.label),
+        notes: groups.length ? memberNotes(groups, totals, comparison, events) : [],
+      };
+    });
+
+    return {
+      device_id: device,
+      period,
+      from,
+      to,
+      tz_offset: tzOffset / 60,
+      generated_ts: now,
+      thresholds: { who_pm25: WHO_PM25, co_ppm: CO_LIMIT_PPM },
+      totals,
+      days,
+      comparison,
+      events,
+      sources,
+      members,
+    };
+  }
+
+  return { exposure };
+}
+
+// ----- Printable HTML -----
+const esc = (v) =>
+  String(v ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+const dash = (v) => (v === null || v === undefined ? "—" : esc(v));
+const capitalize = (s) => (s ? s[0].toUpperCase() + s.slice(1) : s);
+const pct = (share) => (share === null || share === undefined ? "—" : `${Math.round(share * 100)}%`);
+const signed = (v) => (v === null || v === undefined ? "—" : v > 0 ? `+${v}` : String(v));
+
+// report -> standalone HTML page; autoPrint opens the browser's print dialog (Save as PDF)
+export function renderExposureHtml(report, { autoPrint = false } = {}) {
+  const tz = report.tz_offset * 60;
+  const time = (ts) => (ts === null || ts === undefined ? "—" : new Date((ts + tz) * 1000).toISOString().slice(0, 16).replace("T", " "));
+  const title = `${report.period === "day" ? "Daily" : "Weekly"} exposure report`;
+  const range = report.days.length > 1 ? `${report.days[0].date} – ${report.days[report.days.length - 1].date}` : report.days[0].date;
+  const categoryCells = (s) => IAQ_CATEGORIES.map((c) => `<td>${dash(s.hours_by_category[c.key])}</td>`).join("");
+  const t = report.totals;
+  const p = report.comparison.previous;
+  const c = report.comparison.change;
+
+  const members = report.members.filter((m) => m.groups.length);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(title)} · ${esc(report.device_id)} · ${esc(range)}</title>
+<style>
+  body { font-family: system-ui, Arial, sans-serif; color: #111827; margin: 24px auto; max-width: 900px; padding: 0 16px; }
+  h1 { margin-bottom: 0; }
+  h2 { margin-top: 28px; font-size: 18px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  .muted { color: #6b7280; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: right; padding: 4px 6px; border-bottom: 1px solid #f3f4f6; }
+  th:first-child, td:first-child { text-align: left; }
+  .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+  .member { margin: 8px 0; }
+  .toolbar { margin: 12px 0; }
+  @media print { .toolbar { display: none; } body { margin: 0; } h2 { break-after: avoid; } table { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<div class="muted">Device ${esc(report.device_id)} · ${esc(range)} (UTC${report.tz_offset >= 0 ? "+" : "−"}${Math.abs(report.tz_offset / 60)}) · generated ${esc(time(report.generated_ts))}</div>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+
+<h2>Summary</h2>
+<table>
+  <tr><th></th><th>This ${report.period === "day" ? "day" : "week"}</th><th>${esc(capitalize(report.comparison.label))}</th><th>Change</th></tr>
+  <tr><td>Mean IAQ</td><td>${dash(t.iaq.mean)}</td><td>${dash(p.iaq.mean)}</td><td>${signed(c.iaq_mean)}</td></tr>
+  <tr><td>Time at "Good"</td><td>${pct(t.good_share)}</td><td>${pct(p.good_share)}</td><td>${c.good_share === null ? "—" : signed(Math.round(c.good_share * 100)) + " pts"}</td></tr>
+  <tr><td>Hours at "USG" or worse</td><td>${dash(t.usg_or_worse_h)}</td><td>${dash(p.usg_or_worse_h)}</td><td>${signed(c.usg_or_worse_h)}</td></tr>
+  <tr><td>Mean PM2.5 (µg/m³)</td><td>${dash(t.pm25.mean)}</td><td>${dash(p.pm25.mean)}</td><td>${signed(c.pm25_mean)}</td></tr>
+  <tr><td>Hours above WHO PM2.5 guideline (${report.thresholds.who_pm25} µg/m³)</td><td>${dash(t.pm25.hours_above_who)}</td><td>${dash(p.pm25.hours_above_who)}</td><td>${signed(c.hours_above_who)}</td></tr>
+  <tr><td>Peak IAQ</td><td>${dash(t.iaq.max)} <span class="muted">${esc(time(t.iaq.max_ts))}</span></td><td>${dash(p.iaq.max)}</td><td></td></tr>
+  <tr><td>Peak PM2.5 (µg/m³)</td><td>${dash(t.pm25.max)} <span class="muted">${esc(time(t.pm25.max_ts))}</span></td><td>${dash(p.pm25.max)}</td><td></td></tr>
+  <tr><td>Peak CO (ppm)</td><td>${dash(t.co.max)} <span class="muted">${esc(time(t.co.max_ts))}</span></td><td>${dash(p.co.max)}</td><td></td></tr>
+</table>
+
+${members.length ? `<h2>Household members</h2>
+${members.map((m) => `<div class="member"><b>${esc(m.name || m.relation || "Member")}</b> <span class="muted">(${esc(m.group_labels.join(", "))})</span>
+  <ul>${m.notes.map((n) => `<li>${esc(n)}</li>`).join("")}</ul></div>`).join("\n")}
+<p class="muted">These notes summarise measured exposure; they are not medical advice.</p>` : ""}
+
+<h2>Time in each IAQ category (hours)</h2>
+<table>
+  <tr><th>Day</th>${IAQ_CATEGORIES.map((cat) => `<th><span class="swatch" style="background:${cat.color}"></span>${esc(cat.label)}</th>`).join("")}<th>No data</th><th>Mean IAQ</th><th>PM2.5 &gt; WHO (h)</th></tr>
+  ${report.days.map((d) => `<tr><td>${esc(d.date)}</td>${categoryCells(d)}<td>${dash(d.no_data_h)}</td><td>${dash(d.iaq.mean)}</td><td>${dash(d.pm25.hours_above_who)}</td></tr>`).join("\n  ")}
+  ${report.days.length > 1 ? `<tr><th>Total</th>${IAQ_CATEGORIES.map((cat) => `<th>${dash(t.hours_by_category[cat.key])}</th>`).join("")}<th>${dash(t.no_data_h)}</th><th>${dash(t.iaq.mean)}</th><th>${dash(t.pm25.hours_above_who)}</th></tr>` : ""}
+</table>
+
+<h2>Peak events</h2>
+${report.events.length ? `<table>
+  <tr><th>Source</th><th>Start</th><th>Duration</th><th>Peak IAQ</th><th>Peak PM2.5</th><th>Peak CO</th></tr>
+  ${report.events.map((e) => `<tr><td>${esc(capitalize(e.label))}${e.confirmed ? "" : ' <span class="muted">(guess)</span>'}</td><td>${esc(time(e.start_ts))}</td><td>${e.duration_min} min</td><td>${dash(e.iaq_max)}</td><td>${dash(e.pm25_max)}</td><td>${dash(e.co_max)}</td></tr>`).join("\n  ")}
+</table>
+${report.sources.length ? `<p class="muted">All episodes: ${report.sources.map((s) => `${esc(s.label)} ${s.count}× (${s.minutes} min)`).join(", ")}</p>` : ""}` : '<p class="muted">No pollution episodes in this period.</p>'}
+${autoPrint ? "<script>window.addEventListener('load', () => window.print());</script>" : ""}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,179 @@
+// ----- Rollups & retention -----
+// Minute/hour/day aggregates of `readings`, kept forever, so raw rows can be pruned
+// after RETENTION_DAYS without losing long-range charts.
+//
+// Each rollup run looks at readings inserted since the last run (by id, so late
+// backfills are picked up too), finds the buckets they touch and recomputes just
+// those buckets: 1m from raw rows, 1h from 1m, 1d from 1h. Recomputing instead of
+// adding deltas keeps a run idempotent if the server stops half-way.
+import fs from "fs";
+import { SENSOR_COLUMNS } from "./sensors.js";
+import { run, get, all, getSetting, setSetting, deviceFilter } from "./sqlite.js";
+
+export const ROLLUP_LEVELS = [
+  { key: "1m", table: "readings_1m", seconds: 60 },
+  { key: "1h", table: "readings_1h", seconds: 3600 },
+  { key: "1d", table: "readings_1d", seconds: 86400 },
+];
+
+const aggColumns = SENSOR_COLUMNS.flatMap((c) => [`${c}_min`, `${c}_max`, `${c}_sum`, `${c}_n`]);
+
+// Called from the schema setup in index.js (inside db.serialize)
+export function createRollupTables(db) {
+  for (const level of ROLLUP_LEVELS) {
+    db.run(`CREATE TABLE IF NOT EXISTS ${level.table} (
+      device_id TEXT NOT NULL,
+      bucket_ts INTEGER NOT NULL,   -- UTC-aligned bucket start (Unix seconds)
+      n INTEGER NOT NULL,
+      ${aggColumns.map((c) => `${c} REAL`).join(",\n      ")},
+      PRIMARY KEY (device_id, bucket_ts)
+    )`);
+  }
+}
+
+function levelSelect(level, source) {
+  if (source === "readings") {
+    const cols = SENSOR_COLUMNS.map((c) => `MIN(r.${c}), MAX(r.${c}), TOTAL(r.${c}), COUNT(r.${c})`).join(", ");
+    return `SELECT r.device_id, t.b * ${level.seconds}, COUNT(*), ${cols}
+            FROM touched t JOIN readings r
+              ON r.device_id = t.device_id AND r.ts >= t.b * ${level.seconds} AND r.ts < (t.b + 1) * ${level.seconds}
+            GROUP BY r.device_id, t.b`;
+  }
+  const cols = SENSOR_COLUMNS.map((c) => `MIN(r.${c}_min), MAX(r.${c}_max), SUM(r.${c}_sum), SUM(r.${c}_n)`).join(", ");
+  return `SELECT r.device_id, t.b * ${level.seconds}, SUM(r.n), ${cols}
+          FROM touched t JOIN ${source} r
+            ON r.device_id = t.device_id AND r.bucket_ts >= t.b * ${level.seconds} AND r.bucket_ts < (t.b + 1) * ${level.seconds}
+          GROUP BY r.device_id, t.b`;
+}
+
+let rollupRunning = false;
+
+// Roll up readings inserted since the last run. Returns { rows, lastId }.
+export async function runRollup(db) {
+  if (rollupRunning) return { rows: 0, skipped: true };
+  rollupRunning = true;
+  try {
+    const lastId = Number(await getSetting(db, "rollup.last_id")) || 0;
+    const maxRow = await get(db, "SELECT MAX(id) AS id FROM readings");
+    const maxId = maxRow?.id || 0;
+    const now = Math.floor(Date.now() / 1000);
+    if (maxId <= lastId) {
+      await setSetting(db, "rollup.last_run_ts", now);
+      return { rows: 0, lastId };
+    }
+    // Raw rows older than the prune cutoff are partial; don't let them overwrite minute buckets
+    const prunedBefore = Number(await getSetting(db, "prune.cutoff_ts")) || 0;
+
+    let source = "readings";
+    for (const level of ROLLUP_LEVELS) {
+      await run(
+        db,
+        `WITH touched AS (
+           SELECT DISTINCT device_id, CAST(ts AS INTEGER) / ${level.seconds} AS b
+           FROM readings WHERE id > ? AND id <= ? AND ts >= ?
+         )
+         INSERT OR REPLACE INTO ${level.table} (device_id, bucket_ts, n, ${aggColumns.join(", ")})
+         ${levelSelect(level, source)}`,
+        [lastId, maxId, prunedBefore]
+      );
+      source = level.table;
+    }
+    await setSetting(db, "rollup.last_id", maxId);
+    await setSetting(db, "rollup.last_run_ts", now);
+    await setSetting(db, "rollup.last_rows", maxId - lastId);
+    return { rows: maxId - lastId, lastId: maxId };
+  } finally {
+    rollupRunning = false;
+  }
+}
+
+// Retention in days: admin override from the settings table, else RETENTION_DAYS (0 = keep forever)
+export async function getRetentionDays(db) {
+  const stored = await getSetting(db, "retention.days");
+  const value = stored !== null ? Number(stored) : Number(process.env.RETENTION_DAYS || 0);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+// Delete raw readings older than the retention window (aggregates are kept).
+// The cutoff is aligned to a UTC day so every rollup bucket is either fully kept or fully pruned,
+// and only rows already rolled up are deleted.
+export async function pruneReadings(db) {
+  const days = await getRetentionDays(db);
+  const now = Math.floor(Date.now() / 1000);
+  if (!days) {
+    await setSetting(db, "prune.last_run_ts", now);
+    return { deleted: 0, retentionDays: 0 };
+  }
+  await runRollup(db);
+  const cutoff = Math.floor((now - days * 86400) / 86400) * 86400;
+  const lastId = Number(await getSetting(db, "rollup.last_id")) || 0;
+  const { changes } = await run(db, "DELETE FROM readings WHERE ts < ? AND id <= ?", [cutoff, lastId]);
+  await setSetting(db, "prune.cutoff_ts", cutoff);
+  await setSetting(db, "prune.last_run_ts", now);
+  await setSetting(db, "prune.last_deleted", changes);
+  return { deleted: changes, cutoff, retentionDays: days };
+}
+
+// Bucketed history from the rollup tables. Uses the coarsest level whose buckets
+// nest inside the requested bucket (taking the timezone offset into account).
+export function queryBuckets(db, { device, from, to, bucketSeconds, tzOffset = 0 }) {
+  const level = [...ROLLUP_LEVELS]
+    .reverse()
+    .find((l) => bucketSeconds % l.seconds === 0 && tzOffset % l.seconds === 0) || ROLLUP_LEVELS[0];
+  const where = ["bucket_ts >= ?", "bucket_ts <= ?"];
+  // Include the level bucket that contains `from`
+  const params = [Math.floor(from / level.seconds) * level.seconds, to];
+  const byDevice = deviceFilter(device);
+  if (byDevice) {
+    where.push(byDevice.sql);
+    params.push(...byDevice.params);
+  }
+  const aggregates = SENSOR_COLUMNS.map(
+    (c) => `MIN(${c}_min) AS ${c}_min, SUM(${c}_sum) / SUM(${c}_n) AS ${c}, MAX(${c}_max) AS ${c}_max`
+  ).join(", ");
+  return all(
+    db,
+    `SELECT ((bucket_ts + ${tzOffset}) / ${bucketSeconds}) * ${bucketSeconds} - ${tzOffset} AS ts, SUM(n) AS n, ${aggregates}
+     FROM ${level.table} WHERE ${where.join(" AND ")}
+     GROUP BY 1 ORDER BY 1`,
+    params
+  );
+}
+
+// DB file size, row counts per table and job bookkeeping, for the admin stats endpoint
+export async function getDbStats(db, dbPath) {
+  let sizeBytes = 0;
+  for (const file of [dbPath, `${dbPath}-wal`]) {
+    try {
+      sizeBytes += fs.statSync(file).size;
+    } catch {}
+  }
+  const tables = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+  const rowCounts = {};
+  for (const { name } of tables) {
+    const row = await get(db, `SELECT COUNT(*) AS n FROM "${name}"`);
+    rowCounts[name] = row?.n || 0;
+  }
+  const settings = await all(db, "SELECT key, value FROM settings WHERE key LIKE 'rollup.%' OR key LIKE 'prune.%'");
+  const s = Object.fromEntries(settings.map((r) => [r.key, r.value === null ? null : Number(r.value)]));
+  return {
+    sizeBytes,
+    rowCounts,
+    retentionDays: await getRetentionDays(db),
+    rollup: { lastRunTs: s["rollup.last_run_ts"] ?? null, lastRows: s["rollup.last_rows"] ?? null, lastId: s["rollup.last_id"] ?? null },
+    prune: { lastRunTs: s["prune.last_run_ts"] ?? null, lastDeleted: s["prune.last_deleted"] ?? null, cutoffTs: s["prune.cutoff_ts"] ?? null },
+  };
+}
+
+// Background schedule: rollup every minute, prune hourly
+export function startRollupJobs(db, { rollupIntervalMs = 60000, pruneIntervalMs = 3600000 } = {}) {
+  const rollup = () => runRollup(db).catch((e) => console.warn("[rollup] failed:", e.message));
+  const prune = () =>
+    pruneReadings(db)
+      .then((r) => { if (r.deleted) console.log(`[prune] removed ${r.deleted} raw readings older than ${r.retentionDays} days`); })
+      .catch((e) => console.warn("[prune] failed:", e.message));
+  setTimeout(rollup, 5000);
+  setTimeout(prune, 15000);
+  setInterval(rollup, rollupIntervalMs);
+  setInterval(prune, pruneIntervalMs);
+}
@@ -0,0 +1,59 @@
+// ----- Profile key rotation -----
+// `npm run rotate-profile-key` (stop the server first):
+//
+// - Key file (no PROFILE_ENCRYPTION_KEY set): generates a new key, re-encrypts every stored
+//   profile version with it and drops the old key from the file. The new key is added
+//   before anything is re-encrypted, so an interrupted run can simply be repeated.
+// - PROFILE_ENCRYPTION_KEY in .env: set it to the new key and the old one in
+//   PROFILE_ENCRYPTION_KEYS_OLD, then run this to re-encrypt; afterwards remove the old key.
+//   `npm run rotate-profile-key -- --generate` prints a new key to use.
+import "dotenv/config";
+import path from "path";
+import { fileURLToPath } from "url";
+import sqlite3 from "sqlite3";
+import { loadKeyring, createFieldCipher, generateKey, readKeyFile, writeKeyFile, parseKey, keyId } from "./encryption.js";
+import { createProfileStore } from "./profiles.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+async function main() {
+  if (process.argv.includes("--generate")) {
+    console.log(generateKey());
+    return;
+  }
+
+  let keyring = loadKeyring({ keyFile: path.join(__dirname, "profile.key"), create: false });
+  const fromFile = keyring.source === "file";
+  let oldKeys = [];
+  if (fromFile) {
+    oldKeys = readKeyFile(keyring.file);
+    const newKey = generateKey();
+    writeKeyFile(keyring.file, [newKey, ...oldKeys]);
+    keyring = loadKeyring({ keyFile: keyring.file, create: false });
+    console.log(`New key ${keyring.current.id} added to ${keyring.file}`);
+  } else if (keyring.keys.size < 2) {
+    console.log("PROFILE_ENCRYPTION_KEY is set: put the new key there and the old one in PROFILE_ENCRYPTION_KEYS_OLD, then run this again.");
+    console.log("Stored profiles will still be re-encrypted with the current key if needed.");
+  }
+
+  const db = new sqlite3.Database(path.join(__dirname, "iaq.db"));
+  try {
+    const store = createProfileStore(db, { cipher: createFieldCipher(keyring) });
+    const n = await store.encryptExisting();
+    console.log(`Re-encrypted ${n} profile version(s) with key ${keyring.current.id}`);
+  } finally {
+    db.close();
+  }
+
+  if (fromFile) {
+    writeKeyFile(keyring.file, readKeyFile(keyring.file).slice(0, 1));
+    console.log(`Removed old key(s) ${oldKeys.map((k) => keyId(parseKey(k))).join(", ")} from ${keyring.file}`);
+  } else if (keyring.keys.size > 1) {
+    console.log("Done. PROFILE_ENCRYPTION_KEYS_OLD can be removed from .env now.");
+  }
+}
+
+main().catch((e) => {
+  console.error("Key rotation failed:", e.message);
+  process.exit(1);
+});
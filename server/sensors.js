@@ -0,0 +1,2 @@
+// Sensor columns stored per reading (and aggregated by rollups / bucketed history)
+export const SENSOR_COLUMNS = ["pm25", "voc", "c2h5oh", "co", "current_iaq", "predicted_iaq"];
@@ -0,0 +1,67 @@
+// Promise wrappers around the callback-style sqlite3 API, for the background jobs
+// where nested callbacks would get unwieldy.
+
+export function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+export function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+export function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+// Runs `fn` inside BEGIN/COMMIT, rolling back if it throws. Transactions on the same
+// connection run one after another (SQLite can't nest them).
+const pending = new WeakMap(); // connection -> promise of its last transaction
+
+export function transaction(db, fn) {
+  const result = (pending.get(db) || Promise.resolve()).then(async () => {
+    await run(db, "BEGIN IMMEDIATE TRANSACTION");
+    try {
+      const value = await fn();
+      await run(db, "COMMIT");
+      return value;
+    } catch (e) {
+      await run(db, "ROLLBACK").catch(() => {});
+      throw e;
+    }
+  });
+  pending.set(db, result.catch(() => {}));
+  return result;
+}
+
+// WHERE fragment for a device filter: one id, or a list of ids (e.g. a household's
+// devices; an empty list matches nothing). Null when no filter is given.
+export function deviceFilter(device, column = "device_id") {
+  if (device === undefined || device === null || device === "") return null;
+  const ids = Array.isArray(device) ? device : [device];
+  if (!ids.length) return { sql: "0", params: [] };
+  return { sql: ids.length === 1 ? `${column} = ?` : `${column} IN (${ids.map(() => "?").join(", ")})`, params: ids };
+}
+
+// Key/value settings and job bookkeeping (table created in index.js)
+export async function getSetting(db, key) {
+  const row = await get(db, "SELECT value FROM settings WHERE key = ?", [key]);
+  return row ? row.value : null;
+}
+
+export function setSetting(db, key, value) {
+  return run(
+    db,
+    `INSERT INTO settings (key, value, updated_ts) VALUES (?, ?, ?)
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_ts = excluded.updated_ts`,
+    [key, value === null || value === undefined ? null : String(value), Math.floor(Date.now() / 1000)]
+  );
+}
@@ -0,0 +1,241 @@
+// ----- Air quality indices -----
+// Shared by the server and the dashboard, so the badge, the advice engine, forecast
+// accuracy and the API all use the same breakpoints. Plain ESM without dependencies.
+//
+// Two different numbers are rated here:
+// - the device's own IAQ (current_iaq / predicted_iaq, 0-500) -> IAQ_CATEGORIES
+// - a standards-based AQI computed from pollutant concentrations: each pollutant's
+//   average over its scheme's window is interpolated between breakpoints into a
+//   sub-index, and the overall index is the highest sub-index (the dominant pollutant).
+//
+// VOC and ethanol have no ambient standard, so they never enter an AQI; they are
+// rated against the indoor guidance levels in INDOOR_GUIDANCE instead.
+
+// Same palette for every 6-band scale, from best to worst
+const BAND_COLORS = ["#16a34a", "#84cc16", "#f59e0b", "#ef4444", "#db2777", "#7c3aed"];
+
+const bands = (defs) => defs.map(([key, label, max], i) => ({ key, label, max, color: BAND_COLORS[i] }));
+
+// Device IAQ; `max` is exclusive here (the firmware's scale has no gaps)
+export const IAQ_CATEGORIES = bands([
+  ["good", "Good", 50],
+  ["moderate", "Moderate", 100],
+  ["usg", "USG", 150],
+  ["unhealthy", "Unhealthy", 200],
+  ["very-unhealthy", "Very Unhealthy", 300],
+  ["hazardous", "Hazardous", Infinity],
+]);
+
+export function iaqCategory(value) {
+  if (value === null || value === undefined || value === "" || !Number.isFinite(Number(value))) return null;
+  return IAQ_CATEGORIES.find((c) => Number(value) < c.max);
+}
+
+export const POLLUTANTS = {
+  pm25: { label: "PM2.5", unit: "µg/m³" },
+  co: { label: "CO", unit: "ppm" },
+  voc: { label: "VOC", unit: "ppb" },
+  c2h5oh: { label: "Ethanol", unit: "ppb" },
+};
+
+// The sensor reports CO in ppm; NAQI and WHO state it in mg/m³ (25 °C, 1 atm)
+const CO_MG_PER_PPM = 1.145;
+
+// Breakpoints are [concLow, concHigh, indexLow, indexHigh]; a concentration uses the
+// first row whose concHigh it doesn't exceed. Above the last row the index is capped.
+export const AQI_SCHEMES = {
+  "us-epa": {
+    label: "US EPA AQI",
+    source: "US EPA AQI technical assistance document (PM2.5 breakpoints as revised in 2024)",
+    categories: bands([
+      ["good", "Good", 50],
+      ["moderate", "Moderate", 100],
+      ["usg", "Unhealthy for Sensitive Groups", 150],
+      ["unhealthy", "Unhealthy", 200],
+      ["very-unhealthy", "Very Unhealthy", 300],
+      ["hazardous", "Hazardous", 500],
+    ]),
+    pollutants: {
+      // EPA truncates concentrations (0.1 µg/m³, 0.1 ppm) before looking up the band
+      pm25: {
+        window_h: 24, unit: "µg/m³", factor: 1, decimals: 1,
+        breakpoints: [
+          [0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150],
+          [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500],
+        ],
+      },
+      co: {
+        window_h: 8, unit: "ppm", factor: 1, decimals: 1,
+        breakpoints: [
+          [0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150],
+          [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500],
+        ],
+      },
+    },
+  },
+  "india-naqi": {
+    label: "India NAQI",
+    source: "CPCB National Air Quality Index (2014); the open-ended Severe band is capped here",
+    categories: bands([
+      ["good", "Good", 50],
+      ["satisfactory", "Satisfactory", 100],
+      ["moderate", "Moderate", 200],
+      ["poor", "Poor", 300],
+      ["very-poor", "Very Poor", 400],
+      ["severe", "Severe", 500],
+    ]),
+    pollutants: {
+      pm25: {
+        window_h: 24, unit: "µg/m³", factor: 1, decimals: 0,
+        breakpoints: [
+          [0, 30, 0, 50], [30, 60, 50, 100], [60, 90, 100, 200],
+          [90, 120, 200, 300], [120, 250, 300, 400], [250, 500, 400, 500],
+        ],
+      },
+      co: {
+        window_h: 8, unit: "mg/m³", factor: CO_MG_PER_PPM, decimals: 1,
+        breakpoints: [
+          [0, 1, 0, 50], [1, 2, 50, 100], [2, 10, 100, 200],
+          [10, 17, 200, 300], [17, 34, 300, 400], [34, 68, 400, 500],
+        ],
+      },
+    },
+  },
+  // Not an official index: the band edges are the WHO 2021 guideline level and its
+  // interim targets, so the category says which target the air currently meets.
+  who: {
+    label: "WHO guidelines",
+    source: "WHO global air quality guidelines (2021): AQG level and interim targets IT-1…IT-4",
+    categories: bands([
+      ["aqg", "Meets guideline", 50],
+      ["it4", "Meets IT-4", 100],
+      ["it3", "Meets IT-3", 150],
+      ["it2", "Meets IT-2", 200],
+      ["it1", "Meets IT-1", 300],
+      ["above-it1", "Above all targets", 500],
+    ]),
+    pollutants: {
+      pm25: {
+        window_h: 24, unit: "µg/m³", factor: 1, decimals: 1,
+        breakpoints: [
+          [0, 15, 0, 50], [15, 25, 50, 100], [25, 37.5, 100, 150],
+          [37.5, 50, 150, 200], [50, 75, 200, 300], [75, 150, 300, 500],
+        ],
+      },
+      // 24-hour CO has only the guideline (4 mg/m³) and IT-1 (7 mg/m³); the upper
+      // bands are multiples of IT-1
+      co: {
+        window_h: 24, unit: "mg/m³", factor: CO_MG_PER_PPM, decimals: 1,
+        breakpoints: [
+          [0, 4, 0, 50], [4, 7, 50, 100], [7, 10.5, 100, 150],
+          [10.5, 14, 150, 200], [14, 28, 200, 300], [28, 56, 300, 500],
+        ],
+      },
+    },
+  },
+};
+
+export const DEFAULT_AQI_SCHEME = "us-epa";
+export const AQI_AVERAGING = ["standard", "instant"]; // scheme windows | latest reading only
+
+// Share of a window that must have data for the average to count as representative
+// (EPA's 18-of-24-hours rule)
+export const MIN_COVERAGE = 0.75;
+
+// Indoor rules of thumb used by the advice engine: [elevated above, high above]
+export const INDOOR_GUIDANCE = {
+  voc: [300, 600],
+  c2h5oh: [200, 500],
+};
+
+export function isAqiScheme(key) {
+  return Object.prototype.hasOwnProperty.call(AQI_SCHEMES, key);
+}
+
+export function aqiCategory(schemeKey, index) {
+  const scheme = AQI_SCHEMES[schemeKey];
+  if (!scheme || !Number.isFinite(index)) return null;
+  return scheme.categories.find((c) => index <= c.max) || scheme.categories[scheme.categories.length - 1];
+}
+
+// Averaging window per pollutant (hours), e.g. { pm25: 24, co: 8 }
+export function aqiWindows(schemeKey) {
+  const scheme = AQI_SCHEMES[schemeKey];
+  if (!scheme) return {};
+  return Object.fromEntries(Object.entries(scheme.pollutants).map(([k, p]) => [k, p.window_h]));
+}
+
+// Sensor-unit concentration -> { index, concentration (scheme units), category } or null
+export function subIndex(schemeKey, pollutant, value) {
+  const def = AQI_SCHEMES[schemeKey]?.pollutants[pollutant];
+  if (!def || value === null || value === undefined || !Number.isFinite(Number(value))) return null;
+  const scale = 10 ** def.decimals;
+  const c = Math.max(0, Math.floor(Number(value) * def.factor * scale + 1e-9) / scale);
+  const bps = def.breakpoints;
+  const bp = bps.find((b) => c <= b[1]);
+  const index = bp ? Math.round(((bp[3] - bp[2]) / (bp[1] - bp[0])) * (c - bp[0]) + bp[2]) : bps[bps.length - 1][3];
+  return { index, concentration: c, category: aqiCategory(schemeKey, index) };
+}
+
+// 'ok' | 'elevated' | 'high' for any pollutant: AQI pollutants by their sub-index
+// (above 100 / above 200), the others by INDOOR_GUIDANCE
+export function pollutantLevel(pollutant, value, schemeKey = DEFAULT_AQI_SCHEME) {
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) return null;
+  const guidance = INDOOR_GUIDANCE[pollutant];
+  if (guidance) return Number(value) > guidance[1] ? "high" : Number(value) > guidance[0] ? "elevated" : "ok";
+  const sub = subIndex(schemeKey, pollutant, value);
+  if (!sub) return null;
+  return sub.index > 200 ? "high" : sub.index > 100 ? "elevated" : "ok";
+}
+
+// values: { pollutant: number | { value, coverage?, window_h? } } in sensor units.
+// Returns the overall index, its category and the dominant pollutant, plus one entry
+// per AQI pollutant and per indoor-guidance pollutant present in `values`.
+export function computeAqi(schemeKey, values = {}) {
+  const scheme = AQI_SCHEMES[schemeKey];
+  if (!scheme) throw new Error(`Unknown AQI scheme: ${schemeKey}`);
+  const unpack = (v) => (v !== null && typeof v === "object" ? v : { value: v });
+
+  const subIndices = [];
+  for (const [pollutant, def] of Object.entries(scheme.pollutants)) {
+    const { value, coverage = null, window_h = def.window_h } = unpack(values[pollutant]);
+    const sub = subIndex(schemeKey, pollutant, value);
+    subIndices.push({
+      pollutant,
+      label: POLLUTANTS[pollutant].label,
+      value: sub ? Number(value) : null,
+      concentration: sub ? sub.concentration : null,
+      unit: def.unit,
+      window_h,
+      coverage,
+      complete: sub ? coverage === null || coverage >= MIN_COVERAGE : false,
+      index: sub ? sub.index : null,
+      category: sub?.category.key ?? null,
+      category_label: sub?.category.label ?? null,
+      color: sub?.category.color ?? null,
+    });
+  }
+
+  const indoor = [];
+  for (const pollutant of Object.keys(INDOOR_GUIDANCE)) {
+    const { value } = unpack(values[pollutant]);
+    const level = pollutantLevel(pollutant, value, schemeKey);
+    if (level) indoor.push({ pollutant, label: POLLUTANTS[pollutant].label, value: Number(value), unit: POLLUTANTS[pollutant].unit, level });
+  }
+
+  const rated = subIndices.filter((s) => s.index !== null);
+  const dominant = rated.reduce((best, s) => (!best || s.index > best.index ? s : best), null);
+  const category = dominant ? aqiCategory(schemeKey, dominant.index) : null;
+  return {
+    scheme: schemeKey,
+    scheme_label: scheme.label,
+    index: dominant ? dominant.index : null,
+    category: category?.key ?? null,
+    category_label: category?.label ?? null,
+    color: category?.color ?? null,
+    dominant: dominant?.pollutant ?? null,
+    complete: rated.length > 0 && rated.every((s) => s.complete),
+    sub_indices: subIndices,
+    indoor,
+  };
+}